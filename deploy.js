@@ -74,9 +74,8 @@ function executeCommands(commands, index = 0) {
       console.log('📡 Socket.io enabled for real-time features');
       console.log('💳 Stripe integration ready');
       console.log('🔒 Subscription system active');
-      console.log('\n📋 Default Admin Login:');
-      console.log('   Username: admin');
-      console.log('   Password: admin123');
+      console.log('\n📋 Demo logins: start with SEED_DEMO_DATA=true on an empty store;');
+      console.log('   the generated passwords are printed once in the server log');
       console.log('\n🎯 API Endpoints:');
       console.log('   POST /api/auth/login - User login');
       console.log('   POST /api/auth/register - User registration');
@@ -0,0 +1,4 @@
+// middleware/asyncHandler.js - Forward rejected promises from async route handlers to Express
+export const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
@@ -0,0 +1,68 @@
+// middleware/auth.js - Authentication and permission middleware
+import { resolveAuthUser } from '../services/auth.js';
+import { can } from '../services/permissions.js';
+
+const bearerToken = (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+  return authHeader.substring(7);
+};
+
+const resolveUser = (req, extractToken = bearerToken) => {
+  const token = extractToken(req);
+  return token ? resolveAuthUser(token) : Promise.resolve(null);
+};
+
+// Users whose role requires 2FA they have not set up only get through where
+// `allowTwoFactorSetup` is set
+const requireUser = (extractToken, { allowTwoFactorSetup = false } = {}) => (req, res, next) => {
+  resolveUser(req, extractToken)
+    .then((user) => {
+      if (!user) return res.status(401).json({ error: 'Unauthorized' });
+      if (user.twoFactorSetupRequired && !allowTwoFactorSetup) {
+        return res.status(403).json({
+          error: 'Two-factor authentication must be set up for this account',
+          code: 'TWO_FACTOR_SETUP_REQUIRED',
+          twoFactorSetupRequired: true
+        });
+      }
+      req.user = user;
+      next();
+    })
+    .catch(next);
+};
+
+export const authenticate = requireUser(bearerToken);
+
+// For 2FA enrollment and session management
+export const authenticateForTwoFactorSetup = requireUser(bearerToken, { allowTwoFactorSetup: true });
+
+// For streaming endpoints consumed by EventSource, which cannot set headers:
+// also accepts the access token as `?token=`
+export const authenticateStream = requireUser((req) => (
+  bearerToken(req) || (typeof req.query.token === 'string' ? req.query.token : null)
+));
+
+// Populates `req.user` when a valid token is present but never rejects; users
+// still owing 2FA setup count as anonymous unless `allowTwoFactorSetup` is set
+const optionalUser = ({ allowTwoFactorSetup = false } = {}) => (req, res, next) => {
+  resolveUser(req)
+    .then((user) => {
+      req.user = user?.twoFactorSetupRequired && !allowTwoFactorSetup ? null : user;
+      next();
+    })
+    .catch(next);
+};
+
+export const optionalAuth = optionalUser();
+
+export const optionalAuthForTwoFactorSetup = optionalUser({ allowTwoFactorSetup: true });
+
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) return res.status(401).json({ error: 'Unauthorized' });
+  const missing = permissions.filter(permission => !can(req.user, permission));
+  if (missing.length > 0) {
+    return res.status(403).json({ error: 'Forbidden', missingPermissions: missing });
+  }
+  next();
+};
@@ -0,0 +1,69 @@
+// middleware/errors.js - One JSON shape for every failed request
+//
+// Error responses are `{ error, code, ...extra, requestId }`: `error` is for
+// people, `code` is stable and machine-readable, `requestId` matches the
+// X-Request-Id header and the server log. Routes keep answering with
+// `res.status(4xx).json({ error })`; `errorEnvelope` fills in the rest and a
+// route only sets `code` itself when the status alone is not specific enough.
+// Validation failures add `details` (see middleware/validate.js).
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+
+export const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'UNPROCESSABLE_ENTITY',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+const codeFor = (status) => ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+// Mount after requestId and before the routes
+export const errorEnvelope = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 400 || typeof body?.error !== 'string') return json(body);
+    const { error, code = codeFor(res.statusCode), ...extra } = body;
+    return json({ error, code, ...extra, requestId: req.id });
+  };
+  next();
+};
+
+// Mount after every route
+export const notFoundHandler = (req, res) => {
+  res.status(404).json({
+    error: 'Route not found',
+    code: 'ROUTE_NOT_FOUND',
+    path: req.originalUrl,
+    method: req.method
+  });
+};
+
+// Client errors raised by middleware (body parsers and the like) keep their
+// message; anything else is logged and answered with a bare 500. Outside
+// production the 500 also carries the message and stack under `debug`.
+export const errorHandler = (error, req, res, next) => {
+  if (res.headersSent) return next(error);
+
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Request body is not valid JSON', code: 'INVALID_JSON' });
+  }
+
+  const status = error.status || error.statusCode;
+  if (status >= 400 && status < 500 && error.expose) {
+    return res.status(status).json({ error: error.message });
+  }
+
+  console.error(`Error [${req.id}] ${req.method} ${req.originalUrl}:`, error);
+  res.status(500).json({
+    error: 'Internal server error',
+    ...(!IS_PRODUCTION && { debug: { message: error.message, stack: error.stack } })
+  });
+};
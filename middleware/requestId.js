@@ -0,0 +1,15 @@
+// middleware/requestId.js - Tag each request with an id for error bodies and logs
+//
+// A sane incoming X-Request-Id (e.g. from the load balancer) is kept so the
+// ids line up across hops; otherwise a fresh UUID is used. Either way it is
+// echoed back in the X-Request-Id response header.
+import crypto from 'crypto';
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+export const requestId = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
@@ -0,0 +1,30 @@
+// middleware/validate.js - Declarative request validation with express-validator
+//
+// `validate({ params, query, body })` takes one express-validator schema per
+// request part and answers 400 VALIDATION_FAILED with every failing field
+// before the handler runs. Submitted values are never echoed back. Schemas
+// check shape and type only; rules that need stored data or are shared with
+// the socket and engine code stay in the services' own validators.
+import { checkSchema, validationResult } from 'express-validator';
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+export const validate = (schemas) => {
+  const chains = LOCATIONS
+    .filter(location => schemas[location])
+    .map(location => checkSchema(schemas[location], [location]));
+
+  return async (req, res, next) => {
+    try {
+      for (const chain of chains) await chain.run(req);
+    } catch (error) {
+      return next(error);
+    }
+
+    const failures = validationResult(req).array({ onlyFirstError: true });
+    if (failures.length === 0) return next();
+
+    const details = failures.map(({ path, location, msg }) => ({ field: path, location, message: msg }));
+    res.status(400).json({ error: details[0].message, code: 'VALIDATION_FAILED', details });
+  };
+};
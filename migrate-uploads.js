@@ -0,0 +1,119 @@
+// migrate-uploads.js - Move local uploads/ content into the configured upload storage
+//
+// Usage:
+//   UPLOAD_STORAGE_DRIVER=s3 S3_BUCKET=... node migrate-uploads.js [--from <dir>] [--dry-run] [--delete]
+//
+// Copies every file under --from (default UPLOAD_DIR, else ./uploads) to the
+// same key in the target backend, skipping keys that already exist there, then
+// points users' profile pictures at the new URLs. With --delete the local
+// files are removed once every file is safely in the target. Re-running is
+// safe. Uses the same STORAGE_DRIVER / MONGODB_URI settings as the server.
+import fs from 'fs/promises';
+import path from 'path';
+import { initStore, closeStore } from './models/store.js';
+import { userRepository } from './models/userRepository.js';
+import { createUploadStorage, DEFAULT_UPLOAD_DIR, isPrivateKey } from './services/uploadStorage.js';
+
+const LOCAL_URL_PREFIX = '/uploads/';
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+const dryRun = args.includes('--dry-run');
+const deleteLocal = args.includes('--delete');
+const sourceDir = path.resolve(option('--from') || process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR);
+
+// Relative keys (forward slashes) of every non-hidden file under `dir`
+const listFiles = async (dir, prefix = '') => {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const keys = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const key = `${prefix}${entry.name}`;
+    if (entry.isDirectory()) keys.push(...await listFiles(path.join(dir, entry.name), `${key}/`));
+    else if (entry.isFile()) keys.push(key);
+  }
+  return keys;
+};
+
+// New profile picture fields for `user`, or null when nothing changes
+const rewriteUser = (storage, user) => {
+  const patch = {};
+
+  if (user.avatar?.keys) {
+    const sizes = Object.fromEntries(Object.entries(user.avatar.keys).map(([size, key]) => [size, storage.publicUrl(key)]));
+    if (JSON.stringify(sizes) !== JSON.stringify(user.avatar.sizes)) patch.avatar = { ...user.avatar, sizes };
+  }
+
+  const url = user.profilePicture;
+  const key = typeof url === 'string' && url.startsWith(LOCAL_URL_PREFIX)
+    ? url.slice(LOCAL_URL_PREFIX.length)
+    : storage.keyForUrl(url);
+  if (key && !isPrivateKey(key) && storage.publicUrl(key) !== url) patch.profilePicture = storage.publicUrl(key);
+
+  return Object.keys(patch).length ? patch : null;
+};
+
+const storage = createUploadStorage();
+console.log(`📦 Migrating ${sourceDir} -> ${storage.describe()}${dryRun ? ' (dry run)' : ''}`);
+
+if (storage.name === 'local' && storage.root === sourceDir) {
+  console.log('✅ Source is already the configured storage; nothing to migrate');
+  process.exit(0);
+}
+
+// --- Files ---
+const keys = await listFiles(sourceDir);
+const stats = { copied: 0, skipped: 0, failed: 0 };
+const migrated = [];
+
+for (const key of keys) {
+  try {
+    if (await storage.exists(key)) {
+      stats.skipped += 1;
+      migrated.push(key);
+      continue;
+    }
+    if (!dryRun) await storage.put(key, await fs.readFile(path.join(sourceDir, key)));
+    stats.copied += 1;
+    migrated.push(key);
+    console.log(`   ⬆️  ${key}`);
+  } catch (error) {
+    stats.failed += 1;
+    console.error(`   ❌ ${key}: ${error.message}`);
+  }
+}
+console.log(`📁 Files: ${stats.copied} copied, ${stats.skipped} already present, ${stats.failed} failed`);
+
+// --- User records ---
+await initStore();
+let usersUpdated = 0;
+for (const user of await userRepository.findAll()) {
+  const patch = rewriteUser(storage, user);
+  if (!patch) continue;
+  if (!dryRun) await userRepository.update(user.id, patch);
+  usersUpdated += 1;
+  console.log(`   👤 ${user.username}: ${patch.profilePicture || patch.avatar.sizes[512]}`);
+}
+await closeStore();
+console.log(`👤 Users: ${usersUpdated} profile picture(s) re-pointed`);
+
+// --- Local cleanup ---
+if (deleteLocal && !dryRun) {
+  if (stats.failed > 0) {
+    console.error('⚠️ Some files failed to copy; keeping local files');
+  } else {
+    await Promise.all(migrated.map(key => fs.rm(path.join(sourceDir, key), { force: true })));
+    console.log(`🗑️ Removed ${migrated.length} local file(s)`);
+  }
+}
+
+process.exit(stats.failed > 0 ? 1 : 0);
@@ -0,0 +1,39 @@
+// models/accountTokenRepository.js - Single-use account tokens: email links and 2FA login challenges
+import { collection } from './store.js';
+
+const tokens = () => collection('accountTokens');
+
+export const accountTokenRepository = {
+  // Only the hash of the token is stored
+  create: ({ userId, purpose, tokenHash, expiresAt }) => tokens().insert({
+    userId,
+    purpose,
+    tokenHash,
+    expiresAt,
+    attempts: 0,
+    usedAt: null,
+    createdAt: new Date().toISOString()
+  }),
+
+  findByHash: (tokenHash, purpose) => tokens().findOne({ tokenHash, purpose }),
+
+  // Compare-and-swap on `usedAt` so a token can be redeemed exactly once
+  consume: (id) => tokens().updateOne(
+    { id, usedAt: null },
+    { usedAt: new Date().toISOString() }
+  ),
+
+  // Null when another attempt was recorded concurrently
+  recordFailedAttempt: (record) => tokens().updateOne(
+    { id: record.id, attempts: record.attempts, usedAt: null },
+    { attempts: record.attempts + 1 }
+  ),
+
+  // Retire a user's outstanding tokens, e.g. when a newer link is sent
+  consumeAllForUser: (userId, purpose) => tokens().updateMany(
+    { userId, purpose, usedAt: null },
+    { usedAt: new Date().toISOString() }
+  ),
+
+  removeExpiredBefore: (cutoff) => tokens().removeMany({ expiresAt: { $lt: cutoff } })
+};
@@ -0,0 +1,121 @@
+// models/alertRepository.js - Alert persistence
+import { collection } from './store.js';
+
+const alerts = () => collection('alerts');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cursors are opaque to clients: the (createdAt, id) of the last alert served
+export const encodeAlertCursor = (alert) => Buffer.from(JSON.stringify([alert.createdAt, alert.id])).toString('base64url');
+
+export const decodeAlertCursor = (cursor) => {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof createdAt === 'string' && typeof id === 'string' ? { createdAt, id } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const alertRepository = {
+  findById: (id) => alerts().findById(id),
+
+  /**
+   * Newest-first page of alerts visible to `viewerId`.
+   * Private alerts (fired triggers) are only included for their recipient and
+   * are exempt from `createdBefore`, which only delays the public feed.
+   * Filters: type, symbols, authorId, from/to (createdAt), minPrice/maxPrice
+   * and text (case-insensitive match on message).
+   * Resolves to `{ alerts, total, nextCursor }`.
+   */
+  search: async ({ filters = {}, viewerId, createdBefore, cursor, limit = 50 } = {}) => {
+    const publicAlerts = { recipientId: null };
+    if (createdBefore) publicAlerts.createdAt = { $lte: createdBefore };
+    const clauses = [{ $or: viewerId ? [publicAlerts, { recipientId: viewerId }] : [publicAlerts] }];
+
+    if (filters.type && filters.type !== 'ALL') clauses.push({ type: filters.type });
+    if (filters.symbols) clauses.push({ symbol: { $in: filters.symbols } });
+    if (filters.authorId) clauses.push({ userId: filters.authorId });
+    if (filters.from || filters.to) {
+      const createdAt = {};
+      if (filters.from) createdAt.$gte = filters.from;
+      if (filters.to) createdAt.$lte = filters.to;
+      clauses.push({ createdAt });
+    }
+    if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+      const price = {};
+      if (filters.minPrice !== undefined) price.$gte = filters.minPrice;
+      if (filters.maxPrice !== undefined) price.$lte = filters.maxPrice;
+      clauses.push({ price });
+    }
+    if (filters.text) clauses.push({ message: { $regex: escapeRegex(filters.text), $options: 'i' } });
+
+    const total = await alerts().count({ $and: clauses });
+
+    const position = cursor ? decodeAlertCursor(cursor) : null;
+    const pageClauses = position
+      ? [...clauses, {
+        $or: [
+          { createdAt: { $lt: position.createdAt } },
+          { createdAt: position.createdAt, id: { $lt: position.id } }
+        ]
+      }]
+      : clauses;
+
+    const page = await alerts().find(
+      { $and: pageClauses },
+      { sort: { createdAt: -1, id: -1 }, limit: limit + 1 }
+    );
+    const hasMore = page.length > limit;
+    const items = page.slice(0, limit);
+
+    return {
+      alerts: items,
+      total,
+      nextCursor: hasMore ? encodeAlertCursor(items[items.length - 1]) : null
+    };
+  },
+
+  count: (query) => alerts().count(query),
+
+  // Signals still waiting for entry or in progress for a symbol
+  findTrackableSignals: (symbol) => alerts().find({
+    symbol,
+    'outcome.status': { $in: ['pending', 'open'] }
+  }),
+
+  findExpiredSignals: (now) => alerts().find({
+    'outcome.status': { $in: ['pending', 'open'] },
+    'signal.expiresAt': { $lte: now }
+  }),
+
+  // Published (not trigger-fired) signals by one author, oldest first
+  findSignalsByAuthor: (userId, { from, to } = {}) => {
+    const query = { userId, recipientId: null, signal: { $exists: true } };
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+    return alerts().find(query, { sort: { createdAt: 1 } });
+  },
+
+  // Applies an edit only if nobody else edited the alert since it was read.
+  // `requirePending` also refuses once a tracked signal has been entered.
+  applyEdit: (alert, patch, { requirePending = false } = {}) => {
+    const query = { id: alert.id, revision: alert.revision ?? null };
+    if (requirePending) query['outcome.status'] = 'pending';
+    return alerts().updateOne(query, patch);
+  },
+
+  // Compare-and-swap on the previous outcome so concurrent ticks and the
+  // expiry sweep cannot overwrite each other's progress
+  updateOutcome: (alert, outcome) => alerts().updateOne(
+    { id: alert.id, 'outcome.updatedAt': alert.outcome.updatedAt, 'outcome.status': alert.outcome.status },
+    { outcome }
+  ),
+
+  create: (data) => alerts().insert({ ...data, createdAt: new Date().toISOString() }),
+
+  remove: (id) => alerts().remove(id)
+};
@@ -0,0 +1,13 @@
+// models/alertRevisionRepository.js - Edit history of published alerts
+import { collection } from './store.js';
+
+const revisions = () => collection('alertRevisions');
+
+export const alertRevisionRepository = {
+  // Oldest first
+  findByAlert: (alertId) => revisions().find({ alertId }, { sort: { revision: 1 } }),
+
+  create: (data) => revisions().insert(data),
+
+  removeByAlert: (alertId) => revisions().removeMany({ alertId })
+};
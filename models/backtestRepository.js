@@ -0,0 +1,51 @@
+// models/backtestRepository.js - Backtest jobs and their results
+//
+// Status moves queued -> running -> completed | failed | cancelled.
+import { collection } from './store.js';
+
+const backtests = () => collection('backtests');
+
+export const ACTIVE_STATUSES = ['queued', 'running'];
+
+// List view: everything except the (large) trades and equity curve
+export const shapeBacktestSummary = ({ result, ...backtest }) => ({
+  ...backtest,
+  summary: result ? result.summary : null
+});
+
+export const backtestRepository = {
+  findById: (id) => backtests().findById(id),
+
+  findByUser: (userId, { limit = 50 } = {}) => backtests().find({ userId }, { sort: { createdAt: -1 }, limit }),
+
+  countActiveByUser: (userId) => backtests().count({ userId, status: { $in: ACTIVE_STATUSES } }),
+
+  create: (data) => {
+    const now = new Date().toISOString();
+    return backtests().insert({
+      status: 'queued',
+      progress: 0,
+      result: null,
+      error: null,
+      startedAt: null,
+      finishedAt: null,
+      ...data,
+      createdAt: now,
+      updatedAt: now
+    });
+  },
+
+  // Only moves jobs still in `from` (e.g. queued -> running, running -> completed)
+  transition: (id, from, patch) => backtests().updateOne(
+    { id, status: { $in: [].concat(from) } },
+    { ...patch, updatedAt: new Date().toISOString() }
+  ),
+
+  // Jobs a previous process left unfinished
+  failInterrupted: () => backtests().updateMany(
+    { status: { $in: ACTIVE_STATUSES } },
+    { status: 'failed', error: 'Interrupted by a server restart', updatedAt: new Date().toISOString() }
+  ),
+
+  remove: (id) => backtests().remove(id)
+};
@@ -0,0 +1,48 @@
+// models/ingestEndpointRepository.js - Per-analyst inbound webhook endpoints
+//
+// Only a hash of the URL token is stored, like refresh tokens.
+import { collection } from './store.js';
+
+const endpoints = () => collection('ingestEndpoints');
+
+export const shapeIngestEndpoint = ({ tokenHash, ...endpoint }) => endpoint;
+
+export const ingestEndpointRepository = {
+  findOwned: async (id, userId) => {
+    const endpoint = await endpoints().findById(id);
+    return endpoint && endpoint.userId === userId ? endpoint : null;
+  },
+
+  findByTokenHash: (tokenHash) => endpoints().findOne({ tokenHash }),
+
+  findByUser: (userId) => endpoints().find({ userId }, { sort: { createdAt: 1 } }),
+
+  countByUser: (userId) => endpoints().count({ userId }),
+
+  create: (data) => {
+    const now = new Date().toISOString();
+    return endpoints().insert({
+      ...data,
+      lastUsedAt: null,
+      lastResult: null,
+      stats: { accepted: 0, duplicates: 0, rejected: 0 },
+      createdAt: now,
+      updatedAt: now
+    });
+  },
+
+  update: (id, patch) => endpoints().update(id, { ...patch, updatedAt: new Date().toISOString() }),
+
+  // Outcome of the latest request, so analysts can debug their templates
+  recordResult: (endpoint, outcome, detail = {}) => {
+    const at = new Date().toISOString();
+    const key = { created: 'accepted', duplicate: 'duplicates', rejected: 'rejected' }[outcome];
+    return endpoints().update(endpoint.id, {
+      lastUsedAt: at,
+      lastResult: { outcome, ...detail, at },
+      stats: { ...endpoint.stats, [key]: (endpoint.stats?.[key] || 0) + 1 }
+    });
+  },
+
+  remove: (id) => endpoints().remove(id)
+};
@@ -0,0 +1,40 @@
+// models/ingestEventRepository.js - Recent inbound fires, for de-duplication
+import { collection } from './store.js';
+
+const events = () => collection('ingestEvents');
+
+export const ingestEventRepository = {
+  /**
+   * Claim `key` for this fire. Resolves to `{ claimed: true }`, or
+   * `{ claimed: false, alertId }` when the same key was seen within `windowMs`.
+   */
+  claim: async (key, windowMs) => {
+    const now = new Date();
+    const existing = await events().findById(key);
+
+    if (!existing) {
+      try {
+        await events().insert({ id: key, alertId: null, receivedAt: now.toISOString() });
+        return { claimed: true };
+      } catch (error) {
+        // Lost a race with a concurrent fire of the same payload
+        return { claimed: false, alertId: null };
+      }
+    }
+
+    if (Date.parse(existing.receivedAt) > now.getTime() - windowMs) {
+      return { claimed: false, alertId: existing.alertId };
+    }
+    const renewed = await events().updateOne(
+      { id: key, receivedAt: existing.receivedAt },
+      { alertId: null, receivedAt: now.toISOString() }
+    );
+    return renewed ? { claimed: true } : { claimed: false, alertId: existing.alertId };
+  },
+
+  setAlert: (key, alertId) => events().update(key, { alertId }),
+
+  release: (key) => events().remove(key),
+
+  removeOlderThan: (cutoff) => events().removeMany({ receivedAt: { $lt: cutoff } })
+};
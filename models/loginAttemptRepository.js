@@ -0,0 +1,30 @@
+// models/loginAttemptRepository.js - Audit trail of rejected logins
+import { collection } from './store.js';
+
+const attempts = () => collection('loginAttempts');
+
+export const LOGIN_FAILURE_OUTCOMES = [
+  'unknown-user',
+  'invalid-password',
+  'invalid-2fa-code',
+  'throttled',
+  'locked',
+  'ip-limited'
+];
+
+export const loginAttemptRepository = {
+  // `{ login, userId, ip, userAgent, outcome, lockedOut }`
+  record: (data) => attempts().insert({ ...data, createdAt: new Date().toISOString() }),
+
+  // Newest first; `before` (ISO time) pages further back
+  find: ({ userId, ip, outcome, before, limit = 50 } = {}) => {
+    const query = {};
+    if (userId) query.userId = userId;
+    if (ip) query.ip = ip;
+    if (outcome) query.outcome = outcome;
+    if (before) query.createdAt = { $lt: before };
+    return attempts().find(query, { sort: { createdAt: -1 }, limit });
+  },
+
+  removeOlderThan: (cutoff) => attempts().removeMany({ createdAt: { $lt: cutoff } })
+};
@@ -0,0 +1,92 @@
+// models/memoryAdapter.js - In-process storage adapter (development and tests)
+import { v4 as uuidv4 } from 'uuid';
+import { matches, compareBy } from './query.js';
+
+const clone = (doc) => (doc ? structuredClone(doc) : null);
+
+const createMemoryCollection = () => {
+  const docs = new Map();
+
+  const findDocs = (query, { sort, skip = 0, limit } = {}) => {
+    let result = [...docs.values()].filter(doc => matches(doc, query));
+    if (sort) result.sort(compareBy(sort));
+    if (skip) result = result.slice(skip);
+    if (limit !== undefined) result = result.slice(0, limit);
+    return result;
+  };
+
+  return {
+    async find(query = {}, options = {}) {
+      return findDocs(query, options).map(clone);
+    },
+
+    async findOne(query = {}, options = {}) {
+      return clone(findDocs(query, { ...options, limit: 1 })[0]);
+    },
+
+    async findById(id) {
+      return clone(docs.get(id));
+    },
+
+    async count(query = {}) {
+      return findDocs(query).length;
+    },
+
+    async insert(doc) {
+      const { id = uuidv4(), ...fields } = doc;
+      const stored = { id, ...clone(fields) };
+      if (docs.has(stored.id)) throw new Error(`Duplicate id: ${stored.id}`);
+      docs.set(stored.id, stored);
+      return clone(stored);
+    },
+
+    async updateOne(query, patch) {
+      const [doc] = findDocs(query, { limit: 1 });
+      if (!doc) return null;
+      Object.assign(doc, clone(patch), { id: doc.id });
+      return clone(doc);
+    },
+
+    async update(id, patch) {
+      return this.updateOne({ id }, patch);
+    },
+
+    async updateMany(query, patch) {
+      const found = findDocs(query);
+      found.forEach(doc => Object.assign(doc, clone(patch), { id: doc.id }));
+      return found.length;
+    },
+
+    async remove(id) {
+      const doc = docs.get(id);
+      if (!doc) return null;
+      docs.delete(id);
+      return clone(doc);
+    },
+
+    async removeMany(query = {}) {
+      const found = findDocs(query);
+      found.forEach(doc => docs.delete(doc.id));
+      return found.length;
+    }
+  };
+};
+
+export const createMemoryAdapter = () => {
+  const collections = new Map();
+
+  return {
+    name: 'memory',
+
+    async connect() {},
+
+    async close() {
+      collections.clear();
+    },
+
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, createMemoryCollection());
+      return collections.get(name);
+    }
+  };
+};
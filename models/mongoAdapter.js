@@ -0,0 +1,99 @@
+// models/mongoAdapter.js - MongoDB storage adapter backed by mongoose
+//
+// Documents are stored schemaless and keyed by our own string `id` so the
+// rest of the app never sees ObjectIds. Works against any MongoDB URI,
+// including an in-memory server spun up for tests.
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+
+const stripMongoFields = (doc) => {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return rest;
+};
+
+const createMongoCollection = (connection, name) => {
+  const schema = new mongoose.Schema(
+    { id: { type: String, required: true, unique: true } },
+    { strict: false, versionKey: false, collection: name }
+  );
+  const Model = connection.models[name] || connection.model(name, schema);
+
+  return {
+    async find(query = {}, { sort, skip, limit } = {}) {
+      let cursor = Model.find(query);
+      if (sort) cursor = cursor.sort(sort);
+      if (skip) cursor = cursor.skip(skip);
+      if (limit !== undefined) cursor = cursor.limit(limit);
+      const docs = await cursor.lean();
+      return docs.map(stripMongoFields);
+    },
+
+    async findOne(query = {}, { sort } = {}) {
+      let cursor = Model.findOne(query);
+      if (sort) cursor = cursor.sort(sort);
+      return stripMongoFields(await cursor.lean());
+    },
+
+    async findById(id) {
+      return stripMongoFields(await Model.findOne({ id }).lean());
+    },
+
+    async count(query = {}) {
+      return Model.countDocuments(query);
+    },
+
+    async insert(doc) {
+      const { id = uuidv4(), ...fields } = doc;
+      const created = await Model.create({ id, ...fields });
+      return stripMongoFields(created.toObject());
+    },
+
+    async updateOne(query, patch) {
+      const { id, ...fields } = patch;
+      const updated = await Model.findOneAndUpdate(query, { $set: fields }, { new: true }).lean();
+      return stripMongoFields(updated);
+    },
+
+    async update(id, patch) {
+      return this.updateOne({ id }, patch);
+    },
+
+    async updateMany(query, patch) {
+      const { id, ...fields } = patch;
+      const result = await Model.updateMany(query, { $set: fields });
+      return result.modifiedCount;
+    },
+
+    async remove(id) {
+      return stripMongoFields(await Model.findOneAndDelete({ id }).lean());
+    },
+
+    async removeMany(query = {}) {
+      const result = await Model.deleteMany(query);
+      return result.deletedCount;
+    }
+  };
+};
+
+export const createMongoAdapter = (uri) => {
+  const connection = mongoose.createConnection();
+  const collections = new Map();
+
+  return {
+    name: 'mongo',
+
+    async connect() {
+      await connection.openUri(uri, { serverSelectionTimeoutMS: 30000 });
+    },
+
+    async close() {
+      await connection.close();
+    },
+
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, createMongoCollection(connection, name));
+      return collections.get(name);
+    }
+  };
+};
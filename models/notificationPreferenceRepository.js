@@ -0,0 +1,22 @@
+// models/notificationPreferenceRepository.js - Per-user notification settings
+import { collection } from './store.js';
+
+const preferences = () => collection('notificationPreferences');
+
+const CHANNEL_NAMES = ['email', 'telegram', 'discord', 'webhook'];
+
+export const notificationPreferenceRepository = {
+  findByUser: (userId) => preferences().findOne({ userId }),
+
+  // Users with at least one channel switched on
+  findSubscribed: () => preferences().find({
+    $or: CHANNEL_NAMES.map(name => ({ [`channels.${name}.enabled`]: true }))
+  }),
+
+  save: async (userId, data) => {
+    const updatedAt = new Date().toISOString();
+    const existing = await preferences().findOne({ userId });
+    if (existing) return preferences().update(existing.id, { ...data, updatedAt });
+    return preferences().insert({ userId, ...data, updatedAt });
+  }
+};
@@ -0,0 +1,57 @@
+// models/notificationRepository.js - Queued notification deliveries
+//
+// One document per (alert, user, channel). Status moves
+// pending -> sending -> sent | pending (retry) | failed | cancelled.
+import { collection } from './store.js';
+
+const notifications = () => collection('notifications');
+
+export const notificationRepository = {
+  findByUser: (userId, { limit = 50 } = {}) => notifications().find(
+    { userId },
+    { sort: { createdAt: -1 }, limit }
+  ),
+
+  // Pending jobs that are due, plus `sending` jobs whose worker lock expired
+  findDue: (now, { limit = 50 } = {}) => notifications().find(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    { sort: { nextAttemptAt: 1 }, limit }
+  ),
+
+  create: (data) => {
+    const now = new Date().toISOString();
+    return notifications().insert({
+      ...data,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      lockedUntil: null,
+      sentAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  },
+
+  // Take a job for delivery; null if another worker got there first
+  claim: (job, lockedUntil) => notifications().updateOne(
+    { id: job.id, status: job.status, attempts: job.attempts },
+    { status: 'sending', lockedUntil, updatedAt: new Date().toISOString() }
+  ),
+
+  update: (id, patch) => notifications().update(id, {
+    ...patch,
+    lockedUntil: null,
+    updatedAt: new Date().toISOString()
+  }),
+
+  // Drop finished jobs last touched before `cutoff`
+  removeFinishedBefore: (cutoff) => notifications().removeMany({
+    status: { $in: ['sent', 'failed', 'cancelled'] },
+    updatedAt: { $lt: cutoff }
+  })
+};
@@ -0,0 +1,28 @@
+// models/paperAccountRepository.js - Simulated trading accounts (one per user)
+import { collection } from './store.js';
+
+const accounts = () => collection('paperAccounts');
+
+export const paperAccountRepository = {
+  findByUser: (userId) => accounts().findOne({ userId }),
+
+  // Accounts auto-following an analyst
+  findFollowing: (analystId) => accounts().find({ 'autoFollow.enabled': true, 'autoFollow.analystIds': analystId }),
+
+  create: (data) => {
+    const now = new Date().toISOString();
+    return accounts().insert({
+      ...data,
+      autoFollow: { enabled: false, analystIds: [], orderValue: 1000 },
+      version: 0,
+      createdAt: now,
+      updatedAt: now
+    });
+  },
+
+  // Compare-and-swap on `version` so concurrent fills can't overwrite each other
+  applyUpdate: (account, patch) => accounts().updateOne(
+    { id: account.id, version: account.version },
+    { ...patch, version: account.version + 1, updatedAt: new Date().toISOString() }
+  )
+};
@@ -0,0 +1,48 @@
+// models/paperOrderRepository.js - Paper-trading orders
+//
+// Status: open (resting limit order) -> filled | cancelled | rejected.
+import { collection } from './store.js';
+
+const orders = () => collection('paperOrders');
+
+export const paperOrderRepository = {
+  findById: (id) => orders().findById(id),
+
+  findByUser: (userId, { status, limit = 100 } = {}) => {
+    const query = { userId };
+    if (status) query.status = status;
+    return orders().find(query, { sort: { createdAt: -1 }, limit });
+  },
+
+  findOpenBySymbol: (symbol) => orders().find({ symbol, status: 'open' }, { sort: { createdAt: 1 } }),
+
+  create: (data) => {
+    const now = new Date().toISOString();
+    return orders().insert({
+      ...data,
+      filledPrice: null,
+      filledAt: null,
+      realizedPnl: null,
+      reason: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  },
+
+  // Only moves orders that are still open
+  close: (id, patch) => orders().updateOne(
+    { id, status: 'open' },
+    { ...patch, updatedAt: new Date().toISOString() }
+  ),
+
+  // Undo a fill whose account update did not go through
+  revertFill: (id, patch) => orders().updateOne(
+    { id, status: 'filled' },
+    { filledPrice: null, filledAt: null, realizedPnl: null, ...patch, updatedAt: new Date().toISOString() }
+  ),
+
+  cancelOpenForUser: (userId) => orders().updateMany(
+    { userId, status: 'open' },
+    { status: 'cancelled', reason: 'Account reset', updatedAt: new Date().toISOString() }
+  )
+};
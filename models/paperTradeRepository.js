@@ -0,0 +1,14 @@
+// models/paperTradeRepository.js - Executed paper-trading fills (trade history)
+import { collection } from './store.js';
+
+const trades = () => collection('paperTrades');
+
+export const paperTradeRepository = {
+  findByUser: (userId, { symbol, limit = 100 } = {}) => {
+    const query = { userId };
+    if (symbol) query.symbol = symbol;
+    return trades().find(query, { sort: { executedAt: -1 }, limit });
+  },
+
+  create: (data) => trades().insert(data)
+};
@@ -0,0 +1,62 @@
+// models/query.js - Minimal MongoDB-style query matching for the in-memory adapter
+//
+// Supports the subset of operators the repositories use, so the memory and
+// mongo adapters can be driven by the same query objects.
+
+const getPath = (doc, path) => path.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  doc
+);
+
+const isOperatorObject = (value) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof RegExp)
+  && Object.keys(value).length > 0
+  && Object.keys(value).every(key => key.startsWith('$'));
+
+const equals = (actual, expected) => {
+  if (expected === null) return actual === null || actual === undefined;
+  if (Array.isArray(actual) && !Array.isArray(expected)) return actual.includes(expected);
+  if (expected instanceof RegExp) return typeof actual === 'string' && expected.test(actual);
+  return actual === expected;
+};
+
+const matchOperators = (actual, ops) => Object.entries(ops).every(([op, expected]) => {
+  switch (op) {
+    case '$eq': return equals(actual, expected);
+    case '$ne': return !equals(actual, expected);
+    case '$in': return expected.some(value => equals(actual, value));
+    case '$nin': return !expected.some(value => equals(actual, value));
+    case '$gt': return actual !== undefined && actual !== null && actual > expected;
+    case '$gte': return actual !== undefined && actual !== null && actual >= expected;
+    case '$lt': return actual !== undefined && actual !== null && actual < expected;
+    case '$lte': return actual !== undefined && actual !== null && actual <= expected;
+    case '$exists': return (actual !== undefined) === Boolean(expected);
+    case '$regex': {
+      const regex = expected instanceof RegExp ? expected : new RegExp(expected, ops.$options || '');
+      return typeof actual === 'string' && regex.test(actual);
+    }
+    case '$options': return true;
+    default: throw new Error(`Unsupported query operator: ${op}`);
+  }
+});
+
+export const matches = (doc, query = {}) => Object.entries(query).every(([key, condition]) => {
+  if (key === '$or') return condition.some(sub => matches(doc, sub));
+  if (key === '$and') return condition.every(sub => matches(doc, sub));
+  const actual = getPath(doc, key);
+  return isOperatorObject(condition) ? matchOperators(actual, condition) : equals(actual, condition);
+});
+
+export const compareBy = (sort = {}) => (a, b) => {
+  for (const [key, direction] of Object.entries(sort)) {
+    const left = getPath(a, key);
+    const right = getPath(b, key);
+    if (left === right) continue;
+    if (left === undefined || left === null) return -direction;
+    if (right === undefined || right === null) return direction;
+    return left < right ? -direction : direction;
+  }
+  return 0;
+};
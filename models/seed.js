@@ -0,0 +1,74 @@
+// models/seed.js - Demo data for empty stores
+//
+// Demo accounts get fresh random passwords on every seed; the caller prints
+// them once. Nothing here is a known credential.
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { userRepository } from './userRepository.js';
+import { alertRepository } from './alertRepository.js';
+
+const randomPassword = () => crypto.randomBytes(12).toString('base64url');
+
+// Resolves to the demo logins (`{ username, password }[]`), or null when the
+// store already has users
+export const seedDemoData = async () => {
+  if (await userRepository.count() > 0) return null;
+
+  const credentials = [
+    { username: 'admin', password: randomPassword() },
+    { username: 'user1', password: randomPassword() }
+  ];
+  const [adminHash, userHash] = await Promise.all(credentials.map(({ password }) => bcrypt.hash(password, 10)));
+
+  const admin = await userRepository.create({
+    username: 'admin',
+    email: 'admin@example.com',
+    password: adminHash,
+    role: 'admin',
+    isAdmin: true,
+    isActive: true,
+    emailVerifiedAt: new Date().toISOString(),
+    firstName: 'Admin',
+    lastName: 'User',
+    bio: 'System administrator and trading expert',
+    phone: '+1 (555) 123-4567',
+    location: 'New York, USA',
+    website: 'https://cashflowops.pro',
+    profilePicture: null
+  });
+
+  await userRepository.create({
+    username: 'user1',
+    email: 'user1@example.com',
+    password: userHash,
+    role: 'member',
+    isAdmin: false,
+    isActive: true,
+    emailVerifiedAt: new Date().toISOString(),
+    firstName: 'John',
+    lastName: 'Trader',
+    bio: 'Professional trader with 5+ years experience',
+    phone: '+1 (555) 987-6543',
+    location: 'Los Angeles, USA',
+    website: 'https://johntrader.com',
+    profilePicture: null
+  });
+
+  await alertRepository.create({
+    type: 'BUY',
+    symbol: 'BTCUSD',
+    price: 45000,
+    message: 'Bitcoin buy signal triggered',
+    userId: admin.id
+  });
+
+  await alertRepository.create({
+    type: 'SELL',
+    symbol: 'ETHUSD',
+    price: 3200,
+    message: 'Ethereum sell signal triggered',
+    userId: admin.id
+  });
+
+  return credentials;
+};
@@ -0,0 +1,51 @@
+// models/sessionRepository.js - Login sessions backing refresh-token rotation
+import { collection } from './store.js';
+
+const sessions = () => collection('sessions');
+
+// How many superseded refresh-token hashes to remember for reuse detection
+const MAX_PREVIOUS_HASHES = 20;
+
+export const sessionRepository = {
+  findById: (id) => sessions().findById(id),
+
+  findActiveByUser: (userId) => sessions().find(
+    { userId, revokedAt: null },
+    { sort: { createdAt: -1 } }
+  ),
+
+  create: (data) => {
+    const now = new Date().toISOString();
+    return sessions().insert({
+      ...data,
+      previousTokenHashes: [],
+      revokedAt: null,
+      revokedReason: null,
+      createdAt: now,
+      lastUsedAt: now
+    });
+  },
+
+  // Compare-and-swap on the current hash so two concurrent refreshes with the
+  // same token cannot both succeed
+  rotate: (session, newTokenHash, expiresAt) => sessions().updateOne(
+    { id: session.id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    {
+      refreshTokenHash: newTokenHash,
+      previousTokenHashes: [session.refreshTokenHash, ...session.previousTokenHashes]
+        .slice(0, MAX_PREVIOUS_HASHES),
+      expiresAt,
+      lastUsedAt: new Date().toISOString()
+    }
+  ),
+
+  revoke: (id, reason) => sessions().updateOne(
+    { id, revokedAt: null },
+    { revokedAt: new Date().toISOString(), revokedReason: reason }
+  ),
+
+  revokeAllForUser: (userId, reason) => sessions().updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date().toISOString(), revokedReason: reason }
+  )
+};
@@ -0,0 +1,15 @@
+// models/settingRepository.js - Server-wide settings changed at runtime by admins
+import { collection } from './store.js';
+
+const settings = () => collection('settings');
+
+export const settingRepository = {
+  // The stored value, or null when the setting was never saved
+  get: async (key) => (await settings().findById(key))?.value ?? null,
+
+  async set(key, value, updatedBy = null) {
+    const fields = { value, updatedBy, updatedAt: new Date().toISOString() };
+    const updated = await settings().updateOne({ id: key }, fields);
+    return updated || settings().insert({ id: key, ...fields });
+  }
+};
@@ -0,0 +1,41 @@
+// models/store.js - Selects and holds the active storage adapter
+//
+// STORAGE_DRIVER=memory|mongo picks the adapter explicitly; otherwise mongo is
+// used whenever MONGODB_URI is set, and memory as the fallback.
+import { createMemoryAdapter } from './memoryAdapter.js';
+import { createMongoAdapter } from './mongoAdapter.js';
+
+let adapter = null;
+
+export const createAdapter = ({
+  driver = process.env.STORAGE_DRIVER,
+  uri = process.env.MONGODB_URI
+} = {}) => {
+  const selected = driver || (uri ? 'mongo' : 'memory');
+  if (selected === 'memory') return createMemoryAdapter();
+  if (selected === 'mongo') {
+    if (!uri) throw new Error('MONGODB_URI is required for the mongo storage driver');
+    return createMongoAdapter(uri);
+  }
+  throw new Error(`Unknown storage driver: ${selected}`);
+};
+
+export const initStore = async (options) => {
+  if (adapter) await adapter.close();
+  adapter = createAdapter(options);
+  await adapter.connect();
+  return adapter;
+};
+
+export const closeStore = async () => {
+  if (!adapter) return;
+  await adapter.close();
+  adapter = null;
+};
+
+export const collection = (name) => {
+  if (!adapter) throw new Error('Store not initialized - call initStore() first');
+  return adapter.collection(name);
+};
+
+export const storeDriver = () => adapter?.name || null;
@@ -0,0 +1,21 @@
+// models/stripeEventRepository.js - Processed Stripe webhook events (idempotency)
+import { collection } from './store.js';
+
+const stripeEvents = () => collection('stripeEvents');
+
+export const stripeEventRepository = {
+  // Returns false if the event was already recorded
+  recordOnce: async (eventId, type) => {
+    if (await stripeEvents().findById(eventId)) return false;
+    try {
+      await stripeEvents().insert({ id: eventId, type, processedAt: new Date().toISOString() });
+      return true;
+    } catch (error) {
+      // Lost a race with a concurrent delivery of the same event
+      return false;
+    }
+  },
+
+  // Forget an event whose processing failed, so Stripe's retry is applied
+  release: (eventId) => stripeEvents().remove(eventId)
+};
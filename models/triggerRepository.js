@@ -0,0 +1,56 @@
+// models/triggerRepository.js - User-defined price triggers
+import { collection } from './store.js';
+
+const triggers = () => collection('triggers');
+
+export const triggerRepository = {
+  findById: (id) => triggers().findById(id),
+
+  findByUser: (userId, { status } = {}) => {
+    const query = { userId };
+    if (status) query.status = status;
+    return triggers().find(query, { sort: { createdAt: -1 } });
+  },
+
+  // Armed triggers for a symbol that are not cooling down after a re-arm
+  findEvaluable: (symbol, now) => triggers().find({
+    symbol,
+    status: 'armed',
+    $or: [{ rearmAt: null }, { rearmAt: { $lte: now } }]
+  }),
+
+  findExpired: (now) => triggers().find({ status: 'armed', expiresAt: { $lte: now } }),
+
+  create: (data) => {
+    const now = new Date().toISOString();
+    return triggers().insert({
+      ...data,
+      status: 'armed',
+      rearmAt: null,
+      fireCount: 0,
+      lastFiredAt: null,
+      lastFiredPrice: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  },
+
+  update: (id, patch) => triggers().update(id, { ...patch, updatedAt: new Date().toISOString() }),
+
+  // Only succeeds while the trigger is still armed and has not fired since it
+  // was read, so each crossing fires once even if the same tick is processed
+  // twice (re-arming triggers stay armed after a fire)
+  markFired: (trigger, { price, firedAt, rearm, cooldownMinutes }) => triggers().updateOne(
+    { id: trigger.id, status: 'armed', fireCount: trigger.fireCount || 0 },
+    {
+      status: rearm ? 'armed' : 'fired',
+      rearmAt: rearm ? new Date(Date.parse(firedAt) + cooldownMinutes * 60 * 1000).toISOString() : null,
+      fireCount: (trigger.fireCount || 0) + 1,
+      lastFiredAt: firedAt,
+      lastFiredPrice: price,
+      updatedAt: firedAt
+    }
+  ),
+
+  remove: (id) => triggers().remove(id)
+};
@@ -0,0 +1,43 @@
+// models/twoFactorRepository.js - Per-user TOTP secrets and recovery codes
+//
+// Kept apart from user records so secrets never travel with a user document.
+// One record per user (`id` is the user id). Every change is a
+// compare-and-swap on `version`, so concurrent logins cannot both spend the
+// same code.
+import { collection } from './store.js';
+
+const records = () => collection('twoFactor');
+
+export const twoFactorRepository = {
+  findByUserId: (userId) => records().findById(userId),
+
+  // Start (or restart) enrollment; only valid while 2FA is not yet enabled
+  async setPending(userId, pendingSecret) {
+    const now = new Date().toISOString();
+    const existing = await records().findById(userId);
+    if (existing) {
+      return records().updateOne(
+        { id: userId, version: existing.version, enabledAt: null },
+        { pendingSecret, pendingCreatedAt: now, version: existing.version + 1 }
+      );
+    }
+    return records().insert({
+      id: userId,
+      secret: null,
+      pendingSecret,
+      pendingCreatedAt: now,
+      enabledAt: null,
+      lastUsedStep: null,
+      recoveryCodes: [],
+      version: 1
+    });
+  },
+
+  // Null when the record changed since `record` was read
+  update: (record, patch) => records().updateOne(
+    { id: record.id, version: record.version },
+    { ...patch, version: record.version + 1 }
+  ),
+
+  remove: (userId) => records().remove(userId)
+};
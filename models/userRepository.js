@@ -0,0 +1,68 @@
+// models/userRepository.js - User persistence
+import { collection } from './store.js';
+import { roleOf } from '../services/permissions.js';
+
+const users = () => collection('users');
+
+export const userRepository = {
+  findById: (id) => users().findById(id),
+
+  // Login accepts either a username or an email address
+  findByLogin: (login) => users().findOne({ $or: [{ username: login }, { email: login }] }),
+
+  findByEmail: (email) => users().findOne({ email }),
+
+  // Used for uniqueness checks; pass excludeId to ignore the user being edited
+  findConflicting: ({ username, email, excludeId }) => {
+    const query = { $or: [{ username }, { email }] };
+    if (excludeId) query.id = { $ne: excludeId };
+    return users().findOne(query);
+  },
+
+  findByStripeCustomerId: (stripeCustomerId) => users().findOne({ stripeCustomerId }),
+
+  findActive: () => users().find({ isActive: true }, { sort: { createdAt: 1 } }),
+
+  findAll: () => users().find({}, { sort: { createdAt: 1 } }),
+
+  count: (query) => users().count(query),
+
+  create: (data) => {
+    const now = new Date().toISOString();
+    return users().insert({ ...data, createdAt: now, updatedAt: now });
+  },
+
+  update: (id, patch) => users().update(id, { ...patch, updatedAt: new Date().toISOString() }),
+
+  // Applies a Stripe webhook change unless an event created after `created`
+  // (unix seconds) was applied already; resolves to null when skipped
+  applyStripeEvent: (id, created, patch) => users().updateOne(
+    { id, $or: [{ stripeEventCreatedAt: null }, { stripeEventCreatedAt: { $lte: created } }] },
+    { ...patch, stripeEventCreatedAt: created, updatedAt: new Date().toISOString() }
+  )
+};
+
+// Fields safe to return to the account owner
+export const shapeUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  role: roleOf(user),
+  isAdmin: roleOf(user) === 'admin',
+  isActive: user.isActive,
+  emailVerified: Boolean(user.emailVerifiedAt),
+  twoFactorEnabled: Boolean(user.twoFactorEnabledAt),
+  plan: user.plan || 'FREE',
+  subscriptionStatus: user.subscriptionStatus || null,
+  planRenewsAt: user.planRenewsAt || null,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  bio: user.bio,
+  phone: user.phone,
+  location: user.location,
+  website: user.website,
+  profilePicture: user.profilePicture,
+  avatar: user.avatar?.sizes || null,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt
+});
@@ -0,0 +1,27 @@
+// models/watchlistRepository.js - Named, ordered symbol lists per user
+import { collection } from './store.js';
+
+const watchlists = () => collection('watchlists');
+
+export const watchlistRepository = {
+  findById: (id) => watchlists().findById(id),
+
+  // The watchlist if it belongs to `userId`, otherwise null
+  findOwned: async (id, userId) => {
+    const watchlist = await watchlists().findById(id);
+    return watchlist && watchlist.userId === userId ? watchlist : null;
+  },
+
+  findByUser: (userId) => watchlists().find({ userId }, { sort: { position: 1, createdAt: 1 } }),
+
+  countByUser: (userId) => watchlists().count({ userId }),
+
+  create: (data) => {
+    const now = new Date().toISOString();
+    return watchlists().insert({ ...data, createdAt: now, updatedAt: now });
+  },
+
+  update: (id, patch) => watchlists().update(id, { ...patch, updatedAt: new Date().toISOString() }),
+
+  remove: (id) => watchlists().remove(id)
+};
@@ -0,0 +1,60 @@
+// models/webhookDeliveryRepository.js - Delivery log and retry queue for partner webhooks
+//
+// Status moves pending -> sending -> sent | pending (retry) | failed | cancelled.
+import { collection } from './store.js';
+
+const deliveries = () => collection('webhookDeliveries');
+
+export const webhookDeliveryRepository = {
+  findById: (id) => deliveries().findById(id),
+
+  findByWebhook: (webhookId, { limit = 50 } = {}) => deliveries().find(
+    { webhookId },
+    { sort: { createdAt: -1 }, limit }
+  ),
+
+  // Pending deliveries that are due, plus `sending` ones whose worker lock expired
+  findDue: (now, { limit = 50 } = {}) => deliveries().find(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } }
+      ]
+    },
+    { sort: { nextAttemptAt: 1 }, limit }
+  ),
+
+  create: (data) => {
+    const now = new Date().toISOString();
+    return deliveries().insert({
+      ...data,
+      status: 'pending',
+      attempts: 0,
+      responseStatus: null,
+      lastError: null,
+      durationMs: null,
+      lockedUntil: null,
+      deliveredAt: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  },
+
+  claim: (delivery, lockedUntil) => deliveries().updateOne(
+    { id: delivery.id, status: delivery.status, attempts: delivery.attempts },
+    { status: 'sending', lockedUntil, updatedAt: new Date().toISOString() }
+  ),
+
+  update: (id, patch) => deliveries().update(id, {
+    ...patch,
+    lockedUntil: null,
+    updatedAt: new Date().toISOString()
+  }),
+
+  removeByWebhook: (webhookId) => deliveries().removeMany({ webhookId }),
+
+  removeFinishedBefore: (cutoff) => deliveries().removeMany({
+    status: { $in: ['sent', 'failed', 'cancelled'] },
+    updatedAt: { $lt: cutoff }
+  })
+};
@@ -0,0 +1,32 @@
+// models/webhookRepository.js - Partner webhook subscriptions
+import { collection } from './store.js';
+
+const webhooks = () => collection('webhooks');
+
+// The signing secret is only shown when it is created or rotated
+export const shapeWebhook = ({ secret, ...webhook }) => webhook;
+
+export const webhookRepository = {
+  findById: (id) => webhooks().findById(id),
+
+  findOwned: async (id, userId) => {
+    const webhook = await webhooks().findById(id);
+    return webhook && webhook.userId === userId ? webhook : null;
+  },
+
+  findByUser: (userId) => webhooks().find({ userId }, { sort: { createdAt: 1 } }),
+
+  countByUser: (userId) => webhooks().count({ userId }),
+
+  // Active subscriptions to an event
+  findSubscribed: (event) => webhooks().find({ active: true, events: event }),
+
+  create: (data) => {
+    const now = new Date().toISOString();
+    return webhooks().insert({ ...data, createdAt: now, updatedAt: now });
+  },
+
+  update: (id, patch) => webhooks().update(id, { ...patch, updatedAt: new Date().toISOString() }),
+
+  remove: (id) => webhooks().remove(id)
+};
@@ -0,0 +1,142 @@
+// routes/admin.js - User administration (mounted behind users:manage)
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { validate } from '../middleware/validate.js';
+import { userRepository, shapeUser } from '../models/userRepository.js';
+import { loginAttemptRepository, LOGIN_FAILURE_OUTCOMES } from '../models/loginAttemptRepository.js';
+import { accountKey } from '../services/loginThrottle.js';
+import { parseTime } from './params.js';
+import { ROLES } from '../services/permissions.js';
+import { disableTwoFactor } from '../services/twoFactor.js';
+import {
+  TWO_FACTOR_ROLES,
+  getTwoFactorPolicy,
+  setTwoFactorPolicy,
+  validateTwoFactorPolicy
+} from '../services/twoFactorPolicy.js';
+import { arrayField, idField, limitQuery, oneOf, optional, textField, timeQuery } from './schemas.js';
+
+const DEFAULT_ATTEMPT_LIMIT = 50;
+const MAX_ATTEMPT_LIMIT = 500;
+
+// --- Request schemas ---
+
+const roleFields = { role: oneOf(Object.keys(ROLES)) };
+
+const attemptsQuery = {
+  userId: optional(idField),
+  ip: optional(textField(64)),
+  outcome: optional(oneOf(LOGIN_FAILURE_OUTCOMES)),
+  before: timeQuery,
+  limit: limitQuery(MAX_ATTEMPT_LIMIT)
+};
+
+const policyFields = {
+  requiredRoles: arrayField(TWO_FACTOR_ROLES.length * 2),
+  'requiredRoles.*': oneOf(TWO_FACTOR_ROLES)
+};
+
+export const createAdminRouter = ({ loginThrottle }) => {
+  const router = express.Router();
+
+  const loadUser = [validate({ params: { userId: idField } }), asyncHandler(async (req, res, next) => {
+    const user = await userRepository.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    req.targetUser = user;
+    next();
+  })];
+
+  // List all users
+  router.get('/users', asyncHandler(async (_req, res) => {
+    const users = await userRepository.findAll();
+    res.json({ users: users.map(shapeUser) });
+  }));
+
+  // Assign a role (admin, analyst or member)
+  router.put('/users/:userId/role', validate({ body: roleFields }), loadUser, asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    // Prevent admins from locking themselves out
+    if (userId === req.user.id && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    const updatedUser = await userRepository.update(userId, { role, isAdmin: role === 'admin' });
+
+    res.json({
+      success: true,
+      message: `Role updated to ${role}`,
+      user: shapeUser(updatedUser)
+    });
+  }));
+
+  // Reset a user's 2FA, e.g. after they lost their device and recovery codes
+  router.delete('/users/:userId/two-factor', loadUser, asyncHandler(async (req, res) => {
+    const user = req.targetUser;
+    const updatedUser = await disableTwoFactor(user.id);
+    console.log(`🔓 Two-factor authentication reset for ${user.username} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset',
+      user: shapeUser(updatedUser)
+    });
+  }));
+
+  // Login lockout state for a user
+  router.get('/users/:userId/lockout', loadUser, asyncHandler(async (req, res) => {
+    res.json({ lockout: await loginThrottle.status(accountKey(req.targetUser)) });
+  }));
+
+  // Lift a login lockout and clear the user's failure count
+  router.post('/users/:userId/unlock', loadUser, asyncHandler(async (req, res) => {
+    const wasLocked = await loginThrottle.unlock(accountKey(req.targetUser));
+    console.log(`🔓 Login ${wasLocked ? 'unlocked' : 'failures cleared'} for ${req.targetUser.username} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'Account unlocked' : 'Account was not locked; failure count cleared',
+      wasLocked
+    });
+  }));
+
+  // Rejected login attempts, newest first; filter by userId, ip, outcome, before
+  router.get('/login-attempts', validate({ query: attemptsQuery }), asyncHandler(async (req, res) => {
+    const { userId, ip, outcome, limit = DEFAULT_ATTEMPT_LIMIT } = req.query;
+
+    const attempts = await loginAttemptRepository.find({
+      userId,
+      ip,
+      outcome,
+      before: parseTime(req.query.before).value,
+      limit
+    });
+    res.json({
+      attempts,
+      count: attempts.length,
+      nextBefore: attempts.length === limit ? attempts[attempts.length - 1].createdAt : null
+    });
+  }));
+
+  // Roles that must use two-factor authentication
+  router.get('/two-factor-policy', asyncHandler(async (_req, res) => {
+    res.json({ policy: await getTwoFactorPolicy() });
+  }));
+
+  router.put('/two-factor-policy', validate({ body: policyFields }), asyncHandler(async (req, res) => {
+    const { value, error } = validateTwoFactorPolicy(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const policy = await setTwoFactorPolicy(value, req.user.id);
+    console.log(`🔐 Two-factor required for: ${policy.requiredRoles.join(', ') || 'nobody'} (set by ${req.user.username})`);
+
+    res.json({ success: true, policy });
+  }));
+
+  return router;
+};
@@ -0,0 +1,147 @@
+// routes/alertStream.js - Server-Sent Events stream of alert create/edit/delete events
+//
+// Mirrors the `alert-update` events broadcast over Socket.io, read from the
+// same sequenced event log. Event ids are `<epoch>.<seq>`, so a reconnecting
+// EventSource resumes via `Last-Event-ID` (or `?lastEventId=`); when the gap
+// is no longer in the log a `resync-required` event is sent instead.
+//
+// Public alerts reach each connection once its plan's feed delay has passed,
+// like the REST feed. Events stay in sequence order, so anything behind a held
+// alert waits with it and a resumed stream never skips an event. The stream
+// ends with `session-expired` when the access token expires or its session is
+// revoked; the client reconnects with a fresh token.
+import { alertFeedLimits } from '../services/subscriptions.js';
+import { PERMISSIONS, can } from '../services/permissions.js';
+import { isSessionLive } from '../services/auth.js';
+import { userRepository } from '../models/userRepository.js';
+
+const HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS) || 15000;
+const STREAMED_TYPES = ['new-alert', 'alert-edited', 'alert-deleted'];
+const DELAYED_TYPES = ['new-alert', 'alert-edited'];
+
+// Held events per connection; a client this far behind must resync
+const MAX_PENDING = 1000;
+
+const parseEventId = (value) => {
+  if (typeof value !== 'string') return null;
+  const separator = value.lastIndexOf('.');
+  const seq = Number(value.slice(separator + 1));
+  if (separator < 1 || !Number.isInteger(seq) || seq < 0) return null;
+  return { epoch: value.slice(0, separator), seq };
+};
+
+const parseSymbols = (value) => (
+  typeof value === 'string' && value.trim()
+    ? new Set(value.split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean))
+    : null
+);
+
+export const createAlertStreamHandler = ({ eventLog, heartbeatMs = HEARTBEAT_MS }) => (req, res) => {
+  const { type } = req.query;
+  const symbols = parseSymbols(req.query.symbol);
+  const { alertDelayMinutes } = alertFeedLimits(req.user, { isStaff: can(req.user, PERMISSIONS.ALERTS_CREATE) });
+  const delayMs = alertDelayMinutes * 60 * 1000;
+
+  // Public alerts plus the caller's own private (trigger) alerts, narrowed by
+  // the same filters as GET /api/alerts
+  // Late copies made for delayed sockets are skipped; the delay is applied here
+  const matches = (entry) => {
+    if (entry.audience) return false;
+    if (entry.event !== 'alert-update' || !STREAMED_TYPES.includes(entry.payload.type)) return false;
+    const { alert } = entry.payload;
+    if (alert.recipientId && alert.recipientId !== req.user.id) return false;
+    if (type && type !== 'ALL' && alert.type !== type) return false;
+    if (symbols && !symbols.has(alert.symbol)) return false;
+    return true;
+  };
+
+  // When a public alert becomes visible to this caller; private alerts and
+  // deletions are not delayed
+  const releaseTime = ({ payload }) => (
+    delayMs && DELAYED_TYPES.includes(payload.type) && !payload.alert.recipientId
+      ? Date.parse(payload.alert.createdAt) + delayMs
+      : 0
+  );
+
+  const send = (entry) => {
+    res.write(`id: ${eventLog.epoch}.${entry.seq}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.payload)}\n\n`);
+  };
+
+  const sendResync = () => {
+    res.write(`event: resync-required\ndata: ${JSON.stringify({ epoch: eventLog.epoch, latestSeq: eventLog.latestSeq() })}\n\n`);
+  };
+
+  const pending = [];
+  let releaseTimer = null;
+  let closed = false;
+
+  const close = (event) => {
+    if (closed) return;
+    closed = true;
+    if (event) res.write(`event: ${event}\ndata: {}\n\n`);
+    res.end();
+  };
+
+  // Send queued events in order up to the first one still held back
+  const flush = () => {
+    clearTimeout(releaseTimer);
+    while (pending.length && pending[0].releaseAt <= Date.now()) send(pending.shift().entry);
+    if (pending.length) releaseTimer = setTimeout(flush, pending[0].releaseAt - Date.now());
+  };
+
+  const enqueue = (entries) => {
+    if (closed) return;
+    pending.push(...entries.filter(matches).map(entry => ({ entry, releaseAt: releaseTime(entry) })));
+    if (pending.length > MAX_PENDING) {
+      pending.length = 0;
+      sendResync();
+      return close();
+    }
+    flush();
+  };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  const resumeFrom = parseEventId(req.get('last-event-id') || req.query.lastEventId);
+  if (resumeFrom) {
+    const missed = eventLog.since(resumeFrom.seq, resumeFrom.epoch);
+    if (missed) {
+      enqueue(missed);
+    } else {
+      sendResync();
+    }
+  }
+
+  const onAppend = (entry) => enqueue([entry]);
+  eventLog.on('append', onAppend);
+
+  // Each heartbeat also checks that the session was not revoked (logout,
+  // password reset) and the account is still active
+  const heartbeat = setInterval(() => {
+    if (closed) return;
+    res.write(': heartbeat\n\n');
+    Promise.all([isSessionLive(req.user), userRepository.findById(req.user.id)])
+      .then(([live, user]) => {
+        if (!live || !user?.isActive) close('session-expired');
+      })
+      .catch(error => console.error('SSE session check failed:', error));
+  }, heartbeatMs);
+
+  const expiryTimer = req.user.exp
+    ? setTimeout(() => close('session-expired'), Math.max(0, req.user.exp * 1000 - Date.now()))
+    : null;
+
+  res.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(expiryTimer);
+    clearTimeout(releaseTimer);
+    eventLog.off('append', onAppend);
+  });
+};
@@ -0,0 +1,254 @@
+// routes/alerts.js - Alert feed, publishing, editing, deletion and the SSE stream
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { authenticate, authenticateStream, optionalAuth, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { alertRepository, decodeAlertCursor } from '../models/alertRepository.js';
+import { alertRevisionRepository } from '../models/alertRevisionRepository.js';
+import { watchlistRepository } from '../models/watchlistRepository.js';
+import { PERMISSIONS, can, canOnResource } from '../services/permissions.js';
+import { alertFeedLimits } from '../services/subscriptions.js';
+import { EDITABLE_FIELDS, MAX_MESSAGE_LENGTH, validateAlertInput } from '../services/alertService.js';
+import { createAlertStreamHandler } from './alertStream.js';
+import { parseList, parseNumber, parseTime } from './params.js';
+import {
+  idField,
+  limitQuery,
+  nullable,
+  numberField,
+  numberQuery,
+  objectField,
+  optional,
+  partial,
+  symbolField,
+  symbolListQuery,
+  textField,
+  timeQuery
+} from './schemas.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_SYMBOL_FILTERS = 50;
+const MAX_SEARCH_LENGTH = 100;
+
+// --- Request schemas ---
+
+const ALERT_TYPE_PATTERN = /^\s*[A-Za-z_]{1,20}\s*$/;
+
+const alertFields = {
+  type: {
+    isString: true,
+    matches: { options: [ALERT_TYPE_PATTERN] },
+    errorMessage: 'type must be a word of at most 20 letters'
+  },
+  symbol: symbolField,
+  price: numberField({ positive: true }),
+  message: nullable(textField(MAX_MESSAGE_LENGTH)),
+  signal: nullable(objectField)
+};
+
+const alertIdParams = { id: idField };
+
+const feedQuery = {
+  symbol: symbolListQuery(MAX_SYMBOL_FILTERS),
+  from: timeQuery,
+  to: timeQuery,
+  minPrice: numberQuery,
+  maxPrice: numberQuery,
+  q: optional(textField(MAX_SEARCH_LENGTH)),
+  type: optional(textField(20)),
+  author: optional(idField),
+  watchlist: optional(idField),
+  limit: limitQuery(MAX_PAGE_SIZE),
+  cursor: {
+    optional: true,
+    isString: true,
+    custom: { options: (value) => Boolean(decodeAlertCursor(value)) },
+    errorMessage: 'Invalid cursor'
+  }
+};
+
+const streamQuery = {
+  type: optional(textField(20)),
+  symbol: symbolListQuery(MAX_SYMBOL_FILTERS),
+  lastEventId: optional(textField(100))
+};
+
+// Turns the validated GET /api/alerts query string into repository filters
+const parseAlertQuery = (query) => ({
+  filters: {
+    type: query.type,
+    symbols: parseList(query.symbol).value?.map(symbol => symbol.toUpperCase()),
+    authorId: query.author,
+    from: parseTime(query.from).value,
+    to: parseTime(query.to).value,
+    minPrice: parseNumber(query.minPrice).value,
+    maxPrice: parseNumber(query.maxPrice).value,
+    text: query.q?.trim() || undefined
+  },
+  watchlistId: query.watchlist,
+  limit: query.limit ?? DEFAULT_PAGE_SIZE,
+  cursor: query.cursor
+});
+
+const pickEditable = (source) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Same visibility rules as the feed: private alerts only for their recipient,
+// public ones once the viewer's plan delay has passed
+const canView = (alert, user) => {
+  if (alert.recipientId) return alert.recipientId === user?.id;
+  const { alertDelayMinutes } = alertFeedLimits(user, { isStaff: can(user, PERMISSIONS.ALERTS_CREATE) });
+  return Date.parse(alert.createdAt) <= Date.now() - alertDelayMinutes * 60 * 1000;
+};
+
+export const createAlertRouter = ({ alertService, eventLog }) => {
+  const router = express.Router();
+
+  // Live alert events over Server-Sent Events (SPECIFIC route - before /:id)
+  router.get('/stream', authenticateStream, validate({ query: streamQuery }), createAlertStreamHandler({ eventLog }));
+
+  // Paginated, filterable feed. FREE and anonymous callers get a delayed feed
+  // capped at their plan's alert limit (a single page, no further cursor).
+  router.get('/', optionalAuth, validate({ query: feedQuery }), asyncHandler(async (req, res) => {
+    const parsed = parseAlertQuery(req.query);
+
+    // A watchlist narrows the symbol filter to its symbols (intersected with ?symbol=)
+    if (parsed.watchlistId) {
+      if (!req.user) return res.status(401).json({ error: 'Authentication required to filter by watchlist' });
+      const watchlist = await watchlistRepository.findOwned(parsed.watchlistId, req.user.id);
+      if (!watchlist) return res.status(404).json({ error: 'Watchlist not found' });
+      const { symbols } = parsed.filters;
+      parsed.filters.symbols = symbols
+        ? watchlist.symbols.filter(symbol => symbols.includes(symbol))
+        : watchlist.symbols;
+    }
+
+    const { plan, alertDelayMinutes, alertLimit } = alertFeedLimits(req.user, {
+      isStaff: can(req.user, PERMISSIONS.ALERTS_CREATE)
+    });
+    const capped = alertLimit !== null;
+
+    const { alerts, total, nextCursor } = await alertRepository.search({
+      filters: parsed.filters,
+      viewerId: req.user?.id,
+      createdBefore: alertDelayMinutes > 0
+        ? new Date(Date.now() - alertDelayMinutes * 60 * 1000).toISOString()
+        : undefined,
+      cursor: capped ? undefined : parsed.cursor,
+      limit: capped ? Math.min(parsed.limit, alertLimit) : parsed.limit
+    });
+
+    res.set('X-Subscription-Plan', plan);
+    if (alertDelayMinutes > 0) res.set('X-Alerts-Delay-Minutes', String(alertDelayMinutes));
+    res.json({
+      alerts,
+      count: alerts.length,
+      total: capped ? Math.min(total, alertLimit) : total,
+      nextCursor: capped ? null : nextCursor
+    });
+  }));
+
+  // Create alert (analysts and admins)
+  router.post('/', authenticate, requirePermission(PERMISSIONS.ALERTS_CREATE), validate({ body: alertFields }), asyncHandler(async (req, res) => {
+    const { value, error } = validateAlertInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Persists and broadcasts to connected clients
+    const newAlert = await alertService.create(value, req.user);
+
+    res.status(201).json({
+      alert: newAlert,
+      message: 'Alert created successfully'
+    });
+  }));
+
+  // Edit alert (authors their own, admins any); every change becomes a revision.
+  // Signal levels can only change until the signal has been entered.
+  router.patch('/:id', authenticate, validate({ params: alertIdParams, body: partial(alertFields) }), asyncHandler(async (req, res) => {
+    const alert = await alertRepository.findById(req.params.id);
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    if (!canOnResource(req.user, alert.userId, 'alerts:update')) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const body = req.body || {};
+    const changes = pickEditable(body);
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: `Nothing to update; editable fields: ${EDITABLE_FIELDS.join(', ')}` });
+    }
+    if ('signal' in body && !alert.signal) {
+      return res.status(400).json({ error: 'A signal cannot be added to a published alert' });
+    }
+    if (body.signal === null) {
+      return res.status(400).json({ error: 'A signal cannot be removed; delete the alert instead' });
+    }
+
+    // The stored signal is only revalidated when the edit replaces it
+    const current = pickEditable(alert);
+    delete current.signal;
+    const { value, error } = validateAlertInput({ ...current, ...changes });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const levelsChanged = value.signal || (alert.signal && (value.symbol !== alert.symbol || value.price !== alert.price));
+    if (levelsChanged && alert.outcome?.status !== 'pending') {
+      return res.status(409).json({ error: 'Signal has already been entered; symbol, price and levels are locked' });
+    }
+
+    const result = await alertService.edit(alert, value, req.user);
+    if (result.conflict) {
+      return res.status(409).json({ error: 'Alert was changed by someone else; reload and try again' });
+    }
+
+    res.json({
+      alert: result.alert,
+      revision: result.revision,
+      message: result.revision ? 'Alert updated successfully' : 'No changes'
+    });
+  }));
+
+  // Edit history, oldest first
+  router.get('/:id/revisions', optionalAuth, validate({ params: alertIdParams }), asyncHandler(async (req, res) => {
+    const alert = await alertRepository.findById(req.params.id);
+    if (!alert || !canView(alert, req.user)) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    const revisions = await alertRevisionRepository.findByAlert(alert.id);
+    res.json({ alertId: alert.id, revisions, count: revisions.length });
+  }));
+
+  // Delete alert (authors their own, admins any)
+  router.delete('/:id', authenticate, validate({ params: alertIdParams }), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const alert = await alertRepository.findById(id);
+
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    if (!canOnResource(req.user, alert.userId, 'alerts:delete')) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    const deletedAlert = await alertService.remove(id);
+    if (!deletedAlert) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({
+      message: 'Alert deleted successfully',
+      alert: deletedAlert
+    });
+  }));
+
+  return router;
+};
@@ -0,0 +1,88 @@
+// routes/avatars.js - Profile picture upload and removal
+//
+// Mounted at /api/profile next to the other profile endpoints; each route
+// authenticates itself so unrelated /api/profile paths are unaffected.
+import express from 'express';
+import multer from 'multer';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { authenticate } from '../middleware/auth.js';
+import { userRepository, shapeUser } from '../models/userRepository.js';
+import { MAX_AVATAR_BYTES } from '../services/avatars.js';
+
+// Kept in memory: nothing reaches disk until the image has been re-encoded
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_AVATAR_BYTES, files: 1 }
+});
+
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: `File too large; at most ${MAX_AVATAR_BYTES / (1024 * 1024)}MB allowed`,
+  LIMIT_FILE_COUNT: 'Only one file may be uploaded',
+  LIMIT_UNEXPECTED_FILE: 'Send the image in the profilePicture field'
+};
+
+export const createAvatarRouter = ({ avatars }) => {
+  const router = express.Router();
+
+  // multer errors become 400s instead of reaching the generic 500 handler
+  const receiveFile = (req, res, next) => {
+    upload.single('profilePicture')(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({ error: UPLOAD_ERRORS[error.code] || error.message });
+      }
+      next(error);
+    });
+  };
+
+  // Upload a new picture (multipart field `profilePicture`); replaces the old files
+  router.post('/upload-picture', authenticate, receiveFile, asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const user = await userRepository.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { value, error } = await avatars.process(user.id, req.file.buffer);
+    if (error) return res.status(400).json({ error });
+
+    let updatedUser;
+    try {
+      updatedUser = await userRepository.update(user.id, value);
+    } catch (updateError) {
+      await avatars.removeFiles(value);
+      throw updateError;
+    }
+    await avatars.removeFiles(user);
+
+    console.log(`🖼️ Avatar updated for ${user.username}`);
+    res.json({
+      success: true,
+      message: 'Profile picture uploaded successfully',
+      profilePicture: updatedUser.profilePicture,
+      avatar: updatedUser.avatar.sizes,
+      user: shapeUser(updatedUser)
+    });
+  }));
+
+  // Remove the picture and its files
+  router.delete('/picture', authenticate, asyncHandler(async (req, res) => {
+    const user = await userRepository.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const updatedUser = await userRepository.update(user.id, { profilePicture: null, avatar: null });
+    await avatars.removeFiles(user);
+
+    res.json({
+      success: true,
+      message: 'Profile picture deleted successfully',
+      user: shapeUser(updatedUser)
+    });
+  }));
+
+  return router;
+};
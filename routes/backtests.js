@@ -0,0 +1,86 @@
+// routes/backtests.js - Backtest trigger rules and signals against historical candles
+//
+// POST returns 201 with the result for short runs, or 202 with a queued job
+// whose progress arrives as 'backtest-update' socket events in the owner's room.
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { validate } from '../middleware/validate.js';
+import { ACTIVE_STATUSES, backtestRepository, shapeBacktestSummary } from '../models/backtestRepository.js';
+import { validateBacktestInput } from '../services/backtestEngine.js';
+import { dateField, idField, nullable, numberField, objectField, optional, symbolField, textField } from './schemas.js';
+
+// --- Request schemas ---
+
+// Exactly one of rule or signal; validateBacktestInput checks their contents
+const backtestFields = {
+  symbol: symbolField,
+  from: dateField,
+  to: dateField,
+  initialCapital: nullable(numberField({ positive: true })),
+  rule: nullable(objectField),
+  signal: nullable(objectField),
+  direction: nullable(textField(10)),
+  exit: nullable(objectField)
+};
+
+export const createBacktestRouter = ({ runner, historicalData }) => {
+  const router = express.Router();
+
+  // Load a backtest owned by the caller into req.backtest
+  const loadOwnBacktest = [validate({ params: { id: idField } }), asyncHandler(async (req, res, next) => {
+    const backtest = await backtestRepository.findById(req.params.id);
+    if (!backtest || backtest.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Backtest not found' });
+    }
+    req.backtest = backtest;
+    next();
+  })];
+
+  // --- SPECIFIC routes (before /:id) ---
+
+  // Symbols with history files available
+  router.get('/symbols', asyncHandler(async (_req, res) => {
+    res.json({ symbols: await historicalData.symbols() });
+  }));
+
+  // Own backtests, newest first, without trades and equity curves
+  router.get('/', asyncHandler(async (req, res) => {
+    const backtests = await backtestRepository.findByUser(req.user.id);
+    res.json({ backtests: backtests.map(shapeBacktestSummary) });
+  }));
+
+  router.post('/', validate({ body: backtestFields }), asyncHandler(async (req, res) => {
+    const { value, error } = validateBacktestInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const result = await runner.submit(req.user.id, value);
+    if (result.error) return res.status(result.status || 400).json({ error: result.error });
+
+    if (result.queued) {
+      return res.status(202).json({
+        backtest: result.backtest,
+        message: 'Backtest queued; progress is sent as backtest-update socket events'
+      });
+    }
+    res.status(201).json({ backtest: result.backtest });
+  }));
+
+  // --- PARAMETERIZED routes ---
+
+  router.get('/:id', loadOwnBacktest, (req, res) => {
+    res.json({ backtest: req.backtest });
+  });
+
+  // Cancels a queued or running backtest, deletes a finished one
+  router.delete('/:id', loadOwnBacktest, asyncHandler(async (req, res) => {
+    if (ACTIVE_STATUSES.includes(req.backtest.status)) {
+      const backtest = await runner.cancel(req.backtest);
+      if (!backtest) return res.status(409).json({ error: 'Backtest has just finished; fetch its result or delete it again' });
+      return res.json({ backtest, message: 'Backtest cancelled successfully' });
+    }
+    await backtestRepository.remove(req.backtest.id);
+    res.json({ message: 'Backtest deleted successfully' });
+  }));
+
+  return router;
+};
@@ -0,0 +1,206 @@
+// routes/ingest.js - Inbound alert webhooks (TradingView and similar tools)
+//
+// Analysts create endpoints under /api/ingest/endpoints and paste the
+// returned URL (`/api/ingest/<token>`) into their charting tool. Fires are
+// mapped through the endpoint's template, de-duplicated, and published
+// through the alert service like any other alert.
+import crypto from 'crypto';
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { ingestEndpointRepository, shapeIngestEndpoint } from '../models/ingestEndpointRepository.js';
+import { ingestEventRepository } from '../models/ingestEventRepository.js';
+import { userRepository } from '../models/userRepository.js';
+import { PERMISSIONS, can } from '../services/permissions.js';
+import { validateAlertInput } from '../services/alertService.js';
+import { applyTemplate, validateTemplate } from '../services/ingestTemplates.js';
+import { booleanField, idField, integerField, nullable, objectField, optional, partial, textField } from './schemas.js';
+
+const MAX_ENDPOINTS_PER_USER = 10;
+const MAX_NAME_LENGTH = 50;
+const DEFAULT_DEDUPE_SECONDS = 60;
+const MAX_DEDUPE_SECONDS = 24 * 60 * 60;
+const FIRES_PER_MINUTE = Number(process.env.INGEST_RATE_LIMIT_PER_MINUTE || 60);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateToken = () => `ing_${crypto.randomBytes(24).toString('hex')}`;
+
+// --- Request schemas ---
+
+const endpointFields = {
+  name: textField(MAX_NAME_LENGTH, { min: 1 }),
+  template: nullable(objectField),
+  dedupeSeconds: nullable(integerField({ min: 0, max: MAX_DEDUPE_SECONDS })),
+  active: optional(booleanField)
+};
+
+const fireParams = { token: textField(100, { min: 1 }) };
+
+// The fields present in a validated body, ready to store. Returns `{ value }`,
+// or `{ error }` for a template that does not map to alert fields.
+const endpointInput = (body, { isUpdate = false } = {}) => {
+  const value = {};
+
+  if (body.name !== undefined) value.name = body.name.trim();
+
+  if (body.template !== undefined || !isUpdate) {
+    const template = validateTemplate(body.template);
+    if (template.error) return template;
+    value.template = template.value;
+  }
+
+  if (body.dedupeSeconds !== undefined || !isUpdate) {
+    value.dedupeSeconds = Number(body.dedupeSeconds ?? DEFAULT_DEDUPE_SECONDS);
+  }
+
+  if (body.active !== undefined) value.active = body.active;
+
+  return { value };
+};
+
+// Same fire = same endpoint and either the template's dedupe key or the mapped alert
+const dedupeKeyFor = (endpoint, alert, dedupeKey) => {
+  const basis = dedupeKey ?? JSON.stringify([alert.type, alert.symbol, alert.price, alert.message]);
+  return `${endpoint.id}:${crypto.createHash('sha256').update(basis).digest('hex')}`;
+};
+
+export const createIngestRouter = ({ alertService }) => {
+  const router = express.Router();
+  const manage = [authenticate, requirePermission(PERMISSIONS.ALERTS_CREATE)];
+
+  const loadOwnEndpoint = [validate({ params: { id: idField } }), asyncHandler(async (req, res, next) => {
+    const endpoint = await ingestEndpointRepository.findOwned(req.params.id, req.user.id);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Ingest endpoint not found' });
+    }
+    req.endpoint = endpoint;
+    next();
+  })];
+
+  const withUrl = (req, token) => `${req.protocol}://${req.get('host')}${req.baseUrl}/${token}`;
+
+  // --- Endpoint management (SPECIFIC routes - before /:token) ---
+
+  router.get('/endpoints', ...manage, asyncHandler(async (req, res) => {
+    const endpoints = await ingestEndpointRepository.findByUser(req.user.id);
+    res.json({ endpoints: endpoints.map(shapeIngestEndpoint) });
+  }));
+
+  // The token (and URL) are only returned here and when rotating
+  router.post('/endpoints', ...manage, validate({ body: endpointFields }), asyncHandler(async (req, res) => {
+    const { value, error } = endpointInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    if (await ingestEndpointRepository.countByUser(req.user.id) >= MAX_ENDPOINTS_PER_USER) {
+      return res.status(400).json({ error: `At most ${MAX_ENDPOINTS_PER_USER} ingest endpoints per user` });
+    }
+
+    const token = generateToken();
+    const endpoint = await ingestEndpointRepository.create({
+      active: true,
+      ...value,
+      userId: req.user.id,
+      tokenHash: hashToken(token),
+      tokenPreview: token.slice(0, 8)
+    });
+    res.status(201).json({
+      endpoint: shapeIngestEndpoint(endpoint),
+      token,
+      url: withUrl(req, token),
+      message: 'Ingest endpoint created; store the URL now'
+    });
+  }));
+
+  router.get('/endpoints/:id', ...manage, loadOwnEndpoint, (req, res) => {
+    res.json({ endpoint: shapeIngestEndpoint(req.endpoint) });
+  });
+
+  router.patch('/endpoints/:id', ...manage, loadOwnEndpoint, validate({ body: partial(endpointFields) }), asyncHandler(async (req, res) => {
+    const { value, error } = endpointInput(req.body || {}, { isUpdate: true });
+    if (error) return res.status(400).json({ error });
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update; send name, template, dedupeSeconds or active' });
+    }
+
+    const endpoint = await ingestEndpointRepository.update(req.endpoint.id, value);
+    res.json({ endpoint: shapeIngestEndpoint(endpoint), message: 'Ingest endpoint updated successfully' });
+  }));
+
+  // Issue a new URL; the old one stops working immediately
+  router.post('/endpoints/:id/rotate-token', ...manage, loadOwnEndpoint, asyncHandler(async (req, res) => {
+    const token = generateToken();
+    const endpoint = await ingestEndpointRepository.update(req.endpoint.id, {
+      tokenHash: hashToken(token),
+      tokenPreview: token.slice(0, 8)
+    });
+    res.json({ endpoint: shapeIngestEndpoint(endpoint), token, url: withUrl(req, token) });
+  }));
+
+  router.delete('/endpoints/:id', ...manage, loadOwnEndpoint, asyncHandler(async (req, res) => {
+    await ingestEndpointRepository.remove(req.endpoint.id);
+    res.json({ message: 'Ingest endpoint deleted successfully', endpoint: shapeIngestEndpoint(req.endpoint) });
+  }));
+
+  // --- Inbound fires (PARAMETERIZED route - comes AFTER) ---
+
+  const fireLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    limit: FIRES_PER_MINUTE,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    keyGenerator: (req) => hashToken(req.params.token),
+    message: { error: 'Too many requests for this endpoint' }
+  });
+
+  // Charting tools send JSON or plain text; no user JWT, the token is the credential
+  router.post('/:token', validate({ params: fireParams }), fireLimiter, express.text({ type: 'text/*', limit: '64kb' }), asyncHandler(async (req, res) => {
+    const endpoint = await ingestEndpointRepository.findByTokenHash(hashToken(req.params.token));
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Unknown ingest endpoint' });
+    }
+    if (!endpoint.active) {
+      return res.status(403).json({ error: 'Ingest endpoint is disabled' });
+    }
+
+    // The analyst must still be allowed to publish
+    const author = await userRepository.findById(endpoint.userId);
+    if (!author || author.isActive === false || !can(author, PERMISSIONS.ALERTS_CREATE)) {
+      return res.status(403).json({ error: 'Endpoint owner may not publish alerts' });
+    }
+
+    const reject = async (error) => {
+      await ingestEndpointRepository.recordResult(endpoint, 'rejected', { error });
+      return res.status(400).json({ error });
+    };
+
+    const mapped = applyTemplate(endpoint.template, req.body);
+    if (mapped.error) return reject(mapped.error);
+    const { value, error } = validateAlertInput(mapped.value.fields);
+    if (error) return reject(error);
+
+    const key = dedupeKeyFor(endpoint, value, mapped.value.dedupeKey);
+    const claim = await ingestEventRepository.claim(key, endpoint.dedupeSeconds * 1000);
+    if (!claim.claimed) {
+      await ingestEndpointRepository.recordResult(endpoint, 'duplicate', { alertId: claim.alertId });
+      return res.json({ ok: true, duplicate: true, alertId: claim.alertId });
+    }
+
+    let alert;
+    try {
+      alert = await alertService.create(value, author);
+    } catch (createError) {
+      await ingestEventRepository.release(key);
+      throw createError;
+    }
+    await ingestEventRepository.setAlert(key, alert.id);
+    await ingestEndpointRepository.recordResult(endpoint, 'created', { alertId: alert.id });
+
+    console.log(`📥 Ingested alert ${alert.id} via endpoint "${endpoint.name}"`);
+    res.status(201).json({ ok: true, alertId: alert.id });
+  }));
+
+  return router;
+};
@@ -0,0 +1,84 @@
+// routes/notifications.js - Notification preferences and delivery history for the authenticated user
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { validate } from '../middleware/validate.js';
+import { notificationPreferenceRepository } from '../models/notificationPreferenceRepository.js';
+import { notificationRepository } from '../models/notificationRepository.js';
+import { userRepository } from '../models/userRepository.js';
+import { canReceive, deliveryTarget } from '../services/notificationDispatcher.js';
+import { defaultPreferences, validatePreferences } from '../services/notificationPreferences.js';
+import { arrayField, nullable, objectField, optional, textField } from './schemas.js';
+
+// --- Request schemas ---
+
+// Top-level shape only; validatePreferences checks the contents against the channels
+const preferencesFields = {
+  channels: optional(objectField),
+  symbols: nullable(arrayField(100)),
+  types: nullable(arrayField(100)),
+  quietHours: nullable(objectField)
+};
+
+const pickPreferences = ({ channels, symbols, types, quietHours }) => ({ channels, symbols, types, quietHours });
+
+export const createNotificationRouter = ({ dispatcher }) => {
+  const router = express.Router();
+
+  const availableChannels = () => Object.values(dispatcher.channels)
+    .filter(channel => channel.configured)
+    .map(channel => channel.name);
+
+  const currentPreferences = async (userId) => {
+    const saved = await notificationPreferenceRepository.findByUser(userId);
+    return saved ? pickPreferences(saved) : defaultPreferences();
+  };
+
+  // Recent deliveries, newest first
+  router.get('/', asyncHandler(async (req, res) => {
+    const notifications = await notificationRepository.findByUser(req.user.id);
+    res.json({ notifications });
+  }));
+
+  router.get('/preferences', asyncHandler(async (req, res) => {
+    res.json({ preferences: await currentPreferences(req.user.id), availableChannels: availableChannels() });
+  }));
+
+  // Partial update: fields not sent are kept, channels merge individually
+  router.put('/preferences', validate({ body: preferencesFields }), asyncHandler(async (req, res) => {
+    const user = await userRepository.findById(req.user.id);
+    const { value, error } = await validatePreferences(req.body, await currentPreferences(req.user.id), {
+      channels: dispatcher.channels,
+      accountEmail: user?.email,
+      accountEmailVerified: Boolean(user?.emailVerifiedAt)
+    });
+    if (error) return res.status(400).json({ error });
+
+    const saved = await notificationPreferenceRepository.save(req.user.id, value);
+    res.json({ preferences: pickPreferences(saved), message: 'Notification preferences saved' });
+  }));
+
+  // Send a test message on one configured channel right away
+  router.post('/test', validate({ body: { channel: textField(20, { min: 1 }) } }), asyncHandler(async (req, res) => {
+    const { channel } = req.body;
+    const settings = (await currentPreferences(req.user.id)).channels[channel];
+    if (!dispatcher.channels[channel]?.configured) {
+      return res.status(400).json({ error: `channel must be one of: ${availableChannels().join(', ')}` });
+    }
+    if (!settings?.enabled) {
+      return res.status(400).json({ error: `Enable ${channel} in your preferences first` });
+    }
+    const user = await userRepository.findById(req.user.id);
+    if (!canReceive(user, channel)) {
+      return res.status(400).json({ error: 'Verify your email address first' });
+    }
+
+    try {
+      await dispatcher.sendTest(channel, deliveryTarget(user, channel, settings), user);
+    } catch (error) {
+      return res.status(502).json({ error: `Delivery failed: ${error.message}` });
+    }
+    res.json({ message: `Test notification sent via ${channel}` });
+  }));
+
+  return router;
+};
@@ -0,0 +1,144 @@
+// routes/paper.js - Paper trading for the authenticated user
+//
+// Every user gets a simulated account on first use. Orders fill against the
+// live market data feed; nothing here touches real money.
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { validate } from '../middleware/validate.js';
+import { paperOrderRepository } from '../models/paperOrderRepository.js';
+import { paperTradeRepository } from '../models/paperTradeRepository.js';
+import { MAX_FOLLOWED_ANALYSTS, ORDER_SIDES, ORDER_TYPES, validateOrderInput } from '../services/paperTrading.js';
+import {
+  arrayField,
+  booleanField,
+  idField,
+  limitQuery,
+  numberField,
+  oneOf,
+  optional,
+  symbolField
+} from './schemas.js';
+
+const ORDER_STATUSES = ['open', 'filled', 'cancelled', 'rejected'];
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 500;
+
+// --- Request schemas ---
+
+const positiveNumber = optional(numberField({ positive: true }));
+
+const resetFields = { startingBalance: positiveNumber };
+
+const autoFollowFields = {
+  enabled: optional(booleanField),
+  analystIds: optional(arrayField(MAX_FOLLOWED_ANALYSTS)),
+  'analystIds.*': idField,
+  orderValue: positiveNumber
+};
+
+const orderFields = {
+  symbol: symbolField,
+  side: oneOf(ORDER_SIDES),
+  type: optional(oneOf(ORDER_TYPES)),
+  quantity: positiveNumber,
+  notional: positiveNumber,
+  limitPrice: positiveNumber
+};
+
+const ordersQuery = {
+  status: optional(oneOf(ORDER_STATUSES)),
+  limit: limitQuery(MAX_LIST_LIMIT)
+};
+
+const tradesQuery = {
+  symbol: optional(symbolField),
+  limit: limitQuery(MAX_LIST_LIMIT)
+};
+
+export const createPaperRouter = ({ paperTrading }) => {
+  const router = express.Router();
+
+  // Load an order owned by the caller into req.order
+  const loadOwnOrder = [validate({ params: { id: idField } }), asyncHandler(async (req, res, next) => {
+    const order = await paperOrderRepository.findById(req.params.id);
+    if (!order || order.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    req.order = order;
+    next();
+  })];
+
+  // --- Account ---
+
+  // Balances, equity and P&L marked to the latest prices
+  router.get('/account', asyncHandler(async (req, res) => {
+    res.json({ account: await paperTrading.summary(req.user.id) });
+  }));
+
+  // Start over (`{ startingBalance? }`); trade history is kept
+  router.post('/account/reset', validate({ body: resetFields }), asyncHandler(async (req, res) => {
+    const { startingBalance } = req.body || {};
+    const result = await paperTrading.reset(req.user.id, startingBalance);
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.json({ account: await paperTrading.summary(req.user.id), message: 'Paper account reset successfully' });
+  }));
+
+  // `{ enabled?, analystIds?, orderValue? }`
+  router.put('/auto-follow', validate({ body: autoFollowFields }), asyncHandler(async (req, res) => {
+    const result = await paperTrading.setAutoFollow(req.user, req.body || {});
+    if (result.error) return res.status(result.status || 400).json({ error: result.error });
+    res.json({ autoFollow: result.autoFollow, message: 'Auto-follow updated successfully' });
+  }));
+
+  router.get('/positions', asyncHandler(async (req, res) => {
+    const { positions } = await paperTrading.summary(req.user.id);
+    res.json({ positions });
+  }));
+
+  // --- Orders ---
+
+  router.get('/orders', validate({ query: ordersQuery }), asyncHandler(async (req, res) => {
+    const { status, limit = DEFAULT_LIST_LIMIT } = req.query;
+
+    const orders = await paperOrderRepository.findByUser(req.user.id, { status, limit });
+    res.json({ orders, count: orders.length });
+  }));
+
+  // `{ symbol, side, type?, quantity | notional, limitPrice? }`
+  router.post('/orders', validate({ body: orderFields }), asyncHandler(async (req, res) => {
+    const { value, error } = validateOrderInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const result = await paperTrading.placeOrder(req.user.id, value);
+    if (result.error) return res.status(400).json({ error: result.error });
+    if (result.order.status === 'rejected') {
+      return res.status(422).json({ error: result.order.reason, order: result.order });
+    }
+    res.status(201).json({ order: result.order });
+  }));
+
+  router.get('/orders/:id', loadOwnOrder, (req, res) => {
+    res.json({ order: req.order });
+  });
+
+  // Cancel a resting limit order
+  router.delete('/orders/:id', loadOwnOrder, asyncHandler(async (req, res) => {
+    const order = await paperTrading.cancelOrder(req.order);
+    if (!order) {
+      return res.status(409).json({ error: 'Only open orders can be cancelled' });
+    }
+    res.json({ order, message: 'Order cancelled successfully' });
+  }));
+
+  // --- Trades ---
+
+  router.get('/trades', validate({ query: tradesQuery }), asyncHandler(async (req, res) => {
+    const { limit = DEFAULT_LIST_LIMIT } = req.query;
+    const symbol = req.query.symbol?.trim().toUpperCase();
+
+    const trades = await paperTradeRepository.findByUser(req.user.id, { symbol, limit });
+    res.json({ trades, count: trades.length });
+  }));
+
+  return router;
+};
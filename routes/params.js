@@ -0,0 +1,27 @@
+// routes/params.js - Query-string parsing helpers shared by routers
+//
+// Each parser returns `{ value }` (value undefined when the parameter is
+// absent) or `{ error: true }`.
+
+// ISO dates or epoch milliseconds -> ISO string
+export const parseTime = (value) => {
+  if (value === undefined || value === '') return { value: undefined };
+  if (typeof value !== 'string') return { error: true };
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  return Number.isNaN(date.getTime()) ? { error: true } : { value: date.toISOString() };
+};
+
+export const parseNumber = (value) => {
+  if (value === undefined || value === '') return { value: undefined };
+  const number = Number(value);
+  return typeof value === 'string' && Number.isFinite(number) ? { value: number } : { error: true };
+};
+
+// `?x=a,b` and `?x=a&x=b` both give ['a', 'b']
+export const parseList = (value) => {
+  if (value === undefined || value === '') return { value: undefined };
+  const parts = [].concat(value);
+  if (!parts.every(part => typeof part === 'string')) return { error: true };
+  const list = parts.flatMap(part => part.split(',')).map(part => part.trim()).filter(Boolean);
+  return { value: list.length ? list : undefined };
+};
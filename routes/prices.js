@@ -0,0 +1,103 @@
+// routes/prices.js - Price ingestion plus latest-price and candle history reads
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { authenticate, optionalAuth, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { watchlistRepository } from '../models/watchlistRepository.js';
+import { PERMISSIONS } from '../services/permissions.js';
+import { INTERVALS } from '../services/marketData.js';
+import { parseList, parseTime } from './params.js';
+import {
+  arrayField,
+  idField,
+  limitQuery,
+  objectField,
+  oneOf,
+  optional,
+  symbolField,
+  symbolListQuery,
+  timeQuery
+} from './schemas.js';
+
+const MAX_TICKS_PER_REQUEST = 1000;
+const MAX_CANDLES_PER_REQUEST = 1000;
+const MAX_SYMBOL_FILTERS = 200;
+
+// --- Request schemas ---
+
+const latestQuery = {
+  symbol: symbolListQuery(MAX_SYMBOL_FILTERS),
+  watchlist: optional(idField)
+};
+
+// A batch; a single tick is checked by marketData.ingest like any other
+const ingestFields = {
+  ticks: optional(arrayField(MAX_TICKS_PER_REQUEST)),
+  'ticks.*': objectField
+};
+
+const symbolParams = { symbol: symbolField };
+
+const candlesQuery = {
+  interval: optional(oneOf(Object.keys(INTERVALS))),
+  from: timeQuery,
+  to: timeQuery,
+  limit: limitQuery(MAX_CANDLES_PER_REQUEST)
+};
+
+export const createPriceRouter = ({ marketData }) => {
+  const router = express.Router();
+
+  // Latest price for every known symbol, or only `?symbol=` / one of the
+  // caller's watchlists (`?watchlist=<id>`)
+  router.get('/', optionalAuth, validate({ query: latestQuery }), asyncHandler(async (req, res) => {
+    let symbols = parseList(req.query.symbol).value?.map(symbol => symbol.toUpperCase());
+
+    if (req.query.watchlist !== undefined) {
+      if (!req.user) return res.status(401).json({ error: 'Authentication required to filter by watchlist' });
+      const watchlist = await watchlistRepository.findOwned(req.query.watchlist, req.user.id);
+      if (!watchlist) return res.status(404).json({ error: 'Watchlist not found' });
+      symbols = symbols ? watchlist.symbols.filter(symbol => symbols.includes(symbol)) : watchlist.symbols;
+    }
+
+    const prices = (symbols || marketData.symbols()).map(symbol => marketData.latest(symbol)).filter(Boolean);
+    res.json({ prices });
+  }));
+
+  // Ingest one tick (`{ symbol, price, volume?, timestamp? }`) or a batch (`{ ticks: [...] }`)
+  router.post('/', authenticate, requirePermission(PERMISSIONS.PRICES_INGEST), validate({ body: ingestFields }), (req, res) => {
+    const body = req.body || {};
+    const rawTicks = body.ticks ?? [body];
+
+    const accepted = rawTicks.filter(raw => marketData.ingest(raw, 'api')).length;
+    if (accepted === 0) {
+      return res.status(400).json({ error: 'Each tick needs a symbol and a positive price' });
+    }
+
+    res.status(202).json({ accepted, rejected: rawTicks.length - accepted });
+  });
+
+  router.get('/:symbol/latest', validate({ params: symbolParams }), (req, res) => {
+    const latest = marketData.latest(req.params.symbol);
+    if (!latest) {
+      return res.status(404).json({ error: 'No price data for symbol' });
+    }
+    res.json(latest);
+  });
+
+  // Candles in ascending time order; `from`/`to` accept ISO dates or epoch ms
+  router.get('/:symbol/candles', validate({ params: symbolParams, query: candlesQuery }), (req, res) => {
+    const { interval = '1m', limit = MAX_CANDLES_PER_REQUEST } = req.query;
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+
+    const symbol = req.params.symbol.toUpperCase();
+    res.json({
+      symbol,
+      interval,
+      candles: marketData.candles(symbol, interval, { from: from.value, to: to.value, limit })
+    });
+  });
+
+  return router;
+};
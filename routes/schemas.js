@@ -0,0 +1,177 @@
+// routes/schemas.js - express-validator field definitions shared by routers
+//
+// Spread into the schemas passed to validate(). Fields are required unless
+// wrapped in `optional` (absent is fine) or `nullable` (absent or null).
+// Single-value fields reject arrays, so `?x=a&x=b` fails rather than slipping
+// through as a list.
+import { parseList, parseTime } from './params.js';
+
+export const ID_PATTERN = /^[\w-]{1,64}$/;
+export const SYMBOL_PATTERN = /^[A-Za-z0-9._:/-]{1,20}$/;
+
+const mustBe = (what) => (_value, { path }) => `${path} must be ${what}`;
+
+// Numbers may arrive as numeric strings, as the services' toNumber helpers accept
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+export const optional = (field) => ({ ...field, optional: true });
+
+export const nullable = (field) => ({ ...field, optional: { options: { values: 'null' } } });
+
+// Every field of a schema optional, for partial updates
+export const partial = (schema) => Object.fromEntries(
+  Object.entries(schema).map(([name, field]) => [name, field.optional ? field : optional(field)])
+);
+
+// --- Scalars ---
+
+export const idField = {
+  isString: true,
+  matches: { options: [ID_PATTERN] },
+  errorMessage: mustBe('a valid id')
+};
+
+// Surrounding whitespace is allowed; the services trim and uppercase symbols
+export const symbolField = {
+  isString: true,
+  custom: { options: (value) => typeof value === 'string' && SYMBOL_PATTERN.test(value.trim()) },
+  errorMessage: mustBe('1-20 characters (letters, digits, . _ : / -)')
+};
+
+// Length is checked on the trimmed value; the field itself is left untouched
+export const textField = (max, { min = 0 } = {}) => ({
+  isString: true,
+  custom: {
+    options: (value) => typeof value === 'string' && value.trim().length >= min && value.length <= max
+  },
+  errorMessage: mustBe(min > 0 ? `1-${max} characters` : `a string of at most ${max} characters`)
+});
+
+// Secrets and tokens: any non-empty string up to `max`
+export const secretField = (max = 1024) => ({
+  isString: true,
+  isLength: { options: { min: 1, max } },
+  errorMessage: mustBe('provided')
+});
+
+// Six-digit authenticator code, as a string (spaces ignored) or a number
+export const otpCodeField = {
+  custom: {
+    options: (value) => (typeof value === 'string' || typeof value === 'number')
+      && /^\d{6}$/.test(String(value).replace(/\s/g, ''))
+  },
+  errorMessage: mustBe('a 6-digit code')
+};
+
+// `3f9a1-c04be`; case, dashes and spaces are ignored when redeeming
+export const recoveryCodeField = {
+  isString: true,
+  isLength: { options: { min: 1, max: 32 } },
+  errorMessage: mustBe('a recovery code')
+};
+
+export const emailField = {
+  isString: true,
+  isEmail: true,
+  isLength: { options: { max: 254 } },
+  errorMessage: mustBe('a valid email address')
+};
+
+export const booleanField = {
+  isBoolean: { options: { strict: true } },
+  errorMessage: mustBe('true or false')
+};
+
+export const oneOf = (values) => ({
+  isString: true,
+  isIn: { options: [values] },
+  errorMessage: mustBe(`one of: ${values.join(', ')}`)
+});
+
+const numberDescription = ({ min, max, positive }) => {
+  if (min !== undefined && max !== undefined) return `a number between ${min} and ${max}`;
+  const base = positive ? 'a positive number' : 'a number';
+  if (min !== undefined) return `${base} of at least ${min}`;
+  if (max !== undefined) return `${base} of at most ${max}`;
+  return base;
+};
+
+export const numberField = ({ min, max, positive = false } = {}) => ({
+  custom: {
+    options: (value) => {
+      const number = toNumber(value);
+      return typeof number === 'number' && Number.isFinite(number)
+        && (!positive || number > 0)
+        && (min === undefined || number >= min)
+        && (max === undefined || number <= max);
+    }
+  },
+  errorMessage: mustBe(numberDescription({ min, max, positive }))
+});
+
+export const integerField = ({ min = 0, max } = {}) => ({
+  custom: {
+    options: (value) => {
+      const number = toNumber(value);
+      return Number.isInteger(number) && number >= min && (max === undefined || number <= max);
+    }
+  },
+  errorMessage: mustBe(max === undefined ? `a whole number of at least ${min}` : `a whole number between ${min} and ${max}`)
+});
+
+// ISO date string or epoch milliseconds
+export const dateField = {
+  custom: {
+    options: (value) => (typeof value === 'string' || typeof value === 'number')
+      && !Number.isNaN(new Date(value).getTime())
+  },
+  errorMessage: mustBe('a valid date')
+};
+
+export const objectField = {
+  isObject: true,
+  errorMessage: mustBe('an object')
+};
+
+// An array of at most `max` entries; pair with a `'field.*'` entry for the items
+export const arrayField = (max, { min = 0 } = {}) => ({
+  isArray: { options: { min, max } },
+  errorMessage: mustBe(min > 0 ? `a list of 1-${max} entries` : `a list of at most ${max} entries`)
+});
+
+// --- Query strings ---
+
+// `?from=` style times, as parseTime reads them
+export const timeQuery = {
+  optional: true,
+  custom: { options: (value) => !parseTime(value).error },
+  errorMessage: mustBe('an ISO date or epoch milliseconds')
+};
+
+// `?limit=`, converted to a number
+export const limitQuery = (max) => ({
+  optional: true,
+  isString: true,
+  isInt: { options: { min: 1, max } },
+  toInt: true,
+  errorMessage: mustBe(`a whole number between 1 and ${max}`)
+});
+
+// `?symbol=a,b` or `?symbol=a&symbol=b`, as parseList reads them
+export const symbolListQuery = (max) => ({
+  optional: true,
+  custom: {
+    options: (value) => {
+      const { value: symbols = [], error } = parseList(value);
+      return !error && symbols.length <= max && symbols.every(symbol => SYMBOL_PATTERN.test(symbol));
+    }
+  },
+  errorMessage: mustBe(`a symbol or a comma-separated list of at most ${max} symbols`)
+});
+
+export const numberQuery = {
+  optional: true,
+  isString: true,
+  isFloat: true,
+  errorMessage: mustBe('a number')
+};
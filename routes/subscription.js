@@ -0,0 +1,91 @@
+// routes/subscription.js - Plans, Stripe checkout and the Stripe webhook
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { authenticate } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { userRepository } from '../models/userRepository.js';
+import {
+  PLANS,
+  planOf,
+  getStripe,
+  createCheckoutSession,
+  constructWebhookEvent,
+  handleWebhookEvent
+} from '../services/subscriptions.js';
+import { oneOf } from './schemas.js';
+
+// --- Request schemas ---
+
+const checkoutFields = { plan: oneOf(Object.keys(PLANS)) };
+
+export const createSubscriptionRouter = () => {
+  const router = express.Router();
+
+  // Public plan catalogue
+  router.get('/plans', (_req, res) => {
+    const plans = Object.entries(PLANS).map(([id, plan]) => ({
+      id,
+      name: plan.name,
+      alertDelayMinutes: plan.alertDelayMinutes,
+      alertLimit: plan.alertLimit,
+      purchasable: Boolean(plan.priceId)
+    }));
+    res.json({ plans });
+  });
+
+  // Current user's subscription
+  router.get('/', authenticate, asyncHandler(async (req, res) => {
+    const user = await userRepository.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const plan = planOf(user);
+    res.json({
+      plan,
+      limits: {
+        alertDelayMinutes: PLANS[plan].alertDelayMinutes,
+        alertLimit: PLANS[plan].alertLimit
+      },
+      subscriptionStatus: user.subscriptionStatus || null,
+      planRenewsAt: user.planRenewsAt || null
+    });
+  }));
+
+  // Start a Stripe Checkout session for a paid plan
+  router.post('/create-checkout-session', authenticate, validate({ body: checkoutFields }), asyncHandler(async (req, res) => {
+    const { plan } = req.body;
+
+    if (!PLANS[plan].priceId) {
+      return res.status(400).json({ error: 'Plan must be a purchasable plan (PRO or ELITE)' });
+    }
+    if (!getStripe()) {
+      return res.status(503).json({ error: 'Payments are not configured' });
+    }
+
+    const user = await userRepository.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const session = await createCheckoutSession(user, plan);
+    res.json({ sessionId: session.id, url: session.url });
+  }));
+
+  // Stripe webhook - authenticated by signature, not by JWT
+  router.post('/webhook', asyncHandler(async (req, res) => {
+    const signature = req.get('stripe-signature');
+    if (!signature || !req.rawBody) {
+      return res.status(400).json({ error: 'Missing Stripe signature' });
+    }
+
+    let event;
+    try {
+      event = constructWebhookEvent(req.rawBody, signature);
+    } catch (error) {
+      console.warn('⚠️ Stripe webhook signature verification failed:', error.message);
+      return res.status(400).json({ error: 'Invalid Stripe signature' });
+    }
+
+    const result = await handleWebhookEvent(event);
+    res.json({ received: true, result });
+  }));
+
+  return router;
+};
@@ -0,0 +1,130 @@
+// routes/triggers.js - CRUD for the authenticated user's price triggers
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { validate } from '../middleware/validate.js';
+import { triggerRepository } from '../models/triggerRepository.js';
+import { CONDITIONS, DIRECTIONS, validateTriggerRule } from '../services/triggerRules.js';
+import {
+  booleanField,
+  dateField,
+  idField,
+  nullable,
+  numberField,
+  oneOf,
+  optional,
+  partial,
+  symbolField,
+  textField
+} from './schemas.js';
+
+const TRIGGER_STATUSES = ['armed', 'fired', 'expired'];
+
+const RULE_FIELDS = [
+  'symbol',
+  'condition',
+  'threshold',
+  'windowMinutes',
+  'direction',
+  'expiresAt',
+  'rearm',
+  'cooldownMinutes',
+  'message',
+  'alertType'
+];
+
+// --- Request schemas ---
+
+const ruleFields = {
+  symbol: symbolField,
+  condition: oneOf(CONDITIONS),
+  threshold: numberField({ positive: true }),
+  windowMinutes: nullable(numberField({ positive: true })),
+  direction: nullable(oneOf(DIRECTIONS)),
+  expiresAt: nullable(dateField),
+  rearm: nullable(booleanField),
+  cooldownMinutes: nullable(numberField({ min: 0 })),
+  message: nullable(textField(500)),
+  alertType: nullable(textField(20, { min: 1 }))
+};
+
+const listQuery = { status: optional(oneOf(TRIGGER_STATUSES)) };
+
+const rearmFields = { expiresAt: nullable(dateField) };
+
+const pickRule = (source) => Object.fromEntries(
+  RULE_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+export const createTriggerRouter = () => {
+  const router = express.Router();
+
+  // Load a trigger owned by the caller into req.trigger
+  const loadOwnTrigger = [validate({ params: { id: idField } }), asyncHandler(async (req, res, next) => {
+    const trigger = await triggerRepository.findById(req.params.id);
+    if (!trigger || trigger.userId !== req.user.id) {
+      return res.status(404).json({ error: 'Trigger not found' });
+    }
+    req.trigger = trigger;
+    next();
+  })];
+
+  // List own triggers, optionally by status (armed, fired, expired)
+  router.get('/', validate({ query: listQuery }), asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    const triggers = await triggerRepository.findByUser(req.user.id, { status });
+    res.json({ triggers });
+  }));
+
+  // Create trigger
+  router.post('/', validate({ body: ruleFields }), asyncHandler(async (req, res) => {
+    const { value, error } = validateTriggerRule(req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    const trigger = await triggerRepository.create({ ...value, userId: req.user.id });
+    res.status(201).json({ trigger, message: 'Trigger created successfully' });
+  }));
+
+  router.get('/:id', loadOwnTrigger, (req, res) => {
+    res.json({ trigger: req.trigger });
+  });
+
+  // Update trigger definition (fields not sent are kept)
+  router.patch('/:id', loadOwnTrigger, validate({ body: partial(ruleFields) }), asyncHandler(async (req, res) => {
+    const { value, error } = validateTriggerRule({
+      ...pickRule(req.trigger),
+      ...pickRule(req.body || {})
+    });
+    if (error) return res.status(400).json({ error });
+
+    const trigger = await triggerRepository.update(req.trigger.id, value);
+    res.json({ trigger, message: 'Trigger updated successfully' });
+  }));
+
+  // Re-arm a fired or expired trigger, optionally with a new expiry
+  router.post('/:id/rearm', loadOwnTrigger, validate({ body: rearmFields }), asyncHandler(async (req, res) => {
+    if (req.trigger.status === 'armed') {
+      return res.status(400).json({ error: 'Trigger is already armed' });
+    }
+
+    const { expiresAt } = req.body || {};
+    const { value, error } = validateTriggerRule({
+      ...pickRule(req.trigger),
+      expiresAt: expiresAt !== undefined ? expiresAt : req.trigger.expiresAt
+    });
+    if (error) return res.status(400).json({ error });
+
+    const trigger = await triggerRepository.update(req.trigger.id, {
+      expiresAt: value.expiresAt,
+      status: 'armed',
+      rearmAt: null
+    });
+    res.json({ trigger, message: 'Trigger re-armed' });
+  }));
+
+  router.delete('/:id', loadOwnTrigger, asyncHandler(async (req, res) => {
+    await triggerRepository.remove(req.trigger.id);
+    res.json({ message: 'Trigger deleted successfully', trigger: req.trigger });
+  }));
+
+  return router;
+};
@@ -0,0 +1,142 @@
+// routes/twoFactor.js - TOTP enrollment and management for the current user
+// (mounted behind authenticateForTwoFactorSetup)
+//
+// Wrong codes and passwords on the routes that change 2FA count against the
+// account in the login throttle, so a stolen access token can't be used to
+// guess them. Reaching the lockout also revokes the session that made them.
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { validate } from '../middleware/validate.js';
+import { userRepository } from '../models/userRepository.js';
+import { revokeSession } from '../services/auth.js';
+import { accountKey, sendThrottled } from '../services/loginThrottle.js';
+import { isTwoFactorRequired } from '../services/twoFactorPolicy.js';
+import {
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} from '../services/twoFactor.js';
+import { otpCodeField, optional, recoveryCodeField, secretField } from './schemas.js';
+
+// --- Request schemas ---
+
+// verifySecondFactor asks for one of the two when neither is sent
+const secondFactorFields = {
+  code: optional(otpCodeField),
+  recoveryCode: optional(recoveryCodeField)
+};
+
+const confirmFields = { code: otpCodeField };
+
+const disableFields = { password: secretField(), ...secondFactorFields };
+
+const secondFactor = (body = {}) => ({ code: body.code, recoveryCode: body.recoveryCode });
+
+export const createTwoFactorRouter = ({ loginThrottle, auditLogin }) => {
+  const router = express.Router();
+
+  // Answers 429 and resolves to true while the account is locked or waiting
+  const rejectIfThrottled = async (req, res) => {
+    const blocked = await loginThrottle.check(accountKey(req.user));
+    if (!blocked) return false;
+    auditLogin(req, { user: req.user, login: req.user.username, outcome: blocked.reason });
+    sendThrottled(res, blocked);
+    return true;
+  };
+
+  const recordFailure = async (req, outcome) => {
+    const { lockedOut } = await loginThrottle.recordFailure(accountKey(req.user));
+    auditLogin(req, { user: req.user, login: req.user.username, outcome, lockedOut });
+    if (lockedOut) {
+      await revokeSession(req.user.sid, 'two-factor-lockout');
+      console.warn(`🔒 Revoked session ${req.user.sid} of ${req.user.username} after repeated 2FA failures`);
+    }
+  };
+
+  router.get('/', asyncHandler(async (req, res) => {
+    res.json({
+      ...await getTwoFactorStatus(req.user.id),
+      required: await isTwoFactorRequired(req.user)
+    });
+  }));
+
+  // New secret for the authenticator app; replaces any unfinished enrollment
+  router.post('/enroll', asyncHandler(async (req, res) => {
+    const user = await userRepository.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const result = await startEnrollment(user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({
+      ...result.value,
+      message: 'Add the secret to your authenticator app, then confirm with a code at POST /api/auth/2fa/verify'
+    });
+  }));
+
+  // Confirm enrollment with a code from the app; recovery codes are shown only here
+  router.post('/verify', validate({ body: confirmFields }), asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    const user = await userRepository.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    const result = await confirmEnrollment(user, String(code));
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; each works once.',
+      recoveryCodes: result.value.recoveryCodes
+    });
+  }));
+
+  // Replace all recovery codes; needs a current code or an unused recovery code
+  router.post('/recovery-codes', validate({ body: secondFactorFields }), asyncHandler(async (req, res) => {
+    if (await rejectIfThrottled(req, res)) return;
+
+    const result = await regenerateRecoveryCodes(req.user.id, secondFactor(req.body));
+    if (result.error) {
+      if (result.status === 401) await recordFailure(req, 'invalid-2fa-code');
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await loginThrottle.reset(accountKey(req.user));
+    res.json({ success: true, recoveryCodes: result.value.recoveryCodes });
+  }));
+
+  // Needs the password and a second factor; not allowed where the role requires 2FA
+  router.post('/disable', validate({ body: disableFields }), asyncHandler(async (req, res) => {
+    const { password } = req.body;
+
+    if (await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    if (await rejectIfThrottled(req, res)) return;
+
+    const user = await userRepository.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!await bcrypt.compare(password, user.password)) {
+      await recordFailure(req, 'invalid-password');
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    const verified = await verifySecondFactor(user.id, secondFactor(req.body));
+    if (verified.error) {
+      if (verified.status === 401) await recordFailure(req, 'invalid-2fa-code');
+      return res.status(verified.status).json({ error: verified.error });
+    }
+
+    await loginThrottle.reset(accountKey(req.user));
+    await disableTwoFactor(user.id);
+    console.log(`🔓 Two-factor authentication disabled for ${user.username}`);
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  }));
+
+  return router;
+};
@@ -0,0 +1,64 @@
+// routes/uploads.js - Serves /uploads for the configured upload storage
+//
+// Local storage: public files come straight off disk, private ones only with a
+// valid signature. S3: the bucket (or its CDN) serves files itself, so old
+// /uploads/... links saved before a migration are redirected there.
+import path from 'path';
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { contentTypeFor, isPrivateKey } from '../services/uploadStorage.js';
+
+// The storage key a request path names, decoded and normalized the way
+// express.static will read it (`%70rivate/x`, `a/../private/x` and
+// `private%2fx` all come out as `private/x`); null for undecodable paths
+const keyFromPath = (req) => {
+  try {
+    return path.posix.normalize(decodeURIComponent(req.path)).replace(/^\/+/, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+// Case-insensitive, for filesystems that are
+const isPrivatePath = (key) => isPrivateKey(key.toLowerCase());
+
+export const createUploadRouter = ({ storage }) => {
+  const router = express.Router();
+
+  if (storage.name !== 'local') {
+    router.get('*', (req, res) => {
+      const key = keyFromPath(req);
+      if (!key || isPrivatePath(key)) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      res.redirect(301, storage.publicUrl(key));
+    });
+    return router;
+  }
+
+  // Private files, only with `?expires=&signature=` from storage.signedUrl.
+  // Every request is checked here so none reaches the static handler.
+  router.use(asyncHandler(async (req, res, next) => {
+    const key = keyFromPath(req);
+    if (key === null) {
+      return res.status(400).json({ error: 'Invalid file path' });
+    }
+    if (!isPrivatePath(key)) return next();
+
+    if (!['GET', 'HEAD'].includes(req.method)
+      || !storage.verifySignature(key, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ error: 'Invalid or expired link' });
+    }
+    const stream = await storage.get(key);
+    if (!stream) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    res.set({ 'Content-Type': contentTypeFor(key), 'Cache-Control': 'private, no-store' });
+    stream.on('error', (error) => res.destroy(error));
+    stream.pipe(res);
+  }));
+
+  router.use(express.static(storage.root));
+
+  return router;
+};
@@ -0,0 +1,188 @@
+// routes/watchlists.js - CRUD for the authenticated user's watchlists
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { validate } from '../middleware/validate.js';
+import { watchlistRepository } from '../models/watchlistRepository.js';
+import {
+  SYMBOL_PATTERN,
+  arrayField,
+  idField,
+  integerField,
+  optional,
+  symbolField,
+  textField
+} from './schemas.js';
+
+const MAX_WATCHLISTS_PER_USER = 20;
+const MAX_SYMBOLS_PER_WATCHLIST = 100;
+const MAX_NAME_LENGTH = 50;
+
+// --- Request schemas ---
+
+const nameField = textField(MAX_NAME_LENGTH, { min: 1 });
+
+// Repeats are allowed here; normalizeSymbols drops them
+const symbolsFields = {
+  symbols: optional(arrayField(MAX_SYMBOLS_PER_WATCHLIST * 2)),
+  'symbols.*': symbolField
+};
+
+const createFields = { name: nameField, ...symbolsFields };
+
+const updateFields = { name: optional(nameField), ...symbolsFields };
+
+// `symbol` unless a `symbols` list is sent
+const addSymbolsFields = {
+  symbol: {
+    custom: {
+      options: (value, { req }) => req.body.symbols !== undefined
+        || (typeof value === 'string' && SYMBOL_PATTERN.test(value.trim()))
+    },
+    errorMessage: 'Send a symbol or a symbols list'
+  },
+  ...symbolsFields,
+  position: optional(integerField({ min: 0 }))
+};
+
+const symbolParams = { symbol: symbolField };
+
+const orderFields = { ids: arrayField(MAX_WATCHLISTS_PER_USER), 'ids.*': idField };
+
+// Uppercased, de-duplicated, order preserved
+const normalizeSymbols = (symbols) => {
+  const value = [...new Set(symbols.map(symbol => symbol.trim().toUpperCase()))];
+  if (value.length > MAX_SYMBOLS_PER_WATCHLIST) {
+    return { error: `A watchlist holds at most ${MAX_SYMBOLS_PER_WATCHLIST} symbols` };
+  }
+  return { value };
+};
+
+export const createWatchlistRouter = () => {
+  const router = express.Router();
+
+  // Load a watchlist owned by the caller into req.watchlist
+  const loadOwnWatchlist = [validate({ params: { id: idField } }), asyncHandler(async (req, res, next) => {
+    const watchlist = await watchlistRepository.findOwned(req.params.id, req.user.id);
+    if (!watchlist) {
+      return res.status(404).json({ error: 'Watchlist not found' });
+    }
+    req.watchlist = watchlist;
+    next();
+  })];
+
+  const nameTaken = async (userId, name, excludeId) => (await watchlistRepository.findByUser(userId))
+    .some(watchlist => watchlist.id !== excludeId && watchlist.name.toLowerCase() === name.toLowerCase());
+
+  // Own watchlists in display order
+  router.get('/', asyncHandler(async (req, res) => {
+    const watchlists = await watchlistRepository.findByUser(req.user.id);
+    res.json({ watchlists });
+  }));
+
+  // Create watchlist (`{ name, symbols? }`), appended after the existing ones
+  router.post('/', validate({ body: createFields }), asyncHandler(async (req, res) => {
+    const name = req.body.name.trim();
+    const symbols = normalizeSymbols(req.body.symbols ?? []);
+    if (symbols.error) return res.status(400).json({ error: symbols.error });
+
+    const count = await watchlistRepository.countByUser(req.user.id);
+    if (count >= MAX_WATCHLISTS_PER_USER) {
+      return res.status(400).json({ error: `At most ${MAX_WATCHLISTS_PER_USER} watchlists per user` });
+    }
+    if (await nameTaken(req.user.id, name)) {
+      return res.status(409).json({ error: 'You already have a watchlist with that name' });
+    }
+
+    const watchlist = await watchlistRepository.create({
+      userId: req.user.id,
+      name,
+      symbols: symbols.value,
+      position: count
+    });
+    res.status(201).json({ watchlist, message: 'Watchlist created successfully' });
+  }));
+
+  // Reorder watchlists: `{ ids }` must list every watchlist of the caller
+  // (SPECIFIC route - before /:id)
+  router.put('/order', validate({ body: orderFields }), asyncHandler(async (req, res) => {
+    const { ids } = req.body;
+    const watchlists = await watchlistRepository.findByUser(req.user.id);
+    const owned = new Set(watchlists.map(watchlist => watchlist.id));
+    if (ids.length !== owned.size || new Set(ids).size !== ids.length
+      || !ids.every(id => owned.has(id))) {
+      return res.status(400).json({ error: 'ids must list each of your watchlists exactly once' });
+    }
+
+    await Promise.all(ids.map((id, position) => watchlistRepository.update(id, { position })));
+    res.json({ watchlists: await watchlistRepository.findByUser(req.user.id) });
+  }));
+
+  router.get('/:id', loadOwnWatchlist, (req, res) => {
+    res.json({ watchlist: req.watchlist });
+  });
+
+  // Rename and/or replace the symbol list (the new order is kept)
+  router.patch('/:id', loadOwnWatchlist, validate({ body: updateFields }), asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const patch = {};
+
+    if (body.name !== undefined) {
+      const name = body.name.trim();
+      if (await nameTaken(req.user.id, name, req.watchlist.id)) {
+        return res.status(409).json({ error: 'You already have a watchlist with that name' });
+      }
+      patch.name = name;
+    }
+    if (body.symbols !== undefined) {
+      const symbols = normalizeSymbols(body.symbols);
+      if (symbols.error) return res.status(400).json({ error: symbols.error });
+      patch.symbols = symbols.value;
+    }
+    if (Object.keys(patch).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update; send name and/or symbols' });
+    }
+
+    const watchlist = await watchlistRepository.update(req.watchlist.id, patch);
+    res.json({ watchlist, message: 'Watchlist updated successfully' });
+  }));
+
+  // Add symbols (`{ symbol }` or `{ symbols }`) at the end, or at `position`
+  router.post('/:id/symbols', loadOwnWatchlist, validate({ body: addSymbolsFields }), asyncHandler(async (req, res) => {
+    const { body } = req;
+    const added = normalizeSymbols(body.symbols ?? [body.symbol]);
+    if (added.error) return res.status(400).json({ error: added.error });
+
+    const remaining = req.watchlist.symbols.filter(symbol => !added.value.includes(symbol));
+    const position = body.position === undefined ? remaining.length : Number(body.position);
+    if (position > remaining.length) {
+      return res.status(400).json({ error: `position must be between 0 and ${remaining.length}` });
+    }
+
+    const symbols = [...remaining.slice(0, position), ...added.value, ...remaining.slice(position)];
+    if (symbols.length > MAX_SYMBOLS_PER_WATCHLIST) {
+      return res.status(400).json({ error: `A watchlist holds at most ${MAX_SYMBOLS_PER_WATCHLIST} symbols` });
+    }
+
+    const watchlist = await watchlistRepository.update(req.watchlist.id, { symbols });
+    res.json({ watchlist, message: 'Symbols added' });
+  }));
+
+  router.delete('/:id/symbols/:symbol', loadOwnWatchlist, validate({ params: symbolParams }), asyncHandler(async (req, res) => {
+    const target = req.params.symbol.toUpperCase();
+    if (!req.watchlist.symbols.includes(target)) {
+      return res.status(404).json({ error: 'Symbol not in watchlist' });
+    }
+
+    const watchlist = await watchlistRepository.update(req.watchlist.id, {
+      symbols: req.watchlist.symbols.filter(symbol => symbol !== target)
+    });
+    res.json({ watchlist, message: 'Symbol removed' });
+  }));
+
+  router.delete('/:id', loadOwnWatchlist, asyncHandler(async (req, res) => {
+    await watchlistRepository.remove(req.watchlist.id);
+    res.json({ message: 'Watchlist deleted successfully', watchlist: req.watchlist });
+  }));
+
+  return router;
+};
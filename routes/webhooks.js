@@ -0,0 +1,141 @@
+// routes/webhooks.js - Partner webhook subscriptions and their delivery log
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { validate } from '../middleware/validate.js';
+import { webhookRepository, shapeWebhook } from '../models/webhookRepository.js';
+import { webhookDeliveryRepository } from '../models/webhookDeliveryRepository.js';
+import { WEBHOOK_EVENTS, generateWebhookSecret } from '../services/webhookDispatcher.js';
+import { checkPublicUrl } from '../services/channels/http.js';
+import { arrayField, booleanField, idField, oneOf, optional, partial, textField } from './schemas.js';
+
+const MAX_WEBHOOKS_PER_USER = 10;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// --- Request schemas ---
+
+const webhookFields = {
+  url: textField(2048, { min: 1 }),
+  events: {
+    ...arrayField(WEBHOOK_EVENTS.length * 2, { min: 1 }),
+    errorMessage: `events must list one or more of: ${WEBHOOK_EVENTS.join(', ')}`
+  },
+  'events.*': oneOf(WEBHOOK_EVENTS),
+  description: optional(textField(MAX_DESCRIPTION_LENGTH)),
+  active: optional(booleanField)
+};
+
+// The fields present in a validated body, ready to store. Resolves to
+// `{ value }`, or `{ error }` when the URL is not one we deliver to.
+const webhookInput = async (body) => {
+  const value = {};
+
+  if (body.url !== undefined) {
+    const url = await checkPublicUrl(body.url, { field: 'url' });
+    if (url.error) return url;
+    value.url = url.value;
+  }
+  if (body.events !== undefined) value.events = [...new Set(body.events)];
+  if (body.description !== undefined) value.description = body.description.trim();
+  if (body.active !== undefined) value.active = body.active;
+
+  return { value };
+};
+
+export const createWebhookRouter = ({ dispatcher }) => {
+  const router = express.Router();
+
+  // Load a webhook owned by the caller into req.webhook
+  const loadOwnWebhook = [validate({ params: { id: idField } }), asyncHandler(async (req, res, next) => {
+    const webhook = await webhookRepository.findOwned(req.params.id, req.user.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    req.webhook = webhook;
+    next();
+  })];
+
+  const loadDelivery = [validate({ params: { deliveryId: idField } }), asyncHandler(async (req, res, next) => {
+    const delivery = await webhookDeliveryRepository.findById(req.params.deliveryId);
+    if (!delivery || delivery.webhookId !== req.webhook.id) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    req.delivery = delivery;
+    next();
+  })];
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const webhooks = await webhookRepository.findByUser(req.user.id);
+    res.json({ webhooks: webhooks.map(shapeWebhook), events: WEBHOOK_EVENTS });
+  }));
+
+  // Register a URL; the signing secret is returned only in this response
+  router.post('/', validate({ body: webhookFields }), asyncHandler(async (req, res) => {
+    const { value, error } = await webhookInput(req.body);
+    if (error) return res.status(400).json({ error });
+
+    if (await webhookRepository.countByUser(req.user.id) >= MAX_WEBHOOKS_PER_USER) {
+      return res.status(400).json({ error: `At most ${MAX_WEBHOOKS_PER_USER} webhooks per user` });
+    }
+
+    const secret = generateWebhookSecret();
+    const webhook = await webhookRepository.create({
+      description: '',
+      active: true,
+      ...value,
+      userId: req.user.id,
+      secret
+    });
+    res.status(201).json({ webhook: shapeWebhook(webhook), secret, message: 'Webhook created; store the secret now' });
+  }));
+
+  router.get('/:id', loadOwnWebhook, (req, res) => {
+    res.json({ webhook: shapeWebhook(req.webhook) });
+  });
+
+  // Change url, events, description or pause with `active: false`
+  router.patch('/:id', loadOwnWebhook, validate({ body: partial(webhookFields) }), asyncHandler(async (req, res) => {
+    const { value, error } = await webhookInput(req.body || {});
+    if (error) return res.status(400).json({ error });
+    if (Object.keys(value).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update; send url, events, description or active' });
+    }
+
+    const webhook = await webhookRepository.update(req.webhook.id, value);
+    res.json({ webhook: shapeWebhook(webhook), message: 'Webhook updated successfully' });
+  }));
+
+  // Replace the signing secret; deliveries are signed with the new one immediately
+  router.post('/:id/rotate-secret', loadOwnWebhook, asyncHandler(async (req, res) => {
+    const secret = generateWebhookSecret();
+    const webhook = await webhookRepository.update(req.webhook.id, { secret });
+    res.json({ webhook: shapeWebhook(webhook), secret, message: 'Secret rotated; store the new secret now' });
+  }));
+
+  router.delete('/:id', loadOwnWebhook, asyncHandler(async (req, res) => {
+    await webhookRepository.remove(req.webhook.id);
+    await webhookDeliveryRepository.removeByWebhook(req.webhook.id);
+    res.json({ message: 'Webhook deleted successfully', webhook: shapeWebhook(req.webhook) });
+  }));
+
+  // Recent deliveries, newest first
+  router.get('/:id/deliveries', loadOwnWebhook, asyncHandler(async (req, res) => {
+    const deliveries = await webhookDeliveryRepository.findByWebhook(req.webhook.id);
+    res.json({ deliveries });
+  }));
+
+  router.get('/:id/deliveries/:deliveryId', loadOwnWebhook, loadDelivery, (req, res) => {
+    res.json({ delivery: req.delivery });
+  });
+
+  // Send a past delivery again as a new delivery with the same event id and body
+  router.post('/:id/deliveries/:deliveryId/redeliver', loadOwnWebhook, loadDelivery, asyncHandler(async (req, res) => {
+    if (['pending', 'sending'].includes(req.delivery.status)) {
+      return res.status(409).json({ error: 'Delivery is still in progress' });
+    }
+
+    const delivery = await dispatcher.redeliver(req.delivery);
+    res.status(202).json({ delivery, message: 'Redelivery queued' });
+  }));
+
+  return router;
+};
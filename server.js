@@ -1,30 +1,113 @@
 import express from 'express';
 import cors from 'cors';
 import http from 'http';
-import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import { Server } from 'socket.io';
-import multer from 'multer';
-import path from 'path';
-import fs from 'fs';
-import { fileURLToPath } from 'url';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import cron from 'node-cron';
+import { initStore, storeDriver } from './models/store.js';
+import { seedDemoData } from './models/seed.js';
+import { userRepository, shapeUser } from './models/userRepository.js';
+import { alertRepository } from './models/alertRepository.js';
+import { asyncHandler } from './middleware/asyncHandler.js';
+import { requestId } from './middleware/requestId.js';
+import { errorEnvelope, errorHandler, notFoundHandler } from './middleware/errors.js';
+import { validate } from './middleware/validate.js';
+import {
+  authenticate,
+  authenticateForTwoFactorSetup,
+  optionalAuthForTwoFactorSetup,
+  requirePermission
+} from './middleware/auth.js';
+import { PERMISSIONS } from './services/permissions.js';
+import { createAdminRouter } from './routes/admin.js';
+import { createSubscriptionRouter } from './routes/subscription.js';
+import { createTriggerRouter } from './routes/triggers.js';
+import { createPriceRouter } from './routes/prices.js';
+import { createAlertRouter } from './routes/alerts.js';
+import { createWatchlistRouter } from './routes/watchlists.js';
+import { createNotificationRouter } from './routes/notifications.js';
+import { createWebhookRouter } from './routes/webhooks.js';
+import { createIngestRouter } from './routes/ingest.js';
+import { createPaperRouter } from './routes/paper.js';
+import { createBacktestRouter } from './routes/backtests.js';
+import { createAvatarRouter } from './routes/avatars.js';
+import { createUploadRouter } from './routes/uploads.js';
+import { createTwoFactorRouter } from './routes/twoFactor.js';
+import { ingestEventRepository } from './models/ingestEventRepository.js';
+import { parseTime } from './routes/params.js';
+import {
+  emailField,
+  idField,
+  optional,
+  otpCodeField,
+  recoveryCodeField,
+  secretField,
+  textField,
+  timeQuery
+} from './routes/schemas.js';
+import { createTriggerEngine } from './services/triggerEngine.js';
+import { createSignalTracker } from './services/signalTracker.js';
+import { summarizePerformance } from './services/signalRules.js';
+import { createMarketDataService } from './services/marketData.js';
+import { createReplayProvider } from './services/providers/replayProvider.js';
+import { createAlertService } from './services/alertService.js';
+import { createNotificationDispatcher } from './services/notificationDispatcher.js';
+import { createEmailChannel } from './services/channels/emailChannel.js';
+import { createMailer } from './services/mailer.js';
+import { createAccountTokenService } from './services/accountTokens.js';
+import { createLoginChallenge, findLoginChallenge, completeLoginChallenge } from './services/twoFactor.js';
+import { createCounterStore } from './services/counterStore.js';
+import { createLoginThrottle, accountKey, sendThrottled } from './services/loginThrottle.js';
+import { loginAttemptRepository } from './models/loginAttemptRepository.js';
+import { isTwoFactorRequired } from './services/twoFactorPolicy.js';
+import { createTelegramChannel } from './services/channels/telegramChannel.js';
+import { createDiscordChannel } from './services/channels/discordChannel.js';
+import { createWebhookChannel } from './services/channels/webhookChannel.js';
+import { createWebhookDispatcher } from './services/webhookDispatcher.js';
+import { createPaperTradingService } from './services/paperTrading.js';
+import { createHistoricalData } from './services/historicalData.js';
+import { createBacktestRunner } from './services/backtestRunner.js';
+import { createAvatarService } from './services/avatars.js';
+import { createUploadStorage } from './services/uploadStorage.js';
+import { shapeBacktestSummary } from './models/backtestRepository.js';
+import { setupRealtime, roomStats } from './services/realtime.js';
+import {
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+  revokeByRefreshToken,
+  signAccessToken,
+  verifyAccessToken
+} from './services/auth.js';
 
 const app = express();
 const server = http.createServer(app);
 
 // --- Configuration ---
-const JWT_SECRET = process.env.JWT_SECRET || 'your-jwt-secret-change-this-in-production';
 const PORT = process.env.PORT || 3001;
+// Demo users are opt-in and never created in production
+const SEED_DEMO_DATA = process.env.SEED_DEMO_DATA === 'true' && process.env.NODE_ENV !== 'production';
+const LOGIN_AUDIT_RETENTION_DAYS = Number(process.env.LOGIN_AUDIT_RETENTION_DAYS) || 90;
+
+// Behind a load balancer set TRUST_PROXY (hop count, `true`, or an address
+// list) so req.ip, and with it per-IP login limits, sees the real client
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// --- Request IDs and the error envelope (before anything can fail) ---
+app.use(requestId);
+app.use(errorEnvelope);
 
 // --- CORS Configuration (MUST COME FIRST) ---
 app.use(cors({
   origin: '*',
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id'],
   preflightContinue: false,
   optionsSuccessStatus: 204
 }));
@@ -33,7 +116,12 @@ app.use(cors({
 app.options('*', cors());
 
 // --- Body parsing middleware ---
-app.use(express.json());
+// Keep the raw bytes around for signature verification (Stripe webhook)
+app.use(express.json({
+  verify: (req, _res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // --- Socket.io Setup ---
@@ -47,179 +135,238 @@ const io = new Server(server, {
   transports: ['polling', 'websocket']
 });
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-  console.log('🔌 User connected:', socket.id);
-  
-  // Join user to a room (optional, for user-specific notifications)
-  socket.on('join-user', (userId) => {
-    socket.join(`user-${userId}`);
-    console.log(`User ${userId} joined room user-${userId}`);
-  });
-  
-  // Handle real-time alerts
-  socket.on('new-alert', (alertData) => {
-    console.log('📢 Broadcasting new alert:', alertData);
-    io.emit('alert-update', alertData);
-  });
-  
-  // Handle trading updates
-  socket.on('price-update', (priceData) => {
-    io.emit('price-change', priceData);
-  });
-  
-  // Handle user status updates
-  socket.on('user-status', (statusData) => {
-    io.emit('user-status-change', statusData);
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('🔌 User disconnected:', socket.id);
-  });
+// --- Alerts ---
+const alertService = createAlertService();
+
+// --- Mail ---
+// One mailer for account emails and email notifications
+const mailer = createMailer();
+const accountTokens = createAccountTokenService({ mailer });
+
+const sendVerificationEmail = (user) => {
+  accountTokens.sendVerification(user)
+    .catch(error => console.error(`Sending verification email to ${user.username} failed:`, error));
+};
+
+// --- Login Protection ---
+// Per-IP and per-account limits on password and 2FA guesses; rejected
+// attempts go to the login audit trail
+const counterStore = createCounterStore();
+
+const auditLogin = (req, { user = null, login = req.body?.username, outcome, lockedOut = false }) => {
+  loginAttemptRepository.record({
+    login: typeof login === 'string' ? login.slice(0, 254) : null,
+    userId: user?.id || null,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || null,
+    outcome,
+    lockedOut
+  }).catch(error => console.error('Recording login attempt failed:', error));
+};
+
+const loginThrottle = createLoginThrottle({
+  store: counterStore,
+  onIpLimited: (req) => auditLogin(req, { outcome: 'ip-limited' })
 });
 
-// Make io available to routes (optional, for emitting from API endpoints)
-app.set('socketio', io);
+// --- Notifications ---
+// Email, Telegram, Discord and webhook delivery for users who opted in
+const notifications = createNotificationDispatcher({
+  channels: [createEmailChannel({ mailer }), createTelegramChannel(), createDiscordChannel(), createWebhookChannel()]
+});
 
-// --- File Upload Configuration ---
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
+const queueNotifications = (alert) => {
+  notifications.dispatch(alert).catch(error => console.error('Queueing notifications failed:', error));
+};
+
+// Signed alert events for partners' registered webhooks
+const webhooks = createWebhookDispatcher();
+
+const publishWebhookEvent = (event, alert, data) => {
+  webhooks.publish(event, alert, data).catch(error => console.error(`Queueing ${event} webhooks failed:`, error));
+};
+
+// --- Market Data ---
+// Single source of truth for prices: providers, REST ingestion and socket
+// clients all feed it, and every accepted tick goes to its symbol room as
+// price-change (live only, not kept for replay)
+const marketData = createMarketDataService();
+
+if (process.env.MARKET_DATA_REPLAY_FILE) {
+  marketData.addProvider(createReplayProvider({
+    file: process.env.MARKET_DATA_REPLAY_FILE,
+    speed: Number(process.env.MARKET_DATA_REPLAY_SPEED ?? 1),
+    loop: process.env.MARKET_DATA_REPLAY_LOOP === 'true'
+  }));
 }
 
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname);
-    cb(null, `profile-${uniqueSuffix}${ext}`);
+// --- Price Trigger Engine ---
+// Fired triggers go only to the owner's room
+const triggerEngine = createTriggerEngine({
+  marketData,
+  onFire: ({ alert, trigger }) => {
+    queueNotifications(alert);
+    realtime.toUser(trigger.userId, 'alert-update', {
+      type: 'new-alert',
+      alert,
+      trigger
+    });
   }
 });
 
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    // Check if file is an image
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'));
-    }
+// --- Signal Outcome Tracking ---
+// Entry, target, stop and expiry updates go to the signal's symbol room
+const signalTracker = createSignalTracker({
+  marketData,
+  onUpdate: ({ alert, events }) => {
+    realtime.toSymbol(alert.symbol, 'alert-update', {
+      type: 'signal-update',
+      alert,
+      events
+    });
+    console.log(`📈 Signal ${alert.id} ${events.map(e => e.event).join(', ')}`);
   }
 });
 
-// Serve uploaded files statically
-app.use('/uploads', express.static(uploadsDir));
-
-// --- In-memory demo data (replace with database in production) ---
-let users = [
-  {
-    id: '1',
-    username: 'admin',
-    email: 'admin@example.com',
-    password: '$2a$10$8K1p/a0dclxKxlHNDWX7.uF8C8XSqGtPKJvSbkAxHj6Z1K6Zv6Xz6', // password: admin123
-    isAdmin: true,
-    isActive: true,
-    firstName: 'Admin',
-    lastName: 'User',
-    bio: 'System administrator and trading expert',
-    phone: '+1 (555) 123-4567',
-    location: 'New York, USA',
-    website: 'https://cashflowops.pro',
-    profilePicture: null,
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  },
-  {
-    id: '2', 
-    username: 'user1',
-    email: 'user1@example.com',
-    password: '$2a$10$8K1p/a0dclxKxlHNDWX7.uF8C8XSqGtPKJvSbkAxHj6Z1K6Zv6Xz6', // password: admin123
-    isAdmin: false,
-    isActive: true,
-    firstName: 'John',
-    lastName: 'Trader',
-    bio: 'Professional trader with 5+ years experience',
-    phone: '+1 (555) 987-6543',
-    location: 'Los Angeles, USA',
-    website: 'https://johntrader.com',
-    profilePicture: null,
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  }
-];
-
-let alerts = [
-  {
-    id: '1',
-    type: 'BUY',
-    symbol: 'BTCUSD',
-    price: 45000,
-    message: 'Bitcoin buy signal triggered',
-    createdAt: new Date().toISOString(),
-    userId: '1'
+// --- Paper Trading ---
+// Limit orders fill on ticks; followers copy analysts' BUY/SELL alerts
+const paperTrading = createPaperTradingService({ marketData, alertService });
+
+// --- Backtests ---
+// Queued runs report progress and completion to their owner's room
+const historicalData = createHistoricalData();
+const backtests = createBacktestRunner({
+  historicalData,
+  onProgress: (backtest, progress) => {
+    realtime.toUser(backtest.userId, 'backtest-update', {
+      type: 'backtest-progress',
+      backtestId: backtest.id,
+      progress
+    });
   },
-  {
-    id: '2',
-    type: 'SELL', 
-    symbol: 'ETHUSD',
-    price: 3200,
-    message: 'Ethereum sell signal triggered',
-    createdAt: new Date().toISOString(),
-    userId: '1'
+  onFinish: (backtest) => {
+    realtime.toUser(backtest.userId, 'backtest-update', {
+      type: 'backtest-finished',
+      backtest: shapeBacktestSummary(backtest)
+    });
   }
-];
+});
 
-// --- Helper Functions ---
-const signToken = (user) => {
-  return jwt.sign(
-    { 
-      id: user.id, 
-      username: user.username, 
-      email: user.email,
-      isAdmin: user.isAdmin 
-    },
-    JWT_SECRET,
-    { expiresIn: '24h' }
-  );
-};
+// Socket.io authentication and client events; every broadcast below goes
+// through `realtime` so it is sequenced for reconnect replay
+const realtime = setupRealtime(io, { marketData, alertService });
 
-const shapeUser = (user) => ({
-  id: user.id,
-  username: user.username,
-  email: user.email,
-  isAdmin: user.isAdmin,
-  isActive: user.isActive,
-  firstName: user.firstName,
-  lastName: user.lastName,
-  bio: user.bio,
-  phone: user.phone,
-  location: user.location,
-  website: user.website,
-  profilePicture: user.profilePicture,
-  createdAt: user.createdAt,
-  updatedAt: user.updatedAt
+alertService.on('created', (alert) => {
+  realtime.toSymbol(alert.symbol, 'alert-update', {
+    type: 'new-alert',
+    alert
+  });
+  console.log('📢 Real-time alert broadcasted:', alert.symbol);
+  queueNotifications(alert);
+  publishWebhookEvent('alert.created', alert, { alert });
 });
 
-const authFromHeader = (req) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
-  
-  const token = authHeader.substring(7);
-  try {
-    return jwt.verify(token, JWT_SECRET);
-  } catch (error) {
-    return null;
+// Private (trigger-fired) alerts only go back to their recipient; a changed
+// symbol notifies both the old and the new symbol room
+alertService.on('edited', ({ alert, previous, revision }) => {
+  const payload = { type: 'alert-edited', alert, revision };
+  if (alert.recipientId) {
+    realtime.toUser(alert.recipientId, 'alert-update', payload);
+  } else {
+    realtime.toSymbol([previous.symbol, alert.symbol], 'alert-update', payload);
   }
+  console.log(`📢 Alert edit broadcasted: ${alert.id} (revision ${revision.revision})`);
+  publishWebhookEvent('alert.edited', alert, { alert, changes: revision.changes, revision: revision.revision });
+});
+
+// Like edits, deleting a private alert is only announced to its recipient
+alertService.on('deleted', (alert) => {
+  const payload = { type: 'alert-deleted', alertId: alert.id, alert };
+  if (alert.recipientId) {
+    realtime.toUser(alert.recipientId, 'alert-update', payload);
+  } else {
+    realtime.toSymbol(alert.symbol, 'alert-update', payload);
+  }
+  console.log('📢 Alert deletion broadcasted:', alert.id);
+  publishWebhookEvent('alert.deleted', alert, { alert });
+});
+
+marketData.on('tick', ({ previousPrice, ...tick }) => {
+  realtime.toSymbolLive(tick.symbol, 'price-change', tick);
+});
+
+// Make io available to routes (optional, for emitting from API endpoints)
+app.set('socketio', io);
+app.set('realtime', realtime);
+
+// --- File Upload Configuration ---
+// Local disk or an S3-compatible bucket (UPLOAD_STORAGE_DRIVER); see services/uploadStorage.js
+const uploadStorage = createUploadStorage();
+
+// Profile pictures are re-encoded into variants under avatars/
+const avatars = createAvatarService({ storage: uploadStorage });
+
+// Serve uploaded files (or redirect to the bucket)
+app.use('/uploads', createUploadRouter({ storage: uploadStorage }));
+
+// --- Request schemas ---
+// For the routes defined in this file; routers keep theirs alongside them
+
+const usernameField = {
+  isString: true,
+  matches: { options: [/^[A-Za-z0-9_.-]{3,30}$/] },
+  errorMessage: 'username must be 3-30 characters (letters, digits, _ . -)'
+};
+
+const passwordField = {
+  isString: true,
+  isLength: { options: { min: 8, max: 128 } },
+  errorMessage: 'password must be 8-128 characters'
+};
+
+const profileFields = {
+  firstName: optional(textField(50)),
+  lastName: optional(textField(50)),
+  bio: optional(textField(500)),
+  phone: optional(textField(30)),
+  location: optional(textField(100)),
+  website: optional(textField(200))
 };
 
+const schemas = {
+  login: {
+    body: { username: textField(254, { min: 1 }), password: secretField() }
+  },
+  twoFactorLogin: {
+    body: {
+      challengeToken: secretField(200),
+      code: optional(otpCodeField),
+      recoveryCode: optional(recoveryCodeField)
+    }
+  },
+  register: {
+    body: { username: usernameField, email: emailField, password: passwordField, ...profileFields }
+  },
+  updateProfile: {
+    body: { username: usernameField, email: emailField, ...profileFields }
+  },
+  refresh: { body: { refreshToken: secretField() } },
+  logout: { body: { refreshToken: optional(secretField()) } },
+  verifyEmail: { body: { token: secretField(200) } },
+  forgotPassword: { body: { email: emailField } },
+  resetPassword: { body: { token: secretField(200), password: passwordField } },
+  legacyProfile: { body: { token: secretField(4096) } },
+  user: { params: { userId: idField } },
+  performance: { params: { userId: idField }, query: { from: timeQuery, to: timeQuery } },
+  testSocket: { body: { message: optional(textField(500)) } }
+};
+
+// --- Helper Functions ---
+const sessionContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
 // --- Routes ---
 
 // Health check
@@ -236,16 +383,97 @@ app.get('/', (req, res) => {
     routes: [
       'GET /healthz',
       'POST /api/auth/login', 
+      'POST /api/auth/login/2fa',
       'POST /api/auth/register',
       'GET /api/auth/profile',
+      'POST /api/auth/refresh',
+      'POST /api/auth/logout',
+      'POST /api/auth/logout-all',
+      'POST /api/auth/verify-email',
+      'POST /api/auth/resend-verification',
+      'POST /api/auth/forgot-password',
+      'POST /api/auth/reset-password',
+      'GET /api/auth/2fa',
+      'POST /api/auth/2fa/enroll',
+      'POST /api/auth/2fa/verify',
+      'POST /api/auth/2fa/recovery-codes',
+      'POST /api/auth/2fa/disable',
       'PUT /api/profile/update',
       'POST /api/profile/upload-picture',
       'DELETE /api/profile/picture',
       'GET /api/users/:userId',
       'GET /api/users/active',
+      'GET /api/users/:userId/performance',
       'GET /api/alerts',
+      'GET /api/alerts/stream',
       'POST /api/alerts',
+      'PATCH /api/alerts/:id',
+      'GET /api/alerts/:id/revisions',
       'DELETE /api/alerts/:id',
+      'GET /api/triggers',
+      'POST /api/triggers',
+      'GET /api/triggers/:id',
+      'PATCH /api/triggers/:id',
+      'POST /api/triggers/:id/rearm',
+      'DELETE /api/triggers/:id',
+      'GET /api/watchlists',
+      'POST /api/watchlists',
+      'PUT /api/watchlists/order',
+      'GET /api/watchlists/:id',
+      'PATCH /api/watchlists/:id',
+      'POST /api/watchlists/:id/symbols',
+      'DELETE /api/watchlists/:id/symbols/:symbol',
+      'DELETE /api/watchlists/:id',
+      'GET /api/notifications',
+      'GET /api/notifications/preferences',
+      'PUT /api/notifications/preferences',
+      'POST /api/notifications/test',
+      'GET /api/webhooks',
+      'POST /api/webhooks',
+      'GET /api/webhooks/:id',
+      'PATCH /api/webhooks/:id',
+      'POST /api/webhooks/:id/rotate-secret',
+      'DELETE /api/webhooks/:id',
+      'GET /api/webhooks/:id/deliveries',
+      'GET /api/webhooks/:id/deliveries/:deliveryId',
+      'POST /api/webhooks/:id/deliveries/:deliveryId/redeliver',
+      'GET /api/ingest/endpoints',
+      'POST /api/ingest/endpoints',
+      'GET /api/ingest/endpoints/:id',
+      'PATCH /api/ingest/endpoints/:id',
+      'POST /api/ingest/endpoints/:id/rotate-token',
+      'DELETE /api/ingest/endpoints/:id',
+      'POST /api/ingest/:token',
+      'GET /api/paper/account',
+      'POST /api/paper/account/reset',
+      'PUT /api/paper/auto-follow',
+      'GET /api/paper/positions',
+      'GET /api/paper/orders',
+      'POST /api/paper/orders',
+      'GET /api/paper/orders/:id',
+      'DELETE /api/paper/orders/:id',
+      'GET /api/paper/trades',
+      'GET /api/backtests/symbols',
+      'GET /api/backtests',
+      'POST /api/backtests',
+      'GET /api/backtests/:id',
+      'DELETE /api/backtests/:id',
+      'GET /api/prices',
+      'POST /api/prices',
+      'GET /api/prices/:symbol/latest',
+      'GET /api/prices/:symbol/candles',
+      'GET /api/subscription/plans',
+      'GET /api/subscription',
+      'POST /api/subscription/create-checkout-session',
+      'POST /api/subscription/webhook',
+      'GET /api/admin/users',
+      'PUT /api/admin/users/:userId/role',
+      'DELETE /api/admin/users/:userId/two-factor',
+      'GET /api/admin/users/:userId/lockout',
+      'POST /api/admin/users/:userId/unlock',
+      'GET /api/admin/login-attempts',
+      'GET /api/admin/two-factor-policy',
+      'PUT /api/admin/two-factor-policy',
       'POST /api/test-socket',
       'GET /api/socket/status'
     ]
@@ -254,38 +482,91 @@ app.get('/', (req, res) => {
 
 // --- Auth Endpoints ---
 
+// Compared against when the user does not exist, so both cases take as long
+const DUMMY_PASSWORD_HASH = '$2a$10$pXD8ABip4vB4gdeE2.k0dOUVEkwCq3nNbhKWmbCP4uC7Rayy/23sS';
+
+// 429 with Retry-After while the account is locked or waiting out a delay
+const rejectThrottled = (req, res, user, blocked) => {
+  auditLogin(req, { user, login: req.body?.username || user?.username, outcome: blocked.reason });
+  return sendThrottled(res, blocked);
+};
+
 // Login handler
 const loginHandler = async (req, res) => {
-  const { username, password } = req.body || {};
+  const { username, password } = req.body;
   
-  if (!username || !password) {
-    return res.status(400).json({ error: 'Username and password required' });
-  }
+  const user = await userRepository.findByLogin(username);
+  const account = accountKey(user, username);
+
+  const blocked = await loginThrottle.check(account);
+  if (blocked) return rejectThrottled(req, res, user, blocked);
   
-  const user = users.find(u => u.username === username || u.email === username);
-  if (!user) {
+  const isValidPassword = await bcrypt.compare(password, user?.password || DUMMY_PASSWORD_HASH);
+  if (!user || !isValidPassword) {
+    const { lockedOut } = await loginThrottle.recordFailure(account);
+    auditLogin(req, { user, outcome: user ? 'invalid-password' : 'unknown-user', lockedOut });
     return res.status(401).json({ error: 'Invalid credentials' });
   }
-  
-  // For demo purposes, accept plain "admin123" or check bcrypt
-  const isValidPassword = password === 'admin123' || await bcrypt.compare(password, user.password);
-  if (!isValidPassword) {
-    return res.status(401).json({ error: 'Invalid credentials' });
+
+  // 2FA accounts get a challenge to redeem at /api/auth/login/2fa instead of a
+  // session; their failure count only resets once the code is right
+  if (user.twoFactorEnabledAt) {
+    const challenge = await createLoginChallenge(user);
+    return res.json({
+      twoFactorRequired: true,
+      ...challenge,
+      message: 'Enter the code from your authenticator app'
+    });
   }
   
-  const token = signToken(user);
+  await loginThrottle.reset(account);
+  const tokens = await createSession(user, sessionContext(req));
   return res.json({ 
-    token, 
+    ...tokens, 
     user: shapeUser(user),
+    twoFactorSetupRequired: await isTwoFactorRequired(user),
     message: 'Login successful'
   });
 };
 
-app.post('/api/login', loginHandler);          // alias
-app.post('/api/auth/login', loginHandler);     // main
+app.post('/api/login', loginThrottle.ipLimiter, validate(schemas.login), asyncHandler(loginHandler));        // alias
+app.post('/api/auth/login', loginThrottle.ipLimiter, validate(schemas.login), asyncHandler(loginHandler));   // main
+
+// Second login step for 2FA accounts: `{ challengeToken, code }` or `{ challengeToken, recoveryCode }`
+app.post('/api/auth/login/2fa', loginThrottle.ipLimiter, validate(schemas.twoFactorLogin), asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const challenge = await findLoginChallenge(challengeToken);
+  if (!challenge) {
+    return res.status(401).json({ error: 'Invalid or expired login challenge' });
+  }
+
+  const account = accountKey({ id: challenge.userId });
+  const blocked = await loginThrottle.check(account);
+  if (blocked) return rejectThrottled(req, res, { id: challenge.userId }, blocked);
+
+  const result = await completeLoginChallenge(challenge, { code, recoveryCode });
+  if (result.error) {
+    if (result.status === 401) {
+      const { lockedOut } = await loginThrottle.recordFailure(account);
+      auditLogin(req, { user: { id: challenge.userId }, login: null, outcome: 'invalid-2fa-code', lockedOut });
+    }
+    return res.status(result.status).json({ error: result.error });
+  }
+
+  const { user, method, recoveryCodesRemaining } = result.value;
+  await loginThrottle.reset(account);
+  const tokens = await createSession(user, sessionContext(req));
+  return res.json({
+    ...tokens,
+    user: shapeUser(user),
+    ...(method === 'recovery-code' && { recoveryCodesRemaining }),
+    message: 'Login successful'
+  });
+}));
 
 // Register
-app.post('/api/auth/register', async (req, res) => {
+app.post('/api/auth/register', validate(schemas.register), asyncHandler(async (req, res) => {
   const { 
     username, 
     email, 
@@ -296,14 +577,10 @@ app.post('/api/auth/register', async (req, res) => {
     phone, 
     location, 
     website 
-  } = req.body || {};
-  
-  if (!username || !email || !password) {
-    return res.status(400).json({ error: 'Username, email, and password are required' });
-  }
+  } = req.body;
   
   // Check if user already exists
-  const existingUser = users.find(u => u.username === username || u.email === email);
+  const existingUser = await userRepository.findConflicting({ username, email });
   if (existingUser) {
     return res.status(409).json({ error: 'Username or email already exists' });
   }
@@ -312,102 +589,172 @@ app.post('/api/auth/register', async (req, res) => {
   const hashedPassword = await bcrypt.hash(password, 10);
   
   // Create new user
-  const newUser = {
-    id: (users.length + 1).toString(),
+  const newUser = await userRepository.create({
     username,
     email,
     password: hashedPassword,
+    role: 'member',
     isAdmin: false,
     isActive: true,
+    emailVerifiedAt: null,
     firstName: firstName || '',
     lastName: lastName || '',
     bio: bio || '',
     phone: phone || '',
     location: location || '',
     website: website || '',
-    profilePicture: null,
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString()
-  };
-  
-  users.push(newUser);
+    profilePicture: null
+  });
   
-  const token = signToken(newUser);
+  sendVerificationEmail(newUser);
+
+  const tokens = await createSession(newUser, sessionContext(req));
   return res.status(201).json({ 
-    token, 
+    ...tokens, 
     user: shapeUser(newUser),
     message: 'Registration successful'
   });
-});
+}));
 
 // Profile
-app.get('/api/auth/profile', (req, res) => {
-  const decoded = authFromHeader(req);
-  if (!decoded) return res.status(401).json({ error: 'Unauthorized' });
-  
-  const user = users.find(u => u.id === decoded.id);
+app.get('/api/auth/profile', authenticateForTwoFactorSetup, asyncHandler(async (req, res) => {
+  const user = await userRepository.findById(req.user.id);
   if (!user) return res.status(404).json({ error: 'User not found' });
   
   res.json({ user: shapeUser(user) });
-});
+}));
 
-// Legacy profile endpoint (if needed)
-app.post('/api/profile', (req, res) => {
-  const { token } = req.body || {};
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = users.find(u => u.id === decoded.id);
-    if (!user) return res.status(404).json({ error: 'User not found' });
-    res.json({ user: shapeUser(user) });
-  } catch (error) {
-    res.status(401).json({ error: 'Invalid token' });
+// Exchange a refresh token for a new access/refresh token pair
+app.post('/api/auth/refresh', validate(schemas.refresh), asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const result = await refreshSession(refreshToken);
+  if (result.error === 'reused') {
+    return res.status(401).json({ error: 'Refresh token reuse detected - session revoked' });
+  }
+  if (result.error) {
+    return res.status(401).json({ error: 'Invalid or expired refresh token' });
   }
-});
 
-// Protected route example
-app.get('/api/secure', (req, res) => {
-  const decoded = authFromHeader(req);
-  if (!decoded) return res.status(403).json({ error: 'No or bad token' });
-  res.json({ 
-    message: `Welcome ${decoded.username}! You have access.`,
-    user: decoded
+  res.json({
+    ...result.tokens,
+    user: shapeUser(result.user)
   });
-});
+}));
 
-// --- Profile Management Endpoints ---
+// Logout the current session (by access token or refresh token)
+app.post('/api/auth/logout', optionalAuthForTwoFactorSetup, validate(schemas.logout), asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body || {};
 
-// Upload profile picture
-app.post('/api/profile/upload-picture', upload.single('profilePicture'), (req, res) => {
-  const decoded = authFromHeader(req);
-  if (!decoded) return res.status(401).json({ error: 'Unauthorized' });
+  const revoked = req.user
+    ? await revokeSession(req.user.sid)
+    : refreshToken && await revokeByRefreshToken(refreshToken);
 
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+  if (!req.user && !revoked) {
+    return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  // Generate the URL for the uploaded file
-  const fileUrl = `/uploads/${req.file.filename}`;
-  
+  res.json({ success: true, message: 'Logged out successfully' });
+}));
+
+// Logout every session of the current user
+app.post('/api/auth/logout-all', authenticateForTwoFactorSetup, asyncHandler(async (req, res) => {
+  const revokedSessions = await revokeAllSessions(req.user.id);
+
   res.json({
     success: true,
-    message: 'Profile picture uploaded successfully',
-    profilePicture: fileUrl,
-    file: {
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      size: req.file.size,
-      mimetype: req.file.mimetype
-    }
+    message: 'Logged out from all devices',
+    revokedSessions
+  });
+}));
+
+// Confirm an email address with the token from the verification email
+app.post('/api/auth/verify-email', validate(schemas.verifyEmail), asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const result = await accountTokens.verifyEmail(token);
+  if (result.error) {
+    return res.status(400).json({ error: 'Invalid or expired verification token' });
+  }
+
+  res.json({
+    success: true,
+    message: 'Email verified',
+    user: shapeUser(result.user)
+  });
+}));
+
+// Send a fresh verification email; older links stop working
+app.post('/api/auth/resend-verification', authenticate, asyncHandler(async (req, res) => {
+  const user = await userRepository.findById(req.user.id);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  if (user.emailVerifiedAt) {
+    return res.status(409).json({ error: 'Email is already verified' });
+  }
+
+  await accountTokens.sendVerification(user);
+  res.json({ success: true, message: 'Verification email sent' });
+}));
+
+// Always answers the same way so it cannot be used to probe for accounts
+app.post('/api/auth/forgot-password', validate(schemas.forgotPassword), asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  accountTokens.requestPasswordReset(email.trim())
+    .catch(error => console.error('Sending password reset email failed:', error));
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  });
+}));
+
+// Set a new password with the token from the reset email; signs out every session
+app.post('/api/auth/reset-password', validate(schemas.resetPassword), asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const result = await accountTokens.resetPassword(token, password);
+  if (result.error) {
+    return res.status(400).json({ error: 'Invalid or expired reset token' });
+  }
+
+  res.json({
+    success: true,
+    message: 'Password has been reset; please log in again',
+    revokedSessions: result.revokedSessions
+  });
+}));
+
+// TOTP enrollment and management; reachable while 2FA setup is still owed
+app.use('/api/auth/2fa', authenticateForTwoFactorSetup, createTwoFactorRouter({ loginThrottle, auditLogin }));
+
+// Legacy profile endpoint (if needed)
+app.post('/api/profile', validate(schemas.legacyProfile), asyncHandler(async (req, res) => {
+  const { token } = req.body;
+  const decoded = await verifyAccessToken(token);
+  if (!decoded) return res.status(401).json({ error: 'Invalid token' });
+  const user = await userRepository.findById(decoded.id);
+  if (!user) return res.status(404).json({ error: 'User not found' });
+  res.json({ user: shapeUser(user) });
+}));
+
+// Protected route example
+app.get('/api/secure', authenticate, (req, res) => {
+  res.json({ 
+    message: `Welcome ${req.user.username}! You have access.`,
+    user: req.user
   });
 });
 
-// Update profile
-app.put('/api/profile/update', (req, res) => {
-  const decoded = authFromHeader(req);
-  if (!decoded) return res.status(401).json({ error: 'Unauthorized' });
+// --- Profile Management Endpoints ---
+
+// Upload (POST /upload-picture) and delete (DELETE /picture) profile picture
+app.use('/api/profile', createAvatarRouter({ avatars }));
 
-  const userIndex = users.findIndex(u => u.id === decoded.id);
-  if (userIndex === -1) {
+// Update profile
+app.put('/api/profile/update', authenticate, validate(schemas.updateProfile), asyncHandler(async (req, res) => {
+  const user = await userRepository.findById(req.user.id);
+  if (!user) {
     return res.status(404).json({ error: 'User not found' });
   }
 
@@ -419,42 +766,39 @@ app.put('/api/profile/update', (req, res) => {
     bio,
     phone,
     location,
-    website,
-    profilePicture
+    website
   } = req.body;
 
-  // Validate required fields
-  if (!username || !email) {
-    return res.status(400).json({ error: 'Username and email are required' });
-  }
-
   // Check if username or email is taken by another user
-  const existingUser = users.find(u => 
-    u.id !== decoded.id && (u.username === username || u.email === email)
-  );
+  const existingUser = await userRepository.findConflicting({
+    username,
+    email,
+    excludeId: req.user.id
+  });
   if (existingUser) {
     return res.status(409).json({ error: 'Username or email already taken' });
   }
 
+  // A new address has to be verified again
+  const emailChanged = email !== user.email;
+
   // Update user data
-  users[userIndex] = {
-    ...users[userIndex],
+  const updatedUser = await userRepository.update(user.id, {
     username,
     email,
-    firstName: firstName || users[userIndex].firstName,
-    lastName: lastName || users[userIndex].lastName,
-    bio: bio || users[userIndex].bio,
-    phone: phone || users[userIndex].phone,
-    location: location || users[userIndex].location,
-    website: website || users[userIndex].website,
-    profilePicture: profilePicture || users[userIndex].profilePicture,
-    updatedAt: new Date().toISOString()
-  };
-
-  const updatedUser = users[userIndex];
+    ...(emailChanged && { emailVerifiedAt: null }),
+    firstName: firstName || user.firstName,
+    lastName: lastName || user.lastName,
+    bio: bio || user.bio,
+    phone: phone || user.phone,
+    location: location || user.location,
+    website: website || user.website
+  });
+  if (emailChanged) sendVerificationEmail(updatedUser);
 
-  // Generate new JWT token with updated info
-  const newToken = signToken(updatedUser);
+  // Re-issue the access token with the updated claims, keeping the current
+  // token's expiry rather than granting a fresh lifetime
+  const newToken = signAccessToken(updatedUser, req.user.sid, { expiresAt: req.user.exp });
 
   res.json({
     success: true,
@@ -462,45 +806,13 @@ app.put('/api/profile/update', (req, res) => {
     user: shapeUser(updatedUser),
     token: newToken
   });
-});
-
-// Delete profile picture
-app.delete('/api/profile/picture', (req, res) => {
-  const decoded = authFromHeader(req);
-  if (!decoded) return res.status(401).json({ error: 'Unauthorized' });
-
-  const userIndex = users.findIndex(u => u.id === decoded.id);
-  if (userIndex === -1) {
-    return res.status(404).json({ error: 'User not found' });
-  }
-
-  const user = users[userIndex];
-  
-  // Delete the old file if it exists
-  if (user.profilePicture && user.profilePicture.startsWith('/uploads/')) {
-    const filePath = path.join(__dirname, user.profilePicture);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
-  }
-
-  // Update user record
-  users[userIndex].profilePicture = null;
-  users[userIndex].updatedAt = new Date().toISOString();
-
-  res.json({
-    success: true,
-    message: 'Profile picture deleted successfully',
-    user: shapeUser(users[userIndex])
-  });
-});
+}));
 
 // --- Data Endpoints ---
 
-// Active users list (SPECIFIC route - must come FIRST)
-app.get('/api/users/active', (_req, res) => {
-  const activeUsers = users
-    .filter(u => u.isActive)
+// Active users list (SPECIFIC route - must come FIRST); admins only, it lists email addresses
+app.get('/api/users/active', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), asyncHandler(async (_req, res) => {
+  const activeUsers = (await userRepository.findActive())
     .map(u => ({
       _id: u.id,
       username: u.username,
@@ -509,12 +821,12 @@ app.get('/api/users/active', (_req, res) => {
     }));
   
   res.json(activeUsers);
-});
+}));
 
 // Get public user profile (PARAMETERIZED route - comes AFTER)
-app.get('/api/users/:userId', (req, res) => {
+app.get('/api/users/:userId', validate(schemas.user), asyncHandler(async (req, res) => {
   const { userId } = req.params;
-  const user = users.find(u => u.id === userId);
+  const user = await userRepository.findById(userId);
 
   if (!user) {
     return res.status(404).json({ error: 'User not found' });
@@ -530,97 +842,58 @@ app.get('/api/users/:userId', (req, res) => {
     location: user.location,
     website: user.website,
     profilePicture: user.profilePicture,
+    avatar: user.avatar?.sizes || null,
     isActive: user.isActive,
     createdAt: user.createdAt
   };
 
   res.json({ user: publicProfile });
-});
+}));
 
-// Get alerts
-app.get('/api/alerts', (req, res) => {
-  const { type } = req.query;
-  const filteredAlerts = type && type !== 'ALL' 
-    ? alerts.filter(a => a.type === type) 
-    : alerts;
-  
-  const sortedAlerts = filteredAlerts.sort(
-    (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
-  );
-  
-  res.json(sortedAlerts);
-});
+// Signal track record for an analyst: win rate and R-multiples of closed signals
+app.get('/api/users/:userId/performance', validate(schemas.performance), asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const from = parseTime(req.query.from);
+  const to = parseTime(req.query.to);
 
-// Create alert
-app.post('/api/alerts', (req, res) => {
-  const decoded = authFromHeader(req);
-  // Optional: require authentication
-  // if (!decoded) return res.status(403).json({ error: 'Authentication required' });
-  
-  const { type, symbol, price, message } = req.body || {};
-  
-  if (!type || !symbol || !price) {
-    return res.status(400).json({ error: 'Missing required fields: type, symbol, price' });
-  }
-  
-  const newAlert = {
-    id: (alerts.length + 1).toString(),
-    type,
-    symbol: symbol.toUpperCase(),
-    price: parseFloat(price),
-    message: message || `${type} signal for ${symbol}`,
-    createdAt: new Date().toISOString(),
-    userId: decoded?.id || 'anonymous'
-  };
-  
-  alerts.push(newAlert);
-  
-  // Emit real-time alert to all connected clients
-  const io = req.app.get('socketio');
-  if (io) {
-    io.emit('alert-update', {
-      type: 'new-alert',
-      alert: newAlert
-    });
-    console.log('📢 Real-time alert broadcasted:', newAlert.symbol);
+  const user = await userRepository.findById(userId);
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
   }
-  
-  res.status(201).json({
-    alert: newAlert,
-    message: 'Alert created successfully'
-  });
-});
 
-// Delete alert
-app.delete('/api/alerts/:id', (req, res) => {
-  const { id } = req.params;
-  const alertIndex = alerts.findIndex(a => a.id === id);
-  
-  if (alertIndex === -1) {
-    return res.status(404).json({ error: 'Alert not found' });
-  }
-  
-  const deletedAlert = alerts.splice(alertIndex, 1)[0];
-  
-  // Emit real-time update for alert deletion
-  const io = req.app.get('socketio');
-  if (io) {
-    io.emit('alert-update', {
-      type: 'alert-deleted',
-      alertId: id,
-      alert: deletedAlert
-    });
-    console.log('📢 Alert deletion broadcasted:', id);
-  }
-  
-  res.json({ 
-    message: 'Alert deleted successfully', 
-    alert: deletedAlert 
+  const signals = await alertRepository.findSignalsByAuthor(userId, { from: from.value, to: to.value });
+
+  res.json({
+    userId,
+    username: user.username,
+    from: from.value || null,
+    to: to.value || null,
+    performance: summarizePerformance(signals)
   });
-});
+}));
 
-// Test socket endpoint
-app.post('/api/test-socket', (req, res) => {
+// --- Alert Endpoints ---
+app.use('/api/alerts', createAlertRouter({ alertService, eventLog: realtime.eventLog }));
+
+// --- Trigger & Price Endpoints ---
+app.use('/api/triggers', authenticate, createTriggerRouter());
+app.use('/api/watchlists', authenticate, createWatchlistRouter());
+app.use('/api/notifications', authenticate, createNotificationRouter({ dispatcher: notifications }));
+app.use('/api/webhooks', authenticate, createWebhookRouter({ dispatcher: webhooks }));
+app.use('/api/ingest', createIngestRouter({ alertService }));
+app.use('/api/paper', authenticate, createPaperRouter({ paperTrading }));
+app.use('/api/backtests', authenticate, requirePermission(PERMISSIONS.ALERTS_CREATE),
+  createBacktestRouter({ runner: backtests, historicalData }));
+app.use('/api/prices', createPriceRouter({ marketData }));
+
+// --- Subscription Endpoints ---
+app.use('/api/subscription', createSubscriptionRouter());
+
+// --- Admin Endpoints ---
+app.use('/api/admin', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), createAdminRouter({ loginThrottle }));
+
+// Test socket endpoint; broadcasts to every client, so admins only
+app.post('/api/test-socket', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), validate(schemas.testSocket), (req, res) => {
   const { message, data } = req.body || {};
   const io = req.app.get('socketio');
   
@@ -629,7 +902,7 @@ app.post('/api/test-socket', (req, res) => {
   }
   
   // Broadcast test message
-  io.emit('test-message', {
+  req.app.get('realtime').toAll('test-message', {
     message: message || 'Test message from server',
     data: data || { timestamp: new Date().toISOString() },
     serverTime: new Date().toISOString()
@@ -649,49 +922,127 @@ app.get('/api/socket/status', (req, res) => {
   res.json({
     socketEnabled: !!io,
     connectedClients: io ? io.engine.clientsCount : 0,
+    subscriptions: io ? roomStats(io) : { allSymbols: 0, symbols: {} },
+    stream: { epoch: realtime.eventLog.epoch, latestSeq: realtime.eventLog.latestSeq() },
     serverTime: new Date().toISOString()
   });
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('Error:', error);
-  res.status(500).json({ 
-    error: 'Internal server error',
-    message: error.message 
-  });
-});
-
 // 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ 
-    error: 'Route not found',
-    path: req.originalUrl,
-    method: req.method
-  });
-});
+app.use('*', notFoundHandler);
+
+// Error handling middleware; see middleware/errors.js for the response format
+app.use(errorHandler);
 
 // --- Start Server ---
+await initStore();
+await counterStore.connect();
+const demoLogins = SEED_DEMO_DATA ? await seedDemoData() : null;
+if (demoLogins) {
+  console.log('🌱 Seeded demo users and alerts. These passwords are shown only once:');
+  demoLogins.forEach(({ username, password }) => console.log(`   ${username} / ${password}`));
+}
+
+triggerEngine.start();
+signalTracker.start();
+notifications.start();
+webhooks.start();
+paperTrading.start();
+await backtests.start();
+
+// Inbound fires older than the longest dedupe window, expired account tokens
+// and login audit entries past retention can be forgotten
+cron.schedule('15 * * * *', () => {
+  ingestEventRepository.removeOlderThan(new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString())
+    .catch(error => console.error('Ingest event cleanup failed:', error));
+  accountTokens.removeExpired()
+    .catch(error => console.error('Account token cleanup failed:', error));
+  loginAttemptRepository.removeOlderThan(new Date(Date.now() - LOGIN_AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString())
+    .catch(error => console.error('Login audit cleanup failed:', error));
+});
+await marketData.start();
+
 server.listen(PORT, () => {
   console.log(`🚀 RTi Backend Server running on port ${PORT}`);
+  console.log(`🗄️  Storage driver: ${storeDriver()}`);
   console.log(`🔌 Socket.io enabled with CORS support`);
-  console.log(`📁 File uploads enabled - storing in: ${uploadsDir}`);
+  console.log(`📁 Upload storage: ${uploadStorage.describe()}`);
+  console.log(`✉️  Mail transport: ${mailer.name}`);
+  console.log(`🧮 Rate limit store: ${counterStore.describe()}`);
   console.log(`📋 Available routes:`);
   console.log(`   GET  /                           - Server info & status`);
   console.log(`   GET  /healthz                    - Health check`);
   console.log(`   POST /api/auth/login             - User login`);
+  console.log(`   POST /api/auth/login/2fa         - Complete login with a 2FA code`);
   console.log(`   POST /api/auth/register          - User registration`);
   console.log(`   GET  /api/auth/profile           - Get user profile`);
+  console.log(`   POST /api/auth/refresh           - Rotate refresh token`);
+  console.log(`   POST /api/auth/logout            - Logout current session`);
+  console.log(`   POST /api/auth/logout-all        - Logout all devices`);
+  console.log(`   POST /api/auth/verify-email      - Confirm email address`);
+  console.log(`   POST /api/auth/resend-verification - Resend verification email`);
+  console.log(`   POST /api/auth/forgot-password   - Request password reset email`);
+  console.log(`   POST /api/auth/reset-password    - Set new password from reset token`);
+  console.log(`   GET  /api/auth/2fa               - Two-factor status`);
+  console.log(`   POST /api/auth/2fa/enroll        - Start TOTP enrollment`);
+  console.log(`   POST /api/auth/2fa/verify        - Confirm enrollment, get recovery codes`);
+  console.log(`   POST /api/auth/2fa/recovery-codes - Regenerate recovery codes`);
+  console.log(`   POST /api/auth/2fa/disable       - Turn off 2FA`);
   console.log(`   PUT  /api/profile/update         - Update user profile`);
   console.log(`   POST /api/profile/upload-picture - Upload profile picture`);
   console.log(`   DELETE /api/profile/picture      - Delete profile picture`);
   console.log(`   GET  /api/users/:userId          - Get public user profile`);
-  console.log(`   GET  /api/users/active           - Get active users`);
-  console.log(`   GET  /api/alerts                 - Get alerts`);
+  console.log(`   GET  /api/users/active           - Get active users (admin)`);
+  console.log(`   GET  /api/users/:userId/performance - Analyst signal performance`);
+  console.log(`   GET  /api/alerts                 - Search alerts (cursor-paginated)`);
+  console.log(`   GET  /api/alerts/stream          - Alert events (Server-Sent Events)`);
   console.log(`   POST /api/alerts                 - Create alert`);
+  console.log(`   PATCH /api/alerts/:id            - Edit alert (keeps revisions)`);
+  console.log(`   GET  /api/alerts/:id/revisions   - Alert edit history`);
   console.log(`   DELETE /api/alerts/:id           - Delete alert`);
-  console.log(`   POST /api/test-socket            - Test socket broadcast`);
+  console.log(`   GET  /api/triggers               - List price triggers`);
+  console.log(`   POST /api/triggers               - Create price trigger`);
+  console.log(`   PATCH /api/triggers/:id          - Update price trigger`);
+  console.log(`   POST /api/triggers/:id/rearm     - Re-arm price trigger`);
+  console.log(`   DELETE /api/triggers/:id         - Delete price trigger`);
+  console.log(`   GET  /api/watchlists             - List watchlists`);
+  console.log(`   POST /api/watchlists             - Create watchlist`);
+  console.log(`   PUT  /api/watchlists/order       - Reorder watchlists`);
+  console.log(`   PATCH /api/watchlists/:id        - Rename watchlist / reorder symbols`);
+  console.log(`   POST /api/watchlists/:id/symbols - Add symbols to watchlist`);
+  console.log(`   DELETE /api/watchlists/:id       - Delete watchlist`);
+  console.log(`   GET  /api/notifications          - Notification delivery history`);
+  console.log(`   PUT  /api/notifications/preferences - Channels, filters and quiet hours`);
+  console.log(`   POST /api/notifications/test     - Send a test notification`);
+  console.log(`   POST /api/webhooks               - Register partner webhook`);
+  console.log(`   GET  /api/webhooks/:id/deliveries - Webhook delivery log`);
+  console.log(`   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - Redeliver webhook event`);
+  console.log(`   POST /api/ingest/endpoints       - Create inbound alert webhook`);
+  console.log(`   POST /api/ingest/:token          - Inbound alert (TradingView etc.)`);
+  console.log(`   GET  /api/paper/account          - Paper trading balance & P&L`);
+  console.log(`   POST /api/paper/orders           - Place paper market/limit order`);
+  console.log(`   PUT  /api/paper/auto-follow      - Copy analysts' BUY/SELL alerts`);
+  console.log(`   GET  /api/paper/trades           - Paper trade history`);
+  console.log(`   POST /api/backtests              - Backtest a trigger rule or signal`);
+  console.log(`   GET  /api/backtests/:id          - Backtest status and results`);
+  console.log(`   GET  /api/prices                 - Latest prices (?symbol=, ?watchlist=)`);
+  console.log(`   POST /api/prices                 - Ingest price ticks`);
+  console.log(`   GET  /api/prices/:symbol/latest  - Latest price for symbol`);
+  console.log(`   GET  /api/prices/:symbol/candles - OHLCV candle history`);
+  console.log(`   GET  /api/subscription/plans     - Subscription plans`);
+  console.log(`   GET  /api/subscription           - Current subscription`);
+  console.log(`   POST /api/subscription/create-checkout-session - Start Stripe checkout`);
+  console.log(`   POST /api/subscription/webhook   - Stripe webhook`);
+  console.log(`   GET  /api/admin/users            - List users (admin)`);
+  console.log(`   PUT  /api/admin/users/:userId/role - Assign user role (admin)`);
+  console.log(`   DELETE /api/admin/users/:userId/two-factor - Reset a user's 2FA (admin)`);
+  console.log(`   GET  /api/admin/users/:userId/lockout - Login lockout state (admin)`);
+  console.log(`   POST /api/admin/users/:userId/unlock - Lift a login lockout (admin)`);
+  console.log(`   GET  /api/admin/login-attempts   - Rejected login audit trail (admin)`);
+  console.log(`   GET  /api/admin/two-factor-policy - Roles required to use 2FA (admin)`);
+  console.log(`   PUT  /api/admin/two-factor-policy - Require 2FA for admin/analyst (admin)`);
+  console.log(`   POST /api/test-socket            - Test socket broadcast (admin)`);
   console.log(`   GET  /api/socket/status          - Socket connection status`);
   console.log(`   GET  /uploads/*                  - Serve uploaded files`);
-  console.log(`🌐 Socket.io events: connection, new-alert, price-update, user-status`);
+  console.log(`🌐 Socket.io events: authenticate, subscribe, unsubscribe, resume, new-alert, price-update, user-status (JWT handshake required)`);
 });
\ No newline at end of file
@@ -0,0 +1,118 @@
+// services/accountTokens.js - Email verification and password reset flows
+//
+// Both flows email the user a link carrying a random token. Only its sha256
+// hash is stored; tokens expire (EMAIL_VERIFICATION_TTL_HOURS, default 48;
+// PASSWORD_RESET_TTL_MINUTES, default 60), are redeemed at most once, and
+// sending a new link retires the user's older ones. Links point at
+// FRONTEND_URL. A successful password reset revokes every session.
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { accountTokenRepository } from '../models/accountTokenRepository.js';
+import { userRepository } from '../models/userRepository.js';
+import { revokeAllSessions } from './auth.js';
+
+export const TOKEN_PURPOSES = {
+  VERIFY_EMAIL: 'verify-email',
+  RESET_PASSWORD: 'reset-password'
+};
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://cashflowops.pro';
+const VERIFICATION_TTL_MS = (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60 * 60 * 1000;
+const RESET_TTL_MS = (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const issueToken = async (userId, purpose, ttlMs) => {
+  await accountTokenRepository.consumeAllForUser(userId, purpose);
+  const token = crypto.randomBytes(32).toString('base64url');
+  await accountTokenRepository.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs).toISOString()
+  });
+  return token;
+};
+
+// Resolves to `{ user }` or `{ error }`; the token is used up on success
+const redeemToken = async (token, purpose) => {
+  if (typeof token !== 'string' || !token) return { error: 'invalid' };
+
+  const record = await accountTokenRepository.findByHash(hashToken(token), purpose);
+  if (!record || record.usedAt) return { error: 'invalid' };
+  if (new Date(record.expiresAt) <= new Date()) return { error: 'expired' };
+
+  const user = await userRepository.findById(record.userId);
+  if (!user || !user.isActive) return { error: 'invalid' };
+
+  // Lost the race against a concurrent redemption of the same token
+  if (!await accountTokenRepository.consume(record.id)) return { error: 'invalid' };
+
+  return { user };
+};
+
+export const createAccountTokenService = ({ mailer }) => ({
+  async sendVerification(user) {
+    const token = await issueToken(user.id, TOKEN_PURPOSES.VERIFY_EMAIL, VERIFICATION_TTL_MS);
+    await mailer.send({
+      to: user.email,
+      subject: 'Confirm your email address',
+      text: [
+        `Hi ${user.firstName || user.username},`,
+        '',
+        'Confirm your email address by opening this link:',
+        `${FRONTEND_URL}/verify-email?token=${token}`,
+        '',
+        `The link expires in ${Math.round(VERIFICATION_TTL_MS / 3600000)} hours.`
+      ].join('\n')
+    });
+  },
+
+  // Resolves to `{ user }` (updated) or `{ error: 'invalid' | 'expired' }`
+  async verifyEmail(token) {
+    const result = await redeemToken(token, TOKEN_PURPOSES.VERIFY_EMAIL);
+    if (result.error) return result;
+
+    const { user } = result;
+    if (user.emailVerifiedAt) return { user };
+    return { user: await userRepository.update(user.id, { emailVerifiedAt: new Date().toISOString() }) };
+  },
+
+  // Sends a reset link if `email` is the verified address of an active
+  // account; callers must not reveal whether it did. An unverified address
+  // may be a typo, and the link would hand its owner the account.
+  async requestPasswordReset(email) {
+    const user = await userRepository.findByEmail(email);
+    if (!user || !user.isActive || !user.emailVerifiedAt) return;
+
+    const token = await issueToken(user.id, TOKEN_PURPOSES.RESET_PASSWORD, RESET_TTL_MS);
+    await mailer.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.firstName || user.username},`,
+        '',
+        'Someone asked to reset the password for your account. To choose a new one, open this link:',
+        `${FRONTEND_URL}/reset-password?token=${token}`,
+        '',
+        `The link expires in ${Math.round(RESET_TTL_MS / 60000)} minutes. If you did not ask for this, ignore this email.`
+      ].join('\n')
+    });
+  },
+
+  // Resolves to `{ user, revokedSessions }` or `{ error: 'invalid' | 'expired' }`
+  async resetPassword(token, password) {
+    const result = await redeemToken(token, TOKEN_PURPOSES.RESET_PASSWORD);
+    if (result.error) return result;
+
+    const { user } = result;
+    const updated = await userRepository.update(user.id, { password: await bcrypt.hash(password, 10) });
+    await accountTokenRepository.consumeAllForUser(user.id, TOKEN_PURPOSES.RESET_PASSWORD);
+    const revokedSessions = await revokeAllSessions(user.id, 'password-reset');
+    console.log(`🔑 Password reset for ${user.username}; revoked ${revokedSessions} session(s)`);
+
+    return { user: updated, revokedSessions };
+  },
+
+  removeExpired: () => accountTokenRepository.removeExpiredBefore(new Date().toISOString())
+});
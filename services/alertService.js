@@ -0,0 +1,121 @@
+// services/alertService.js - Single creation/deletion path for published alerts
+//
+// REST handlers and socket events go through here so every alert is validated
+// and persisted the same way. Delivery channels subscribe to:
+//   'created' - the new alert
+//   'edited'  - `{ alert, previous, revision }` after a PATCH
+//   'deleted' - the removed alert
+import { EventEmitter } from 'events';
+import { alertRepository } from '../models/alertRepository.js';
+import { alertRevisionRepository } from '../models/alertRevisionRepository.js';
+import { validateSignal, initialOutcome } from './signalRules.js';
+
+export const MAX_MESSAGE_LENGTH = 1000;
+
+// Fields an author can change after publishing
+export const EDITABLE_FIELDS = ['type', 'symbol', 'price', 'message', 'signal'];
+
+// `{ field: { from, to } }` for every editable field that differs
+const diffAlert = (before, after) => Object.fromEntries(
+  EDITABLE_FIELDS
+    .filter(field => field in after && JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => [field, { from: before[field] ?? null, to: after[field] }])
+);
+
+// Returns `{ value }` or `{ error }`. An optional `signal` block turns the
+// alert into a tracked trade signal (see signalRules.js).
+export const validateAlertInput = (input = {}) => {
+  const { type, symbol, price, message, signal } = input;
+
+  if (!type || !symbol || price === undefined || price === null || price === '') {
+    return { error: 'Missing required fields: type, symbol, price' };
+  }
+  if (typeof type !== 'string' || !/^[A-Za-z_]{1,20}$/.test(type.trim())) {
+    return { error: 'type must be a word of at most 20 letters' };
+  }
+  if (typeof symbol !== 'string' || !/^[A-Za-z0-9._:/-]{1,20}$/.test(symbol.trim())) {
+    return { error: 'symbol must be 1-20 characters (letters, digits, . _ : / -)' };
+  }
+  const numericPrice = typeof price === 'string' ? Number(price) : price;
+  if (typeof numericPrice !== 'number' || !Number.isFinite(numericPrice) || numericPrice <= 0) {
+    return { error: 'price must be a positive number' };
+  }
+  if (message !== undefined && message !== null
+    && (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH)) {
+    return { error: `message must be a string of at most ${MAX_MESSAGE_LENGTH} characters` };
+  }
+
+  const value = {
+    type: type.trim(),
+    symbol: symbol.trim().toUpperCase(),
+    price: numericPrice,
+    message: message || `${type.trim()} signal for ${symbol.trim()}`
+  };
+
+  if (signal !== undefined && signal !== null) {
+    const checked = validateSignal(signal, { type: value.type, price: numericPrice });
+    if (checked.error) return { error: checked.error };
+    value.signal = checked.value;
+  }
+
+  return { value };
+};
+
+export const createAlertService = () => {
+  const events = new EventEmitter();
+
+  return {
+    on: (event, listener) => events.on(event, listener),
+    off: (event, listener) => events.off(event, listener),
+
+    // `input` must already have passed validateAlertInput
+    async create(input, author) {
+      const alert = await alertRepository.create({
+        ...input,
+        ...(input.signal && { outcome: initialOutcome(new Date().toISOString()) }),
+        userId: author.id
+      });
+      events.emit('created', alert);
+      return alert;
+    },
+
+    /**
+     * Apply validated changes to `alert` and record them as a revision.
+     * Resolves to `{ alert, revision }` (revision null when nothing changed),
+     * or `{ conflict: true }` if the alert changed underneath the edit.
+     */
+    async edit(alert, changes, editor) {
+      const diff = diffAlert(alert, changes);
+      if (Object.keys(diff).length === 0) return { alert, revision: null };
+
+      const editedAt = new Date().toISOString();
+      const number = (alert.revision || 0) + 1;
+      const patch = Object.fromEntries(Object.entries(diff).map(([field, { to }]) => [field, to]));
+      const updated = await alertRepository.applyEdit(
+        alert,
+        { ...patch, revision: number, editedAt },
+        { requirePending: Boolean(diff.signal || ((diff.symbol || diff.price) && alert.signal)) }
+      );
+      if (!updated) return { conflict: true };
+
+      const revision = await alertRevisionRepository.create({
+        alertId: alert.id,
+        revision: number,
+        editorId: editor.id,
+        editorUsername: editor.username,
+        editedAt,
+        changes: diff
+      });
+      events.emit('edited', { alert: updated, previous: alert, revision });
+      return { alert: updated, revision };
+    },
+
+    async remove(id) {
+      const alert = await alertRepository.remove(id);
+      if (!alert) return null;
+      await alertRevisionRepository.removeByAlert(id);
+      events.emit('deleted', alert);
+      return alert;
+    }
+  };
+};
@@ -0,0 +1,160 @@
+// services/auth.js - Access tokens, refresh-token rotation and session revocation
+//
+// Access tokens are short-lived JWTs carrying the session id (`sid`). Refresh
+// tokens are opaque `<sessionId>.<secret>` strings; only a hash of the secret
+// is stored, and each use rotates it. Presenting a superseded refresh token is
+// treated as theft and revokes the whole session.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { sessionRepository } from '../models/sessionRepository.js';
+import { userRepository } from '../models/userRepository.js';
+import { roleOf } from './permissions.js';
+import { isTwoFactorRequired } from './twoFactorPolicy.js';
+
+export const JWT_SECRET = process.env.JWT_SECRET || 'your-jwt-secret-change-this-in-production';
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  return sessionId && secret ? { sessionId, secret } : null;
+};
+
+// `expiresAt` (unix seconds) caps the lifetime, e.g. when re-issuing claims
+// mid-session without extending it
+export const signAccessToken = (user, sessionId, { expiresAt } = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = Math.min(now + ACCESS_TOKEN_TTL_SECONDS, expiresAt || Infinity);
+  return jwt.sign(
+    {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      isAdmin: roleOf(user) === 'admin',
+      role: roleOf(user),
+      sid: sessionId,
+      exp
+    },
+    JWT_SECRET
+  );
+};
+
+const tokenResponse = (user, session, secret) => ({
+  token: signAccessToken(user, session.id),
+  refreshToken: `${session.id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS
+});
+
+export const createSession = async (user, { userAgent, ip } = {}) => {
+  const secret = newRefreshSecret();
+  const session = await sessionRepository.create({
+    userId: user.id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: refreshExpiry(),
+    userAgent: userAgent || null,
+    ip: ip || null
+  });
+  return tokenResponse(user, session, secret);
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Returns `{ tokens, user }` on success or `{ error }` with one of
+ * 'invalid', 'expired', 'revoked' or 'reused'.
+ */
+export const refreshSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return { error: 'invalid' };
+
+  const session = await sessionRepository.findById(parsed.sessionId);
+  if (!session) return { error: 'invalid' };
+  if (session.revokedAt) return { error: 'revoked' };
+
+  const presentedHash = hashToken(parsed.secret);
+  if (presentedHash !== session.refreshTokenHash) {
+    if (session.previousTokenHashes.includes(presentedHash)) {
+      await sessionRepository.revoke(session.id, 'refresh-token-reuse');
+      console.warn(`⚠️ Refresh token reuse detected - revoked session ${session.id}`);
+      return { error: 'reused' };
+    }
+    return { error: 'invalid' };
+  }
+
+  if (new Date(session.expiresAt) <= new Date()) {
+    await sessionRepository.revoke(session.id, 'expired');
+    return { error: 'expired' };
+  }
+
+  const user = await userRepository.findById(session.userId);
+  if (!user || !user.isActive) {
+    await sessionRepository.revoke(session.id, 'user-inactive');
+    return { error: 'revoked' };
+  }
+
+  const secret = newRefreshSecret();
+  const rotated = await sessionRepository.rotate(session, hashToken(secret), refreshExpiry());
+  // Lost the race against a concurrent refresh with the same token
+  if (!rotated) return { error: 'reused' };
+
+  return { tokens: tokenResponse(user, rotated, secret), user };
+};
+
+export const revokeSession = (sessionId, reason = 'logout') => sessionRepository.revoke(sessionId, reason);
+
+export const revokeAllSessions = (userId, reason = 'logout-all') => sessionRepository.revokeAllForUser(userId, reason);
+
+// Returns the token's claims, or null if the token is invalid, expired or its
+// session has been revoked
+export const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  return await isSessionLive(decoded) ? decoded : null;
+};
+
+// Whether the session behind a token's claims still stands (not revoked, not
+// someone else's). Long-lived connections recheck this after authenticating
+export const isSessionLive = async (claims) => {
+  if (!claims?.sid) return false;
+  const session = await sessionRepository.findById(claims.sid);
+  return Boolean(session && !session.revokedAt && session.userId === claims.id);
+};
+
+// Logout by refresh token; only the current (unrotated) token is accepted
+export const revokeByRefreshToken = async (refreshToken, reason = 'logout') => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const session = await sessionRepository.findById(parsed.sessionId);
+  if (!session || session.refreshTokenHash !== hashToken(parsed.secret)) return null;
+  return sessionRepository.revoke(session.id, reason);
+};
+
+// Resolves an access token to the request principal (claims plus current role
+// and plan), or null when it is invalid, revoked or belongs to an inactive user.
+// `twoFactorSetupRequired` flags users whose role requires 2FA they lack
+export const resolveAuthUser = async (token) => {
+  const decoded = await verifyAccessToken(token);
+  if (!decoded) return null;
+
+  // Load the record so role changes and deactivation apply immediately
+  const user = await userRepository.findById(decoded.id);
+  if (!user || !user.isActive) return null;
+
+  return {
+    ...decoded,
+    isAdmin: roleOf(user) === 'admin',
+    role: roleOf(user),
+    plan: user.plan || 'FREE',
+    twoFactorSetupRequired: !user.twoFactorEnabledAt && await isTwoFactorRequired(user)
+  };
+};
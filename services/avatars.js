@@ -0,0 +1,95 @@
+// services/avatars.js - Profile picture pipeline: sniff, re-encode, resize, store
+//
+// The upload's type comes from its magic bytes; the client's mimetype and
+// file name are ignored. sharp decodes the image, applies its EXIF
+// orientation and re-encodes it without any metadata (EXIF, GPS, ICC
+// comments), so only pixels we produced are ever served. Every upload yields
+// square WebP variants at AVATAR_SIZES under `avatars/` in the upload
+// storage; the largest is also the user's `profilePicture` for older clients.
+// Storage keys are saved next to the URLs so the files can be found again
+// whatever their URL looks like.
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+export const AVATAR_SIZES = [64, 256, 512];
+export const MAX_AVATAR_BYTES = 5 * 1024 * 1024;
+
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+const WEBP_QUALITY = 85;
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const SIGNATURES = [
+  { type: 'jpeg', matches: (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { type: 'png', matches: (bytes) => bytes.subarray(0, 8).equals(PNG_SIGNATURE) },
+  { type: 'gif', matches: (bytes) => ['GIF87a', 'GIF89a'].includes(bytes.toString('latin1', 0, 6)) },
+  {
+    type: 'webp',
+    matches: (bytes) => bytes.toString('latin1', 0, 4) === 'RIFF' && bytes.toString('latin1', 8, 12) === 'WEBP'
+  }
+];
+
+// 'jpeg' | 'png' | 'gif' | 'webp', or null for anything else
+export const detectImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  return SIGNATURES.find(signature => signature.matches(buffer))?.type || null;
+};
+
+export const createAvatarService = ({ storage }) => {
+  const removeKeys = (keys) => Promise.all(keys.filter(Boolean).map(key => storage.remove(key)));
+
+  return {
+    /**
+     * Turn an uploaded file into stored avatar variants.
+     * Resolves to `{ value: { profilePicture, avatar } }` (fields for the user
+     * record) or `{ error }` when the upload is not a usable image.
+     */
+    async process(userId, buffer) {
+      const type = detectImageType(buffer);
+      if (!type) return { error: 'Unsupported file; upload a JPEG, PNG, GIF or WebP image' };
+
+      // First frame only for animated GIF/WebP
+      const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+      const variants = [];
+      try {
+        await image.metadata();
+        for (const size of AVATAR_SIZES) {
+          const body = await image.clone()
+            .resize(size, size, { fit: 'cover' })
+            .webp({ quality: WEBP_QUALITY })
+            .toBuffer();
+          variants.push({ size, body });
+        }
+      } catch (error) {
+        return { error: `File is not a valid ${type.toUpperCase()} image` };
+      }
+
+      const prefix = `avatars/${userId}-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+      const keys = {};
+      try {
+        for (const { size, body } of variants) {
+          const key = `${prefix}-${size}.webp`;
+          await storage.put(key, body, { cacheControl: CACHE_CONTROL });
+          keys[size] = key;
+        }
+      } catch (error) {
+        await removeKeys(Object.values(keys));
+        throw error;
+      }
+
+      const sizes = Object.fromEntries(Object.entries(keys).map(([size, key]) => [size, storage.publicUrl(key)]));
+      return {
+        value: {
+          profilePicture: sizes[Math.max(...AVATAR_SIZES)],
+          avatar: { sizes, keys, sourceType: type, updatedAt: new Date().toISOString() }
+        }
+      };
+    },
+
+    // Delete every file behind a user's picture, including pre-pipeline uploads
+    removeFiles: (user) => removeKeys([
+      storage.keyForUrl(user.profilePicture),
+      ...Object.values(user.avatar?.keys || {})
+    ])
+  };
+};
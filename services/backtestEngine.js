@@ -0,0 +1,324 @@
+// services/backtestEngine.js - Replays a trigger rule or trade signal over historical candles
+//
+// No storage or sockets; the same rule semantics as the live trigger engine
+// (triggerRules.js) and signal tracker (signalRules.js). Two strategy shapes:
+//
+//   rule   - a price trigger ({ condition, threshold, windowMinutes, direction,
+//            rearm, cooldownMinutes }) opens a position on the candle close it
+//            fires on, with `exit: { targets: [%...], stopLoss: %, maxBars? }`
+//            measured from the entry price. Without `rearm` only the first fire
+//            trades. Fires while a position is open are ignored.
+//   signal - a signal block as on alerts ({ direction, entry, targets, stopLoss })
+//            traded once, from the first candle that reaches the entry zone.
+//
+// Candles only give OHLC, so each one is walked open -> adverse extreme ->
+// favourable extreme -> close: a candle that touches both the stop and a
+// target counts as stopped. As in signal scoring, a trade that reached a
+// target and later came back to the stop is booked at the furthest target.
+// Every trade uses the whole account (no leverage, no fees); shorts are
+// cash-secured like longs. `bars` on a trade counts candles after the entry.
+import { validateTriggerRule, evaluateRule } from './triggerRules.js';
+import {
+  SIGNAL_DIRECTIONS,
+  MAX_TARGETS,
+  validateSignal,
+  initialOutcome,
+  advanceOutcome,
+  expireOutcome
+} from './signalRules.js';
+
+const DEFAULT_INITIAL_CAPITAL = 10000;
+const MAX_INITIAL_CAPITAL = 1e9;
+const MAX_CURVE_POINTS = 1000;
+const YIELD_EVERY = 2000;
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const SYMBOL_PATTERN = /^[A-Za-z0-9._:/-]{1,20}$/;
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Signed distance in the position's favour
+const favourable = (direction, from, to) => (direction === 'long' ? to - from : from - to);
+
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const validateExit = (input) => {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { error: 'exit must be an object with targets and stopLoss (percent from entry)' };
+  }
+
+  if (!Array.isArray(input.targets) || input.targets.length === 0 || input.targets.length > MAX_TARGETS) {
+    return { error: `exit.targets must list 1-${MAX_TARGETS} percentages` };
+  }
+  const targets = input.targets.map(toNumber);
+  if (!targets.every(isPositiveNumber) || !targets.every((target, i) => i === 0 || target > targets[i - 1])) {
+    return { error: 'exit.targets must be positive, ascending percentages' };
+  }
+
+  const stopLoss = toNumber(input.stopLoss);
+  if (!isPositiveNumber(stopLoss) || stopLoss >= 100) {
+    return { error: 'exit.stopLoss must be a percentage between 0 and 100' };
+  }
+
+  const maxBars = input.maxBars === undefined || input.maxBars === null ? null : toNumber(input.maxBars);
+  if (maxBars !== null && (!Number.isInteger(maxBars) || maxBars < 1)) {
+    return { error: 'exit.maxBars must be a positive whole number' };
+  }
+
+  return { value: { targets, stopLoss, maxBars } };
+};
+
+/**
+ * Validate a backtest request:
+ *   { symbol, from, to, initialCapital?, rule?, direction?, exit?, signal? }
+ * with exactly one of `rule` (plus `exit`) or `signal`.
+ * Returns `{ value }` or `{ error }`.
+ */
+export const validateBacktestInput = (input = {}) => {
+  if (typeof input.symbol !== 'string' || !SYMBOL_PATTERN.test(input.symbol.trim())) {
+    return { error: 'symbol must be 1-20 characters (letters, digits, . _ : / -)' };
+  }
+  const symbol = input.symbol.trim().toUpperCase();
+
+  const from = parseDate(input.from);
+  const to = parseDate(input.to);
+  if (!from || !to) return { error: 'from and to must be valid dates' };
+  if (from >= to) return { error: 'from must be before to' };
+
+  const initialCapital = toNumber(input.initialCapital ?? DEFAULT_INITIAL_CAPITAL);
+  if (!isPositiveNumber(initialCapital) || initialCapital > MAX_INITIAL_CAPITAL) {
+    return { error: `initialCapital must be between 0 and ${MAX_INITIAL_CAPITAL}` };
+  }
+
+  const hasRule = input.rule !== undefined && input.rule !== null;
+  const hasSignal = input.signal !== undefined && input.signal !== null;
+  if (hasRule === hasSignal) return { error: 'Send exactly one of rule or signal' };
+
+  const value = { symbol, from, to, initialCapital };
+
+  if (hasSignal) {
+    if (typeof input.signal !== 'object' || Array.isArray(input.signal)) return { error: 'signal must be an object' };
+    // Historical replays have no expiry of their own; the date range bounds them
+    const signal = { ...input.signal };
+    delete signal.expiresAt;
+    const result = validateSignal(signal, {});
+    if (result.error) return result;
+    value.signal = result.value;
+    return { value };
+  }
+
+  if (typeof input.rule !== 'object' || Array.isArray(input.rule)) return { error: 'rule must be an object' };
+  const result = validateTriggerRule({ ...input.rule, symbol, expiresAt: null });
+  if (result.error) return { error: `rule: ${result.error}` };
+  const trigger = { ...result.value };
+  delete trigger.symbol;
+  delete trigger.expiresAt;
+  delete trigger.message;
+  value.rule = trigger;
+
+  const inferred = { BUY: 'long', SELL: 'short' }[trigger.alertType] || 'long';
+  const direction = input.direction ?? inferred;
+  if (!SIGNAL_DIRECTIONS.includes(direction)) {
+    return { error: `direction must be one of: ${SIGNAL_DIRECTIONS.join(', ')}` };
+  }
+  value.direction = direction;
+
+  const exit = validateExit(input.exit);
+  if (exit.error) return exit;
+  value.exit = exit.value;
+
+  return { value };
+};
+
+// Signal levels for a rule entry at `price`
+const signalFromExit = (direction, exit, price) => {
+  const sign = direction === 'long' ? 1 : -1;
+  return {
+    direction,
+    entry: { low: price, high: price },
+    targets: exit.targets.map(percent => price * (1 + (sign * percent) / 100)),
+    stopLoss: price * (1 - (sign * exit.stopLoss) / 100)
+  };
+};
+
+// Prices visited inside one candle, worst case for the position first
+const pricePath = (direction, candle, outcome, signal) => {
+  const path = [candle.open];
+  // A pending signal enters at the first zone price the candle reaches
+  if (outcome.status === 'pending' && candle.low <= signal.entry.high && candle.high >= signal.entry.low) {
+    path.push(Math.min(Math.max(candle.open, signal.entry.low), signal.entry.high));
+  }
+  path.push(...(direction === 'long' ? [candle.low, candle.high] : [candle.high, candle.low]), candle.close);
+  return path;
+};
+
+const medianSpacingMs = (candles) => {
+  const gaps = [];
+  for (let i = 1; i < candles.length; i += 1) gaps.push(Date.parse(candles[i].time) - Date.parse(candles[i - 1].time));
+  gaps.sort((a, b) => a - b);
+  return gaps.length ? gaps[Math.floor(gaps.length / 2)] : null;
+};
+
+const maxDrawdownPercent = (curve) => {
+  let peak = -Infinity;
+  let worst = 0;
+  for (const { equity } of curve) {
+    peak = Math.max(peak, equity);
+    worst = Math.max(worst, (peak - equity) / peak);
+  }
+  return round(worst * 100);
+};
+
+// Annualized from per-candle returns, risk-free rate 0; null without variance
+const sharpeRatio = (curve, spacingMs) => {
+  if (curve.length < 3 || !spacingMs) return null;
+  const returns = [];
+  for (let i = 1; i < curve.length; i += 1) returns.push(curve[i].equity / curve[i - 1].equity - 1);
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  if (variance === 0) return null;
+  return round((mean / Math.sqrt(variance)) * Math.sqrt(YEAR_MS / spacingMs));
+};
+
+// Every n-th point plus the last, so charts stay cheap on long runs
+const downsample = (curve) => {
+  if (curve.length <= MAX_CURVE_POINTS) return curve;
+  const step = Math.ceil(curve.length / MAX_CURVE_POINTS);
+  const points = curve.filter((_point, i) => i % step === 0);
+  if (points[points.length - 1] !== curve[curve.length - 1]) points.push(curve[curve.length - 1]);
+  return points;
+};
+
+/**
+ * Run a validated backtest over `candles` (oldest first).
+ * `onProgress(fraction)` is called between chunks; returning early when
+ * `isCancelled()` is true resolves to null.
+ * Resolves to `{ summary, trades, equityCurve }`.
+ */
+export const runBacktest = async (candles, params, { onProgress, isCancelled } = {}) => {
+  const { rule, exit, initialCapital } = params;
+  const direction = params.signal ? params.signal.direction : params.direction;
+  const times = candles.map(candle => Date.parse(candle.time));
+
+  const trades = [];
+  const curve = [];
+  let capital = initialCapital;
+  let position = params.signal
+    ? { signal: params.signal, outcome: initialOutcome(candles[0]?.time ?? params.from), entryIndex: null }
+    : null;
+  let lastFiredAt = null;
+  let exhausted = false;
+  let windowStart = 0;
+
+  const closePosition = (outcome, index) => {
+    const { signal, entryIndex } = position;
+    const units = capital / outcome.entryPrice;
+    const pnl = units * favourable(direction, outcome.entryPrice, outcome.exitPrice);
+    trades.push({
+      direction,
+      entryTime: outcome.enteredAt,
+      entryPrice: outcome.entryPrice,
+      exitTime: outcome.closedAt,
+      exitPrice: outcome.exitPrice,
+      result: outcome.result,
+      targetsHit: outcome.targetsHit,
+      rMultiple: outcome.rMultiple,
+      returnPercent: round((favourable(direction, outcome.entryPrice, outcome.exitPrice) / outcome.entryPrice) * 100),
+      pnl: round(pnl),
+      bars: index - entryIndex,
+      stopLoss: signal.stopLoss,
+      targets: signal.targets
+    });
+    capital += pnl;
+    position = null;
+    if (params.signal) exhausted = true;
+  };
+
+  for (let i = 0; i < candles.length; i += 1) {
+    const candle = candles[i];
+
+    if (position) {
+      let { outcome } = position;
+      for (const price of pricePath(direction, candle, outcome, position.signal)) {
+        const wasPending = outcome.status === 'pending';
+        outcome = advanceOutcome(position.signal, outcome, { price, time: candle.time }).outcome;
+        if (wasPending && outcome.status !== 'pending') position.entryIndex = i;
+        if (outcome.status === 'closed') break;
+      }
+      if (outcome.status === 'open' && exit?.maxBars && i - position.entryIndex >= exit.maxBars) {
+        outcome = expireOutcome(position.signal, outcome, { price: candle.close, time: candle.time });
+      }
+      position.outcome = outcome;
+      if (outcome.status === 'closed') closePosition(outcome, i);
+    } else if (rule && !exhausted) {
+      // Same inputs the live engine gets: the previous price and the price a window ago
+      let referencePrice;
+      if (rule.condition === 'percent_move') {
+        const windowStartTime = times[i] - rule.windowMinutes * 60 * 1000;
+        while (windowStart < i && times[windowStart + 1] <= windowStartTime) windowStart += 1;
+        referencePrice = times[windowStart] <= windowStartTime ? candles[windowStart].close : undefined;
+      }
+      const coolingDown = lastFiredAt !== null && times[i] < lastFiredAt + rule.cooldownMinutes * 60 * 1000;
+      const fired = !coolingDown && evaluateRule(rule, {
+        price: candle.close,
+        previousPrice: i > 0 ? candles[i - 1].close : undefined,
+        referencePrice
+      });
+
+      if (fired) {
+        lastFiredAt = times[i];
+        if (!rule.rearm) exhausted = true;
+        const signal = signalFromExit(direction, exit, candle.close);
+        const { outcome } = advanceOutcome(signal, initialOutcome(candle.time), { price: candle.close, time: candle.time });
+        position = { signal, outcome, entryIndex: i };
+      }
+    }
+
+    const open = position?.outcome.status === 'open' ? position.outcome : null;
+    const unrealized = open ? (capital / open.entryPrice) * favourable(direction, open.entryPrice, candle.close) : 0;
+    curve.push({ time: candle.time, equity: round(capital + unrealized) });
+
+    if ((i + 1) % YIELD_EVERY === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (isCancelled?.()) return null;
+      onProgress?.((i + 1) / candles.length);
+    }
+  }
+
+  // Mark anything still open to the last close
+  if (position?.outcome.status === 'open') {
+    const last = candles[candles.length - 1];
+    closePosition(expireOutcome(position.signal, position.outcome, { price: last.close, time: last.time }), candles.length - 1);
+  }
+
+  const wins = trades.filter(trade => trade.pnl > 0).length;
+  const rMultiples = trades.map(trade => trade.rMultiple).filter(r => r !== null);
+  const finalEquity = round(capital);
+
+  return {
+    summary: {
+      candles: candles.length,
+      firstCandle: candles[0]?.time ?? null,
+      lastCandle: candles[candles.length - 1]?.time ?? null,
+      initialCapital,
+      finalEquity,
+      totalReturnPercent: round(((finalEquity - initialCapital) / initialCapital) * 100),
+      trades: trades.length,
+      wins,
+      losses: trades.length - wins,
+      winRate: trades.length ? round(wins / trades.length, 4) : null,
+      averageR: rMultiples.length ? round(rMultiples.reduce((sum, r) => sum + r, 0) / rMultiples.length) : null,
+      maxDrawdownPercent: maxDrawdownPercent(curve),
+      sharpeRatio: sharpeRatio(curve, medianSpacingMs(candles))
+    },
+    trades,
+    equityCurve: downsample(curve)
+  };
+};
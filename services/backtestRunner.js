@@ -0,0 +1,136 @@
+// services/backtestRunner.js - Runs backtests inline or as queued background jobs
+//
+// Short runs (up to BACKTEST_SYNC_MAX_CANDLES candles) finish inside the
+// request. Longer ones are queued and run one at a time in this process,
+// yielding to the event loop between chunks; `onProgress` and `onFinish`
+// let the server push progress to the owner over Socket.io. Queued jobs live
+// in memory, so a restart fails whatever was still queued or running.
+import { backtestRepository } from '../models/backtestRepository.js';
+import { runBacktest } from './backtestEngine.js';
+
+const SYNC_MAX_CANDLES = Number(process.env.BACKTEST_SYNC_MAX_CANDLES || 5000);
+const MAX_CANDLES = Number(process.env.BACKTEST_MAX_CANDLES || 500000);
+const MAX_ACTIVE_PER_USER = 2;
+const MAX_STORED_TRADES = 1000;
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Keep stored results bounded; the summary still counts every trade
+const storedResult = ({ summary, trades, equityCurve }) => ({
+  summary,
+  trades: trades.slice(-MAX_STORED_TRADES),
+  tradesTruncated: trades.length > MAX_STORED_TRADES,
+  equityCurve
+});
+
+export const createBacktestRunner = ({ historicalData, onProgress, onFinish } = {}) => {
+  const queue = [];
+  const cancelled = new Set();
+  let working = false;
+
+  const finish = (backtest) => {
+    if (backtest && onFinish) onFinish(backtest);
+    return backtest;
+  };
+
+  const execute = async ({ backtest, candles }) => {
+    const running = await backtestRepository.transition(backtest.id, 'queued', {
+      status: 'running',
+      startedAt: new Date().toISOString()
+    });
+    if (!running) return;
+
+    let lastReport = 0;
+    try {
+      const result = await runBacktest(candles, backtest.params, {
+        isCancelled: () => cancelled.has(backtest.id),
+        onProgress: (progress) => {
+          if (Date.now() - lastReport < PROGRESS_INTERVAL_MS) return;
+          lastReport = Date.now();
+          const rounded = Math.round(progress * 100) / 100;
+          backtestRepository.transition(backtest.id, 'running', { progress: rounded })
+            .catch(error => console.error('Saving backtest progress failed:', error));
+          if (onProgress) onProgress(running, rounded);
+        }
+      });
+      if (!result) return;
+
+      finish(await backtestRepository.transition(backtest.id, 'running', {
+        status: 'completed',
+        progress: 1,
+        result: storedResult(result),
+        finishedAt: new Date().toISOString()
+      }));
+      console.log(`📊 Backtest ${backtest.id} completed: ${result.summary.trades} trades over ${candles.length} candles`);
+    } catch (error) {
+      console.error(`Backtest ${backtest.id} failed:`, error);
+      finish(await backtestRepository.transition(backtest.id, 'running', {
+        status: 'failed',
+        error: error.message,
+        finishedAt: new Date().toISOString()
+      }));
+    } finally {
+      cancelled.delete(backtest.id);
+    }
+  };
+
+  const work = async () => {
+    if (working) return;
+    working = true;
+    try {
+      while (queue.length) await execute(queue.shift());
+    } finally {
+      working = false;
+    }
+  };
+
+  return {
+    /**
+     * Load history and run (or queue) a validated backtest for `userId`.
+     * Resolves to `{ backtest, queued }` or `{ error, status }`.
+     */
+    async submit(userId, params) {
+      if (await backtestRepository.countActiveByUser(userId) >= MAX_ACTIVE_PER_USER) {
+        return { error: `At most ${MAX_ACTIVE_PER_USER} backtests may be queued or running at once`, status: 429 };
+      }
+
+      const candles = await historicalData.load(params.symbol, { from: params.from, to: params.to });
+      if (!candles) return { error: `No historical data for ${params.symbol}`, status: 404 };
+      if (candles.length === 0) return { error: `No ${params.symbol} candles between ${params.from} and ${params.to}`, status: 400 };
+      if (candles.length > MAX_CANDLES) {
+        return { error: `Range has ${candles.length} candles; at most ${MAX_CANDLES} per backtest`, status: 400 };
+      }
+
+      const backtest = await backtestRepository.create({ userId, params, candles: candles.length });
+
+      if (candles.length > SYNC_MAX_CANDLES) {
+        queue.push({ backtest, candles });
+        work().catch(error => console.error('Backtest worker failed:', error));
+        return { backtest, queued: true };
+      }
+
+      await execute({ backtest, candles });
+      return { backtest: await backtestRepository.findById(backtest.id), queued: false };
+    },
+
+    // Resolves to the cancelled job, or null if it had already finished
+    async cancel(backtest) {
+      const updated = await backtestRepository.transition(backtest.id, ['queued', 'running'], {
+        status: 'cancelled',
+        finishedAt: new Date().toISOString()
+      });
+      if (!updated) return null;
+      cancelled.add(backtest.id);
+      const index = queue.findIndex(job => job.backtest.id === backtest.id);
+      if (index !== -1) {
+        queue.splice(index, 1);
+        cancelled.delete(backtest.id);
+      }
+      return finish(updated);
+    },
+
+    async start() {
+      const interrupted = await backtestRepository.failInterrupted();
+      if (interrupted) console.log(`📊 Marked ${interrupted} interrupted backtest(s) as failed`);
+    }
+  };
+};
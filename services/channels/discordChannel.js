@@ -0,0 +1,24 @@
+// services/channels/discordChannel.js - Discord incoming webhook delivery
+//
+// Each user supplies their own webhook URL. DISCORD_WEBHOOK_HOSTS (a regex
+// source) widens the allowed hosts, e.g. to a fake HTTP receiver locally
+// (with OUTBOUND_ALLOW_PRIVATE_NETWORKS=true, see ./http.js).
+import { checkPublicUrl, postJson } from './http.js';
+
+const DISCORD_HOSTS = new RegExp(process.env.DISCORD_WEBHOOK_HOSTS || '^(discord\\.com|discordapp\\.com)$');
+
+export const createDiscordChannel = () => ({
+  name: 'discord',
+  configured: true,
+
+  // `{ webhookUrl }`
+  validateTarget: async ({ webhookUrl } = {}) => {
+    const url = await checkPublicUrl(webhookUrl, { field: 'discord.webhookUrl', hostPattern: DISCORD_HOSTS });
+    return url.error ? url : { value: { webhookUrl: url.value } };
+  },
+
+  send: ({ webhookUrl }, message) => postJson(webhookUrl, {
+    content: `**${message.subject}**\n${message.text}`.slice(0, 2000),
+    allowed_mentions: { parse: [] }
+  })
+});
@@ -0,0 +1,29 @@
+// services/channels/emailChannel.js - Email delivery through the shared mailer
+//
+// Transport settings (SMTP_*, MAIL_TRANSPORT) live in services/mailer.js. The
+// channel is unavailable when the mailer only logs messages.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const createEmailChannel = ({ mailer }) => ({
+  name: 'email',
+  configured: mailer.name !== 'log',
+
+  // `{ address }`
+  validateTarget: ({ address } = {}) => (
+    typeof address === 'string' && EMAIL_PATTERN.test(address.trim())
+      ? { value: { address: address.trim().toLowerCase() } }
+      : { error: 'email.address must be a valid email address' }
+  ),
+
+  async send({ address }, message) {
+    try {
+      await mailer.send({ to: address, subject: message.subject, text: message.text });
+    } catch (error) {
+      // 5xx SMTP replies (unknown mailbox, rejected sender) are final
+      error.permanent = error.responseCode >= 500;
+      throw error;
+    }
+  },
+
+  close: () => mailer.close()
+});
@@ -0,0 +1,129 @@
+// services/channels/http.js - JSON POST helper shared by the HTTP-based channels
+//
+// User-supplied URLs must not reach the server's own network: hosts that
+// resolve to loopback, private, link-local (cloud metadata), CGNAT, multicast
+// or reserved addresses are refused when the URL is saved (checkPublicUrl) and
+// again when connecting, against the address actually dialled, so a DNS
+// record that changes after the check (rebinding) gains nothing.
+// OUTBOUND_ALLOW_PRIVATE_NETWORKS=true lifts this for local development, e.g.
+// to deliver to a fake receiver on localhost.
+import axios from 'axios';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+const TIMEOUT_MS = Number(process.env.NOTIFICATION_HTTP_TIMEOUT_MS || 10000);
+const ALLOW_PRIVATE_NETWORKS = process.env.OUTBOUND_ALLOW_PRIVATE_NETWORKS === 'true';
+const PRIVATE_HOST = 'EPRIVATEHOST';
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges
+export const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const allowedAddress = (address) => ALLOW_PRIVATE_NETWORKS || isPublicAddress(address);
+
+const privateHostError = (host) => {
+  const error = new Error(`${host} is not a public address`);
+  error.code = PRIVATE_HOST;
+  return error;
+};
+
+// `[::1]` -> `::1`
+const hostnameOf = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+// dns.lookup for the agents below; fails when any address is not public
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || !addresses.every(({ address }) => allowedAddress(address))) {
+      return callback(privateHostError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// Client errors other than timeouts and rate limits won't succeed on retry
+const isPermanent = (status) => status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+/**
+ * POST `body` as JSON (a string is sent as-is, e.g. when it was signed).
+ * Resolves to `{ status, data }`. Throws on non-2xx responses; errors carry
+ * `status`, `permanent` (don't retry) and `retryAfterMs` when the receiver
+ * asked us to back off. `publicOnly: false` skips the address check, for
+ * URLs that come from server configuration rather than from users.
+ */
+export const postJson = async (url, body, { headers = {}, publicOnly = true } = {}) => {
+  try {
+    // Literal IPs skip the agents' lookup, so check them here
+    const host = hostnameOf(new URL(url));
+    if (publicOnly && net.isIP(host) && !allowedAddress(host)) throw privateHostError(host);
+
+    const response = await axios.post(url, body, {
+      headers: { 'Content-Type': 'application/json', ...headers },
+      timeout: TIMEOUT_MS,
+      maxRedirects: 0,
+      ...(publicOnly && { ...publicAgents, proxy: false })
+    });
+    return { status: response.status, data: response.data };
+  } catch (error) {
+    const status = error.response?.status;
+    const wrapped = new Error(status ? `HTTP ${status} from ${new URL(url).host}` : error.message);
+    wrapped.status = status;
+    wrapped.permanent = Boolean(status && isPermanent(status)) || error.code === PRIVATE_HOST;
+    const retryAfter = Number(error.response?.headers?.['retry-after']);
+    if (Number.isFinite(retryAfter) && retryAfter > 0) wrapped.retryAfterMs = retryAfter * 1000;
+    throw wrapped;
+  }
+};
+
+// http(s) only; plain http is refused in production
+export const validateUrl = (value, { field = 'url', hostPattern } = {}) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return { error: `${field} must be a valid URL` };
+  }
+  const allowed = process.env.NODE_ENV === 'production' ? ['https:'] : ['https:', 'http:'];
+  if (!allowed.includes(url.protocol)) return { error: `${field} must use ${allowed.join(' or ')}` };
+  if (hostPattern && !hostPattern.test(url.host)) return { error: `${field} is not a valid webhook URL for this channel` };
+  return { value: url.toString() };
+};
+
+// validateUrl, then resolve the host and refuse non-public addresses.
+// Resolves to `{ value }` or `{ error }`.
+export const checkPublicUrl = async (value, options = {}) => {
+  const checked = validateUrl(value, options);
+  if (checked.error || ALLOW_PRIVATE_NETWORKS) return checked;
+
+  const { field = 'url' } = options;
+  const host = hostnameOf(new URL(checked.value));
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+  } catch (error) {
+    return { error: `${field} host could not be resolved` };
+  }
+  if (!addresses.every(isPublicAddress)) {
+    return { error: `${field} must point to a public internet address` };
+  }
+  return checked;
+};
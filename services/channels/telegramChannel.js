@@ -0,0 +1,28 @@
+// services/channels/telegramChannel.js - Telegram Bot API delivery
+//
+// Needs TELEGRAM_BOT_TOKEN. TELEGRAM_API_URL overrides the Bot API base URL,
+// e.g. to point at a fake HTTP receiver locally; being server configuration,
+// it may be a private address.
+import { postJson } from './http.js';
+
+export const createTelegramChannel = ({
+  botToken = process.env.TELEGRAM_BOT_TOKEN,
+  apiUrl = process.env.TELEGRAM_API_URL || 'https://api.telegram.org'
+} = {}) => ({
+  name: 'telegram',
+  configured: Boolean(botToken),
+
+  // `{ chatId }` - numeric chat id or @channelusername
+  validateTarget: ({ chatId } = {}) => {
+    const value = typeof chatId === 'number' ? String(chatId) : chatId;
+    return typeof value === 'string' && /^(-?\d{1,20}|@[A-Za-z0-9_]{5,32})$/.test(value.trim())
+      ? { value: { chatId: value.trim() } }
+      : { error: 'telegram.chatId must be a numeric chat id or @channel' };
+  },
+
+  send: ({ chatId }, message) => postJson(`${apiUrl}/bot${botToken}/sendMessage`, {
+    chat_id: chatId,
+    text: `${message.subject}\n\n${message.text}`,
+    disable_web_page_preview: true
+  }, { publicOnly: false })
+});
@@ -0,0 +1,20 @@
+// services/channels/webhookChannel.js - Generic JSON webhook delivery
+import { checkPublicUrl, postJson } from './http.js';
+
+export const createWebhookChannel = () => ({
+  name: 'webhook',
+  configured: true,
+
+  // `{ url }`
+  validateTarget: async ({ url } = {}) => {
+    const checked = await checkPublicUrl(url, { field: 'webhook.url' });
+    return checked.error ? checked : { value: { url: checked.value } };
+  },
+
+  send: ({ url }, message) => postJson(url, {
+    event: message.event,
+    subject: message.subject,
+    text: message.text,
+    alert: message.alert
+  })
+});
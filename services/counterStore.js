@@ -0,0 +1,46 @@
+// services/counterStore.js - Selects the backend for rate-limit counters
+//
+// RATE_LIMIT_STORE=memory|redis picks the store explicitly; otherwise redis is
+// used whenever REDIS_URL is set, and memory as the fallback. Use redis when
+// running more than one instance so limits are shared.
+//   redis: REDIS_URL, RATE_LIMIT_PREFIX (default `rti:`) namespaces the keys
+// Counters are `{ count, expiresAt }` (ms timestamp) under string keys and
+// vanish when they expire.
+import { createMemoryCounterStore } from './counters/memoryCounterStore.js';
+import { createRedisCounterStore } from './counters/redisCounterStore.js';
+
+export const createCounterStore = ({
+  driver = process.env.RATE_LIMIT_STORE,
+  url = process.env.REDIS_URL
+} = {}) => {
+  const selected = driver || (url ? 'redis' : 'memory');
+  if (selected === 'memory') return createMemoryCounterStore();
+  if (selected === 'redis') {
+    return createRedisCounterStore({ url, prefix: process.env.RATE_LIMIT_PREFIX || 'rti:' });
+  }
+  throw new Error(`Unknown rate limit store: ${selected}`);
+};
+
+// express-rate-limit store backed by a counter store, so `rateLimit()`
+// middleware shares its counts across instances too
+export const rateLimitStore = (store, prefix) => {
+  let windowMs = 60 * 1000;
+
+  return {
+    prefix,
+    localKeys: store.name === 'memory',
+
+    init: (options) => {
+      windowMs = options.windowMs;
+    },
+
+    async increment(key) {
+      const { count, expiresAt } = await store.increment(`${prefix}${key}`, windowMs);
+      return { totalHits: count, resetTime: new Date(expiresAt) };
+    },
+
+    decrement: (key) => store.decrement(`${prefix}${key}`),
+
+    resetKey: (key) => store.remove(`${prefix}${key}`)
+  };
+};
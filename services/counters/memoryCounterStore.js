@@ -0,0 +1,64 @@
+// services/counters/memoryCounterStore.js - Expiring counters in process memory
+//
+// Only correct for a single server instance; use the redis store when running
+// several.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+export const createMemoryCounterStore = () => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired entries that are never read again
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  return {
+    name: 'memory',
+    describe: () => 'memory (single instance)',
+
+    async connect() {},
+
+    async increment(key, ttlMs) {
+      const entry = live(key) || { count: 0, expiresAt: Date.now() + ttlMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+
+    async decrement(key) {
+      const entry = live(key);
+      if (entry && entry.count > 0) entry.count -= 1;
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry } : null;
+    },
+
+    async set(key, count, ttlMs) {
+      entries.set(key, { count, expiresAt: Date.now() + ttlMs });
+    },
+
+    async remove(...keys) {
+      keys.forEach(key => entries.delete(key));
+    },
+
+    async close() {
+      clearInterval(sweeper);
+      entries.clear();
+    }
+  };
+};
@@ -0,0 +1,66 @@
+// services/counters/redisCounterStore.js - Expiring counters shared through Redis
+//
+// Every instance pointed at the same Redis sees the same counts. Commands fail
+// fast while Redis is unreachable instead of queueing, so callers answer with
+// an error rather than hanging.
+import { createClient } from 'redis';
+
+// INCR, starting the expiry on the first hit; returns { count, ttl in ms }
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { count, ttl }`;
+
+const DECREMENT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 and tonumber(redis.call('GET', KEYS[1])) > 0 then
+  return redis.call('DECR', KEYS[1])
+end
+return 0`;
+
+export const createRedisCounterStore = ({ url, prefix = 'rti:' }) => {
+  if (!url) throw new Error('REDIS_URL is required for the redis counter store');
+
+  const client = createClient({ url, disableOfflineQueue: true });
+  client.on('error', (error) => console.error('Redis counter store error:', error.message));
+
+  const prefixed = (key) => `${prefix}${key}`;
+
+  return {
+    name: 'redis',
+    describe: () => `redis (${new URL(url).host})`,
+
+    connect: () => client.connect(),
+
+    async increment(key, ttlMs) {
+      const [count, ttl] = await client.eval(INCREMENT_SCRIPT, {
+        keys: [prefixed(key)],
+        arguments: [String(ttlMs)]
+      });
+      return { count, expiresAt: Date.now() + ttl };
+    },
+
+    async decrement(key) {
+      await client.eval(DECREMENT_SCRIPT, { keys: [prefixed(key)] });
+    },
+
+    async get(key) {
+      const [count, ttl] = await client.multi().get(prefixed(key)).pTTL(prefixed(key)).exec();
+      if (count === null || ttl < 0) return null;
+      return { count: Number(count), expiresAt: Date.now() + ttl };
+    },
+
+    async set(key, count, ttlMs) {
+      await client.set(prefixed(key), String(count), { PX: ttlMs });
+    },
+
+    async remove(...keys) {
+      if (keys.length > 0) await client.del(keys.map(prefixed));
+    },
+
+    close: () => client.quit()
+  };
+};
@@ -0,0 +1,61 @@
+// services/eventLog.js - Bounded, sequenced log of broadcast real-time events
+//
+// Every broadcast gets the next sequence number. Reconnecting clients ask for
+// everything after their last seen `seq`; if that point has already been
+// evicted (or the server restarted, which changes `epoch`) they must resync
+// from the REST API instead.
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+
+const DEFAULT_SIZE = Number(process.env.EVENT_LOG_SIZE) || 5000;
+const DEFAULT_MAX_AGE_MS = (Number(process.env.EVENT_LOG_MAX_AGE_MINUTES) || 60) * 60 * 1000;
+
+export const createEventLog = ({ size = DEFAULT_SIZE, maxAgeMs = DEFAULT_MAX_AGE_MS } = {}) => {
+  const epoch = crypto.randomUUID();
+  const events = new EventEmitter();
+  const entries = [];
+  let seq = 0;
+
+  const prune = () => {
+    const cutoff = Date.now() - maxAgeMs;
+    while (entries.length > size || (entries.length && entries[0].time < cutoff)) {
+      entries.shift();
+    }
+  };
+
+  // Streams other than Socket.io (e.g. SSE) follow the log through 'append'
+  events.setMaxListeners(0);
+
+  return {
+    epoch,
+
+    on: (event, listener) => events.on(event, listener),
+    off: (event, listener) => events.off(event, listener),
+
+    // `rooms` of null means the event went to every socket. `audience` marks
+    // a late copy of an event for one feed-delay room only (see realtime.js).
+    append(event, rooms, payload, { audience = null } = {}) {
+      seq += 1;
+      const entry = { seq, event, rooms, audience, payload: { ...payload, seq, epoch }, time: Date.now() };
+      entries.push(entry);
+      prune();
+      events.emit('append', entry);
+      return entry;
+    },
+
+    latestSeq: () => seq,
+
+    /**
+     * Entries after `lastSeq`, or null when the gap can no longer be filled
+     * (different epoch, evicted entries, or a sequence from the future).
+     */
+    since(lastSeq, lastEpoch) {
+      prune();
+      if (lastEpoch !== epoch || lastSeq > seq) return null;
+      if (lastSeq === seq) return [];
+      const oldest = entries.length ? entries[0].seq : seq + 1;
+      if (lastSeq < oldest - 1) return null;
+      return entries.filter(entry => entry.seq > lastSeq);
+    }
+  };
+};
@@ -0,0 +1,80 @@
+// services/historicalData.js - OHLCV history files for backtests
+//
+// One file per symbol in BACKTEST_DATA_DIR (default ./data/history), named
+// after the symbol with characters outside A-Z 0-9 . _ - replaced by "_":
+//   BTCUSD.csv, EUR_USD.jsonl, ...
+// Files use the same formats as the replay provider (.csv with a header row,
+// .json array, .jsonl/.ndjson) with columns timestamp (or time/date), open,
+// high, low, close (or price) and optional volume. Rows with only a close
+// are treated as flat candles.
+import fs from 'fs/promises';
+import path from 'path';
+import { loadTickFile } from './providers/replayProvider.js';
+
+const DATA_DIR = process.env.BACKTEST_DATA_DIR || path.join(process.cwd(), 'data', 'history');
+const EXTENSIONS = ['.csv', '.json', '.jsonl', '.ndjson'];
+
+const fileStem = (symbol) => symbol.toUpperCase().replace(/[^A-Z0-9._-]/g, '_');
+
+// Returns `{ time, open, high, low, close, volume }` or null if the row is unusable
+export const normalizeCandle = (row) => {
+  const close = Number(row.close ?? row.price);
+  const open = Number(row.open ?? close);
+  const high = Number(row.high ?? Math.max(open, close));
+  const low = Number(row.low ?? Math.min(open, close));
+  const volume = row.volume === undefined || row.volume === '' ? 0 : Number(row.volume);
+
+  if (![open, high, low, close].every(value => Number.isFinite(value) && value > 0)) return null;
+  if (high < Math.max(open, close) || low > Math.min(open, close)) return null;
+  if (!Number.isFinite(volume) || volume < 0) return null;
+
+  return { time: new Date(row.timestamp).toISOString(), open, high, low, close, volume };
+};
+
+export const createHistoricalData = ({ dataDir = DATA_DIR } = {}) => {
+  const findFile = async (symbol) => {
+    for (const ext of EXTENSIONS) {
+      const file = path.join(dataDir, `${fileStem(symbol)}${ext}`);
+      try {
+        await fs.access(file);
+        return file;
+      } catch (error) {
+        // Try the next format
+      }
+    }
+    return null;
+  };
+
+  return {
+    dataDir,
+
+    // Symbols that have a history file (file names, upper-cased)
+    async symbols() {
+      let files;
+      try {
+        files = await fs.readdir(dataDir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      const stems = files
+        .filter(file => EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .map(file => path.basename(file, path.extname(file)).toUpperCase());
+      return [...new Set(stems)].sort();
+    },
+
+    /**
+     * Candles for `symbol` with `from <= time <= to` (ISO strings), oldest
+     * first. Resolves to null when there is no file for the symbol.
+     */
+    async load(symbol, { from, to } = {}) {
+      const file = await findFile(symbol);
+      if (!file) return null;
+
+      const rows = await loadTickFile(file);
+      return rows
+        .map(normalizeCandle)
+        .filter(candle => candle && (!from || candle.time >= from) && (!to || candle.time <= to));
+    }
+  };
+};
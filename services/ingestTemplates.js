@@ -0,0 +1,165 @@
+// services/ingestTemplates.js - Payload templates for inbound alert webhooks
+//
+// A template maps an incoming payload onto the alert shape:
+//   {
+//     fields: { type: '{{strategy.order.action}}', symbol: '{{ticker}}',
+//               price: '{{close}}', message: '{{ticker}} crossed {{plot_0}}' },
+//     textPattern: '(?<action>BUY|SELL) (?<ticker>\\S+) @ (?<close>[\\d.]+)',  // optional
+//     dedupeKey: '{{time}}'                                                    // optional
+//   }
+// JSON bodies expose their fields by dot path. Text bodies expose `text` and,
+// when `textPattern` matches, its named groups. A field that is exactly one
+// placeholder keeps the value's type; anything else is rendered as a string.
+// Patterns are written by analysts (alert publishers), so they are screened
+// for catastrophic backtracking when saved (safe-regex2), and every match runs
+// in a vm context with a MATCH_TIMEOUT_MS budget on at most MAX_TEXT_LENGTH
+// characters, in case a slow pattern gets past the screen.
+import vm from 'vm';
+import isSafeRegex from 'safe-regex2';
+
+export const TEMPLATE_FIELDS = ['type', 'symbol', 'price', 'message'];
+
+export const DEFAULT_TEMPLATE = {
+  fields: { type: '{{type}}', symbol: '{{symbol}}', price: '{{price}}', message: '{{message}}' },
+  textPattern: null,
+  dedupeKey: null
+};
+
+const MAX_TEMPLATE_LENGTH = 500;
+const MAX_TEXT_LENGTH = 2000;
+const MATCH_TIMEOUT_MS = 50;
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+const getPath = (source, path) => path.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  source
+);
+
+const isTemplateString = (value) => typeof value === 'string' && value.length <= MAX_TEMPLATE_LENGTH;
+
+const matchContext = vm.createContext({ pattern: null, text: null });
+const matchScript = new vm.Script('new RegExp(pattern).exec(text)');
+
+// `{ value: match | null }`, or `{ error }` when the pattern runs out of time
+const matchPattern = (pattern, text) => {
+  matchContext.pattern = pattern;
+  matchContext.text = text;
+  try {
+    return { value: matchScript.runInContext(matchContext, { timeout: MATCH_TIMEOUT_MS }) };
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+    return { error: 'Payload took too long to match the endpoint textPattern' };
+  } finally {
+    matchContext.pattern = null;
+    matchContext.text = null;
+  }
+};
+
+/**
+ * Validate a template from the management API, filling gaps from the default.
+ * Returns `{ value }` or `{ error }`.
+ */
+export const validateTemplate = (input) => {
+  if (input === undefined || input === null) return { value: DEFAULT_TEMPLATE };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'template must be an object' };
+
+  const fields = { ...DEFAULT_TEMPLATE.fields };
+  if (input.fields !== undefined) {
+    if (typeof input.fields !== 'object' || input.fields === null) return { error: 'template.fields must be an object' };
+    for (const [field, value] of Object.entries(input.fields)) {
+      if (!TEMPLATE_FIELDS.includes(field)) {
+        return { error: `template.fields may only map: ${TEMPLATE_FIELDS.join(', ')}` };
+      }
+      if (!isTemplateString(value)) {
+        return { error: `template.fields.${field} must be a string of at most ${MAX_TEMPLATE_LENGTH} characters` };
+      }
+      fields[field] = value;
+    }
+  }
+
+  let textPattern = null;
+  if (input.textPattern !== undefined && input.textPattern !== null) {
+    if (!isTemplateString(input.textPattern)) {
+      return { error: `template.textPattern must be at most ${MAX_TEMPLATE_LENGTH} characters` };
+    }
+    try {
+      new RegExp(input.textPattern);
+    } catch (error) {
+      return { error: `template.textPattern is not a valid regular expression: ${error.message}` };
+    }
+    if (!isSafeRegex(input.textPattern)) {
+      return { error: 'template.textPattern may backtrack catastrophically; avoid nested quantifiers such as (a+)+' };
+    }
+    textPattern = input.textPattern;
+  }
+
+  let dedupeKey = null;
+  if (input.dedupeKey !== undefined && input.dedupeKey !== null) {
+    if (!isTemplateString(input.dedupeKey)) {
+      return { error: `template.dedupeKey must be at most ${MAX_TEMPLATE_LENGTH} characters` };
+    }
+    dedupeKey = input.dedupeKey;
+  }
+
+  return { value: { fields, textPattern, dedupeKey } };
+};
+
+const render = (template, variables) => {
+  const single = template.match(SINGLE_PLACEHOLDER);
+  if (single) return getPath(variables, single[1]);
+  return template.replace(PLACEHOLDER, (_match, path) => {
+    const value = getPath(variables, path);
+    return value === undefined || value === null ? '' : String(value);
+  });
+};
+
+// JSON object bodies are used as-is; strings are tried as JSON first
+const payloadVariables = (body, textPattern) => {
+  if (body && typeof body === 'object' && !Array.isArray(body)) return { value: body };
+
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text) return { error: 'Empty payload' };
+  if (text.startsWith('{')) {
+    try {
+      const parsed = JSON.parse(text);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return { value: parsed };
+    } catch (error) {
+      // Not JSON after all - treat as text
+    }
+  }
+
+  const variables = { text };
+  if (textPattern) {
+    const { value: match, error } = matchPattern(textPattern, text.slice(0, MAX_TEXT_LENGTH));
+    if (error) return { error };
+    if (!match) return { error: 'Payload did not match the endpoint textPattern' };
+    Object.assign(variables, match.groups);
+  }
+  return { value: variables };
+};
+
+/**
+ * Map a request body through `template`. Returns `{ value: { fields, dedupeKey } }`
+ * where `fields` still needs validateAlertInput, or `{ error }`.
+ */
+export const applyTemplate = (template, body) => {
+  const variables = payloadVariables(body, template.textPattern);
+  if (variables.error) return variables;
+
+  const fields = {};
+  for (const field of TEMPLATE_FIELDS) {
+    let value = render(template.fields[field], variables.value);
+    if (field !== 'price' && (typeof value === 'number' || typeof value === 'boolean')) value = String(value);
+    if (value !== undefined && value !== null && value !== '') fields[field] = value;
+  }
+  if (typeof fields.type === 'string') fields.type = fields.type.trim().toUpperCase();
+
+  const dedupeKey = template.dedupeKey ? render(template.dedupeKey, variables.value) : null;
+  return {
+    value: {
+      fields,
+      dedupeKey: dedupeKey === undefined || dedupeKey === null || dedupeKey === '' ? null : String(dedupeKey)
+    }
+  };
+};
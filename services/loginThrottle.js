@@ -0,0 +1,124 @@
+// services/loginThrottle.js - Brute-force protection for the login endpoints
+//
+// Two layers, both counted in the shared counter store so they hold across
+// instances:
+//   per IP:      LOGIN_IP_MAX_FAILURES (default 30) failed requests per
+//                LOGIN_IP_WINDOW_MINUTES (15); successful logins don't count
+//   per account: failures within LOGIN_FAILURE_WINDOW_MINUTES (15) beyond the
+//                first LOGIN_FREE_FAILURES (3) each impose a doubling wait
+//                (1s, 2s, 4s ... up to LOGIN_MAX_DELAY_SECONDS, 60) before the
+//                next attempt is accepted; LOGIN_LOCKOUT_FAILURES (10) lock the
+//                account for LOGIN_LOCKOUT_MINUTES (15) unless an admin unlocks it
+// Wrong 2FA codes count as account failures too, at login and on the 2FA
+// management routes. Unknown login names are throttled exactly like real
+// accounts so responses don't reveal which exist.
+import rateLimit from 'express-rate-limit';
+import { rateLimitStore } from './counterStore.js';
+
+const minutes = (name, fallback) => (Number(process.env[name]) || fallback) * 60 * 1000;
+
+const IP_WINDOW_MS = minutes('LOGIN_IP_WINDOW_MINUTES', 15);
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 30;
+const FAILURE_WINDOW_MS = minutes('LOGIN_FAILURE_WINDOW_MINUTES', 15);
+const FREE_FAILURES = Number(process.env.LOGIN_FREE_FAILURES) || 3;
+const MAX_DELAY_MS = (Number(process.env.LOGIN_MAX_DELAY_SECONDS) || 60) * 1000;
+const LOCKOUT_FAILURES = Number(process.env.LOGIN_LOCKOUT_FAILURES) || 10;
+const LOCKOUT_MS = minutes('LOGIN_LOCKOUT_MINUTES', 15);
+
+// Counter key for an account: the user id when the name matched a user
+export const accountKey = (user, login) => (
+  user ? `user:${user.id}` : `login:${String(login).trim().toLowerCase()}`
+);
+
+const retryAfterSeconds = (expiresAt) => Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000));
+
+// 429 with Retry-After for a `check` result
+export const sendThrottled = (res, blocked) => {
+  res.set('Retry-After', String(blocked.retryAfter));
+  const locked = blocked.reason === 'locked';
+  return res.status(429).json({
+    error: locked
+      ? 'Too many failed attempts; this account is temporarily locked'
+      : 'Too many failed attempts; wait before trying again',
+    code: locked ? 'ACCOUNT_LOCKED' : 'LOGIN_THROTTLED',
+    retryAfter: blocked.retryAfter
+  });
+};
+
+export const createLoginThrottle = ({ store, onIpLimited }) => {
+  const keys = (account) => ({
+    failures: `login-failures:${account}`,
+    wait: `login-wait:${account}`,
+    lock: `login-lock:${account}`
+  });
+
+  return {
+    // Per-IP limit for the login routes; answers 429 once exceeded
+    ipLimiter: rateLimit({
+      windowMs: IP_WINDOW_MS,
+      limit: IP_MAX_FAILURES,
+      skipSuccessfulRequests: true,
+      standardHeaders: 'draft-7',
+      legacyHeaders: false,
+      store: rateLimitStore(store, 'login-ip:'),
+      handler: (req, res, _next, options) => {
+        onIpLimited?.(req);
+        res.status(options.statusCode).json({ error: 'Too many login attempts from this address; try again later' });
+      }
+    }),
+
+    /**
+     * Whether `account` may try a password or code right now. Resolves to
+     * null, or `{ reason: 'locked' | 'throttled', retryAfter }` (seconds).
+     */
+    async check(account) {
+      const { lock, wait } = keys(account);
+      const locked = await store.get(lock);
+      if (locked) return { reason: 'locked', retryAfter: retryAfterSeconds(locked.expiresAt) };
+      const waiting = await store.get(wait);
+      if (waiting) return { reason: 'throttled', retryAfter: retryAfterSeconds(waiting.expiresAt) };
+      return null;
+    },
+
+    // Count a failure; resolves to `{ failures, lockedOut }`
+    async recordFailure(account) {
+      const { failures: failuresKey, wait, lock } = keys(account);
+      const { count } = await store.increment(failuresKey, FAILURE_WINDOW_MS);
+
+      if (count >= LOCKOUT_FAILURES) {
+        await store.set(lock, count, LOCKOUT_MS);
+        await store.remove(failuresKey, wait);
+        console.warn(`🔒 Login locked for ${account} after ${count} failures`);
+        return { failures: count, lockedOut: true };
+      }
+      if (count > FREE_FAILURES) {
+        await store.set(wait, count, Math.min(1000 * 2 ** (count - FREE_FAILURES - 1), MAX_DELAY_MS));
+      }
+      return { failures: count, lockedOut: false };
+    },
+
+    // After a successful login
+    reset: (account) => {
+      const { failures, wait } = keys(account);
+      return store.remove(failures, wait);
+    },
+
+    // Admin unlock; resolves to whether the account was locked
+    async unlock(account) {
+      const { failures, wait, lock } = keys(account);
+      const wasLocked = Boolean(await store.get(lock));
+      await store.remove(failures, wait, lock);
+      return wasLocked;
+    },
+
+    async status(account) {
+      const { failures, lock } = keys(account);
+      const [failureCount, locked] = await Promise.all([store.get(failures), store.get(lock)]);
+      return {
+        locked: Boolean(locked),
+        lockedUntil: locked ? new Date(locked.expiresAt).toISOString() : null,
+        recentFailures: failureCount?.count || 0
+      };
+    }
+  };
+};
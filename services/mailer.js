@@ -0,0 +1,68 @@
+// services/mailer.js - Outgoing email behind a swappable transport
+//
+// MAIL_TRANSPORT=smtp|capture|log picks the transport; by default smtp is used
+// whenever SMTP_HOST is set, and log otherwise.
+//   smtp:    nodemailer over SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER,
+//            SMTP_PASS. Point SMTP_HOST at a local catcher (e.g. MailHog on
+//            port 1025) for development.
+//   capture: keeps every message in `mailer.sent` instead of sending it, for
+//            tests that need to read tokens out of emails
+//   log:     prints messages to the console
+// Messages are `{ to, subject, text }`; SMTP_FROM is the sender.
+import nodemailer from 'nodemailer';
+
+const createSmtpTransport = () => {
+  if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is required for the smtp mail transport');
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+};
+
+// nodemailer-compatible transport that records messages instead of sending them
+export const createCaptureTransport = () => {
+  const sent = [];
+  return {
+    sent,
+    sendMail: async (message) => {
+      sent.push({ ...message, sentAt: new Date().toISOString() });
+      return { messageId: `capture-${sent.length}` };
+    },
+    close: () => {}
+  };
+};
+
+const createLogTransport = () => ({
+  sendMail: async ({ to, subject, text }) => {
+    console.log(`✉️  Mail to ${to}: ${subject}\n${text}`);
+    return { messageId: `log-${Date.now()}` };
+  },
+  close: () => {}
+});
+
+const createTransport = (name) => {
+  if (name === 'smtp') return createSmtpTransport();
+  if (name === 'capture') return createCaptureTransport();
+  if (name === 'log') return createLogTransport();
+  throw new Error(`Unknown mail transport: ${name}`);
+};
+
+export const createMailer = ({
+  transport,
+  name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'log'),
+  from = process.env.SMTP_FROM || 'alerts@localhost'
+} = {}) => {
+  const selected = transport ? 'custom' : name;
+  const backend = transport || createTransport(name);
+
+  return {
+    name: selected,
+    sent: backend.sent || null,
+
+    send: ({ to, subject, text }) => backend.sendMail({ from, to, subject, text }),
+
+    close: () => backend.close?.()
+  };
+};
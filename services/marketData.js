@@ -0,0 +1,169 @@
+// services/marketData.js - Tick normalization, OHLCV candle aggregation and price history
+//
+// Every price source (provider adapters, the REST ingestion endpoint, socket
+// clients) goes through `ingest`, so charts and the trigger engine read from
+// the same history. Listeners receive:
+//   'tick'   - `{ symbol, price, volume, timestamp, previousPrice, source }`
+//   'candle' - a candle that has just closed (a tick opened the next bucket)
+import { EventEmitter } from 'events';
+
+export const INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+const DEFAULT_MAX_CANDLES = Number(process.env.MARKET_DATA_MAX_CANDLES) || 1000;
+
+// How far ahead of our clock a source may stamp ticks. One tick from the
+// future would make every live tick after it "late" and freeze `latest`.
+const MAX_CLOCK_SKEW_MS = Number(process.env.MARKET_DATA_MAX_CLOCK_SKEW_MS) || 5000;
+
+// Returns `{ symbol, price, volume, timestamp }` or null if the tick is unusable
+export const normalizeTick = (raw, { now = Date.now() } = {}) => {
+  if (!raw || typeof raw !== 'object') return null;
+  const symbol = typeof raw.symbol === 'string' ? raw.symbol.trim().toUpperCase() : '';
+  const price = Number(raw.price ?? raw.close);
+  if (!symbol || !/^[A-Z0-9._:/-]{1,20}$/.test(symbol) || !Number.isFinite(price) || price <= 0) return null;
+
+  const volume = raw.volume === undefined || raw.volume === null ? 0 : Number(raw.volume);
+  if (!Number.isFinite(volume) || volume < 0) return null;
+
+  const timestamp = raw.timestamp ? new Date(raw.timestamp) : new Date();
+  if (Number.isNaN(timestamp.getTime()) || timestamp.getTime() > now + MAX_CLOCK_SKEW_MS) return null;
+
+  return { symbol, price, volume, timestamp: timestamp.toISOString() };
+};
+
+const bucketStart = (time, intervalMs) => Math.floor(time / intervalMs) * intervalMs;
+
+const newCandle = (tick, interval, openTime) => ({
+  symbol: tick.symbol,
+  interval,
+  openTime: new Date(openTime).toISOString(),
+  closeTime: new Date(openTime + INTERVALS[interval] - 1).toISOString(),
+  open: tick.price,
+  high: tick.price,
+  low: tick.price,
+  close: tick.price,
+  volume: tick.volume,
+  trades: 1,
+  lastTickAt: tick.timestamp
+});
+
+const applyTick = (candle, tick) => {
+  candle.high = Math.max(candle.high, tick.price);
+  candle.low = Math.min(candle.low, tick.price);
+  candle.volume += tick.volume;
+  candle.trades += 1;
+  // Late ticks widen the range but never move the close backwards in time
+  if (tick.timestamp >= candle.lastTickAt) {
+    candle.close = tick.price;
+    candle.lastTickAt = tick.timestamp;
+  }
+};
+
+const publicCandle = ({ lastTickAt, ...candle }) => ({ ...candle });
+
+export const createMarketDataService = ({ maxCandles = DEFAULT_MAX_CANDLES } = {}) => {
+  const events = new EventEmitter();
+  const latest = new Map();
+  // symbol -> interval -> candles in ascending openTime order
+  const series = new Map();
+  const providers = [];
+
+  const seriesFor = (symbol, interval) => {
+    if (!series.has(symbol)) {
+      series.set(symbol, Object.fromEntries(Object.keys(INTERVALS).map(key => [key, []])));
+    }
+    return series.get(symbol)[interval];
+  };
+
+  const aggregate = (tick) => {
+    const time = Date.parse(tick.timestamp);
+    for (const [interval, intervalMs] of Object.entries(INTERVALS)) {
+      const candles = seriesFor(tick.symbol, interval);
+      const openTime = new Date(bucketStart(time, intervalMs)).toISOString();
+      const current = candles[candles.length - 1];
+
+      if (!current || openTime > current.openTime) {
+        if (current) events.emit('candle', publicCandle(current));
+        candles.push(newCandle(tick, interval, Date.parse(openTime)));
+        if (candles.length > maxCandles) candles.shift();
+        continue;
+      }
+
+      // Late tick: fold it into the candle it belongs to, if still retained
+      const target = openTime === current.openTime
+        ? current
+        : candles.find(candle => candle.openTime === openTime);
+      if (target) applyTick(target, tick);
+    }
+  };
+
+  const service = {
+    on: (event, listener) => events.on(event, listener),
+    off: (event, listener) => events.off(event, listener),
+
+    // Returns the normalized tick, or null if it was rejected
+    ingest(raw, source = 'api') {
+      const tick = normalizeTick(raw);
+      if (!tick) return null;
+
+      const previous = latest.get(tick.symbol);
+      aggregate(tick);
+
+      if (!previous || tick.timestamp >= previous.timestamp) {
+        latest.set(tick.symbol, tick);
+      }
+
+      const event = { ...tick, previousPrice: previous ? previous.price : null, source };
+      events.emit('tick', event);
+      return event;
+    },
+
+    latest: (symbol) => latest.get(symbol.toUpperCase()) || null,
+
+    symbols: () => [...latest.keys()].sort(),
+
+    candles(symbol, interval = '1m', { from, to, limit } = {}) {
+      if (!INTERVALS[interval]) throw new Error(`Unknown interval: ${interval}`);
+      const key = symbol.toUpperCase();
+      if (!series.has(key)) return [];
+      let candles = series.get(key)[interval];
+      if (from) candles = candles.filter(candle => candle.closeTime >= from);
+      if (to) candles = candles.filter(candle => candle.openTime <= to);
+      if (limit) candles = candles.slice(-limit);
+      return candles.map(publicCandle);
+    },
+
+    // Price at (or just after) `time`, from the finest retained candles; null
+    // when `time` is older than the retained history or newer than any tick
+    priceAt(symbol, time) {
+      const iso = new Date(time).toISOString();
+      const candles = seriesFor(symbol.toUpperCase(), '1m');
+      if (candles.length === 0 || iso < candles[0].openTime) return null;
+      const candle = candles.find(c => c.closeTime >= iso);
+      return candle ? candle.open : null;
+    },
+
+    addProvider(provider) {
+      providers.push(provider);
+      return service;
+    },
+
+    async start() {
+      for (const provider of providers) {
+        await provider.start((raw) => service.ingest(raw, provider.name));
+        console.log(`📈 Market data provider started: ${provider.name}`);
+      }
+    },
+
+    async stop() {
+      await Promise.all(providers.map(provider => provider.stop()));
+    }
+  };
+
+  return service;
+};
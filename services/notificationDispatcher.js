@@ -0,0 +1,197 @@
+// services/notificationDispatcher.js - Fans alerts out to users' notification channels
+//
+// `dispatch(alert)` queues one delivery per opted-in user and channel; a
+// polling worker sends due deliveries and retries failures with exponential
+// backoff. Public alerts honour the recipient's plan delay (the same one the
+// feed applies) and quiet hours push delivery back rather than dropping it.
+//
+// Channels are plain objects (`{ name, configured, validateTarget, send }`,
+// see services/channels/) so they can be swapped for fakes. Email only goes
+// to users whose address is verified.
+import cron from 'node-cron';
+import { alertRepository } from '../models/alertRepository.js';
+import { notificationRepository } from '../models/notificationRepository.js';
+import { notificationPreferenceRepository } from '../models/notificationPreferenceRepository.js';
+import { userRepository } from '../models/userRepository.js';
+import { PERMISSIONS, can } from './permissions.js';
+import { alertFeedLimits } from './subscriptions.js';
+import { channelTarget, enabledChannels, quietHoursEnd, wantsAlert } from './notificationPreferences.js';
+
+const POLL_MS = Number(process.env.NOTIFICATION_POLL_MS || 5000);
+const MAX_ATTEMPTS = Number(process.env.NOTIFICATION_MAX_ATTEMPTS || 6);
+const RETRY_BASE_MS = Number(process.env.NOTIFICATION_RETRY_BASE_MS || 30 * 1000);
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const LOCK_MS = 5 * 60 * 1000;
+const RETENTION_DAYS = 7;
+
+export const retryDelay = (attempts, error) => Math.max(
+  error?.retryAfterMs || 0,
+  Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS)
+);
+
+export const formatAlertMessage = (alert) => {
+  const lines = [alert.message];
+  if (alert.signal) {
+    const { entry, targets, stopLoss, timeframe } = alert.signal;
+    const zone = entry.low === entry.high ? `${entry.low}` : `${entry.low} - ${entry.high}`;
+    lines.push(
+      `Entry: ${zone}`,
+      `Targets: ${targets.join(', ')}`,
+      `Stop: ${stopLoss}`,
+      ...(timeframe ? [`Timeframe: ${timeframe}`] : [])
+    );
+  }
+  return {
+    event: 'alert.created',
+    subject: `${alert.recipientId ? 'Price trigger' : 'New alert'}: ${alert.type} ${alert.symbol} @ ${alert.price}`,
+    text: lines.join('\n'),
+    alert
+  };
+};
+
+// Whether `user` may receive notifications on `channelName` at all
+export const canReceive = (user, channelName) => channelName !== 'email' || Boolean(user.emailVerifiedAt);
+
+// Where to send: the saved settings, except that email always goes to the
+// account's current address
+export const deliveryTarget = (user, channelName, settings) => (
+  channelName === 'email' ? { address: user.email } : channelTarget(settings)
+);
+
+export const createNotificationDispatcher = ({ channels, pollMs = POLL_MS, maxAttempts = MAX_ATTEMPTS }) => {
+  const byName = Object.fromEntries(channels.map(channel => [channel.name, channel]));
+  let pollTimer = null;
+  let cleanupTask = null;
+  let running = null;
+
+  // Earliest time this user may be told about the alert
+  const deliverAfter = (alert, user, preferences) => {
+    let time = new Date();
+    if (!alert.recipientId) {
+      const { alertDelayMinutes } = alertFeedLimits(user, { isStaff: can(user, PERMISSIONS.ALERTS_CREATE) });
+      const released = new Date(Date.parse(alert.createdAt) + alertDelayMinutes * 60 * 1000);
+      if (released > time) time = released;
+    }
+    return quietHoursEnd(preferences.quietHours, time) || time;
+  };
+
+  const deliver = async (job) => {
+    const finish = (status, patch = {}) => notificationRepository.update(job.id, { status, ...patch });
+
+    const [alert, preferences, user] = await Promise.all([
+      alertRepository.findById(job.alertId),
+      notificationPreferenceRepository.findByUser(job.userId),
+      userRepository.findById(job.userId)
+    ]);
+    if (!alert) return finish('cancelled', { lastError: 'Alert was deleted' });
+    if (!user || user.isActive === false) return finish('cancelled', { lastError: 'Account is inactive' });
+    // The address may have changed (and lost its verification) since queueing
+    if (!canReceive(user, job.channel)) return finish('cancelled', { lastError: 'Email address is not verified' });
+
+    // Targets are read at send time so opting out also stops queued deliveries
+    const settings = preferences?.channels?.[job.channel];
+    const channel = byName[job.channel];
+    if (!settings?.enabled || !channel?.configured) {
+      return finish('cancelled', { lastError: 'Channel disabled' });
+    }
+
+    const attempts = job.attempts + 1;
+    try {
+      await channel.send(deliveryTarget(user, job.channel, settings), formatAlertMessage(alert));
+      return finish('sent', { attempts, sentAt: new Date().toISOString(), lastError: null });
+    } catch (error) {
+      if (error.permanent || attempts >= maxAttempts) {
+        console.error(`📭 Notification ${job.id} (${job.channel}) failed for good: ${error.message}`);
+        return finish('failed', { attempts, lastError: error.message });
+      }
+      return finish('pending', {
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + retryDelay(attempts, error)).toISOString()
+      });
+    }
+  };
+
+  const dispatcher = {
+    channels: byName,
+
+    // Queue deliveries for everyone who wants this alert. Private (trigger)
+    // alerts only go to their recipient. Resolves to the number queued.
+    async dispatch(alert) {
+      const subscribers = alert.recipientId
+        ? [await notificationPreferenceRepository.findByUser(alert.recipientId)].filter(Boolean)
+        : await notificationPreferenceRepository.findSubscribed();
+
+      let queued = 0;
+      for (const preferences of subscribers) {
+        if (!wantsAlert(preferences, alert)) continue;
+        if (!enabledChannels(preferences).some(name => byName[name]?.configured)) continue;
+
+        const user = await userRepository.findById(preferences.userId);
+        if (!user || user.isActive === false) continue;
+        const names = enabledChannels(preferences).filter(name => byName[name]?.configured && canReceive(user, name));
+
+        const nextAttemptAt = deliverAfter(alert, user, preferences).toISOString();
+        for (const channel of names) {
+          await notificationRepository.create({ userId: user.id, alertId: alert.id, channel, nextAttemptAt });
+          queued += 1;
+        }
+      }
+
+      if (queued > 0) dispatcher.processDue().catch(error => console.error('Notification delivery failed:', error));
+      return queued;
+    },
+
+    // Send everything that is due; overlapping calls share one run
+    processDue() {
+      if (running) return running;
+      running = (async () => {
+        const now = new Date();
+        const due = await notificationRepository.findDue(now.toISOString());
+        let processed = 0;
+        for (const job of due) {
+          const claimed = await notificationRepository.claim(job, new Date(now.getTime() + LOCK_MS).toISOString());
+          if (!claimed) continue;
+          await deliver(claimed);
+          processed += 1;
+        }
+        return processed;
+      })().finally(() => {
+        running = null;
+      });
+      return running;
+    },
+
+    // Send straight away, bypassing the queue (for "send test notification")
+    async sendTest(channelName, target, user) {
+      if (!canReceive(user, channelName)) throw new Error('Email address is not verified');
+      await byName[channelName].send(target, {
+        event: 'notification.test',
+        subject: 'Test notification',
+        text: `Notifications for ${user.username} are working on this channel.`,
+        alert: null
+      });
+    },
+
+    start() {
+      if (pollTimer) return;
+      pollTimer = setInterval(() => {
+        dispatcher.processDue().catch(error => console.error('Notification delivery failed:', error));
+      }, pollMs);
+      cleanupTask = cron.schedule('0 * * * *', () => {
+        const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        notificationRepository.removeFinishedBefore(cutoff)
+          .catch(error => console.error('Notification cleanup failed:', error));
+      });
+    },
+
+    stop() {
+      clearInterval(pollTimer);
+      if (cleanupTask) cleanupTask.stop();
+      pollTimer = null;
+      cleanupTask = null;
+    }
+  };
+
+  return dispatcher;
+};
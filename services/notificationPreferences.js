@@ -0,0 +1,153 @@
+// services/notificationPreferences.js - Per-user notification settings
+//
+// Preferences look like:
+//   {
+//     channels: { email: { enabled, address }, telegram: { enabled, chatId },
+//                 discord: { enabled, webhookUrl }, webhook: { enabled, url } },
+//     symbols: ['BTC', ...] | null,   // null = every symbol
+//     types: ['BUY', ...] | null,     // null = every alert type
+//     quietHours: { start: '22:00', end: '07:00', timeZone: 'Europe/London' } | null
+//   }
+// Notifications that fall in quiet hours are held until the quiet period ends.
+// Email always goes to the account's own address, and can only be enabled once
+// that address is verified.
+
+const MAX_FILTER_ITEMS = 100;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const defaultPreferences = () => ({
+  channels: {},
+  symbols: null,
+  types: null,
+  quietHours: null
+});
+
+const validateFilter = (value, field) => {
+  if (value === null) return { value: null };
+  if (!Array.isArray(value) || value.length > MAX_FILTER_ITEMS
+    || !value.every(item => typeof item === 'string' && item.trim() && item.length <= 20)) {
+    return { error: `${field} must be null or a list of at most ${MAX_FILTER_ITEMS} names` };
+  }
+  return { value: [...new Set(value.map(item => item.trim().toUpperCase()))] };
+};
+
+const validateQuietHours = (value) => {
+  if (value === null) return { value: null };
+  const { start, end, timeZone = 'UTC' } = value || {};
+  if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end) || start === end) {
+    return { error: 'quietHours needs different start and end times as HH:MM' };
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    return { error: 'quietHours.timeZone must be an IANA time zone such as Europe/London' };
+  }
+  return { value: { start, end, timeZone } };
+};
+
+/**
+ * Validate a preferences update against the delivery channels. Top-level
+ * fields that are sent replace the current ones; channels are merged one by
+ * one. Enabling a channel requires a target; email uses the account address,
+ * which must be verified. Resolves to `{ value }` (the full new preferences)
+ * or `{ error }`.
+ */
+export const validatePreferences = async (input, current, { channels, accountEmail, accountEmailVerified = false }) => {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { error: 'Preferences must be an object' };
+  }
+  const value = { ...current, channels: { ...current.channels } };
+
+  if (input.channels !== undefined) {
+    if (typeof input.channels !== 'object' || input.channels === null) return { error: 'channels must be an object' };
+
+    for (const [name, settings] of Object.entries(input.channels)) {
+      const channel = channels[name];
+      if (!channel) return { error: `Unknown channel: ${name}` };
+      if (typeof settings !== 'object' || settings === null) return { error: `channels.${name} must be an object` };
+
+      const merged = { ...value.channels[name], ...settings };
+      const enabled = Boolean(merged.enabled);
+      if (enabled && !channel.configured) return { error: `${name} notifications are not available on this server` };
+      if (enabled && name === 'email' && !accountEmailVerified) {
+        return { error: 'Verify your email address before enabling email notifications' };
+      }
+
+      const target = channelTarget(merged);
+      if (name === 'email') {
+        const requested = settings.address === undefined ? null : String(settings.address).trim().toLowerCase();
+        if (requested !== null && requested !== accountEmail?.toLowerCase()) {
+          return { error: 'email.address must be your account email; change that in your profile' };
+        }
+        target.address = accountEmail;
+      }
+      const checked = await channel.validateTarget(target);
+      if (checked.error && (enabled || Object.keys(settings).some(key => key !== 'enabled'))) {
+        return { error: checked.error };
+      }
+      value.channels[name] = { enabled, ...(checked.value || {}) };
+    }
+  }
+
+  for (const field of ['symbols', 'types']) {
+    if (input[field] === undefined) continue;
+    const checked = validateFilter(input[field], field);
+    if (checked.error) return { error: checked.error };
+    value[field] = checked.value;
+  }
+
+  if (input.quietHours !== undefined) {
+    const checked = validateQuietHours(input.quietHours);
+    if (checked.error) return { error: checked.error };
+    value.quietHours = checked.value;
+  }
+
+  return { value };
+};
+
+// Channel settings without the on/off flag, as passed to `channel.send`
+export const channelTarget = (settings) => {
+  const target = { ...settings };
+  delete target.enabled;
+  return target;
+};
+
+export const enabledChannels = (preferences) => Object.entries(preferences.channels || {})
+  .filter(([, settings]) => settings.enabled)
+  .map(([name]) => name);
+
+// Symbol and type filters
+export const wantsAlert = (preferences, alert) => (
+  (!preferences.symbols || preferences.symbols.includes(alert.symbol))
+  && (!preferences.types || preferences.types.includes(alert.type.toUpperCase()))
+);
+
+const minutesOf = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * When `time` falls in the quiet hours, the Date they end; otherwise null.
+ */
+export const quietHoursEnd = (quietHours, time = new Date()) => {
+  if (!quietHours) return null;
+
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: quietHours.timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(time).map(part => [part.type, part.value]));
+  const now = Number(parts.hour) * 60 + Number(parts.minute);
+
+  const start = minutesOf(quietHours.start);
+  const end = minutesOf(quietHours.end);
+  const quiet = start < end ? now >= start && now < end : now >= start || now < end;
+  if (!quiet) return null;
+
+  const minutesLeft = (end - now + 24 * 60) % (24 * 60);
+  const resumeAt = new Date(time.getTime() + minutesLeft * 60 * 1000);
+  resumeAt.setUTCSeconds(0, 0);
+  return resumeAt;
+};
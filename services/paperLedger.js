@@ -0,0 +1,119 @@
+// services/paperLedger.js - Paper-trading account math: fills, P&L and valuation
+//
+// Pure functions, no storage. Positions are keyed by symbol with a signed
+// quantity (negative = short) and an average entry price. Both longs and
+// shorts are fully cash-secured: opening exposure moves `quantity * price`
+// out of cash, closing returns that cost basis plus the realized P&L. There
+// is no leverage and no fees.
+
+const QUANTITY_PLACES = 8;
+const MONEY_PLACES = 2;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+export const roundQuantity = (value) => round(value, QUANTITY_PLACES);
+
+export const roundMoney = (value) => round(value, MONEY_PLACES);
+
+export const newAccountState = (startingBalance) => ({
+  startingBalance,
+  cash: startingBalance,
+  realizedPnl: 0,
+  positions: {}
+});
+
+/**
+ * Apply a fill of `quantity` (> 0) at `price` to the account state.
+ * Returns `{ value: { cash, realizedPnl, positions }, realizedPnl }` with the
+ * P&L realized by this fill, or `{ error }` when cash does not cover it.
+ */
+export const applyFill = (account, { symbol, side, quantity, price }) => {
+  const direction = side === 'buy' ? 1 : -1;
+  const current = account.positions[symbol] || { quantity: 0, averagePrice: 0 };
+  let cash = account.cash;
+  let held = current.quantity;
+  let averagePrice = current.averagePrice;
+  let remaining = quantity;
+  let realized = 0;
+
+  // Reduce (or close) an opposite position first
+  if (held !== 0 && Math.sign(held) !== direction) {
+    const closing = Math.min(remaining, Math.abs(held));
+    const pnl = closing * (price - averagePrice) * Math.sign(held);
+    cash += closing * averagePrice + pnl;
+    realized += pnl;
+    held = roundQuantity(held + closing * direction);
+    remaining = roundQuantity(remaining - closing);
+    if (held === 0) averagePrice = 0;
+  }
+
+  // Whatever is left opens or adds to a position in the order's direction
+  if (remaining > 0) {
+    const cost = remaining * price;
+    if (cost > cash + 1e-9) {
+      return { error: `Insufficient cash: ${roundMoney(cost)} needed, ${roundMoney(cash)} available` };
+    }
+    const size = Math.abs(held);
+    averagePrice = (size * averagePrice + remaining * price) / (size + remaining);
+    held = roundQuantity(held + remaining * direction);
+    cash -= cost;
+  }
+
+  const positions = { ...account.positions };
+  if (held === 0) {
+    delete positions[symbol];
+  } else {
+    positions[symbol] = {
+      quantity: held,
+      averagePrice,
+      openedAt: current.quantity !== 0 && Math.sign(current.quantity) === Math.sign(held)
+        ? current.openedAt
+        : new Date().toISOString()
+    };
+  }
+
+  return {
+    value: {
+      cash: roundMoney(cash),
+      realizedPnl: roundMoney(account.realizedPnl + realized),
+      positions
+    },
+    realizedPnl: roundMoney(realized)
+  };
+};
+
+/**
+ * Mark positions to `priceOf(symbol)` (falling back to entry when unknown).
+ * Returns account totals and the positions with market value and unrealized P&L.
+ */
+export const valueAccount = (account, priceOf) => {
+  const positions = Object.entries(account.positions).map(([symbol, position]) => {
+    const markPrice = priceOf(symbol) ?? position.averagePrice;
+    const size = Math.abs(position.quantity);
+    const unrealizedPnl = size * (markPrice - position.averagePrice) * Math.sign(position.quantity);
+    return {
+      symbol,
+      side: position.quantity > 0 ? 'long' : 'short',
+      quantity: position.quantity,
+      averagePrice: position.averagePrice,
+      markPrice,
+      costBasis: roundMoney(size * position.averagePrice),
+      marketValue: roundMoney(size * position.averagePrice + unrealizedPnl),
+      unrealizedPnl: roundMoney(unrealizedPnl),
+      openedAt: position.openedAt
+    };
+  });
+
+  const unrealizedPnl = positions.reduce((sum, position) => sum + position.unrealizedPnl, 0);
+  const equity = account.cash + positions.reduce((sum, position) => sum + position.marketValue, 0);
+
+  return {
+    startingBalance: account.startingBalance,
+    cash: account.cash,
+    equity: roundMoney(equity),
+    realizedPnl: account.realizedPnl,
+    unrealizedPnl: roundMoney(unrealizedPnl),
+    totalReturnPercent: roundMoney(((equity - account.startingBalance) / account.startingBalance) * 100),
+    positions
+  };
+};
@@ -0,0 +1,284 @@
+// services/paperTrading.js - Simulated trading accounts, order fills and alert auto-follow
+//
+// Market orders fill at the latest known price from market data; limit
+// orders rest until a tick crosses them. Each account's updates run one at a
+// time in-process, with a version check in the store as a backstop.
+//
+// Auto-follow places a market order of `orderValue` (in account currency) on
+// every public BUY/SELL alert from a followed analyst. A SELL reduces or
+// closes a long first and only then opens a short. Because it acts the moment
+// an alert is published, it is only available on plans without a feed delay.
+import { paperAccountRepository } from '../models/paperAccountRepository.js';
+import { paperOrderRepository } from '../models/paperOrderRepository.js';
+import { paperTradeRepository } from '../models/paperTradeRepository.js';
+import { userRepository } from '../models/userRepository.js';
+import { PERMISSIONS, can } from './permissions.js';
+import { alertFeedLimits } from './subscriptions.js';
+import { applyFill, newAccountState, roundQuantity, valueAccount } from './paperLedger.js';
+
+export const ORDER_SIDES = ['buy', 'sell'];
+export const ORDER_TYPES = ['market', 'limit'];
+
+const STARTING_BALANCE = Number(process.env.PAPER_STARTING_BALANCE || 100000);
+const MAX_STARTING_BALANCE = 10000000;
+export const MAX_FOLLOWED_ANALYSTS = 20;
+const FOLLOW_SIDES = { BUY: 'buy', SELL: 'sell' };
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+// Limit buys fill at or below the limit, limit sells at or above
+const crosses = (order, price) => (order.side === 'buy' ? price <= order.limitPrice : price >= order.limitPrice);
+
+const hasFeedDelay = (user) => alertFeedLimits(user, {
+  isStaff: can(user, PERMISSIONS.ALERTS_CREATE)
+}).alertDelayMinutes > 0;
+
+/**
+ * Validate an order request. Size is `quantity` (units) or `notional`
+ * (account currency, converted at the limit or latest price later).
+ * Returns `{ value }` or `{ error }`.
+ */
+export const validateOrderInput = (input = {}) => {
+  const { symbol, side, type = 'market' } = input;
+  if (typeof symbol !== 'string' || !/^[A-Za-z0-9._:/-]{1,20}$/.test(symbol.trim())) {
+    return { error: 'symbol must be 1-20 characters (letters, digits, . _ : / -)' };
+  }
+  if (!ORDER_SIDES.includes(side)) return { error: `side must be one of: ${ORDER_SIDES.join(', ')}` };
+  if (!ORDER_TYPES.includes(type)) return { error: `type must be one of: ${ORDER_TYPES.join(', ')}` };
+
+  const quantity = toNumber(input.quantity);
+  const notional = toNumber(input.notional);
+  if ((quantity === undefined) === (notional === undefined)) {
+    return { error: 'Send exactly one of quantity or notional' };
+  }
+  if (quantity !== undefined && !isPositiveNumber(quantity)) return { error: 'quantity must be a positive number' };
+  if (notional !== undefined && !isPositiveNumber(notional)) return { error: 'notional must be a positive number' };
+
+  const value = { symbol: symbol.trim().toUpperCase(), side, type, quantity, notional };
+  if (type === 'limit') {
+    const limitPrice = toNumber(input.limitPrice);
+    if (!isPositiveNumber(limitPrice)) return { error: 'limitPrice must be a positive number for limit orders' };
+    value.limitPrice = limitPrice;
+  }
+  return { value };
+};
+
+export const createPaperTradingService = ({ marketData, alertService }) => {
+  const queues = new Map();
+
+  // Run `task` after every earlier task for the same user
+  const serialize = (userId, task) => {
+    const previous = queues.get(userId) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    queues.set(userId, run);
+    run.finally(() => {
+      if (queues.get(userId) === run) queues.delete(userId);
+    }).catch(() => {});
+    return run;
+  };
+
+  const latestPrice = (symbol) => marketData.latest(symbol)?.price;
+
+  const loadAccount = async (userId) => (
+    await paperAccountRepository.findByUser(userId)
+    || paperAccountRepository.create({ userId, ...newAccountState(STARTING_BALANCE) })
+  );
+
+  // Fill an open order at `price`; resolves to the closed order (or null if
+  // it was no longer open). Closing the order first claims it, so it can't
+  // fill twice; if the account then changed underneath us the fill is undone,
+  // leaving a limit order open for the next tick and rejecting a market order.
+  const fillOrder = (order, price) => serialize(order.userId, async () => {
+    const account = await loadAccount(order.userId);
+    const fill = applyFill(account, { symbol: order.symbol, side: order.side, quantity: order.quantity, price });
+    if (fill.error) {
+      return paperOrderRepository.close(order.id, { status: 'rejected', reason: fill.error });
+    }
+
+    const executedAt = new Date().toISOString();
+    const filled = await paperOrderRepository.close(order.id, {
+      status: 'filled',
+      filledPrice: price,
+      filledAt: executedAt,
+      realizedPnl: fill.realizedPnl
+    });
+    if (!filled) return null;
+
+    const updated = await paperAccountRepository.applyUpdate(account, fill.value);
+    if (!updated) {
+      console.warn(`📄 Paper account ${account.id} changed during fill of order ${order.id}; fill undone`);
+      if (order.type === 'limit') {
+        await paperOrderRepository.revertFill(order.id, { status: 'open' });
+        return null;
+      }
+      return paperOrderRepository.revertFill(order.id, {
+        status: 'rejected',
+        reason: 'Account changed during fill; try again'
+      });
+    }
+
+    await paperTradeRepository.create({
+      userId: order.userId,
+      orderId: order.id,
+      symbol: order.symbol,
+      side: order.side,
+      quantity: order.quantity,
+      price,
+      realizedPnl: fill.realizedPnl,
+      source: order.source,
+      executedAt
+    });
+    return filled;
+  });
+
+  const service = {
+    summary: async (userId) => {
+      const account = await serialize(userId, () => loadAccount(userId));
+      return {
+        id: account.id,
+        ...valueAccount(account, latestPrice),
+        autoFollow: account.autoFollow,
+        createdAt: account.createdAt,
+        resetAt: account.resetAt || null
+      };
+    },
+
+    /**
+     * Place a validated order. Market orders (and limit orders that are
+     * already marketable) fill immediately at the latest price.
+     * Resolves to `{ order }` or `{ error }` when there is no price to fill at.
+     */
+    async placeOrder(userId, input, { source = 'manual', alertId = null } = {}) {
+      const price = latestPrice(input.symbol);
+      if (input.type === 'market' && price === undefined) {
+        return { error: `No price available for ${input.symbol}` };
+      }
+
+      const sizingPrice = input.type === 'limit' ? input.limitPrice : price;
+      const quantity = roundQuantity(input.quantity ?? input.notional / sizingPrice);
+      if (quantity <= 0) return { error: 'Order size rounds to zero' };
+
+      await serialize(userId, () => loadAccount(userId));
+      const order = await paperOrderRepository.create({
+        userId,
+        symbol: input.symbol,
+        side: input.side,
+        type: input.type,
+        quantity,
+        limitPrice: input.limitPrice ?? null,
+        status: 'open',
+        source,
+        alertId
+      });
+
+      if (price !== undefined && (input.type === 'market' || crosses(order, price))) {
+        return { order: (await fillOrder(order, price)) || order };
+      }
+      return { order };
+    },
+
+    // Resolves to the cancelled order, or null if it was not open
+    cancelOrder: (order) => serialize(order.userId, () => (
+      paperOrderRepository.close(order.id, { status: 'cancelled', reason: 'Cancelled by user' })
+    )),
+
+    // Start over with a fresh balance; open orders are cancelled, history is kept
+    reset: (userId, startingBalance = STARTING_BALANCE) => serialize(userId, async () => {
+      if (!isPositiveNumber(startingBalance) || startingBalance > MAX_STARTING_BALANCE) {
+        return { error: `startingBalance must be between 0 and ${MAX_STARTING_BALANCE}` };
+      }
+      await paperOrderRepository.cancelOpenForUser(userId);
+      const account = await loadAccount(userId);
+      const updated = await paperAccountRepository.applyUpdate(account, {
+        ...newAccountState(startingBalance),
+        resetAt: new Date().toISOString()
+      });
+      return updated ? { account: updated } : { error: 'Account changed during reset; try again' };
+    }),
+
+    // `{ enabled, analystIds, orderValue }`; fields not sent are kept
+    setAutoFollow: (user, input = {}) => serialize(user.id, async () => {
+      const account = await loadAccount(user.id);
+      const autoFollow = { ...account.autoFollow };
+
+      if (input.enabled !== undefined) {
+        if (typeof input.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+        autoFollow.enabled = input.enabled;
+      }
+      if (input.analystIds !== undefined) {
+        const ids = input.analystIds;
+        if (!Array.isArray(ids) || ids.length > MAX_FOLLOWED_ANALYSTS || !ids.every(id => typeof id === 'string')) {
+          return { error: `analystIds must list at most ${MAX_FOLLOWED_ANALYSTS} user ids` };
+        }
+        const analysts = await Promise.all(ids.map(id => userRepository.findById(id)));
+        if (analysts.some(analyst => !analyst || !can(analyst, PERMISSIONS.ALERTS_CREATE))) {
+          return { error: 'analystIds may only contain users who publish alerts' };
+        }
+        autoFollow.analystIds = [...new Set(ids)];
+      }
+      if (input.orderValue !== undefined) {
+        const orderValue = toNumber(input.orderValue);
+        if (!isPositiveNumber(orderValue) || orderValue > MAX_STARTING_BALANCE) {
+          return { error: `orderValue must be between 0 and ${MAX_STARTING_BALANCE}` };
+        }
+        autoFollow.orderValue = orderValue;
+      }
+
+      if (autoFollow.enabled && hasFeedDelay(user)) {
+        return { error: 'Auto-follow requires a plan without alert delay', status: 403 };
+      }
+
+      const updated = await paperAccountRepository.applyUpdate(account, { autoFollow });
+      return updated ? { autoFollow: updated.autoFollow } : { error: 'Account changed; try again' };
+    }),
+
+    // Fill resting limit orders crossed by a market data tick
+    async handleTick(tick) {
+      const orders = await paperOrderRepository.findOpenBySymbol(tick.symbol);
+      for (const order of orders.filter(open => crosses(open, tick.price))) {
+        await fillOrder(order, tick.price);
+      }
+    },
+
+    // Copy a new BUY/SELL alert into every follower's account
+    async followAlert(alert) {
+      const side = FOLLOW_SIDES[alert.type.toUpperCase()];
+      if (!side || alert.recipientId) return;
+
+      const followers = await paperAccountRepository.findFollowing(alert.userId);
+      for (const account of followers) {
+        const user = await userRepository.findById(account.userId);
+        if (!user || user.isActive === false || hasFeedDelay(user)) continue;
+
+        const result = await service.placeOrder(
+          account.userId,
+          { symbol: alert.symbol, side, type: 'market', notional: account.autoFollow.orderValue },
+          { source: 'auto-follow', alertId: alert.id }
+        );
+        if (result.error) console.log(`📄 Auto-follow skipped for ${user.username}: ${result.error}`);
+      }
+    },
+
+    start() {
+      marketData.on('tick', onTick);
+      alertService.on('created', onAlert);
+    },
+
+    stop() {
+      marketData.off('tick', onTick);
+      alertService.off('created', onAlert);
+    }
+  };
+
+  const onTick = (tick) => {
+    service.handleTick(tick).catch(error => console.error('Paper limit order fill failed:', error));
+  };
+
+  const onAlert = (alert) => {
+    service.followAlert(alert).catch(error => console.error('Paper auto-follow failed:', error));
+  };
+
+  return service;
+};
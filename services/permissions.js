@@ -0,0 +1,38 @@
+// services/permissions.js - Roles and the permissions they grant
+//
+// Users without an explicit `role` fall back to the legacy `isAdmin` flag.
+
+export const PERMISSIONS = {
+  ALERTS_READ: 'alerts:read',
+  ALERTS_CREATE: 'alerts:create',
+  ALERTS_UPDATE_OWN: 'alerts:update:own',
+  ALERTS_UPDATE_ANY: 'alerts:update:any',
+  ALERTS_DELETE_OWN: 'alerts:delete:own',
+  ALERTS_DELETE_ANY: 'alerts:delete:any',
+  USERS_MANAGE: 'users:manage',
+  PRICES_INGEST: 'prices:ingest'
+};
+
+const member = [PERMISSIONS.ALERTS_READ];
+const analyst = [
+  ...member,
+  PERMISSIONS.ALERTS_CREATE,
+  PERMISSIONS.ALERTS_UPDATE_OWN,
+  PERMISSIONS.ALERTS_DELETE_OWN
+];
+const admin = Object.values(PERMISSIONS);
+
+export const ROLES = { admin, analyst, member };
+
+export const roleOf = (user) => {
+  if (user?.role && ROLES[user.role]) return user.role;
+  return user?.isAdmin ? 'admin' : 'member';
+};
+
+export const can = (user, permission) => ROLES[roleOf(user)].includes(permission);
+
+// Authors may act on their own resources with the `:own` permission, anyone
+// else needs the matching `:any` permission
+export const canOnResource = (user, ownerId, action) => (
+  can(user, `${action}:any`) || (user?.id === ownerId && can(user, `${action}:own`))
+);
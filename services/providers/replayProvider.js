@@ -0,0 +1,102 @@
+// services/providers/replayProvider.js - Replays recorded ticks from a CSV or JSON file
+//
+// Accepted formats:
+//   .csv         header row with symbol, price (or close), timestamp and optional volume
+//   .json        array of tick objects
+//   .jsonl/.ndjson one tick object per line
+// With `speed` 1 ticks are spaced as recorded, 10 replays ten times faster and
+// 0 emits everything immediately. `rebase` moves the timeline onto the wall
+// clock, which keeps replayed candles aligned with live ones: ticks are stamped
+// when they are emitted (recorded spacing divided by `speed`), or with speed 0
+// the recorded history is shifted to end now. Either way no tick is stamped
+// in the future, which market data would reject.
+import fs from 'fs/promises';
+import path from 'path';
+
+const parseCsv = (text) => {
+  const [headerLine, ...lines] = text.split(/\r?\n/).filter(line => line.trim());
+  if (!headerLine) return [];
+  const headers = headerLine.split(',').map(header => header.trim().toLowerCase());
+  return lines.map((line) => {
+    const cells = line.split(',').map(cell => cell.trim());
+    return Object.fromEntries(headers.map((header, index) => [header, cells[index]]));
+  });
+};
+
+export const loadTickFile = async (filePath) => {
+  const text = await fs.readFile(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  let rows;
+  if (ext === '.csv') {
+    rows = parseCsv(text);
+  } else if (ext === '.jsonl' || ext === '.ndjson') {
+    rows = text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+  } else {
+    rows = JSON.parse(text);
+    if (!Array.isArray(rows)) throw new Error(`${filePath} must contain a JSON array of ticks`);
+  }
+
+  return rows
+    .map(row => ({ ...row, timestamp: row.timestamp || row.time || row.date }))
+    .filter(row => row.timestamp && !Number.isNaN(Date.parse(row.timestamp)))
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+};
+
+export const createReplayProvider = ({ file, speed = 1, loop = false, rebase = true }) => {
+  let timer = null;
+  let stopped = false;
+
+  return {
+    name: `replay:${path.basename(file)}`,
+
+    async start(emit) {
+      const ticks = await loadTickFile(file);
+      if (ticks.length === 0) {
+        console.warn(`⚠️ Replay file ${file} contains no usable ticks`);
+        return;
+      }
+      stopped = false;
+
+      const firstTime = Date.parse(ticks[0].timestamp);
+      const lastTime = Date.parse(ticks[ticks.length - 1].timestamp);
+      const startedAt = Date.now();
+      // Recorded time added by each completed loop
+      let offset = 0;
+      let index = 0;
+
+      const stamp = (time) => {
+        if (!rebase) return time + offset;
+        if (speed > 0) return startedAt + (time + offset - firstTime) / speed;
+        return time + offset + startedAt - lastTime;
+      };
+
+      const emitNext = () => {
+        if (stopped) return;
+        if (index >= ticks.length) {
+          if (!loop) return;
+          // Continue the timeline after the last tick so prices keep moving forward
+          offset += lastTime - firstTime + 1000;
+          index = 0;
+        }
+
+        const tick = ticks[index];
+        const time = Date.parse(tick.timestamp);
+        emit({ ...tick, timestamp: new Date(stamp(time)).toISOString() });
+        index += 1;
+
+        const next = ticks[index];
+        const delay = next && speed > 0 ? (Date.parse(next.timestamp) - time) / speed : 0;
+        timer = setTimeout(emitNext, Math.max(0, delay));
+      };
+
+      emitNext();
+    },
+
+    async stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    }
+  };
+};
@@ -0,0 +1,412 @@
+// services/realtime.js - Socket.io authentication, rooms and client event handling
+//
+// Sockets authenticate in the handshake with the same access token as the
+// REST API (`auth.token`, an `Authorization: Bearer` header or `?token=`).
+// Each socket joins only its own `user-<id>` room. Client-originated events
+// are rate limited per socket, validated, and permission checked before
+// anything is broadcast.
+//
+// Price and public alert events go to `symbol-<SYMBOL>` rooms. Sockets start
+// in the all-symbols room so legacy clients keep receiving everything; the
+// first `subscribe` narrows the stream to the requested symbols (`'*'`
+// subscribes to everything again). `subscribe-watchlist` subscribes to the
+// symbols a watchlist holds at that moment.
+//
+// Public alert events honour the plan's feed delay, like the REST feed: each
+// socket sits in the `alert-delay-<ms>` room of its plan, and delayed rooms
+// get an alert's events once the delay after its creation has passed. Those
+// late deliveries are logged as entries of their own (with `audience` set to
+// the delay room), so `seq` order stays delivery order for every client.
+//
+// All broadcasts go through the returned broadcaster, which stamps them with
+// `seq`/`epoch` from the event log. After reconnecting (and re-subscribing) a
+// client sends `resume` with its last seen `{ seq, epoch }` to receive what it
+// missed, or is told to resync when the gap is no longer available. Price
+// ticks (`toSymbolLive`) are the exception: they would crowd alert events out
+// of the bounded log, and a reconnecting client gets current prices from the
+// `price-snapshot` sent on subscribe instead.
+import { resolveAuthUser } from './auth.js';
+import { PERMISSIONS, can } from './permissions.js';
+import { validateAlertInput } from './alertService.js';
+import { watchlistRepository } from '../models/watchlistRepository.js';
+import { createEventLog } from './eventLog.js';
+import { PLANS, alertFeedLimits } from './subscriptions.js';
+
+const ALLOW_ANONYMOUS = process.env.SOCKET_ALLOW_ANONYMOUS === 'true';
+
+const USER_STATUSES = ['online', 'away', 'busy', 'offline'];
+const MAX_SUBSCRIPTIONS_PER_SOCKET = 50;
+const ALL_SYMBOLS = '*';
+const ALL_SYMBOLS_ROOM = 'symbols-all';
+const SYMBOL_ROOM_PREFIX = 'symbol-';
+const DELAY_ROOM_PREFIX = 'alert-delay-';
+
+// Token buckets: `capacity` events in a burst, refilled at `perSecond`
+const RATE_LIMITS = {
+  'new-alert': { capacity: 5, perSecond: 5 / 60 },
+  'price-update': { capacity: 50, perSecond: 20 },
+  'user-status': { capacity: 5, perSecond: 1 / 10 },
+  subscribe: { capacity: 10, perSecond: 1 },
+  'subscribe-watchlist': { capacity: 10, perSecond: 1 },
+  resume: { capacity: 3, perSecond: 1 / 10 },
+  unsubscribe: { capacity: 10, perSecond: 1 },
+  'unsubscribe-watchlist': { capacity: 10, perSecond: 1 },
+  default: { capacity: 20, perSecond: 2 }
+};
+
+const SCHEMAS = {
+  'join-user': { type: 'string', maxLength: 64 },
+  authenticate: { type: 'string', maxLength: 4096 },
+  resume: {
+    type: 'object',
+    fields: {
+      seq: { type: 'number', required: true },
+      epoch: { type: 'string', maxLength: 64, required: true }
+    }
+  },
+  subscribe: { type: 'symbols', maxItems: MAX_SUBSCRIPTIONS_PER_SOCKET },
+  unsubscribe: { type: 'symbols', maxItems: MAX_SUBSCRIPTIONS_PER_SOCKET },
+  'subscribe-watchlist': { type: 'string', maxLength: 64 },
+  'unsubscribe-watchlist': { type: 'string', maxLength: 64 },
+  'user-status': {
+    type: 'object',
+    fields: {
+      status: { type: 'string', enum: USER_STATUSES, required: true },
+      message: { type: 'string', maxLength: 140 }
+    }
+  }
+};
+
+export const userRoom = (userId) => `user-${userId}`;
+
+export const symbolRoom = (symbol) => `${SYMBOL_ROOM_PREFIX}${symbol.toUpperCase()}`;
+
+const delayRoom = (delayMs) => `${DELAY_ROOM_PREFIX}${delayMs}`;
+
+// Every plan's delay, so sockets that connect while an alert is held still get it
+const DELAY_TIERS = [...new Set(Object.values(PLANS).map(plan => plan.alertDelayMinutes * 60 * 1000))];
+
+// Feed delay for a socket's user (anonymous sockets get the free plan's)
+const alertDelayMs = (user) => alertFeedLimits(user, {
+  isStaff: Boolean(user) && can(user, PERMISSIONS.ALERTS_CREATE)
+}).alertDelayMinutes * 60 * 1000;
+
+// When the plan delay starts counting for an event: the creation time of the
+// public alert it carries, or null for events that are never held back
+const heldSince = (event, payload) => {
+  if (event !== 'alert-update' || !payload?.alert || payload.alert.recipientId) return null;
+  const createdAt = Date.parse(payload.alert.createdAt);
+  return Number.isNaN(createdAt) ? null : createdAt;
+};
+
+const SYMBOL_PATTERN = /^[A-Za-z0-9._:/-]{1,20}$/;
+
+// A symbol or array of symbols (or '*') -> uppercase list
+const toSymbolList = (value) => [...new Set([].concat(value).map(symbol => (
+  symbol === ALL_SYMBOLS ? ALL_SYMBOLS : symbol.toUpperCase()
+)))];
+
+// Subscriber counts per symbol room, for status reporting
+export const roomStats = (io) => {
+  const { rooms } = io.of('/').adapter;
+  const symbols = {};
+  for (const [room, members] of rooms) {
+    if (room.startsWith(SYMBOL_ROOM_PREFIX)) symbols[room.slice(SYMBOL_ROOM_PREFIX.length)] = members.size;
+  }
+  return { allSymbols: rooms.get(ALL_SYMBOLS_ROOM)?.size || 0, symbols };
+};
+
+// Minimal schema check: returns an error message or null
+const checkSchema = (schema, value, name = 'payload') => {
+  if (value === undefined || value === null) {
+    return schema.required === false ? null : `${name} is required`;
+  }
+  if (schema.type === 'object') {
+    if (typeof value !== 'object' || Array.isArray(value)) return `${name} must be an object`;
+    for (const [field, fieldSchema] of Object.entries(schema.fields)) {
+      if ((value[field] === undefined || value[field] === null) && !fieldSchema.required) continue;
+      const error = checkSchema({ required: true, ...fieldSchema }, value[field], field);
+      if (error) return error;
+    }
+    return null;
+  }
+  if (schema.type === 'symbols') {
+    const list = [].concat(value);
+    if (list.length === 0 || list.length > schema.maxItems) return `${name} must list 1-${schema.maxItems} symbols`;
+    const valid = list.every(symbol => typeof symbol === 'string' && (symbol === ALL_SYMBOLS || SYMBOL_PATTERN.test(symbol)));
+    return valid ? null : `${name} must contain valid symbols`;
+  }
+  if (typeof value !== schema.type) return `${name} must be a ${schema.type}`;
+  if (schema.enum && !schema.enum.includes(value)) return `${name} must be one of: ${schema.enum.join(', ')}`;
+  if (schema.maxLength && value.length > schema.maxLength) return `${name} must be at most ${schema.maxLength} characters`;
+  return null;
+};
+
+const handshakeToken = (socket) => {
+  const { auth = {}, headers = {}, query = {} } = socket.handshake;
+  if (typeof auth.token === 'string') return auth.token;
+  if (headers.authorization?.startsWith('Bearer ')) return headers.authorization.substring(7);
+  if (typeof query.token === 'string') return query.token;
+  return null;
+};
+
+const createRateLimiter = () => {
+  const buckets = new Map();
+  return (event) => {
+    const { capacity, perSecond } = RATE_LIMITS[event] || RATE_LIMITS.default;
+    const now = Date.now();
+    const bucket = buckets.get(event) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+    bucket.updatedAt = now;
+    buckets.set(event, bucket);
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  };
+};
+
+export const setupRealtime = (io, { marketData, alertService, eventLog = createEventLog() }) => {
+  const symbolRooms = (symbols) => [...[].concat(symbols).map(symbolRoom), ALL_SYMBOLS_ROOM];
+
+  const emitLogged = (rooms, event, payload) => {
+    const entry = eventLog.append(event, rooms, payload);
+    (rooms ? io.to(rooms) : io).emit(event, entry.payload);
+    return entry;
+  };
+
+  // Delay rooms whose delay has passed get the entry now; each of the others
+  // gets its own logged copy when its delay runs out
+  const emitHeld = (rooms, event, payload, since) => {
+    const entry = eventLog.append(event, rooms, payload);
+    const pending = DELAY_TIERS.filter(delayMs => since + delayMs > Date.now());
+    io.to(rooms).except(pending.map(delayRoom)).emit(event, entry.payload);
+
+    pending.forEach((delayMs) => {
+      setTimeout(() => {
+        const others = DELAY_TIERS.filter(other => other !== delayMs).map(delayRoom);
+        const late = eventLog.append(event, rooms, payload, { audience: delayRoom(delayMs) });
+        io.to(rooms).except(others).emit(event, late.payload);
+      }, since + delayMs - Date.now()).unref();
+    });
+    return entry;
+  };
+
+  // Whether a logged entry reached (or would have reached) this socket
+  const visibleTo = (socket, entry) => {
+    if (entry.rooms && !entry.rooms.some(room => socket.rooms.has(room))) return false;
+    if (entry.audience) return socket.rooms.has(entry.audience);
+    const since = heldSince(entry.event, entry.payload);
+    return since === null || since + socket.data.alertDelayMs <= entry.time;
+  };
+
+  const broadcaster = {
+    eventLog,
+
+    // Price and public alert events reach the symbol's room plus the firehose
+    // One symbol or a list (e.g. old and new symbol of an edited alert)
+    toSymbol: (symbols, event, payload) => {
+      const since = heldSince(event, payload);
+      return since === null
+        ? emitLogged(symbolRooms(symbols), event, payload)
+        : emitHeld(symbolRooms(symbols), event, payload, since);
+    },
+
+    // Same rooms, but unsequenced and never replayed
+    toSymbolLive: (symbols, event, payload) => io.to(symbolRooms(symbols)).emit(event, payload),
+
+    toUser: (userId, event, payload) => emitLogged([userRoom(userId)], event, payload),
+
+    toAll: (event, payload) => emitLogged(null, event, payload)
+  };
+
+  io.use((socket, next) => {
+    const token = handshakeToken(socket);
+    if (!token) {
+      socket.data.user = null;
+      return ALLOW_ANONYMOUS ? next() : next(new Error('Unauthorized'));
+    }
+    resolveAuthUser(token)
+      .then((user) => {
+        if (!user || user.twoFactorSetupRequired) return next(new Error('Unauthorized'));
+        socket.data.user = user;
+        next();
+      })
+      .catch(next);
+  });
+
+  io.on('connection', (socket) => {
+    const allow = createRateLimiter();
+    let expiryTimer = null;
+
+    // Disconnect when the access token expires unless the client re-authenticates
+    const scheduleExpiry = () => {
+      clearTimeout(expiryTimer);
+      const { user } = socket.data;
+      if (!user?.exp) return;
+      expiryTimer = setTimeout(() => {
+        socket.emit('session-expired');
+        socket.disconnect(true);
+      }, Math.max(0, user.exp * 1000 - Date.now()));
+    };
+
+    // Own user room, and the delay room for the user's current plan
+    const joinOwnRoom = () => {
+      if (socket.data.user) socket.join(userRoom(socket.data.user.id));
+      if (socket.data.alertDelayMs !== undefined) socket.leave(delayRoom(socket.data.alertDelayMs));
+      socket.data.alertDelayMs = alertDelayMs(socket.data.user);
+      socket.join(delayRoom(socket.data.alertDelayMs));
+    };
+
+    // Registers a client event handler. Results go to the ack callback when
+    // the client sends one, otherwise errors are reported as `socket-error`.
+    const handle = (event, { permission, requireAuth = true } = {}, handler) => {
+      socket.on(event, async (payload, ack) => {
+        const reply = typeof ack === 'function'
+          ? ack
+          : (result) => {
+            if (result?.error) socket.emit('socket-error', { event, error: result.error });
+          };
+
+        if (!allow(event)) return reply({ error: 'Rate limit exceeded' });
+        if (requireAuth && !socket.data.user) return reply({ error: 'Unauthorized' });
+        if (permission && !can(socket.data.user, permission)) return reply({ error: 'Forbidden' });
+        if (SCHEMAS[event]) {
+          const error = checkSchema(SCHEMAS[event], payload);
+          if (error) return reply({ error });
+        }
+
+        try {
+          reply((await handler(payload)) || { ok: true });
+        } catch (error) {
+          console.error(`Socket event ${event} failed:`, error);
+          reply({ error: 'Internal server error' });
+        }
+      });
+    };
+
+    const subscribedSymbols = () => [...socket.rooms]
+      .filter(room => room.startsWith(SYMBOL_ROOM_PREFIX))
+      .map(room => room.slice(SYMBOL_ROOM_PREFIX.length));
+
+    console.log('🔌 User connected:', socket.id, socket.data.user?.username || '(anonymous)');
+    joinOwnRoom();
+    socket.join(ALL_SYMBOLS_ROOM);
+    scheduleExpiry();
+
+    // Legacy: sockets are joined to their own room automatically, and may not
+    // join anyone else's
+    handle('join-user', {}, (userId) => (
+      userId === socket.data.user.id ? { ok: true } : { error: 'Forbidden' }
+    ));
+
+    // Swap in a fresh access token without reconnecting
+    handle('authenticate', { requireAuth: false }, async (token) => {
+      const user = await resolveAuthUser(token);
+      if (!user || user.twoFactorSetupRequired) return { error: 'Unauthorized' };
+      if (socket.data.user && socket.data.user.id !== user.id) {
+        return { error: 'Token belongs to a different user' };
+      }
+      socket.data.user = user;
+      joinOwnRoom();
+      scheduleExpiry();
+      return { ok: true };
+    });
+
+    // Publish an alert (analysts and admins); broadcast happens via the alert service
+    handle('new-alert', { permission: PERMISSIONS.ALERTS_CREATE }, async (alertData) => {
+      const { value, error } = validateAlertInput(alertData || {});
+      if (error) return { error };
+      const alert = await alertService.create(value, socket.data.user);
+      console.log('📢 Alert published over socket:', alert.symbol);
+      return { ok: true, alert };
+    });
+
+    // Push a price tick into market data (price feeders only)
+    handle('price-update', { permission: PERMISSIONS.PRICES_INGEST }, (priceData) => (
+      marketData.ingest(priceData, 'socket') ? { ok: true } : { error: 'Invalid price tick' }
+    ));
+
+    // Narrow the price/alert stream to these symbols and send a price snapshot
+    const subscribe = (requested) => {
+      const added = requested.filter(symbol => symbol !== ALL_SYMBOLS);
+      const total = new Set([...subscribedSymbols(), ...added]);
+      if (total.size > MAX_SUBSCRIPTIONS_PER_SOCKET) {
+        return { error: `At most ${MAX_SUBSCRIPTIONS_PER_SOCKET} symbol subscriptions per connection` };
+      }
+
+      if (requested.includes(ALL_SYMBOLS)) {
+        socket.join(ALL_SYMBOLS_ROOM);
+      } else {
+        socket.leave(ALL_SYMBOLS_ROOM);
+      }
+      added.forEach(symbol => socket.join(symbolRoom(symbol)));
+
+      const prices = added.map(symbol => marketData.latest(symbol)).filter(Boolean);
+      socket.emit('price-snapshot', { prices });
+      return { ok: true, symbols: subscribedSymbols(), allSymbols: socket.rooms.has(ALL_SYMBOLS_ROOM), prices };
+    };
+
+    const unsubscribe = (symbols) => {
+      symbols.forEach(symbol => (
+        socket.leave(symbol === ALL_SYMBOLS ? ALL_SYMBOLS_ROOM : symbolRoom(symbol))
+      ));
+      return { ok: true, symbols: subscribedSymbols(), allSymbols: socket.rooms.has(ALL_SYMBOLS_ROOM) };
+    };
+
+    const loadOwnWatchlist = (id) => watchlistRepository.findOwned(id, socket.data.user.id);
+
+    handle('subscribe', { requireAuth: false }, (symbols) => subscribe(toSymbolList(symbols)));
+
+    handle('unsubscribe', { requireAuth: false }, (symbols) => unsubscribe(toSymbolList(symbols)));
+
+    // Watchlists are expanded to their symbols; later edits need a re-subscribe
+    handle('subscribe-watchlist', {}, async (watchlistId) => {
+      const watchlist = await loadOwnWatchlist(watchlistId);
+      if (!watchlist) return { error: 'Watchlist not found' };
+      return { ...subscribe(watchlist.symbols), watchlistId };
+    });
+
+    handle('unsubscribe-watchlist', {}, async (watchlistId) => {
+      const watchlist = await loadOwnWatchlist(watchlistId);
+      if (!watchlist) return { error: 'Watchlist not found' };
+      return { ...unsubscribe(watchlist.symbols), watchlistId };
+    });
+
+    // Replay events missed while disconnected, limited to the rooms this
+    // socket is in now
+    handle('resume', {}, ({ seq, epoch }) => {
+      const missed = eventLog.since(seq, epoch);
+      if (!missed) {
+        const resync = { epoch: eventLog.epoch, latestSeq: eventLog.latestSeq() };
+        socket.emit('resync-required', resync);
+        return { ok: false, resyncRequired: true, ...resync };
+      }
+
+      const visible = missed.filter(entry => visibleTo(socket, entry));
+      visible.forEach(entry => socket.emit(entry.event, { ...entry.payload, replayed: true }));
+      return { ok: true, replayed: visible.length, epoch: eventLog.epoch, latestSeq: eventLog.latestSeq() };
+    });
+
+    // Presence: the server fills in who is speaking, so statuses cannot be spoofed
+    handle('user-status', {}, ({ status, message }) => {
+      const { user } = socket.data;
+      broadcaster.toAll('user-status-change', {
+        userId: user.id,
+        username: user.username,
+        status,
+        message: message || null,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Let the client know where the stream starts so it can resume later
+    socket.emit('stream-position', { epoch: eventLog.epoch, seq: eventLog.latestSeq() });
+
+    socket.on('disconnect', () => {
+      clearTimeout(expiryTimer);
+      console.log('🔌 User disconnected:', socket.id);
+    });
+  });
+
+  return broadcaster;
+};
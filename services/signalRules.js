@@ -0,0 +1,207 @@
+// services/signalRules.js - Structured trade signals: validation, outcome tracking and stats
+//
+// Pure functions like triggerRules.js: the live tracker and the performance
+// endpoint share the same definitions of "entered", "won" and R-multiple.
+//
+// A signal's risk (1R) is the distance from its entry price to its stop-loss.
+// Once a target is hit the signal counts as a win measured at the furthest
+// target reached, even if price later comes back to the stop.
+
+export const SIGNAL_DIRECTIONS = ['long', 'short'];
+export const TIMEFRAMES = ['1m', '5m', '15m', '30m', '1h', '4h', '1d', '1w'];
+export const MAX_TARGETS = 5;
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Signed distance in the signal's favour
+const favourable = (direction, from, to) => (direction === 'long' ? to - from : from - to);
+
+/**
+ * Validate the `signal` block of an alert against the alert's own price and type.
+ * `direction` defaults from BUY/SELL alert types. Entry zone defaults to the
+ * alert price. Returns `{ value }` or `{ error }`.
+ */
+export const validateSignal = (input, { type, price }) => {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { error: 'signal must be an object' };
+  }
+
+  const inferred = { BUY: 'long', SELL: 'short' }[type?.toUpperCase()];
+  const direction = input.direction ?? inferred;
+  if (!SIGNAL_DIRECTIONS.includes(direction)) {
+    return { error: `signal.direction must be one of: ${SIGNAL_DIRECTIONS.join(', ')}` };
+  }
+
+  const entryLow = toNumber(input.entry?.low ?? input.entry ?? price);
+  const entryHigh = toNumber(input.entry?.high ?? input.entry ?? price);
+  if (!isPositiveNumber(entryLow) || !isPositiveNumber(entryHigh) || entryLow > entryHigh) {
+    return { error: 'signal.entry must be a positive price or a { low, high } zone' };
+  }
+
+  const stopLoss = toNumber(input.stopLoss);
+  if (!isPositiveNumber(stopLoss)) return { error: 'signal.stopLoss must be a positive number' };
+  if (direction === 'long' ? stopLoss >= entryLow : stopLoss <= entryHigh) {
+    return { error: `signal.stopLoss must be ${direction === 'long' ? 'below' : 'above'} the entry zone` };
+  }
+
+  if (!Array.isArray(input.targets) || input.targets.length === 0 || input.targets.length > MAX_TARGETS) {
+    return { error: `signal.targets must list 1-${MAX_TARGETS} prices` };
+  }
+  const targets = input.targets.map(toNumber);
+  if (!targets.every(isPositiveNumber)) return { error: 'signal.targets must be positive numbers' };
+  const beyondEntry = direction === 'long' ? entryHigh : entryLow;
+  const ordered = targets.every((target, i) => favourable(direction, i === 0 ? beyondEntry : targets[i - 1], target) > 0);
+  if (!ordered) {
+    return {
+      error: `signal.targets must be ${direction === 'long' ? 'ascending and above' : 'descending and below'} the entry zone`
+    };
+  }
+
+  const timeframe = input.timeframe ?? null;
+  if (timeframe !== null && !TIMEFRAMES.includes(timeframe)) {
+    return { error: `signal.timeframe must be one of: ${TIMEFRAMES.join(', ')}` };
+  }
+
+  let expiresAt = null;
+  if (input.expiresAt !== undefined && input.expiresAt !== null) {
+    const date = new Date(input.expiresAt);
+    if (Number.isNaN(date.getTime())) return { error: 'signal.expiresAt must be a valid date' };
+    if (date <= new Date()) return { error: 'signal.expiresAt must be in the future' };
+    expiresAt = date.toISOString();
+  }
+
+  return {
+    value: { direction, entry: { low: entryLow, high: entryHigh }, targets, stopLoss, timeframe, expiresAt }
+  };
+};
+
+// Tracking state stored alongside a new signal alert
+export const initialOutcome = (createdAt) => ({
+  status: 'pending',
+  result: null,
+  targetsHit: 0,
+  entryPrice: null,
+  enteredAt: null,
+  exitPrice: null,
+  closedAt: null,
+  rMultiple: null,
+  updatedAt: createdAt
+});
+
+const rMultipleAt = (signal, entryPrice, price) => round(
+  favourable(signal.direction, entryPrice, price) / Math.abs(entryPrice - signal.stopLoss)
+);
+
+const close = (outcome, signal, { result, exitPrice, time }) => ({
+  ...outcome,
+  status: 'closed',
+  result,
+  exitPrice,
+  closedAt: time,
+  rMultiple: outcome.entryPrice === null ? null : rMultipleAt(signal, outcome.entryPrice, exitPrice),
+  updatedAt: time
+});
+
+/**
+ * Advance a signal's outcome with one price observation.
+ * Returns `{ outcome, events }` where events are 'entered', 'target_hit'
+ * (with `target`), 'stopped' and 'completed'; `events` is empty when nothing changed.
+ */
+export const advanceOutcome = (signal, outcome, { price, time }) => {
+  if (outcome.status === 'closed') return { outcome, events: [] };
+
+  let next = outcome;
+  const events = [];
+
+  if (next.status === 'pending') {
+    if (price < signal.entry.low || price > signal.entry.high) return { outcome, events };
+    next = { ...next, status: 'open', entryPrice: price, enteredAt: time, updatedAt: time };
+    events.push({ event: 'entered', price });
+  }
+
+  const stopped = favourable(signal.direction, signal.stopLoss, price) <= 0;
+  if (stopped) {
+    if (next.targetsHit > 0) {
+      const best = signal.targets[next.targetsHit - 1];
+      next = close(next, signal, { result: 'target', exitPrice: best, time });
+    } else {
+      next = close(next, signal, { result: 'stopped', exitPrice: signal.stopLoss, time });
+    }
+    events.push({ event: 'stopped', price });
+    return { outcome: next, events };
+  }
+
+  let targetsHit = next.targetsHit;
+  while (targetsHit < signal.targets.length && favourable(signal.direction, signal.targets[targetsHit], price) >= 0) {
+    targetsHit += 1;
+    events.push({ event: 'target_hit', target: targetsHit, price });
+  }
+  if (targetsHit !== next.targetsHit) {
+    const best = signal.targets[targetsHit - 1];
+    next = { ...next, targetsHit, rMultiple: rMultipleAt(signal, next.entryPrice, best), updatedAt: time };
+    if (targetsHit === signal.targets.length) {
+      next = close(next, signal, { result: 'target', exitPrice: best, time });
+      events.push({ event: 'completed', price });
+    }
+  }
+
+  return { outcome: next, events };
+};
+
+/**
+ * Close a signal at its expiry. Signals past a target keep that result;
+ * open ones are marked to `price` (the last known price), pending ones have no R.
+ */
+export const expireOutcome = (signal, outcome, { price, time }) => {
+  if (outcome.status === 'closed') return outcome;
+  if (outcome.targetsHit > 0) {
+    return close(outcome, signal, { result: 'target', exitPrice: signal.targets[outcome.targetsHit - 1], time });
+  }
+  const exitPrice = outcome.status === 'open' ? (price ?? outcome.entryPrice) : null;
+  return close(outcome, signal, { result: 'expired', exitPrice, time });
+};
+
+/**
+ * Roll closed signals up into analyst stats. Only signals that were entered
+ * count towards win rate and R; a win is a closed signal with positive R.
+ */
+export const summarizePerformance = (alerts) => {
+  const summary = {
+    signals: alerts.length,
+    pending: 0,
+    open: 0,
+    closed: 0,
+    wins: 0,
+    losses: 0,
+    expired: 0,
+    winRate: null,
+    averageR: null,
+    totalR: 0
+  };
+
+  for (const { outcome } of alerts) {
+    if (outcome.status !== 'closed') {
+      summary[outcome.status] += 1;
+      continue;
+    }
+    summary.closed += 1;
+    if (outcome.result === 'expired') summary.expired += 1;
+    if (outcome.rMultiple === null) continue;
+    if (outcome.rMultiple > 0) summary.wins += 1;
+    else summary.losses += 1;
+    summary.totalR += outcome.rMultiple;
+  }
+
+  const decided = summary.wins + summary.losses;
+  if (decided > 0) {
+    summary.winRate = round(summary.wins / decided, 4);
+    summary.averageR = round(summary.totalR / decided);
+  }
+  summary.totalR = round(summary.totalR);
+
+  return summary;
+};
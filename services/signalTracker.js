@@ -0,0 +1,93 @@
+// services/signalTracker.js - Follows published trade signals against market data ticks
+//
+// Mirrors the trigger engine: ticks are processed one at a time per symbol,
+// outcome state lives on the alert, and a cron sweep closes expired signals.
+import cron from 'node-cron';
+import { alertRepository } from '../models/alertRepository.js';
+import { advanceOutcome, expireOutcome } from './signalRules.js';
+
+export const createSignalTracker = ({ marketData, onUpdate } = {}) => {
+  const queues = new Map();
+  let sweepTask = null;
+
+  const save = async (alert, outcome, events) => {
+    const updated = await alertRepository.updateOutcome(alert, outcome);
+    if (!updated) return null;
+    if (onUpdate) onUpdate({ alert: updated, events });
+    return updated;
+  };
+
+  const expire = (alert, time) => {
+    const outcome = expireOutcome(alert.signal, alert.outcome, {
+      price: marketData.latest(alert.symbol)?.price,
+      time
+    });
+    return save(alert, outcome, [{ event: 'expired' }]);
+  };
+
+  const processTick = async (tick) => {
+    const signals = await alertRepository.findTrackableSignals(tick.symbol);
+    const updated = [];
+
+    for (const alert of signals) {
+      // Replayed or late ticks from before the signal was published don't count
+      if (tick.timestamp < alert.createdAt) continue;
+
+      if (alert.signal.expiresAt && alert.signal.expiresAt <= tick.timestamp) {
+        const expired = await expire(alert, alert.signal.expiresAt);
+        if (expired) updated.push(expired);
+        continue;
+      }
+
+      const { outcome, events } = advanceOutcome(alert.signal, alert.outcome, {
+        price: tick.price,
+        time: tick.timestamp
+      });
+      if (events.length === 0) continue;
+
+      const saved = await save(alert, outcome, events);
+      if (saved) updated.push(saved);
+    }
+
+    return updated;
+  };
+
+  const handleTick = (tick) => {
+    tracker.evaluate(tick).catch(error => console.error('Signal tracking failed:', error));
+  };
+
+  const tracker = {
+    // Resolves to the signal alerts whose outcome changed on this tick
+    evaluate(tick) {
+      const previous = queues.get(tick.symbol) || Promise.resolve();
+      const run = previous.catch(() => {}).then(() => processTick(tick));
+      queues.set(tick.symbol, run);
+      run.finally(() => {
+        if (queues.get(tick.symbol) === run) queues.delete(tick.symbol);
+      }).catch(() => {});
+      return run;
+    },
+
+    async sweepExpired() {
+      const expired = await alertRepository.findExpiredSignals(new Date().toISOString());
+      await Promise.all(expired.map(alert => expire(alert, alert.signal.expiresAt)));
+      return expired.length;
+    },
+
+    start() {
+      if (sweepTask) return;
+      marketData.on('tick', handleTick);
+      sweepTask = cron.schedule('* * * * *', () => {
+        tracker.sweepExpired().catch(error => console.error('Signal expiry sweep failed:', error));
+      });
+    },
+
+    stop() {
+      marketData.off('tick', handleTick);
+      if (sweepTask) sweepTask.stop();
+      sweepTask = null;
+    }
+  };
+
+  return tracker;
+};
@@ -0,0 +1,74 @@
+// services/storage/localStorage.js - Upload storage on the local filesystem
+//
+// Public keys are served by express.static under `baseUrl`. Keys under
+// `private/` are never served statically; they are only reachable through
+// signed URLs: `<baseUrl>/private/...?expires=<unix seconds>&signature=<hex>`
+// where the signature is an HMAC-SHA256 of "<key>:<expires>".
+import crypto from 'crypto';
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+export const createLocalStorage = ({ root, baseUrl = '/uploads', secret }) => {
+  const resolvedRoot = path.resolve(root);
+
+  // Absolute path for a key; throws for keys that would escape the root
+  const filePath = (key) => {
+    const file = path.resolve(resolvedRoot, key);
+    if (!file.startsWith(`${resolvedRoot}${path.sep}`)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  const sign = (key, expires) => crypto.createHmac('sha256', secret).update(`${key}:${expires}`).digest('hex');
+
+  return {
+    name: 'local',
+    root: resolvedRoot,
+    describe: () => `local (${resolvedRoot})`,
+
+    async put(key, body) {
+      const file = filePath(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.writeFile(file, body);
+    },
+
+    // Resolves to a readable stream, or null if there is no such file
+    async get(key) {
+      try {
+        const file = filePath(key);
+        await fsp.access(file);
+        return fs.createReadStream(file);
+      } catch (error) {
+        return null;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await fsp.access(filePath(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    remove: (key) => fsp.rm(filePath(key), { force: true }),
+
+    publicUrl: (key) => `${baseUrl}/${key}`,
+
+    // Key for a URL this driver produced, or null
+    keyForUrl: (url) => (typeof url === 'string' && url.startsWith(`${baseUrl}/`) ? url.slice(baseUrl.length + 1) : null),
+
+    async signedUrl(key, { expiresIn }) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${baseUrl}/${key}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    verifySignature(key, expires, signature) {
+      if (!/^\d+$/.test(String(expires)) || Number(expires) < Date.now() / 1000) return false;
+      const expected = Buffer.from(sign(key, expires), 'hex');
+      const actual = Buffer.from(String(signature), 'hex');
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+  };
+};
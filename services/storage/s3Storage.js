@@ -0,0 +1,73 @@
+// services/storage/s3Storage.js - Upload storage in an S3-compatible bucket
+//
+// Works with AWS S3 and self-hosted stores such as MinIO (set `endpoint` and
+// `forcePathStyle`). Public objects are served straight from `publicUrl`
+// (a CDN, or the bucket itself), so the bucket policy must allow anonymous
+// GetObject on everything except `private/*`. Private objects are only
+// handed out as presigned, expiring GET URLs.
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+const isNotFound = (error) => error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+
+export const createS3Storage = ({ bucket, region, endpoint, forcePathStyle, credentials, publicUrl }) => {
+  if (!bucket) throw new Error('S3_BUCKET is required for the s3 upload storage driver');
+
+  const client = new S3Client({ region, endpoint, forcePathStyle, credentials });
+  const base = (publicUrl || (endpoint
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+    describe: () => `s3 (${endpoint || region}, bucket ${bucket})`,
+
+    put: (key, body, { contentType, cacheControl } = {}) => client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      CacheControl: cacheControl
+    })),
+
+    // Resolves to a readable stream, or null if there is no such object
+    async get(key) {
+      try {
+        const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Body;
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (isNotFound(error)) return false;
+        throw error;
+      }
+    },
+
+    remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+
+    publicUrl: (key) => `${base}/${key}`,
+
+    // Key for a URL this driver produced, or null
+    keyForUrl: (url) => (typeof url === 'string' && url.startsWith(`${base}/`) ? url.slice(base.length + 1) : null),
+
+    signedUrl: (key, { expiresIn }) => getSignedUrl(
+      client,
+      new GetObjectCommand({ Bucket: bucket, Key: key }),
+      { expiresIn }
+    )
+  };
+};
@@ -0,0 +1,191 @@
+// services/subscriptions.js - Subscription plans, Stripe checkout and webhook processing
+//
+// Webhook handling only reads the signed event payload and never calls back
+// into the Stripe API, so it can be exercised with locally signed events
+// (see Stripe.webhooks.generateTestHeaderString).
+import Stripe from 'stripe';
+import { userRepository } from '../models/userRepository.js';
+import { stripeEventRepository } from '../models/stripeEventRepository.js';
+
+const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://cashflowops.pro';
+
+export const PLANS = {
+  FREE: {
+    name: 'Free',
+    priceId: null,
+    alertDelayMinutes: 15,
+    alertLimit: 10
+  },
+  PRO: {
+    name: 'Pro',
+    priceId: process.env.STRIPE_PRICE_PRO || null,
+    alertDelayMinutes: 0,
+    alertLimit: 200
+  },
+  ELITE: {
+    name: 'Elite',
+    priceId: process.env.STRIPE_PRICE_ELITE || null,
+    alertDelayMinutes: 0,
+    alertLimit: null
+  }
+};
+
+// Stripe subscription statuses that keep the paid plan active
+const ACTIVE_STATUSES = ['active', 'trialing', 'past_due'];
+
+let stripeClient = null;
+
+export const getStripe = () => {
+  if (!STRIPE_SECRET_KEY) return null;
+  if (!stripeClient) stripeClient = new Stripe(STRIPE_SECRET_KEY);
+  return stripeClient;
+};
+
+export const planOf = (user) => (PLANS[user?.plan] ? user.plan : 'FREE');
+
+const planForPrice = (priceId) => Object.keys(PLANS).find(
+  key => PLANS[key].priceId && PLANS[key].priceId === priceId
+) || null;
+
+export const createCheckoutSession = async (user, plan) => {
+  const stripe = getStripe();
+  if (!stripe) throw new Error('Stripe is not configured');
+
+  let customerId = user.stripeCustomerId;
+  if (!customerId) {
+    // Stripe mails receipts to the customer, so only pass a verified address
+    const customer = await stripe.customers.create({
+      ...(user.emailVerifiedAt && { email: user.email }),
+      metadata: { userId: user.id }
+    });
+    customerId = customer.id;
+    await userRepository.update(user.id, { stripeCustomerId: customerId });
+  }
+
+  return stripe.checkout.sessions.create({
+    mode: 'subscription',
+    customer: customerId,
+    client_reference_id: user.id,
+    line_items: [{ price: PLANS[plan].priceId, quantity: 1 }],
+    metadata: { userId: user.id, plan },
+    subscription_data: { metadata: { userId: user.id, plan } },
+    success_url: `${FRONTEND_URL}/subscription/success?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${FRONTEND_URL}/subscription/cancel`
+  });
+};
+
+// Throws if the signature does not match the raw request body
+export const constructWebhookEvent = (rawBody, signature) => {
+  if (!STRIPE_WEBHOOK_SECRET) throw new Error('Stripe webhook secret is not configured');
+  return Stripe.webhooks.constructEvent(rawBody, signature, STRIPE_WEBHOOK_SECRET);
+};
+
+const findUserForStripeObject = async (object) => {
+  const userId = object.metadata?.userId || object.client_reference_id;
+  if (userId) {
+    const user = await userRepository.findById(userId);
+    if (user) return user;
+  }
+  return object.customer ? userRepository.findByStripeCustomerId(object.customer) : null;
+};
+
+const subscriptionPatch = (user, subscription) => {
+  const priceId = subscription.items?.data?.[0]?.price?.id;
+  const paidPlan = planForPrice(priceId) || subscription.metadata?.plan || user.plan;
+  const isActive = ACTIVE_STATUSES.includes(subscription.status);
+
+  return {
+    plan: isActive && PLANS[paidPlan] ? paidPlan : 'FREE',
+    subscriptionStatus: subscription.status,
+    stripeCustomerId: subscription.customer || user.stripeCustomerId,
+    stripeSubscriptionId: isActive ? subscription.id : null,
+    planRenewsAt: isActive && subscription.current_period_end
+      ? new Date(subscription.current_period_end * 1000).toISOString()
+      : null
+  };
+};
+
+// Each handler resolves to `{ user, patch }` for the matching user, or null
+const eventHandlers = {
+  'checkout.session.completed': async (session) => {
+    const user = await findUserForStripeObject(session);
+    if (!user) return null;
+    const plan = session.metadata?.plan;
+    return {
+      user,
+      patch: {
+        plan: PLANS[plan] ? plan : user.plan,
+        subscriptionStatus: 'active',
+        stripeCustomerId: session.customer || user.stripeCustomerId,
+        stripeSubscriptionId: session.subscription || null
+      }
+    };
+  },
+
+  'customer.subscription.created': async (subscription) => {
+    const user = await findUserForStripeObject(subscription);
+    return user ? { user, patch: subscriptionPatch(user, subscription) } : null;
+  },
+
+  'customer.subscription.updated': async (subscription) => {
+    const user = await findUserForStripeObject(subscription);
+    return user ? { user, patch: subscriptionPatch(user, subscription) } : null;
+  },
+
+  'customer.subscription.deleted': async (subscription) => {
+    const user = await findUserForStripeObject(subscription);
+    if (!user) return null;
+    // The end of a subscription the user already replaced
+    if (user.stripeSubscriptionId && user.stripeSubscriptionId !== subscription.id) return null;
+    return {
+      user,
+      patch: {
+        plan: 'FREE',
+        subscriptionStatus: 'canceled',
+        stripeSubscriptionId: null,
+        planRenewsAt: null
+      }
+    };
+  }
+};
+
+/**
+ * Apply a verified Stripe event to the matching user.
+ * Returns 'processed', 'duplicate', 'stale' or 'ignored'.
+ */
+export const handleWebhookEvent = async (event) => {
+  const handler = eventHandlers[event.type];
+  if (!handler) return 'ignored';
+
+  // Stripe retries deliveries, so each event id is applied at most once.
+  // A failed attempt gives up its claim and the error (a 500) makes Stripe retry.
+  if (!await stripeEventRepository.recordOnce(event.id, event.type)) return 'duplicate';
+
+  let user;
+  try {
+    const change = await handler(event.data.object);
+    if (!change) return 'processed';
+    // Stripe does not deliver events in order; one created before the last
+    // applied event (say a late checkout after the cancellation) is skipped
+    user = await userRepository.applyStripeEvent(change.user.id, event.created, change.patch);
+  } catch (error) {
+    await stripeEventRepository.release(event.id);
+    throw error;
+  }
+  if (!user) {
+    console.log(`💳 ${event.type} ${event.id} arrived after a later event; skipped`);
+    return 'stale';
+  }
+  console.log(`💳 ${event.type}: ${user.username} is now on ${planOf(user)}`);
+  return 'processed';
+};
+
+// Feed restrictions for GET /api/alerts; staff who publish alerts are exempt
+export const alertFeedLimits = (user, { isStaff = false } = {}) => {
+  if (isStaff) return { plan: planOf(user), alertDelayMinutes: 0, alertLimit: null };
+  const plan = planOf(user);
+  const { alertDelayMinutes, alertLimit } = PLANS[plan];
+  return { plan, alertDelayMinutes, alertLimit };
+};
@@ -0,0 +1,88 @@
+// services/totp.js - RFC 6238 time-based one-time passwords
+//
+// The parameters authenticator apps assume by default: HMAC-SHA1, 6 digits,
+// 30 second steps. Secrets are base32 strings as shown to the user.
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const SECRET_BYTES = 20;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+export const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+export const timeStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+export const generateCode = (secret, step = timeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check `code` against the steps around `now` (`window` steps either side, to
+ * allow for clock drift). Resolves to the matching step, or null. Callers
+ * must reject steps at or before the last accepted one to stop replays.
+ */
+export const verifyCode = (secret, code, { window = 1, now = Date.now() } = {}) => {
+  const normalized = typeof code === 'string' ? code.replace(/\s/g, '') : '';
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+  const current = timeStep(now);
+  for (let step = current - window; step <= current + window; step += 1) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+  }
+  return null;
+};
+
+// Provisioning URI for QR codes / manual entry in authenticator apps
+export const otpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+  // Some apps show a literal '+' in the issuer, so encode spaces as %20
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
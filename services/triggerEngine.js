@@ -0,0 +1,107 @@
+// services/triggerEngine.js - Evaluates armed price triggers against market data ticks
+//
+// Subscribes to the market data service and processes ticks one at a time per
+// symbol. Price history (previous price, window reference prices) comes from
+// market data; trigger state lives in the store, so firing is idempotent.
+import cron from 'node-cron';
+import { triggerRepository } from '../models/triggerRepository.js';
+import { alertRepository } from '../models/alertRepository.js';
+import { evaluateRule, describeRule, MIN_REARM_COOLDOWN_MINUTES } from './triggerRules.js';
+
+export const createTriggerEngine = ({ marketData, onFire } = {}) => {
+  const queues = new Map();
+  let sweepTask = null;
+
+  const expire = (trigger) => triggerRepository.update(trigger.id, { status: 'expired' });
+
+  const fire = async (trigger, tick) => {
+    const updated = await triggerRepository.markFired(trigger, {
+      price: tick.price,
+      firedAt: tick.timestamp,
+      rearm: trigger.rearm,
+      // Triggers saved before the minimum was enforced still get it
+      cooldownMinutes: Math.max(trigger.cooldownMinutes, MIN_REARM_COOLDOWN_MINUTES)
+    });
+    if (!updated) return null;
+
+    const alert = await alertRepository.create({
+      type: trigger.alertType || 'PRICE',
+      symbol: trigger.symbol,
+      price: tick.price,
+      message: trigger.message || describeRule(trigger, tick.price),
+      userId: trigger.userId,
+      recipientId: trigger.userId,
+      triggerId: trigger.id
+    });
+
+    console.log(`🎯 Trigger ${trigger.id} fired: ${alert.message}`);
+    if (onFire) onFire({ alert, trigger: updated });
+    return { alert, trigger: updated };
+  };
+
+  const processTick = async (tick) => {
+    const time = Date.parse(tick.timestamp);
+    const triggers = await triggerRepository.findEvaluable(tick.symbol, tick.timestamp);
+    const fired = [];
+
+    for (const trigger of triggers) {
+      if (trigger.expiresAt && trigger.expiresAt <= tick.timestamp) {
+        await expire(trigger);
+        continue;
+      }
+
+      const matched = evaluateRule(trigger, {
+        price: tick.price,
+        previousPrice: tick.previousPrice,
+        referencePrice: trigger.condition === 'percent_move'
+          ? marketData.priceAt(tick.symbol, time - trigger.windowMinutes * 60 * 1000)
+          : undefined
+      });
+      if (!matched) continue;
+
+      const result = await fire(trigger, tick);
+      if (result) fired.push(result);
+    }
+
+    return fired;
+  };
+
+  const handleTick = (tick) => {
+    engine.evaluate(tick).catch(error => console.error('Trigger evaluation failed:', error));
+  };
+
+  const engine = {
+    // Resolves to the list of `{ alert, trigger }` fired by this market data tick
+    evaluate(tick) {
+      const previous = queues.get(tick.symbol) || Promise.resolve();
+      const run = previous.catch(() => {}).then(() => processTick(tick));
+      queues.set(tick.symbol, run);
+      run.finally(() => {
+        if (queues.get(tick.symbol) === run) queues.delete(tick.symbol);
+      }).catch(() => {});
+      return run;
+    },
+
+    async sweepExpired() {
+      const expired = await triggerRepository.findExpired(new Date().toISOString());
+      await Promise.all(expired.map(expire));
+      return expired.length;
+    },
+
+    start() {
+      if (sweepTask) return;
+      marketData.on('tick', handleTick);
+      sweepTask = cron.schedule('* * * * *', () => {
+        engine.sweepExpired().catch(error => console.error('Trigger expiry sweep failed:', error));
+      });
+    },
+
+    stop() {
+      marketData.off('tick', handleTick);
+      if (sweepTask) sweepTask.stop();
+      sweepTask = null;
+    }
+  };
+
+  return engine;
+};
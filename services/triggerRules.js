@@ -0,0 +1,125 @@
+// services/triggerRules.js - Price trigger definitions: validation and evaluation
+//
+// Kept free of storage and sockets so the live engine and offline tools share
+// exactly the same rule semantics.
+
+export const CONDITIONS = ['above', 'below', 'crosses_above', 'crosses_below', 'percent_move'];
+export const DIRECTIONS = ['up', 'down', 'any'];
+
+const MAX_WINDOW_MINUTES = 24 * 60;
+const DEFAULT_COOLDOWN_MINUTES = 60;
+// A level condition stays true between ticks, so re-arming without a pause
+// would fire on every price update
+export const MIN_REARM_COOLDOWN_MINUTES = 1;
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+
+/**
+ * Validate and normalize a trigger definition from a request body.
+ * Returns `{ value }` or `{ error }`.
+ */
+export const validateTriggerRule = (input = {}) => {
+  const value = {};
+  const has = (key) => input[key] !== undefined && input[key] !== null;
+
+  if (typeof input.symbol !== 'string' || !input.symbol.trim()) return { error: 'symbol is required' };
+  value.symbol = input.symbol.trim().toUpperCase();
+
+  if (!CONDITIONS.includes(input.condition)) {
+    return { error: `condition must be one of: ${CONDITIONS.join(', ')}` };
+  }
+  value.condition = input.condition;
+
+  const threshold = toNumber(input.threshold);
+  if (!isPositiveNumber(threshold)) return { error: 'threshold must be a positive number' };
+  value.threshold = threshold;
+
+  if (value.condition === 'percent_move') {
+    const windowMinutes = toNumber(input.windowMinutes ?? 60);
+    if (!isPositiveNumber(windowMinutes) || windowMinutes > MAX_WINDOW_MINUTES) {
+      return { error: `windowMinutes must be between 1 and ${MAX_WINDOW_MINUTES}` };
+    }
+    const direction = input.direction ?? 'any';
+    if (!DIRECTIONS.includes(direction)) {
+      return { error: `direction must be one of: ${DIRECTIONS.join(', ')}` };
+    }
+    value.windowMinutes = windowMinutes;
+    value.direction = direction;
+  }
+
+  if (input.expiresAt === null || input.expiresAt === undefined) {
+    value.expiresAt = null;
+  } else {
+    const expiresAt = new Date(input.expiresAt);
+    if (Number.isNaN(expiresAt.getTime())) return { error: 'expiresAt must be a valid date' };
+    if (expiresAt <= new Date()) return { error: 'expiresAt must be in the future' };
+    value.expiresAt = expiresAt.toISOString();
+  }
+
+  value.rearm = Boolean(input.rearm);
+
+  const cooldownMinutes = toNumber(input.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES);
+  if (typeof cooldownMinutes !== 'number' || !Number.isFinite(cooldownMinutes) || cooldownMinutes < 0) {
+    return { error: 'cooldownMinutes must be zero or a positive number' };
+  }
+  if (value.rearm && cooldownMinutes < MIN_REARM_COOLDOWN_MINUTES) {
+    return { error: `cooldownMinutes must be at least ${MIN_REARM_COOLDOWN_MINUTES} when rearm is set` };
+  }
+  value.cooldownMinutes = cooldownMinutes;
+
+  if (has('message')) {
+    if (typeof input.message !== 'string') return { error: 'message must be a string' };
+    if (input.message.length > 500) return { error: 'message must be at most 500 characters' };
+    value.message = input.message.trim();
+  }
+
+  if (has('alertType')) {
+    if (typeof input.alertType !== 'string' || !input.alertType.trim()) {
+      return { error: 'alertType must be a non-empty string' };
+    }
+    value.alertType = input.alertType.trim().toUpperCase();
+  }
+
+  return { value };
+};
+
+/**
+ * Does `rule` fire for this price?
+ * `previousPrice` is the last price seen before this one (needed for crosses),
+ * `referencePrice` the price at the start of the rule's window (percent moves).
+ */
+export const evaluateRule = (rule, { price, previousPrice, referencePrice }) => {
+  const { threshold } = rule;
+  switch (rule.condition) {
+    case 'above':
+      return price > threshold;
+    case 'below':
+      return price < threshold;
+    case 'crosses_above':
+      return previousPrice !== undefined && previousPrice !== null && previousPrice < threshold && price >= threshold;
+    case 'crosses_below':
+      return previousPrice !== undefined && previousPrice !== null && previousPrice > threshold && price <= threshold;
+    case 'percent_move': {
+      if (!referencePrice) return false;
+      const change = ((price - referencePrice) / referencePrice) * 100;
+      if (rule.direction === 'up') return change >= threshold;
+      if (rule.direction === 'down') return change <= -threshold;
+      return Math.abs(change) >= threshold;
+    }
+    default:
+      return false;
+  }
+};
+
+export const describeRule = (rule, price) => {
+  switch (rule.condition) {
+    case 'above': return `${rule.symbol} is above ${rule.threshold} (now ${price})`;
+    case 'below': return `${rule.symbol} is below ${rule.threshold} (now ${price})`;
+    case 'crosses_above': return `${rule.symbol} crossed above ${rule.threshold} (now ${price})`;
+    case 'crosses_below': return `${rule.symbol} crossed below ${rule.threshold} (now ${price})`;
+    case 'percent_move': return `${rule.symbol} moved ${rule.direction === 'any' ? '' : `${rule.direction} `}${rule.threshold}% in ${rule.windowMinutes}m (now ${price})`;
+    default: return `${rule.symbol} trigger fired at ${price}`;
+  }
+};
@@ -0,0 +1,205 @@
+// services/twoFactor.js - Opt-in TOTP two-factor authentication
+//
+// Enrollment keeps a pending secret until the user proves their authenticator
+// app works by entering a code; only then is 2FA on, and ten single-use
+// recovery codes are shown once (only their hashes are kept). Secrets are
+// encrypted at rest with TWO_FACTOR_ENCRYPTION_KEY (default: derived from
+// JWT_SECRET). A password login to a 2FA account yields a short-lived
+// challenge token instead of a session; redeeming it with a code or a
+// recovery code completes the login.
+import crypto from 'crypto';
+import { twoFactorRepository } from '../models/twoFactorRepository.js';
+import { accountTokenRepository } from '../models/accountTokenRepository.js';
+import { userRepository } from '../models/userRepository.js';
+import { JWT_SECRET } from './auth.js';
+import { generateSecret, otpauthUri, verifyCode } from './totp.js';
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'RTi Cashflowops';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = 'two-factor-login';
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET)
+  .digest();
+
+const INVALID_CODE = { error: 'Invalid authentication code', status: 401 };
+const INVALID_CHALLENGE = { error: 'Invalid or expired login challenge', status: 401 };
+
+// --- Helpers ---
+
+// AES-256-GCM; `<iv>.<tag>.<ciphertext>` in base64url
+const encrypt = (text) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64url')).join('.');
+};
+
+const decrypt = (payload) => {
+  const [iv, tag, data] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Codes look like `3f9a1-c04be`; dashes, spaces and case are ignored when redeeming
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const newRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+// --- Enrollment ---
+
+export const getTwoFactorStatus = async (userId) => {
+  const record = await twoFactorRepository.findByUserId(userId);
+  const enabled = Boolean(record?.enabledAt);
+  return {
+    enabled,
+    enabledAt: record?.enabledAt || null,
+    pendingEnrollment: !enabled && Boolean(record?.pendingSecret),
+    recoveryCodesRemaining: enabled ? record.recoveryCodes.length : 0
+  };
+};
+
+// Resolves to `{ value: { secret, otpauthUri } }` or `{ error, status }`
+export const startEnrollment = async (user) => {
+  const record = await twoFactorRepository.findByUserId(user.id);
+  if (record?.enabledAt) return { error: 'Two-factor authentication is already enabled', status: 409 };
+
+  const secret = generateSecret();
+  if (!await twoFactorRepository.setPending(user.id, encrypt(secret))) {
+    return { error: 'Enrollment changed concurrently; try again', status: 409 };
+  }
+  return {
+    value: {
+      secret,
+      otpauthUri: otpauthUri({ secret, account: user.email || user.username, issuer: ISSUER })
+    }
+  };
+};
+
+// Turns 2FA on once `code` matches the pending secret. Resolves to
+// `{ value: { recoveryCodes } }` or `{ error, status }`
+export const confirmEnrollment = async (user, code) => {
+  const record = await twoFactorRepository.findByUserId(user.id);
+  if (record?.enabledAt) return { error: 'Two-factor authentication is already enabled', status: 409 };
+  if (!record?.pendingSecret) return { error: 'Start enrollment first', status: 409 };
+
+  const step = verifyCode(decrypt(record.pendingSecret), code);
+  if (step === null) return { error: 'Invalid authentication code', status: 400 };
+
+  const recoveryCodes = newRecoveryCodes();
+  const enabledAt = new Date().toISOString();
+  const enabled = await twoFactorRepository.update(record, {
+    secret: record.pendingSecret,
+    pendingSecret: null,
+    pendingCreatedAt: null,
+    enabledAt,
+    lastUsedStep: step,
+    recoveryCodes: recoveryCodes.map(recoveryCode => hashToken(normalizeRecoveryCode(recoveryCode)))
+  });
+  if (!enabled) return { error: 'Enrollment changed concurrently; try again', status: 409 };
+
+  await userRepository.update(user.id, { twoFactorEnabledAt: enabledAt });
+  console.log(`🔐 Two-factor authentication enabled for ${user.username}`);
+  return { value: { recoveryCodes } };
+};
+
+export const disableTwoFactor = async (userId) => {
+  await twoFactorRepository.remove(userId);
+  return userRepository.update(userId, { twoFactorEnabledAt: null });
+};
+
+// --- Verification ---
+
+/**
+ * Check a second factor: `{ code }` (TOTP) or `{ recoveryCode }`. Each TOTP
+ * step and each recovery code is accepted once. Resolves to
+ * `{ value: { method, recoveryCodesRemaining } }` or `{ error, status }`.
+ */
+export const verifySecondFactor = async (userId, { code, recoveryCode } = {}) => {
+  if (!code && !recoveryCode) return { error: 'Authentication code or recovery code required', status: 400 };
+
+  const record = await twoFactorRepository.findByUserId(userId);
+  if (!record?.enabledAt) return { error: 'Two-factor authentication is not enabled', status: 400 };
+
+  if (code) {
+    const step = verifyCode(decrypt(record.secret), String(code));
+    if (step === null || (record.lastUsedStep !== null && step <= record.lastUsedStep)) return INVALID_CODE;
+    if (!await twoFactorRepository.update(record, { lastUsedStep: step })) return INVALID_CODE;
+    return { value: { method: 'totp', recoveryCodesRemaining: record.recoveryCodes.length } };
+  }
+
+  const hash = hashToken(normalizeRecoveryCode(String(recoveryCode)));
+  if (!record.recoveryCodes.includes(hash)) return INVALID_CODE;
+  const remaining = record.recoveryCodes.filter(stored => stored !== hash);
+  if (!await twoFactorRepository.update(record, { recoveryCodes: remaining })) return INVALID_CODE;
+  return { value: { method: 'recovery-code', recoveryCodesRemaining: remaining.length } };
+};
+
+// Replaces every recovery code after checking a second factor
+export const regenerateRecoveryCodes = async (userId, factor) => {
+  const verified = await verifySecondFactor(userId, factor);
+  if (verified.error) return verified;
+
+  const record = await twoFactorRepository.findByUserId(userId);
+  const recoveryCodes = newRecoveryCodes();
+  const updated = await twoFactorRepository.update(record, {
+    recoveryCodes: recoveryCodes.map(recoveryCode => hashToken(normalizeRecoveryCode(recoveryCode)))
+  });
+  if (!updated) return { error: 'Two-factor settings changed concurrently; try again', status: 409 };
+  return { value: { recoveryCodes } };
+};
+
+// --- Login challenges ---
+
+export const createLoginChallenge = async (user) => {
+  const challengeToken = crypto.randomBytes(32).toString('base64url');
+  await accountTokenRepository.create({
+    userId: user.id,
+    purpose: CHALLENGE_PURPOSE,
+    tokenHash: hashToken(challengeToken),
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS).toISOString()
+  });
+  return { challengeToken, expiresIn: CHALLENGE_TTL_MS / 1000 };
+};
+
+// The pending challenge for `challengeToken` (its `userId` says whose login
+// it is), or null when it is unknown, used up or expired
+export const findLoginChallenge = async (challengeToken) => {
+  if (typeof challengeToken !== 'string' || !challengeToken) return null;
+
+  const record = await accountTokenRepository.findByHash(hashToken(challengeToken), CHALLENGE_PURPOSE);
+  if (!record || record.usedAt || record.attempts >= MAX_CHALLENGE_ATTEMPTS) return null;
+  if (new Date(record.expiresAt) <= new Date()) return null;
+  return record;
+};
+
+// Second login step for a challenge from findLoginChallenge. Resolves to
+// `{ value: { user, method, recoveryCodesRemaining } }` or `{ error, status }`
+// (401 for a wrong code); a challenge dies after MAX_CHALLENGE_ATTEMPTS wrong codes
+export const completeLoginChallenge = async (record, factor) => {
+  const user = await userRepository.findById(record.userId);
+  if (!user || !user.isActive) return INVALID_CHALLENGE;
+
+  const verified = await verifySecondFactor(user.id, factor);
+  if (verified === INVALID_CODE) {
+    const counted = await accountTokenRepository.recordFailedAttempt(record);
+    if (!counted || counted.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+      await accountTokenRepository.consume(record.id);
+      return { error: 'Too many invalid codes; log in again', status: 401 };
+    }
+    return verified;
+  }
+  if (verified.error) return verified;
+
+  // Lost the race against a concurrent redemption of the same challenge
+  if (!await accountTokenRepository.consume(record.id)) return INVALID_CHALLENGE;
+  return { value: { user, ...verified.value } };
+};
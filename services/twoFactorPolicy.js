@@ -0,0 +1,41 @@
+// services/twoFactorPolicy.js - Which roles must use two-factor authentication
+//
+// Set by admins at runtime and stored as the `twoFactorPolicy` setting. Users
+// in a required role who have not enrolled yet can sign in, but every
+// endpoint except 2FA enrollment answers 403 until they do. The policy is
+// read on every authenticated request, so it is cached briefly.
+import { settingRepository } from '../models/settingRepository.js';
+import { roleOf } from './permissions.js';
+
+// Roles an admin may require 2FA for
+export const TWO_FACTOR_ROLES = ['admin', 'analyst'];
+
+const POLICY_KEY = 'twoFactorPolicy';
+const CACHE_MS = 30 * 1000;
+
+let cached = null;
+
+export const getTwoFactorPolicy = async () => {
+  if (cached && cached.expiresAt > Date.now()) return cached.policy;
+  const policy = { requiredRoles: [], ...await settingRepository.get(POLICY_KEY) };
+  cached = { policy, expiresAt: Date.now() + CACHE_MS };
+  return policy;
+};
+
+// `{ requiredRoles: [...] }`
+export const validateTwoFactorPolicy = ({ requiredRoles } = {}) => {
+  if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !TWO_FACTOR_ROLES.includes(role))) {
+    return { error: `requiredRoles must be a list of: ${TWO_FACTOR_ROLES.join(', ')}` };
+  }
+  return { value: { requiredRoles: [...new Set(requiredRoles)] } };
+};
+
+export const setTwoFactorPolicy = async (policy, updatedBy) => {
+  await settingRepository.set(POLICY_KEY, policy, updatedBy);
+  cached = null;
+  return policy;
+};
+
+export const isTwoFactorRequired = async (user) => (
+  (await getTwoFactorPolicy()).requiredRoles.includes(roleOf(user))
+);
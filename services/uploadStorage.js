@@ -0,0 +1,73 @@
+// services/uploadStorage.js - Selects the backend for uploaded files
+//
+// UPLOAD_STORAGE_DRIVER=local|s3 (default local).
+//   local: files under UPLOAD_DIR (default ./uploads), served at /uploads
+//   s3:    S3_BUCKET, S3_REGION (default us-east-1), S3_ENDPOINT and
+//          S3_FORCE_PATH_STYLE=true for MinIO, S3_ACCESS_KEY_ID and
+//          S3_SECRET_ACCESS_KEY (otherwise the AWS default credential chain),
+//          S3_PUBLIC_URL for a CDN in front of the bucket
+// Keys are relative paths such as `avatars/<file>.webp`. Keys under
+// `private/` are never public; hand them out with `signedUrl`.
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JWT_SECRET } from './auth.js';
+import { createLocalStorage } from './storage/localStorage.js';
+import { createS3Storage } from './storage/s3Storage.js';
+
+export const PRIVATE_PREFIX = 'private/';
+export const DEFAULT_UPLOAD_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'uploads');
+
+const DEFAULT_SIGNED_URL_SECONDS = 15 * 60;
+const MAX_SIGNED_URL_SECONDS = 7 * 24 * 60 * 60;
+
+const CONTENT_TYPES = {
+  '.webp': 'image/webp',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf'
+};
+
+export const contentTypeFor = (key) => CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+export const isPrivateKey = (key) => key.startsWith(PRIVATE_PREFIX);
+
+const createDriver = (driver) => {
+  if (driver === 'local') {
+    return createLocalStorage({
+      root: process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR,
+      secret: process.env.UPLOAD_SIGNING_SECRET || JWT_SECRET
+    });
+  }
+  if (driver === 's3') {
+    const { S3_ACCESS_KEY_ID: accessKeyId, S3_SECRET_ACCESS_KEY: secretAccessKey } = process.env;
+    return createS3Storage({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+      publicUrl: process.env.S3_PUBLIC_URL || undefined
+    });
+  }
+  throw new Error(`Unknown upload storage driver: ${driver}`);
+};
+
+export const createUploadStorage = ({ driver = process.env.UPLOAD_STORAGE_DRIVER || 'local' } = {}) => {
+  const backend = createDriver(driver);
+
+  return {
+    ...backend,
+
+    put: (key, body, options = {}) => backend.put(key, body, { contentType: contentTypeFor(key), ...options }),
+
+    // Expiring URL for any key; private keys have no other URL
+    signedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_SECONDS } = {}) {
+      const seconds = Math.min(Math.max(1, Math.floor(expiresIn)), MAX_SIGNED_URL_SECONDS);
+      return backend.signedUrl(key, { expiresIn: seconds });
+    }
+  };
+};
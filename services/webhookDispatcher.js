@@ -0,0 +1,207 @@
+// services/webhookDispatcher.js - Signed server-to-server delivery of alert events
+//
+// Every delivery is a JSON POST with these headers:
+//   X-RTi-Event      event name, e.g. alert.created
+//   X-RTi-Delivery   delivery id (new for every redelivery)
+//   X-RTi-Timestamp  unix seconds when this attempt was signed
+//   X-RTi-Signature  t=<timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+// Receivers should recompute the HMAC with their secret and reject requests
+// whose timestamp is more than a few minutes old. The body's `id` identifies
+// the event and stays the same across retries and redeliveries.
+//
+// Public alerts only; subscribers receive events once their plan's feed
+// delay has passed, like the REST feed and notifications.
+import crypto from 'crypto';
+import cron from 'node-cron';
+import { v4 as uuidv4 } from 'uuid';
+import { webhookRepository } from '../models/webhookRepository.js';
+import { webhookDeliveryRepository } from '../models/webhookDeliveryRepository.js';
+import { userRepository } from '../models/userRepository.js';
+import { PERMISSIONS, can } from './permissions.js';
+import { alertFeedLimits } from './subscriptions.js';
+import { postJson } from './channels/http.js';
+
+export const WEBHOOK_EVENTS = ['alert.created', 'alert.edited', 'alert.deleted'];
+
+const POLL_MS = Number(process.env.WEBHOOK_POLL_MS || 5000);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 30 * 1000);
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+const LOCK_MS = 5 * 60 * 1000;
+const RETENTION_DAYS = 30;
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+export const signPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+/**
+ * Receiver-side check, exported for partners' reference and local testing.
+ * Returns true when `header` signs `body` with `secret` within the tolerance.
+ */
+export const verifySignature = (secret, header, body, { now = Date.now(), toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS } = {}) => {
+  const parts = Object.fromEntries(String(header).split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+  const expected = Buffer.from(signPayload(secret, timestamp, body), 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const retryDelay = (attempts, error) => Math.max(
+  error?.retryAfterMs || 0,
+  Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS)
+);
+
+export const createWebhookDispatcher = ({ pollMs = POLL_MS, maxAttempts = MAX_ATTEMPTS } = {}) => {
+  let pollTimer = null;
+  let cleanupTask = null;
+  let running = null;
+
+  const releaseTime = (alert, user) => {
+    const { alertDelayMinutes } = alertFeedLimits(user, { isStaff: can(user, PERMISSIONS.ALERTS_CREATE) });
+    const released = Date.parse(alert.createdAt) + alertDelayMinutes * 60 * 1000;
+    return new Date(Math.max(Date.now(), released)).toISOString();
+  };
+
+  const deliver = async (delivery) => {
+    const finish = (status, patch) => webhookDeliveryRepository.update(delivery.id, { status, ...patch });
+
+    // Reloaded for every attempt: the webhook may have been paused or its
+    // owner deactivated while this delivery waited for its release time
+    const webhook = await webhookRepository.findById(delivery.webhookId);
+    if (!webhook) return finish('failed', { lastError: 'Webhook was deleted' });
+    if (webhook.active === false) return finish('cancelled', { lastError: 'Webhook is paused' });
+    const user = await userRepository.findById(webhook.userId);
+    if (!user || user.isActive === false) return finish('cancelled', { lastError: 'Account is inactive' });
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+    const started = Date.now();
+
+    try {
+      const { status } = await postJson(webhook.url, body, {
+        headers: {
+          'User-Agent': 'RTi-Webhooks/1.0',
+          'X-RTi-Event': delivery.event,
+          'X-RTi-Delivery': delivery.id,
+          'X-RTi-Timestamp': String(timestamp),
+          'X-RTi-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+        }
+      });
+      return finish('sent', {
+        attempts,
+        responseStatus: status,
+        lastError: null,
+        durationMs: Date.now() - started,
+        deliveredAt: new Date().toISOString()
+      });
+    } catch (error) {
+      const result = {
+        attempts,
+        responseStatus: error.status || null,
+        lastError: error.message,
+        durationMs: Date.now() - started
+      };
+      if (error.permanent || attempts >= maxAttempts) {
+        console.error(`🪝 Webhook delivery ${delivery.id} to ${webhook.url} failed for good: ${error.message}`);
+        return finish('failed', result);
+      }
+      return finish('pending', {
+        ...result,
+        nextAttemptAt: new Date(Date.now() + retryDelay(attempts, error)).toISOString()
+      });
+    }
+  };
+
+  const kick = () => {
+    dispatcher.processDue().catch(error => console.error('Webhook delivery failed:', error));
+  };
+
+  const dispatcher = {
+    // Queue `event` for every active subscriber. `data` becomes the body's
+    // `data` field. Resolves to the number of deliveries queued.
+    async publish(event, alert, data) {
+      if (alert.recipientId) return 0;
+
+      const webhooks = await webhookRepository.findSubscribed(event);
+      const payload = { id: `evt_${uuidv4()}`, event, createdAt: new Date().toISOString(), data };
+
+      let queued = 0;
+      for (const webhook of webhooks) {
+        const user = await userRepository.findById(webhook.userId);
+        if (!user || user.isActive === false) continue;
+        await webhookDeliveryRepository.create({
+          webhookId: webhook.id,
+          userId: webhook.userId,
+          event,
+          payload,
+          redeliveryOf: null,
+          nextAttemptAt: releaseTime(alert, user)
+        });
+        queued += 1;
+      }
+
+      if (queued > 0) kick();
+      return queued;
+    },
+
+    // Queue a fresh copy of a past delivery (same event id and body)
+    async redeliver(delivery) {
+      const copy = await webhookDeliveryRepository.create({
+        webhookId: delivery.webhookId,
+        userId: delivery.userId,
+        event: delivery.event,
+        payload: delivery.payload,
+        redeliveryOf: delivery.id,
+        nextAttemptAt: new Date().toISOString()
+      });
+      kick();
+      return copy;
+    },
+
+    // Send everything that is due; overlapping calls share one run
+    processDue() {
+      if (running) return running;
+      running = (async () => {
+        const now = new Date();
+        const due = await webhookDeliveryRepository.findDue(now.toISOString());
+        let processed = 0;
+        for (const delivery of due) {
+          const claimed = await webhookDeliveryRepository.claim(delivery, new Date(now.getTime() + LOCK_MS).toISOString());
+          if (!claimed) continue;
+          await deliver(claimed);
+          processed += 1;
+        }
+        return processed;
+      })().finally(() => {
+        running = null;
+      });
+      return running;
+    },
+
+    start() {
+      if (pollTimer) return;
+      pollTimer = setInterval(kick, pollMs);
+      cleanupTask = cron.schedule('30 * * * *', () => {
+        const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        webhookDeliveryRepository.removeFinishedBefore(cutoff)
+          .catch(error => console.error('Webhook delivery cleanup failed:', error));
+      });
+    },
+
+    stop() {
+      clearInterval(pollTimer);
+      if (cleanupTask) cleanupTask.stop();
+      pollTimer = null;
+      cleanupTask = null;
+    }
+  };
+
+  return dispatcher;
+};
@@ -0,0 +1,26 @@
+// tests/helpers/mongo.js - MongoDB for the adapter and repository tests
+//
+// MONGODB_TEST_URI runs the suites against an existing server. Otherwise an
+// in-memory mongod is started with mongodb-memory-server, which downloads the
+// binary on first use (cached under ~/.cache/mongodb-binaries). Where neither
+// is available the mongo runs are skipped with a warning; the memory runs
+// still execute.
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+// Resolves to `{ uri, stop }`, or null when no MongoDB can be had
+export const startMongo = async () => {
+  if (process.env.MONGODB_TEST_URI) return { uri: process.env.MONGODB_TEST_URI, stop: async () => {} };
+  try {
+    const server = await MongoMemoryServer.create();
+    return { uri: server.getUri(), stop: () => server.stop() };
+  } catch (error) {
+    console.warn(`Skipping MongoDB tests, no mongod available: ${error.message.split('\n')[0]}`);
+    return null;
+  }
+};
+
+// `[name, options for createAdapter/initStore]` for every adapter that can run here
+export const adapterTargets = (mongo) => [
+  ['memory', { driver: 'memory' }],
+  ...(mongo ? [['mongo', { driver: 'mongo', uri: mongo.uri }]] : [])
+];
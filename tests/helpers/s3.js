@@ -0,0 +1,54 @@
+// tests/helpers/s3.js - An S3-compatible bucket for the storage tests
+//
+// S3_TEST_ENDPOINT (with S3_TEST_BUCKET, S3_TEST_ACCESS_KEY_ID and
+// S3_TEST_SECRET_ACCESS_KEY) runs the suites against an existing store such
+// as MinIO; the bucket must exist. Otherwise s3rver serves a throwaway bucket
+// from a temporary directory in-process.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import S3rver from 's3rver';
+
+// Resolves to `{ options for createS3Storage, stop }`
+export const startS3 = async () => {
+  if (process.env.S3_TEST_ENDPOINT) {
+    return {
+      options: {
+        bucket: process.env.S3_TEST_BUCKET || 'uploads-test',
+        region: process.env.S3_TEST_REGION || 'us-east-1',
+        endpoint: process.env.S3_TEST_ENDPOINT,
+        forcePathStyle: true,
+        credentials: {
+          accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY
+        }
+      },
+      stop: async () => {}
+    };
+  }
+
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 's3rver-'));
+  const server = new S3rver({
+    address: '127.0.0.1',
+    port: 0,
+    silent: true,
+    directory,
+    configureBuckets: [{ name: 'uploads-test' }]
+  });
+  const { port } = await server.run();
+
+  return {
+    options: {
+      bucket: 'uploads-test',
+      region: 'us-east-1',
+      endpoint: `http://127.0.0.1:${port}`,
+      forcePathStyle: true,
+      // s3rver's fixed credentials
+      credentials: { accessKeyId: 'S3RVER', secretAccessKey: 'S3RVER' }
+    },
+    stop: async () => {
+      await server.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  };
+};
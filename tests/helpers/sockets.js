@@ -0,0 +1,46 @@
+// tests/helpers/sockets.js - A Socket.io server with the app's realtime setup, and clients for it
+import { EventEmitter } from 'events';
+import http from 'http';
+import { Server } from 'socket.io';
+import { io as connectClient } from 'socket.io-client';
+import { createMarketDataService } from '../../services/marketData.js';
+import { setupRealtime } from '../../services/realtime.js';
+
+// Resolves to `{ realtime, marketData, alertService, connect, close }`
+export const startRealtime = async ({ alertService = new EventEmitter() } = {}) => {
+  const server = http.createServer();
+  const io = new Server(server);
+  const marketData = createMarketDataService();
+  const realtime = setupRealtime(io, { marketData, alertService });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const clients = [];
+
+  // Resolves to a connected client, or rejects with the handshake error.
+  // `options` go to the client as is, e.g. `{ query }` or `{ extraHeaders }`
+  const connect = (auth = {}, options = {}) => new Promise((resolve, reject) => {
+    const client = connectClient(url, { auth, transports: ['websocket'], reconnection: false, forceNew: true, ...options });
+    clients.push(client);
+    client.once('connect', () => resolve(client));
+    client.once('connect_error', reject);
+  });
+
+  const close = async () => {
+    clients.forEach(client => client.close());
+    await new Promise(resolve => io.close(resolve));
+  };
+
+  return { realtime, marketData, alertService, connect, close };
+};
+
+// Events of `name` a client receives from now on
+export const collect = (client, name) => {
+  const received = [];
+  client.on(name, payload => received.push(payload));
+  return received;
+};
+
+// Emit with an ack and resolve to the reply
+export const request = (client, event, payload) => new Promise(resolve => client.emit(event, payload, resolve));
+
+export const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
@@ -0,0 +1,30 @@
+// tests/helpers/users.js - Users with live sessions for the route and socket tests
+import bcrypt from 'bcryptjs';
+import { userRepository } from '../../models/userRepository.js';
+import { createSession } from '../../services/auth.js';
+
+let created = 0;
+
+// Cheap hash; tests that check passwords send this one
+export const TEST_PASSWORD = 'Correct-Horse-1';
+const passwordHash = bcrypt.hashSync(TEST_PASSWORD, 4);
+
+// Resolves to `{ user, token, refreshToken }` for a new active user
+export const createUserWithSession = async (fields = {}) => {
+  created += 1;
+  const user = await userRepository.create({
+    username: `user${created}`,
+    email: `user${created}@example.com`,
+    password: passwordHash,
+    role: 'member',
+    plan: 'FREE',
+    isActive: true,
+    emailVerifiedAt: new Date().toISOString(),
+    ...fields
+  });
+  const { token, refreshToken } = await createSession(user);
+  return { user, token, refreshToken };
+};
+
+// Another session for an existing user
+export const newSession = async (user) => createSession(user);
@@ -0,0 +1,156 @@
+// tests/models/store.test.js - The collection contract every storage adapter meets
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from '@jest/globals';
+import { createAdapter } from '../../models/store.js';
+import { adapterTargets, startMongo } from '../helpers/mongo.js';
+
+const mongo = await startMongo();
+afterAll(() => mongo?.stop());
+
+describe.each(adapterTargets(mongo))('%s adapter', (_name, options) => {
+  let adapter;
+  let things;
+  let run = 0;
+
+  beforeAll(async () => {
+    adapter = createAdapter(options);
+    await adapter.connect();
+  });
+
+  afterAll(() => adapter.close());
+
+  // A fresh collection per test, so runs against a shared server don't collide
+  beforeEach(() => {
+    run += 1;
+    things = adapter.collection(`storeTest_${Date.now()}_${run}`);
+  });
+
+  it('assigns distinct string ids and finds documents by id', async () => {
+    const first = await things.insert({ name: 'a' });
+    const second = await things.insert({ name: 'b' });
+
+    expect(typeof first.id).toBe('string');
+    expect(first.id).not.toBe(second.id);
+    expect(await things.findById(first.id)).toEqual({ id: first.id, name: 'a' });
+    expect(await things.findById('missing')).toBeNull();
+  });
+
+  it('keeps a supplied id and rejects a duplicate one', async () => {
+    await things.insert({ id: 'fixed', name: 'a' });
+
+    await expect(things.insert({ id: 'fixed', name: 'b' })).rejects.toThrow();
+    expect(await things.findById('fixed')).toEqual({ id: 'fixed', name: 'a' });
+  });
+
+  it('never hands out ids that were used before a delete', async () => {
+    const ids = new Set();
+    for (let i = 0; i < 5; i += 1) ids.add((await things.insert({ i })).id);
+    await things.remove([...ids][4]);
+    ids.add((await things.insert({ i: 5 })).id);
+
+    expect(ids.size).toBe(6);
+  });
+
+  it('returns copies, not the stored documents', async () => {
+    const created = await things.insert({ tags: ['x'] });
+    created.tags.push('y');
+    const found = await things.findById(created.id);
+    found.tags.push('z');
+
+    expect((await things.findById(created.id)).tags).toEqual(['x']);
+  });
+
+  describe('queries', () => {
+    beforeEach(async () => {
+      await things.insert({ id: 'a', symbol: 'BTC', price: 100, tags: ['crypto'], meta: { source: 'tv' } });
+      await things.insert({ id: 'b', symbol: 'ETH', price: 50, tags: ['crypto', 'defi'], note: 'Breakout soon' });
+      await things.insert({ id: 'c', symbol: 'AAPL', price: 200, tags: ['stock'], recipientId: null });
+    });
+
+    const ids = (docs) => docs.map(doc => doc.id).sort();
+
+    it('matches equality, array membership and nested paths', async () => {
+      expect(ids(await things.find({ symbol: 'ETH' }))).toEqual(['b']);
+      expect(ids(await things.find({ tags: 'crypto' }))).toEqual(['a', 'b']);
+      expect(ids(await things.find({ 'meta.source': 'tv' }))).toEqual(['a']);
+    });
+
+    it('treats null as "null or missing"', async () => {
+      expect(ids(await things.find({ recipientId: null }))).toEqual(['a', 'b', 'c']);
+      expect(ids(await things.find({ note: null }))).toEqual(['a', 'c']);
+    });
+
+    it('supports the comparison and set operators', async () => {
+      expect(ids(await things.find({ price: { $gte: 100 } }))).toEqual(['a', 'c']);
+      expect(ids(await things.find({ price: { $gt: 50, $lt: 200 } }))).toEqual(['a']);
+      expect(ids(await things.find({ symbol: { $in: ['BTC', 'AAPL'] } }))).toEqual(['a', 'c']);
+      expect(ids(await things.find({ symbol: { $nin: ['BTC', 'AAPL'] } }))).toEqual(['b']);
+      expect(ids(await things.find({ symbol: { $ne: 'BTC' } }))).toEqual(['b', 'c']);
+      expect(ids(await things.find({ note: { $exists: true } }))).toEqual(['b']);
+      expect(ids(await things.find({ note: { $regex: 'breakout', $options: 'i' } }))).toEqual(['b']);
+    });
+
+    it('supports $or and $and', async () => {
+      expect(ids(await things.find({ $or: [{ symbol: 'BTC' }, { price: { $gt: 150 } }] }))).toEqual(['a', 'c']);
+      expect(ids(await things.find({ $and: [{ tags: 'crypto' }, { price: { $lt: 100 } }] }))).toEqual(['b']);
+    });
+
+    it('sorts, skips and limits', async () => {
+      const page = await things.find({}, { sort: { price: -1 }, skip: 1, limit: 1 });
+      expect(page.map(doc => doc.id)).toEqual(['a']);
+
+      const cheapest = await things.findOne({ tags: 'crypto' }, { sort: { price: 1 } });
+      expect(cheapest.id).toBe('b');
+    });
+
+    it('counts matching documents', async () => {
+      expect(await things.count()).toBe(3);
+      expect(await things.count({ tags: 'crypto' })).toBe(2);
+    });
+  });
+
+  describe('updates', () => {
+    it('patches the first match and keeps the id', async () => {
+      await things.insert({ id: 'a', status: 'open', qty: 1 });
+
+      const updated = await things.update('a', { id: 'other', status: 'filled' });
+
+      expect(updated).toEqual({ id: 'a', status: 'filled', qty: 1 });
+      expect(await things.findById('other')).toBeNull();
+    });
+
+    it('acts as a compare-and-swap when the query includes the old value', async () => {
+      await things.insert({ id: 'a', version: 1 });
+
+      expect(await things.updateOne({ id: 'a', version: 1 }, { version: 2 })).toEqual({ id: 'a', version: 2 });
+      expect(await things.updateOne({ id: 'a', version: 1 }, { version: 3 })).toBeNull();
+      expect((await things.findById('a')).version).toBe(2);
+    });
+
+    it('updates many documents and reports how many changed', async () => {
+      await things.insert({ id: 'a', status: 'open' });
+      await things.insert({ id: 'b', status: 'open' });
+      await things.insert({ id: 'c', status: 'done' });
+
+      expect(await things.updateMany({ status: 'open' }, { status: 'closed' })).toBe(2);
+      expect(await things.count({ status: 'closed' })).toBe(2);
+    });
+  });
+
+  describe('removal', () => {
+    it('removes by id and returns the removed document', async () => {
+      await things.insert({ id: 'a', name: 'x' });
+
+      expect(await things.remove('a')).toEqual({ id: 'a', name: 'x' });
+      expect(await things.remove('a')).toBeNull();
+      expect(await things.findById('a')).toBeNull();
+    });
+
+    it('removes every match', async () => {
+      await things.insert({ id: 'a', at: '2024-01-01' });
+      await things.insert({ id: 'b', at: '2024-03-01' });
+
+      expect(await things.removeMany({ at: { $lt: '2024-02-01' } })).toBe(1);
+      expect((await things.find()).map(doc => doc.id)).toEqual(['b']);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+// tests/models/userRepository.test.js - User and alert repositories on each adapter
+import { afterAll, beforeEach, describe, expect, it } from '@jest/globals';
+import { closeStore, collection, initStore } from '../../models/store.js';
+import { userRepository } from '../../models/userRepository.js';
+import { alertRepository } from '../../models/alertRepository.js';
+import { adapterTargets, startMongo } from '../helpers/mongo.js';
+
+const mongo = await startMongo();
+afterAll(() => mongo?.stop());
+
+describe.each(adapterTargets(mongo))('repositories on the %s adapter', (_name, options) => {
+  beforeEach(async () => {
+    await initStore(options);
+    // The memory adapter starts empty; a MongoDB keeps its data between tests
+    await Promise.all(['users', 'alerts'].map(name => collection(name).removeMany()));
+  });
+
+  afterAll(() => closeStore());
+
+  const createUser = (fields = {}) => userRepository.create({
+    username: 'trader',
+    email: 'trader@example.com',
+    password: 'hash',
+    isActive: true,
+    ...fields
+  });
+
+  describe('userRepository', () => {
+    it('stamps createdAt and updatedAt', async () => {
+      const user = await createUser();
+
+      expect(user.createdAt).toEqual(expect.any(String));
+      expect(user.updatedAt).toBe(user.createdAt);
+      expect(await userRepository.findById(user.id)).toEqual(user);
+    });
+
+    it('finds a login by username or email', async () => {
+      const user = await createUser();
+
+      expect((await userRepository.findByLogin('trader')).id).toBe(user.id);
+      expect((await userRepository.findByLogin('trader@example.com')).id).toBe(user.id);
+      expect(await userRepository.findByLogin('nobody')).toBeNull();
+    });
+
+    it('reports conflicting usernames or emails, ignoring the user being edited', async () => {
+      const user = await createUser();
+
+      expect((await userRepository.findConflicting({ username: 'trader', email: 'x@example.com' })).id).toBe(user.id);
+      expect(await userRepository.findConflicting({
+        username: 'trader',
+        email: 'trader@example.com',
+        excludeId: user.id
+      })).toBeNull();
+    });
+
+    it('updates fields and bumps updatedAt', async () => {
+      const user = await createUser();
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      const updated = await userRepository.update(user.id, { bio: 'Swing trader' });
+
+      expect(updated.bio).toBe('Swing trader');
+      expect(updated.updatedAt > user.updatedAt).toBe(true);
+    });
+
+    it('lists active users oldest first', async () => {
+      const first = await createUser();
+      await createUser({ username: 'idle', email: 'idle@example.com', isActive: false });
+      const third = await createUser({ username: 'late', email: 'late@example.com' });
+
+      expect((await userRepository.findActive()).map(user => user.id)).toEqual([first.id, third.id]);
+    });
+  });
+
+  describe('alertRepository.search', () => {
+    const seedAlerts = async () => {
+      const author = await createUser();
+      const created = [];
+      for (const [index, symbol] of ['BTC', 'ETH', 'BTC', 'SOL'].entries()) {
+        created.push(await alertRepository.create({
+          type: index % 2 ? 'SELL' : 'BUY',
+          symbol,
+          price: 100 + index,
+          message: `${symbol} setup ${index}`,
+          userId: author.id
+        }));
+        await new Promise(resolve => setTimeout(resolve, 2));
+      }
+      return created;
+    };
+
+    it('pages newest first with a cursor', async () => {
+      const created = await seedAlerts();
+
+      const first = await alertRepository.search({ limit: 3 });
+      const second = await alertRepository.search({ limit: 3, cursor: first.nextCursor });
+
+      expect(first.total).toBe(4);
+      expect(first.alerts.map(alert => alert.id)).toEqual(created.slice(1).reverse().map(alert => alert.id));
+      expect(second.alerts.map(alert => alert.id)).toEqual([created[0].id]);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    it('filters by symbol, type and message text', async () => {
+      await seedAlerts();
+
+      const { alerts } = await alertRepository.search({ filters: { symbols: ['BTC'], type: 'BUY', text: 'SETUP 2' } });
+
+      expect(alerts.map(alert => alert.message)).toEqual(['BTC setup 2']);
+    });
+
+    it('shows private alerts only to their recipient', async () => {
+      await seedAlerts();
+      const recipient = await createUser({ username: 'other', email: 'other@example.com' });
+      await alertRepository.create({
+        type: 'TRIGGER',
+        symbol: 'BTC',
+        price: 1,
+        message: 'Your trigger fired',
+        userId: recipient.id,
+        recipientId: recipient.id
+      });
+
+      expect((await alertRepository.search({})).total).toBe(4);
+      expect((await alertRepository.search({ viewerId: recipient.id })).total).toBe(5);
+    });
+  });
+});
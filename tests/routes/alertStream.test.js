@@ -0,0 +1,129 @@
+// tests/routes/alertStream.test.js - The Server-Sent Events alert stream
+import { afterAll, beforeAll, describe, expect, it } from '@jest/globals';
+import express from 'express';
+import http from 'http';
+import { initStore } from '../../models/store.js';
+import { authenticateStream } from '../../middleware/auth.js';
+import { createAlertStreamHandler } from '../../routes/alertStream.js';
+import { revokeSession } from '../../services/auth.js';
+import { createEventLog } from '../../services/eventLog.js';
+import { createUserWithSession } from '../helpers/users.js';
+
+const FREE_DELAY_MS = 15 * 60 * 1000;
+
+const eventLog = createEventLog();
+const app = express();
+app.get('/api/alerts/stream', authenticateStream, createAlertStreamHandler({ eventLog, heartbeatMs: 50 }));
+
+let server;
+let baseUrl;
+let free;
+let pro;
+const streams = [];
+
+beforeAll(async () => {
+  await initStore({ driver: 'memory' });
+  free = await createUserWithSession({ plan: 'FREE' });
+  pro = await createUserWithSession({ plan: 'PRO' });
+  server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  streams.forEach(stream => stream.destroy());
+  await new Promise(resolve => server.close(resolve));
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Resolves once the response starts to `{ status, events }`; `events` fills
+// with `{ id, event, data }` as they arrive
+const openStream = (path, headers = {}) => new Promise((resolve, reject) => {
+  const req = http.get(`${baseUrl}${path}`, { headers }, (res) => {
+    const events = [];
+    let buffer = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        const fields = Object.fromEntries(block.split('\n')
+          .filter(line => line && !line.startsWith(':'))
+          .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        if (fields.event) events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+      }
+    });
+    resolve({ status: res.statusCode, events, ended: new Promise(done => res.on('end', done)) });
+  });
+  req.on('error', reject);
+  streams.push(req);
+});
+
+const publish = (fields = {}, type = 'new-alert') => eventLog.append('alert-update', null, {
+  type,
+  alert: { id: `alert-${eventLog.latestSeq() + 1}`, symbol: 'BTC', type: 'BUY', createdAt: new Date().toISOString(), ...fields }
+});
+
+describe('GET /api/alerts/stream', () => {
+  it('needs a token, which may come as ?token=', async () => {
+    expect((await openStream('/api/alerts/stream')).status).toBe(401);
+    expect((await openStream(`/api/alerts/stream?token=${pro.token}`)).status).toBe(200);
+  });
+
+  it('streams alert events with resumable ids', async () => {
+    const stream = await openStream('/api/alerts/stream', { Authorization: `Bearer ${pro.token}` });
+
+    const entry = publish();
+    await wait(50);
+
+    expect(stream.events).toEqual([{
+      id: `${eventLog.epoch}.${entry.seq}`,
+      event: 'alert-update',
+      data: expect.objectContaining({ type: 'new-alert', seq: entry.seq, alert: expect.objectContaining({ id: entry.payload.alert.id }) })
+    }]);
+  });
+
+  it('narrows by symbol and type and keeps other users\' private alerts out', async () => {
+    const stream = await openStream(`/api/alerts/stream?token=${pro.token}&symbol=eth&type=SELL`);
+
+    publish({ symbol: 'ETH', type: 'BUY' });
+    publish({ symbol: 'BTC', type: 'SELL' });
+    publish({ symbol: 'ETH', type: 'SELL', recipientId: free.user.id });
+    const own = publish({ symbol: 'ETH', type: 'SELL', recipientId: pro.user.id });
+    await wait(50);
+
+    expect(stream.events.map(event => event.data.seq)).toEqual([own.seq]);
+  });
+
+  it('holds fresh public alerts back for the FREE plan, in order', async () => {
+    const stream = await openStream(`/api/alerts/stream?token=${free.token}`);
+
+    publish();
+    publish({ createdAt: new Date(Date.now() - 2 * FREE_DELAY_MS).toISOString() });
+    await wait(50);
+
+    expect(stream.events).toEqual([]);
+  });
+
+  it('replays from Last-Event-ID and asks for a resync when it cannot', async () => {
+    const missed = publish();
+    const resumed = await openStream(`/api/alerts/stream?token=${pro.token}`, { 'Last-Event-ID': `${eventLog.epoch}.${missed.seq - 1}` });
+    const stale = await openStream(`/api/alerts/stream?token=${pro.token}&lastEventId=old-epoch.3`);
+    await wait(50);
+
+    expect(resumed.events.map(event => event.data.seq)).toEqual([missed.seq]);
+    expect(stale.events).toEqual([{ event: 'resync-required', data: { epoch: eventLog.epoch, latestSeq: eventLog.latestSeq() } }]);
+  });
+
+  it('ends the stream once the session is revoked', async () => {
+    const session = await createUserWithSession({ plan: 'PRO' });
+    const stream = await openStream(`/api/alerts/stream?token=${session.token}`);
+
+    await revokeSession(session.refreshToken.split('.')[0]);
+    await stream.ended;
+
+    expect(stream.events.map(event => event.event)).toEqual(['session-expired']);
+  });
+});
@@ -0,0 +1,122 @@
+// tests/routes/alerts.test.js - GET /api/alerts filtering, cursor pagination and plan limits
+import { beforeAll, describe, expect, it } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { collection, initStore } from '../../models/store.js';
+import { errorHandler } from '../../middleware/errors.js';
+import { createAlertRouter } from '../../routes/alerts.js';
+import { createAlertService } from '../../services/alertService.js';
+import { createEventLog } from '../../services/eventLog.js';
+import { createUserWithSession } from '../helpers/users.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/alerts', createAlertRouter({ alertService: createAlertService(), eventLog: createEventLog() }));
+app.use(errorHandler);
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+let free;
+let pro;
+let elite;
+let analyst;
+let otherAnalyst;
+
+// Twelve public alerts an hour or more old, two fresh ones and a private one for `pro`
+beforeAll(async () => {
+  await initStore({ driver: 'memory' });
+  [free, pro, elite, analyst, otherAnalyst] = await Promise.all([
+    createUserWithSession({ plan: 'FREE' }),
+    createUserWithSession({ plan: 'PRO' }),
+    createUserWithSession({ plan: 'ELITE' }),
+    createUserWithSession({ role: 'analyst' }),
+    createUserWithSession({ role: 'analyst' })
+  ]);
+  const alerts = collection('alerts');
+  for (let i = 0; i < 12; i += 1) {
+    await alerts.insert({
+      id: `old-${String(i).padStart(2, '0')}`,
+      type: i % 2 ? 'SELL' : 'BUY',
+      symbol: i < 6 ? 'BTC' : 'ETH',
+      price: 100 + i,
+      message: i === 3 ? 'Breakout above the 50% retracement' : `Alert ${i}`,
+      userId: i < 6 ? analyst.user.id : otherAnalyst.user.id,
+      createdAt: minutesAgo(60 + i)
+    });
+  }
+  await alerts.insert({ id: 'fresh-1', type: 'BUY', symbol: 'BTC', price: 200, message: 'Fresh', userId: analyst.user.id, createdAt: minutesAgo(1) });
+  await alerts.insert({ id: 'fresh-2', type: 'BUY', symbol: 'BTC', price: 201, message: 'Fresh', userId: analyst.user.id, createdAt: minutesAgo(1) });
+  await alerts.insert({
+    id: 'private-1', type: 'PRICE', symbol: 'BTC', price: 300, message: 'Your trigger', userId: pro.user.id, recipientId: pro.user.id, createdAt: minutesAgo(2)
+  });
+});
+
+const feed = (query, session) => {
+  const req = request(app).get('/api/alerts').query(query);
+  return session ? req.set('Authorization', `Bearer ${session.token}`) : req;
+};
+
+const ids = (response) => response.body.alerts.map(alert => alert.id);
+
+describe('GET /api/alerts', () => {
+  it('pages newest first with an opaque cursor on an uncapped plan', async () => {
+    const pages = [];
+    let cursor;
+    do {
+      const response = await feed({ limit: 6, ...(cursor && { cursor }) }, elite);
+      pages.push(ids(response));
+      expect(response.body.total).toBe(14);
+      cursor = response.body.nextCursor;
+    } while (cursor);
+
+    expect(pages.map(page => page.length)).toEqual([6, 6, 2]);
+    expect(pages.flat().slice(0, 3)).toEqual(['fresh-2', 'fresh-1', 'old-00']);
+    expect(new Set(pages.flat()).size).toBe(14);
+  });
+
+  it('serves capped plans a single page', async () => {
+    const response = await feed({ limit: 6 }, pro);
+
+    expect(ids(response).slice(0, 3)).toEqual(['fresh-2', 'fresh-1', 'private-1']);
+    expect(response.body).toMatchObject({ count: 6, total: 15, nextCursor: null });
+  });
+
+  it('filters by symbol, type, author, price range and time', async () => {
+    expect(ids(await feed({ symbol: 'eth', type: 'SELL' }, pro))).toEqual(['old-07', 'old-09', 'old-11']);
+    expect((await feed({ author: otherAnalyst.user.id }, pro)).body.total).toBe(6);
+    expect(ids(await feed({ minPrice: 110, maxPrice: 111 }, pro))).toEqual(['old-10', 'old-11']);
+    expect(ids(await feed({ from: minutesAgo(61.5), to: minutesAgo(59) }, pro))).toEqual(['old-00', 'old-01']);
+  });
+
+  it('searches messages as plain text, case-insensitively', async () => {
+    expect(ids(await feed({ q: 'breakout ABOVE the 50%' }, pro))).toEqual(['old-03']);
+    expect(ids(await feed({ q: '.*' }, pro))).toEqual([]);
+  });
+
+  it('keeps private alerts to their recipient', async () => {
+    expect(ids(await feed({ symbol: 'BTC', limit: 3 }, pro))).toContain('private-1');
+    expect(ids(await feed({ symbol: 'BTC' }, analyst))).not.toContain('private-1');
+  });
+
+  it('delays and caps the feed for the FREE plan and anonymous callers', async () => {
+    for (const session of [free, undefined]) {
+      const response = await feed({ limit: 50 }, session);
+      expect(response.headers['x-subscription-plan']).toBe('FREE');
+      expect(response.headers['x-alerts-delay-minutes']).toBe('15');
+      expect(ids(response)).toHaveLength(10);
+      expect(ids(response)).not.toContain('fresh-1');
+      expect(response.body).toMatchObject({ total: 10, nextCursor: null });
+    }
+  });
+
+  it('shows fresh alerts to staff without a delay', async () => {
+    expect(ids(await feed({ limit: 2 }, otherAnalyst))).toEqual(['fresh-2', 'fresh-1']);
+  });
+
+  it('rejects a forged cursor', async () => {
+    const response = await feed({ cursor: 'not-a-cursor' }, pro);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid cursor');
+  });
+});
@@ -0,0 +1,96 @@
+// tests/routes/permissions.test.js - Role checks on the alert and admin routes
+import { beforeAll, describe, expect, it } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { initStore } from '../../models/store.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+import { errorHandler } from '../../middleware/errors.js';
+import { createAdminRouter } from '../../routes/admin.js';
+import { createAlertRouter } from '../../routes/alerts.js';
+import { createAlertService } from '../../services/alertService.js';
+import { createMemoryCounterStore } from '../../services/counters/memoryCounterStore.js';
+import { createEventLog } from '../../services/eventLog.js';
+import { createLoginThrottle } from '../../services/loginThrottle.js';
+import { PERMISSIONS } from '../../services/permissions.js';
+import { createUserWithSession } from '../helpers/users.js';
+
+// Mounted as in server.js
+const app = express();
+app.use(express.json());
+app.use('/api/alerts', createAlertRouter({ alertService: createAlertService(), eventLog: createEventLog() }));
+app.use('/api/admin', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), createAdminRouter({
+  loginThrottle: createLoginThrottle({ store: createMemoryCounterStore() })
+}));
+app.use(errorHandler);
+
+const newAlert = { type: 'BUY', symbol: 'BTC', price: 100 };
+
+let member;
+let analyst;
+let otherAnalyst;
+let admin;
+
+beforeAll(async () => {
+  await initStore({ driver: 'memory' });
+  [member, analyst, otherAnalyst, admin] = await Promise.all([
+    createUserWithSession({ role: 'member' }),
+    createUserWithSession({ role: 'analyst' }),
+    createUserWithSession({ role: 'analyst' }),
+    createUserWithSession({ role: 'admin' })
+  ]);
+});
+
+const as = (session) => ({ Authorization: `Bearer ${session.token}` });
+
+const createAlert = async (author) => (await request(app).post('/api/alerts').set(as(author)).send(newAlert)).body.alert;
+
+describe('alert routes', () => {
+  it('lets analysts publish alerts but not members', async () => {
+    const denied = await request(app).post('/api/alerts').set(as(member)).send(newAlert);
+    const created = await request(app).post('/api/alerts').set(as(analyst)).send(newAlert);
+
+    expect(denied.status).toBe(403);
+    expect(denied.body.missingPermissions).toEqual([PERMISSIONS.ALERTS_CREATE]);
+    expect(created.status).toBe(201);
+  });
+
+  it('asks for a token before checking permissions', async () => {
+    expect((await request(app).post('/api/alerts').send(newAlert)).status).toBe(401);
+  });
+
+  it('lets analysts edit and delete only their own alerts', async () => {
+    const alert = await createAlert(otherAnalyst);
+
+    for (const session of [member, analyst]) {
+      expect((await request(app).patch(`/api/alerts/${alert.id}`).set(as(session)).send({ message: 'Mine now' })).status).toBe(403);
+      expect((await request(app).delete(`/api/alerts/${alert.id}`).set(as(session))).status).toBe(403);
+    }
+    expect((await request(app).patch(`/api/alerts/${alert.id}`).set(as(otherAnalyst)).send({ message: 'Updated' })).status).toBe(200);
+  });
+
+  it('lets admins edit and delete any alert', async () => {
+    const alert = await createAlert(analyst);
+
+    expect((await request(app).patch(`/api/alerts/${alert.id}`).set(as(admin)).send({ message: 'Moderated' })).status).toBe(200);
+    expect((await request(app).delete(`/api/alerts/${alert.id}`).set(as(admin))).status).toBe(200);
+  });
+});
+
+describe('admin routes', () => {
+  it('refuses members and analysts', async () => {
+    for (const session of [member, analyst]) {
+      const response = await request(app).get('/api/admin/users').set(as(session));
+      expect(response.status).toBe(403);
+      expect(response.body.missingPermissions).toEqual([PERMISSIONS.USERS_MANAGE]);
+    }
+    const promote = await request(app).put(`/api/admin/users/${analyst.user.id}/role`).set(as(analyst)).send({ role: 'admin' });
+    expect(promote.status).toBe(403);
+  });
+
+  it('lets admins manage users', async () => {
+    const response = await request(app).put(`/api/admin/users/${member.user.id}/role`).set(as(admin)).send({ role: 'analyst' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.user.role).toBe('analyst');
+  });
+});
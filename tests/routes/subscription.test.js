@@ -0,0 +1,193 @@
+// tests/routes/subscription.test.js - Stripe webhook handling with locally signed events
+import { afterAll, afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import Stripe from 'stripe';
+
+const WEBHOOK_SECRET = 'whsec_test_secret';
+process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+process.env.STRIPE_PRICE_PRO = 'price_pro_test';
+
+const { closeStore, initStore } = await import('../../models/store.js');
+const { userRepository } = await import('../../models/userRepository.js');
+const { errorHandler } = await import('../../middleware/errors.js');
+const { createSubscriptionRouter } = await import('../../routes/subscription.js');
+
+const app = express();
+app.use(express.json({
+  verify: (req, _res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use('/api/subscription', createSubscriptionRouter());
+app.use(errorHandler);
+
+let eventCount = 0;
+const startedAt = Math.floor(Date.now() / 1000);
+
+// Events are created a second apart, in the order the test builds them
+const stripeEvent = (type, object, { created } = {}) => {
+  eventCount += 1;
+  return {
+    id: `evt_test_${eventCount}`,
+    object: 'event',
+    type,
+    created: created ?? startedAt + eventCount,
+    data: { object }
+  };
+};
+
+// POST an event signed with `secret`, the way Stripe delivers it
+const deliver = (event, secret = WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  return request(app)
+    .post('/api/subscription/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', Stripe.webhooks.generateTestHeaderString({ payload, secret }))
+    .send(payload);
+};
+
+const activeSubscription = (user, fields = {}) => ({
+  id: 'sub_123',
+  object: 'subscription',
+  customer: 'cus_123',
+  status: 'active',
+  metadata: { userId: user.id },
+  current_period_end: 1767225600,
+  items: { data: [{ price: { id: 'price_pro_test' } }] },
+  ...fields
+});
+
+describe('POST /api/subscription/webhook', () => {
+  let user;
+
+  beforeEach(async () => {
+    await initStore({ driver: 'memory' });
+    user = await userRepository.create({ username: 'trader', email: 'trader@example.com', plan: 'FREE' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  afterAll(() => closeStore());
+
+  it('rejects requests without a valid signature', async () => {
+    const event = stripeEvent('customer.subscription.updated', activeSubscription(user));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const unsigned = await request(app).post('/api/subscription/webhook').send(event);
+    const forged = await deliver(event, 'whsec_someone_else');
+
+    expect(unsigned.status).toBe(400);
+    expect(forged.status).toBe(400);
+    expect(forged.body.error).toBe('Invalid Stripe signature');
+    expect((await userRepository.findById(user.id)).plan).toBe('FREE');
+  });
+
+  it('upgrades the user when checkout completes', async () => {
+    const response = await deliver(stripeEvent('checkout.session.completed', {
+      id: 'cs_123',
+      object: 'checkout.session',
+      client_reference_id: user.id,
+      customer: 'cus_123',
+      subscription: 'sub_123',
+      metadata: { userId: user.id, plan: 'PRO' }
+    }));
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ received: true, result: 'processed' });
+    expect(await userRepository.findById(user.id)).toMatchObject({
+      plan: 'PRO',
+      subscriptionStatus: 'active',
+      stripeCustomerId: 'cus_123',
+      stripeSubscriptionId: 'sub_123'
+    });
+  });
+
+  it('follows subscription updates and cancellation', async () => {
+    await deliver(stripeEvent('customer.subscription.updated', activeSubscription(user)));
+    expect(await userRepository.findById(user.id)).toMatchObject({
+      plan: 'PRO',
+      planRenewsAt: '2026-01-01T00:00:00.000Z'
+    });
+
+    await deliver(stripeEvent('customer.subscription.updated', activeSubscription(user, { status: 'unpaid' })));
+    expect((await userRepository.findById(user.id)).plan).toBe('FREE');
+
+    await deliver(stripeEvent('customer.subscription.updated', activeSubscription(user)));
+    await deliver(stripeEvent('customer.subscription.deleted', activeSubscription(user, { status: 'canceled' })));
+    expect(await userRepository.findById(user.id)).toMatchObject({
+      plan: 'FREE',
+      subscriptionStatus: 'canceled',
+      stripeSubscriptionId: null
+    });
+  });
+
+  it('skips events created before the last applied one', async () => {
+    const checkout = stripeEvent('checkout.session.completed', {
+      id: 'cs_123',
+      object: 'checkout.session',
+      client_reference_id: user.id,
+      customer: 'cus_123',
+      subscription: 'sub_123',
+      metadata: { userId: user.id, plan: 'PRO' }
+    });
+    const updated = stripeEvent('customer.subscription.updated', activeSubscription(user));
+    const deleted = stripeEvent('customer.subscription.deleted', activeSubscription(user, { status: 'canceled' }));
+
+    await deliver(deleted);
+    const lateCheckout = await deliver(checkout);
+    const lateUpdate = await deliver(updated);
+
+    expect(lateCheckout.body.result).toBe('stale');
+    expect(lateUpdate.body.result).toBe('stale');
+    expect(await userRepository.findById(user.id)).toMatchObject({ plan: 'FREE', subscriptionStatus: 'canceled' });
+  });
+
+  it('keeps the plan when a replaced subscription ends', async () => {
+    await deliver(stripeEvent('customer.subscription.created', activeSubscription(user, { id: 'sub_456' })));
+    await deliver(stripeEvent('customer.subscription.deleted', activeSubscription(user, { status: 'canceled' })));
+
+    expect(await userRepository.findById(user.id)).toMatchObject({ plan: 'PRO', stripeSubscriptionId: 'sub_456' });
+  });
+
+  it('finds the user by Stripe customer id when metadata is missing', async () => {
+    await userRepository.update(user.id, { stripeCustomerId: 'cus_123' });
+
+    await deliver(stripeEvent('customer.subscription.created', activeSubscription(user, { metadata: {} })));
+
+    expect((await userRepository.findById(user.id)).plan).toBe('PRO');
+  });
+
+  it('applies a redelivered event only once', async () => {
+    const event = stripeEvent('customer.subscription.updated', activeSubscription(user));
+
+    const first = await deliver(event);
+    await userRepository.update(user.id, { plan: 'ELITE' });
+    const retry = await deliver(event);
+
+    expect(first.body.result).toBe('processed');
+    expect(retry.body.result).toBe('duplicate');
+    expect((await userRepository.findById(user.id)).plan).toBe('ELITE');
+  });
+
+  it('ignores event types it does not handle', async () => {
+    const response = await deliver(stripeEvent('invoice.paid', { id: 'in_123', object: 'invoice' }));
+
+    expect(response.body.result).toBe('ignored');
+  });
+
+  it('lets Stripe retry an event whose processing failed', async () => {
+    const event = stripeEvent('customer.subscription.updated', activeSubscription(user));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(userRepository, 'applyStripeEvent').mockRejectedValueOnce(new Error('database unavailable'));
+
+    const failed = await deliver(event);
+    const retry = await deliver(event);
+
+    expect(failed.status).toBe(500);
+    expect(retry.status).toBe(200);
+    expect(retry.body.result).toBe('processed');
+    expect((await userRepository.findById(user.id)).plan).toBe('PRO');
+  });
+});
@@ -0,0 +1,125 @@
+// tests/routes/twoFactor.test.js - Guessing codes or passwords on the 2FA routes
+import { beforeAll, beforeEach, describe, expect, it } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+
+// Lock on the third failure, before any per-attempt delay kicks in
+process.env.LOGIN_LOCKOUT_FAILURES = '3';
+process.env.LOGIN_FREE_FAILURES = '5';
+
+const { initStore } = await import('../../models/store.js');
+const { authenticateForTwoFactorSetup } = await import('../../middleware/auth.js');
+const { errorHandler } = await import('../../middleware/errors.js');
+const { createTwoFactorRouter } = await import('../../routes/twoFactor.js');
+const { createMemoryCounterStore } = await import('../../services/counters/memoryCounterStore.js');
+const { createLoginThrottle } = await import('../../services/loginThrottle.js');
+const { confirmEnrollment, startEnrollment } = await import('../../services/twoFactor.js');
+const { generateCode, timeStep } = await import('../../services/totp.js');
+const { TEST_PASSWORD, createUserWithSession, newSession } = await import('../helpers/users.js');
+
+let app;
+let audits;
+
+beforeAll(() => initStore({ driver: 'memory' }));
+
+beforeEach(() => {
+  audits = [];
+  app = express();
+  app.use(express.json());
+  app.use('/api/auth/2fa', authenticateForTwoFactorSetup, createTwoFactorRouter({
+    loginThrottle: createLoginThrottle({ store: createMemoryCounterStore() }),
+    auditLogin: (_req, entry) => audits.push(entry)
+  }));
+  app.use(errorHandler);
+});
+
+// A user with 2FA on; resolves to `{ user, token, secret, recoveryCodes }`
+const enrolledUser = async () => {
+  const { user, token } = await createUserWithSession();
+  const { value: { secret } } = await startEnrollment(user);
+  const { value: { recoveryCodes } } = await confirmEnrollment(user, generateCode(secret));
+  return { user, token, secret, recoveryCodes };
+};
+
+// A well-formed code that is not valid for any step verifyCode accepts
+const wrongCode = (secret) => {
+  const valid = [-1, 0, 1].map(offset => generateCode(secret, timeStep() + offset));
+  let code = 0;
+  while (valid.includes(String(code).padStart(6, '0'))) code += 1;
+  return String(code).padStart(6, '0');
+};
+
+const post = (path, token, body) => request(app).post(`/api/auth/2fa${path}`).set('Authorization', `Bearer ${token}`).send(body);
+
+describe('POST /api/auth/2fa/recovery-codes', () => {
+  it('locks the account and revokes the session after repeated wrong codes', async () => {
+    const { user, token, secret, recoveryCodes } = await enrolledUser();
+
+    for (let attempt = 1; attempt <= 3; attempt += 1) {
+      expect((await post('/recovery-codes', token, { code: wrongCode(secret) })).status).toBe(401);
+    }
+
+    // The guessing session is gone
+    expect((await post('/recovery-codes', token, { recoveryCode: recoveryCodes[0] })).status).toBe(401);
+
+    // Other sessions are held off, even with a valid recovery code
+    const other = await newSession(user);
+    const locked = await post('/recovery-codes', other.token, { recoveryCode: recoveryCodes[0] });
+    expect(locked.status).toBe(429);
+    expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+
+    expect(audits.map(entry => entry.outcome)).toEqual([
+      'invalid-2fa-code', 'invalid-2fa-code', 'invalid-2fa-code', 'locked'
+    ]);
+    expect(audits[2].lockedOut).toBe(true);
+  });
+
+  it('clears the failure count after a correct code', async () => {
+    const { token, secret, recoveryCodes } = await enrolledUser();
+
+    await post('/recovery-codes', token, { code: wrongCode(secret) });
+    await post('/recovery-codes', token, { code: wrongCode(secret) });
+    const renewed = await post('/recovery-codes', token, { recoveryCode: recoveryCodes[0] });
+    expect(renewed.status).toBe(200);
+    await post('/recovery-codes', token, { code: wrongCode(secret) });
+    await post('/recovery-codes', token, { code: wrongCode(secret) });
+
+    expect((await post('/recovery-codes', token, { recoveryCode: renewed.body.recoveryCodes[0] })).status).toBe(200);
+  });
+
+  it('does not count requests without a code', async () => {
+    const { token } = await enrolledUser();
+
+    for (let attempt = 1; attempt <= 4; attempt += 1) {
+      expect((await post('/recovery-codes', token, {})).status).toBe(400);
+    }
+    expect(audits).toEqual([]);
+  });
+});
+
+describe('POST /api/auth/2fa/disable', () => {
+  it('counts wrong passwords and wrong codes towards the lockout', async () => {
+    const { user, token, secret, recoveryCodes } = await enrolledUser();
+
+    expect((await post('/disable', token, { password: 'wrong-password', recoveryCode: recoveryCodes[0] })).status).toBe(401);
+    expect((await post('/disable', token, { password: 'wrong-again', recoveryCode: recoveryCodes[0] })).status).toBe(401);
+    expect((await post('/disable', token, { password: TEST_PASSWORD, code: wrongCode(secret) })).status).toBe(401);
+
+    const other = await newSession(user);
+    const response = await post('/disable', other.token, { password: TEST_PASSWORD, recoveryCode: recoveryCodes[0] });
+    expect(response.status).toBe(429);
+    expect(audits.map(entry => entry.outcome)).toEqual([
+      'invalid-password', 'invalid-password', 'invalid-2fa-code', 'locked'
+    ]);
+  });
+
+  it('disables 2FA with the password and a valid recovery code', async () => {
+    const { token, recoveryCodes } = await enrolledUser();
+
+    const response = await post('/disable', token, { password: TEST_PASSWORD, recoveryCode: recoveryCodes[0] });
+
+    expect(response.status).toBe(200);
+    expect((await request(app).get('/api/auth/2fa').set('Authorization', `Bearer ${token}`)).body.enabled).toBe(false);
+  });
+});
@@ -0,0 +1,114 @@
+// tests/routes/uploads.test.js - Serving uploads without leaking private files
+import { afterAll, describe, expect, it } from '@jest/globals';
+import express from 'express';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createLocalStorage } from '../../services/storage/localStorage.js';
+import { createUploadRouter } from '../../routes/uploads.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const appFor = (storage) => {
+  const app = express();
+  app.use('/uploads', createUploadRouter({ storage }));
+  return app;
+};
+
+describe('local uploads', () => {
+  const storage = createLocalStorage({ root, secret: 'test-secret' });
+  const app = appFor(storage);
+
+  const privateKey = 'private/exports/report.csv';
+  fs.mkdirSync(path.join(root, 'avatars'), { recursive: true });
+  fs.mkdirSync(path.join(root, 'private/exports'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'avatars/me.txt'), 'public');
+  fs.writeFileSync(path.join(root, privateKey), 'secret');
+
+  it('serves public files', async () => {
+    const response = await request(app).get('/uploads/avatars/me.txt');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('public');
+  });
+
+  it.each([
+    '/uploads/private/exports/report.csv',
+    '/uploads/%70rivate/exports/report.csv',
+    '/uploads/private%2fexports%2freport.csv',
+    '/uploads/private%2Fexports/report.csv',
+    '/uploads/avatars/../private/exports/report.csv',
+    '/uploads/avatars/%2e%2e/private/exports/report.csv',
+    '/uploads//private/exports/report.csv',
+    '/uploads/PRIVATE/exports/report.csv'
+  ])('refuses %s without a signature', async (url) => {
+    const response = await request(app).get(url);
+
+    expect(response.status).toBe(403);
+    expect(response.text).not.toContain('secret');
+  });
+
+  it('rejects paths that cannot be decoded', async () => {
+    expect((await request(app).get('/uploads/%E0%A4%A')).status).toBe(400);
+  });
+
+  it('serves private files with a valid signature', async () => {
+    const url = await storage.signedUrl(privateKey, { expiresIn: 60 });
+
+    const response = await request(app).get(url);
+
+    expect(response.status).toBe(200);
+    expect(response.text).toBe('secret');
+    expect(response.headers['cache-control']).toBe('private, no-store');
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+  });
+
+  it('accepts the signature for an encoded spelling of the same key', async () => {
+    const url = await storage.signedUrl(privateKey, { expiresIn: 60 });
+
+    expect((await request(app).get(url.replace('/private/', '/%70rivate/'))).status).toBe(200);
+  });
+
+  it('refuses a signature made for another file', async () => {
+    const url = await storage.signedUrl('private/exports/other.csv', { expiresIn: 60 });
+    const { search } = new URL(url, 'http://localhost');
+
+    expect((await request(app).get(`/uploads/${privateKey}${search}`)).status).toBe(403);
+  });
+
+  it('refuses expired links and methods other than GET and HEAD', async () => {
+    const expired = await storage.signedUrl(privateKey, { expiresIn: -1 });
+    expect((await request(app).get(expired)).status).toBe(403);
+
+    const url = await storage.signedUrl(privateKey, { expiresIn: 60 });
+    expect((await request(app).post(url)).status).toBe(403);
+    expect((await request(app).head(url)).status).toBe(200);
+  });
+
+  it('answers 404 for a signed link to a missing file', async () => {
+    const url = await storage.signedUrl('private/missing.csv', { expiresIn: 60 });
+
+    expect((await request(app).get(url)).status).toBe(404);
+  });
+});
+
+describe('uploads in object storage', () => {
+  const app = appFor({ name: 's3', publicUrl: (key) => `https://cdn.example.com/${key}` });
+
+  it('redirects public paths to the bucket', async () => {
+    const response = await request(app).get('/uploads/avatars/me.webp');
+
+    expect(response.status).toBe(301);
+    expect(response.headers.location).toBe('https://cdn.example.com/avatars/me.webp');
+  });
+
+  it.each([
+    '/uploads/private/exports/report.csv',
+    '/uploads/%70rivate/exports/report.csv',
+    '/uploads/avatars/../private/exports/report.csv'
+  ])('never redirects %s', async (url) => {
+    expect((await request(app).get(url)).status).toBe(404);
+  });
+});
@@ -0,0 +1,117 @@
+// tests/routes/validation.test.js - Request validation and the error envelope
+import { afterEach, beforeAll, describe, expect, it, jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { initStore } from '../../models/store.js';
+import { authenticate } from '../../middleware/auth.js';
+import { errorEnvelope, errorHandler, notFoundHandler } from '../../middleware/errors.js';
+import { requestId } from '../../middleware/requestId.js';
+import { validate } from '../../middleware/validate.js';
+import { createTriggerRouter } from '../../routes/triggers.js';
+import { limitQuery, symbolField } from '../../routes/schemas.js';
+import { createUserWithSession } from '../helpers/users.js';
+
+// The middleware order of server.js
+const app = express();
+app.use(requestId);
+app.use(errorEnvelope);
+app.use(express.json());
+app.use('/api/triggers', authenticate, createTriggerRouter());
+app.get('/api/search', validate({ query: { symbol: symbolField, limit: limitQuery(100) } }), (req, res) => {
+  res.json({ symbol: req.query.symbol, limit: req.query.limit });
+});
+app.get('/api/broken', () => {
+  throw new Error('database unavailable');
+});
+app.use('*', notFoundHandler);
+app.use(errorHandler);
+
+let auth;
+
+beforeAll(async () => {
+  await initStore({ driver: 'memory' });
+  const { token } = await createUserWithSession();
+  auth = { Authorization: `Bearer ${token}` };
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const expectEnvelope = (response, status, code) => {
+  expect(response.status).toBe(status);
+  expect(response.body).toMatchObject({ error: expect.any(String), code, requestId: response.headers['x-request-id'] });
+};
+
+describe('validate()', () => {
+  it('answers 400 VALIDATION_FAILED with every bad body field', async () => {
+    const response = await request(app).post('/api/triggers').set(auth).send({
+      symbol: 'BTC',
+      condition: 'sideways',
+      threshold: '<script>'
+    });
+
+    expectEnvelope(response, 400, 'VALIDATION_FAILED');
+    expect(response.body.details).toHaveLength(2);
+    expect(response.body.details).toEqual(expect.arrayContaining([
+      { field: 'condition', location: 'body', message: expect.stringMatching(/^condition must be one of/) },
+      { field: 'threshold', location: 'body', message: 'threshold must be a positive number' }
+    ]));
+    expect(response.body.error).toBe(response.body.details[0].message);
+    expect(JSON.stringify(response.body)).not.toContain('<script>');
+  });
+
+  it('checks route params', async () => {
+    const response = await request(app).get('/api/triggers/not%20an%20id').set(auth);
+
+    expectEnvelope(response, 400, 'VALIDATION_FAILED');
+    expect(response.body.details).toEqual([{ field: 'id', location: 'params', message: 'id must be a valid id' }]);
+  });
+
+  it('checks the query string and refuses repeated single-value parameters', async () => {
+    const missing = await request(app).get('/api/search?limit=0');
+    const repeated = await request(app).get('/api/search?symbol=BTC&symbol=ETH');
+
+    expectEnvelope(missing, 400, 'VALIDATION_FAILED');
+    expect(missing.body.details.map(detail => detail.field).sort()).toEqual(['limit', 'symbol']);
+    expect(repeated.body.details.map(detail => detail.field)).toEqual(['symbol']);
+  });
+
+  it('passes valid requests through with the declared conversions', async () => {
+    const response = await request(app).get('/api/search?symbol=BTC&limit=25');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ symbol: 'BTC', limit: 25 });
+  });
+});
+
+describe('error envelope', () => {
+  it('adds a code and the request id to errors the routes answer themselves', async () => {
+    const response = await request(app).post('/api/triggers').set(auth)
+      .set('X-Request-Id', 'lb-1234')
+      .send({ symbol: 'BTC', condition: 'above', threshold: 100, rearm: true, cooldownMinutes: 0 });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      error: 'cooldownMinutes must be at least 1 when rearm is set',
+      code: 'BAD_REQUEST',
+      requestId: 'lb-1234'
+    });
+  });
+
+  it('reports malformed JSON', async () => {
+    const response = await request(app).post('/api/triggers').set(auth)
+      .set('Content-Type', 'application/json')
+      .send('{"symbol": ');
+
+    expectEnvelope(response, 400, 'INVALID_JSON');
+  });
+
+  it('uses the same shape for unknown routes, missing auth and server errors', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expectEnvelope(await request(app).get('/api/nowhere'), 404, 'ROUTE_NOT_FOUND');
+    expectEnvelope(await request(app).get('/api/triggers'), 401, 'UNAUTHORIZED');
+    const broken = await request(app).get('/api/broken');
+    expectEnvelope(broken, 500, 'INTERNAL_ERROR');
+    expect(broken.body.error).toBe('Internal server error');
+  });
+});
@@ -0,0 +1,108 @@
+// tests/routes/watchlists.test.js - Watchlist CRUD, ordering and limits
+import { beforeAll, describe, expect, it } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { initStore } from '../../models/store.js';
+import { authenticate } from '../../middleware/auth.js';
+import { errorHandler } from '../../middleware/errors.js';
+import { createWatchlistRouter } from '../../routes/watchlists.js';
+import { createUserWithSession } from '../helpers/users.js';
+
+const app = express();
+app.use(express.json());
+app.use('/api/watchlists', authenticate, createWatchlistRouter());
+app.use(errorHandler);
+
+beforeAll(() => initStore({ driver: 'memory' }));
+
+// A fresh user per test, so limits and names never collide
+const client = async () => {
+  const { token } = await createUserWithSession();
+  const auth = { Authorization: `Bearer ${token}` };
+  return {
+    get: (path = '') => request(app).get(`/api/watchlists${path}`).set(auth),
+    post: (path, body) => request(app).post(`/api/watchlists${path}`).set(auth).send(body),
+    put: (path, body) => request(app).put(`/api/watchlists${path}`).set(auth).send(body),
+    patch: (path, body) => request(app).patch(`/api/watchlists${path}`).set(auth).send(body),
+    delete: (path) => request(app).delete(`/api/watchlists${path}`).set(auth)
+  };
+};
+
+const symbols = (count) => Array.from({ length: count }, (_, i) => `S${i}`);
+
+describe('watchlists', () => {
+  it('normalizes and de-duplicates symbols, keeping their order', async () => {
+    const api = await client();
+
+    const response = await api.post('', { name: ' Majors ', symbols: ['eth', 'BTC', ' eth '] });
+
+    expect(response.status).toBe(201);
+    expect(response.body.watchlist).toMatchObject({ name: 'Majors', symbols: ['ETH', 'BTC'], position: 0 });
+  });
+
+  it('allows at most 20 watchlists per user', async () => {
+    const api = await client();
+    for (let i = 0; i < 20; i += 1) {
+      expect((await api.post('', { name: `List ${i}` })).status).toBe(201);
+    }
+
+    const response = await api.post('', { name: 'One too many' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('At most 20 watchlists per user');
+  });
+
+  it('allows at most 100 symbols per watchlist', async () => {
+    const api = await client();
+    const full = (await api.post('', { name: 'Full', symbols: symbols(100) })).body.watchlist;
+
+    expect((await api.post('', { name: 'Too big', symbols: symbols(101) })).body.error)
+      .toBe('A watchlist holds at most 100 symbols');
+    expect((await api.post(`/${full.id}/symbols`, { symbol: 'NEW' })).status).toBe(400);
+    expect((await api.post(`/${full.id}/symbols`, { symbol: 's5' })).status).toBe(200);
+  });
+
+  it('refuses duplicate names regardless of case', async () => {
+    const api = await client();
+    await api.post('', { name: 'Crypto' });
+    const other = (await api.post('', { name: 'Stocks' })).body.watchlist;
+
+    expect((await api.post('', { name: 'crypto' })).status).toBe(409);
+    expect((await api.patch(`/${other.id}`, { name: 'CRYPTO' })).status).toBe(409);
+  });
+
+  it('inserts symbols at a position and removes them', async () => {
+    const api = await client();
+    const list = (await api.post('', { name: 'Mixed', symbols: ['A', 'B', 'C'] })).body.watchlist;
+
+    const added = await api.post(`/${list.id}/symbols`, { symbols: ['c', 'D'], position: 1 });
+    const removed = await api.delete(`/${list.id}/symbols/a`);
+
+    expect(added.body.watchlist.symbols).toEqual(['A', 'C', 'D', 'B']);
+    expect(removed.body.watchlist.symbols).toEqual(['C', 'D', 'B']);
+    expect((await api.delete(`/${list.id}/symbols/A`)).status).toBe(404);
+    expect((await api.post(`/${list.id}/symbols`, { symbol: 'E', position: 9 })).status).toBe(400);
+  });
+
+  it('reorders only with every own watchlist listed once', async () => {
+    const api = await client();
+    const first = (await api.post('', { name: 'First' })).body.watchlist;
+    const second = (await api.post('', { name: 'Second' })).body.watchlist;
+
+    expect((await api.put('/order', { ids: [second.id] })).status).toBe(400);
+    expect((await api.put('/order', { ids: [second.id, second.id] })).status).toBe(400);
+    const reordered = await api.put('/order', { ids: [second.id, first.id] });
+
+    expect(reordered.body.watchlists.map(watchlist => watchlist.name)).toEqual(['Second', 'First']);
+  });
+
+  it('hides other users\' watchlists', async () => {
+    const owner = await client();
+    const stranger = await client();
+    const list = (await owner.post('', { name: 'Private' })).body.watchlist;
+
+    expect((await stranger.get(`/${list.id}`)).status).toBe(404);
+    expect((await stranger.delete(`/${list.id}`)).status).toBe(404);
+    expect((await stranger.get()).body.watchlists).toEqual([]);
+  });
+});
@@ -0,0 +1,139 @@
+// tests/services/accountTokens.test.js - Email verification and password reset links: expiry and single use
+import { afterEach, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import bcrypt from 'bcryptjs';
+import { accountTokenRepository } from '../../models/accountTokenRepository.js';
+import { initStore } from '../../models/store.js';
+import { userRepository } from '../../models/userRepository.js';
+import { TOKEN_PURPOSES, createAccountTokenService } from '../../services/accountTokens.js';
+import { createUserWithSession } from '../helpers/users.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let sent;
+let tokens;
+
+beforeAll(async () => {
+  await initStore({ driver: 'memory' });
+  tokens = createAccountTokenService({ mailer: { send: async (message) => sent.push(message) } });
+});
+
+beforeEach(() => {
+  sent = [];
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+// The token from the link in the last email sent
+const lastToken = () => sent[sent.length - 1].text.match(/\?token=([\w-]+)/)[1];
+
+// Move the clock; the store's promises still resolve on their own
+const travel = (ms) => {
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+  jest.setSystemTime(Date.now() + ms);
+};
+
+describe('email verification', () => {
+  it('verifies the address once per link', async () => {
+    const { user } = await createUserWithSession({ emailVerifiedAt: null });
+    await tokens.sendVerification(user);
+    const token = lastToken();
+
+    const { user: verified } = await tokens.verifyEmail(token);
+
+    expect(verified.emailVerifiedAt).toEqual(expect.any(String));
+    expect(await tokens.verifyEmail(token)).toEqual({ error: 'invalid' });
+  });
+
+  it('refuses a link past its 48 hours', async () => {
+    const { user } = await createUserWithSession({ emailVerifiedAt: null });
+    await tokens.sendVerification(user);
+    const token = lastToken();
+
+    travel(48 * HOUR_MS + 1000);
+
+    expect(await tokens.verifyEmail(token)).toEqual({ error: 'expired' });
+    expect((await userRepository.findById(user.id)).emailVerifiedAt).toBeNull();
+  });
+
+  it('retires the older link when a new one is sent', async () => {
+    const { user } = await createUserWithSession({ emailVerifiedAt: null });
+    await tokens.sendVerification(user);
+    const older = lastToken();
+    await tokens.sendVerification(user);
+
+    expect(await tokens.verifyEmail(older)).toEqual({ error: 'invalid' });
+    expect((await tokens.verifyEmail(lastToken())).user).toBeDefined();
+  });
+});
+
+describe('password reset', () => {
+  it('only mails verified addresses of active accounts', async () => {
+    const { user: unverified } = await createUserWithSession({ emailVerifiedAt: null });
+    const { user: inactive } = await createUserWithSession({ isActive: false });
+
+    await tokens.requestPasswordReset(unverified.email);
+    await tokens.requestPasswordReset(inactive.email);
+    await tokens.requestPasswordReset('nobody@example.com');
+
+    expect(sent).toEqual([]);
+  });
+
+  it('sets the password, revokes every session and uses the link up', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { user } = await createUserWithSession();
+    await tokens.requestPasswordReset(user.email);
+    const token = lastToken();
+
+    const result = await tokens.resetPassword(token, 'A-New-Password-2');
+
+    expect(result.revokedSessions).toBe(1);
+    expect(await bcrypt.compare('A-New-Password-2', result.user.password)).toBe(true);
+    expect(await tokens.resetPassword(token, 'Another-One-3')).toEqual({ error: 'invalid' });
+  });
+
+  it('refuses a link past its 60 minutes and keeps the old password', async () => {
+    const { user } = await createUserWithSession();
+    await tokens.requestPasswordReset(user.email);
+    const token = lastToken();
+
+    travel(HOUR_MS + 1000);
+
+    expect(await tokens.resetPassword(token, 'A-New-Password-2')).toEqual({ error: 'expired' });
+    expect((await userRepository.findById(user.id)).password).toBe(user.password);
+  });
+
+  it('redeems a link once when two resets race', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { user } = await createUserWithSession();
+    await tokens.requestPasswordReset(user.email);
+    const token = lastToken();
+
+    const results = await Promise.all([
+      tokens.resetPassword(token, 'First-Password-1'),
+      tokens.resetPassword(token, 'Second-Password-2')
+    ]);
+
+    expect(results.filter(result => result.error === 'invalid')).toHaveLength(1);
+  });
+});
+
+describe('removeExpired', () => {
+  it('deletes expired tokens and keeps live ones', async () => {
+    const { user } = await createUserWithSession({ emailVerifiedAt: null });
+    await accountTokenRepository.create({
+      userId: user.id,
+      purpose: TOKEN_PURPOSES.VERIFY_EMAIL,
+      tokenHash: 'expired-hash',
+      expiresAt: new Date(Date.now() - 1000).toISOString()
+    });
+    await tokens.sendVerification(user);
+
+    await tokens.removeExpired();
+
+    expect(await accountTokenRepository.findByHash('expired-hash', TOKEN_PURPOSES.VERIFY_EMAIL)).toBeNull();
+    expect((await tokens.verifyEmail(lastToken())).user).toBeDefined();
+  });
+});
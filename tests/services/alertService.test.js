@@ -0,0 +1,94 @@
+// tests/services/alertService.test.js - Publishing, editing with revisions, and deleting alerts
+import { beforeAll, describe, expect, it } from '@jest/globals';
+import { initStore } from '../../models/store.js';
+import { alertRepository } from '../../models/alertRepository.js';
+import { alertRevisionRepository } from '../../models/alertRevisionRepository.js';
+import { createAlertService, validateAlertInput } from '../../services/alertService.js';
+
+const author = { id: 'analyst-1', username: 'analyst' };
+const editor = { id: 'admin-1', username: 'admin' };
+
+let service;
+let events;
+
+beforeAll(async () => {
+  await initStore({ driver: 'memory' });
+  service = createAlertService();
+  events = [];
+  ['created', 'edited', 'deleted'].forEach(name => service.on(name, payload => events.push({ name, payload })));
+});
+
+const publish = (input) => service.create(validateAlertInput({ type: 'BUY', symbol: 'btc', price: 100, ...input }).value, author);
+
+const signal = { stopLoss: 95, targets: [110] };
+
+describe('validateAlertInput', () => {
+  it('normalizes fields and fills in a message', () => {
+    expect(validateAlertInput({ type: ' buy ', symbol: 'eth ', price: '12.5' }).value)
+      .toEqual({ type: 'buy', symbol: 'ETH', price: 12.5, message: 'buy signal for eth' });
+  });
+
+  it('rejects bad fields with the signal errors passed through', () => {
+    expect(validateAlertInput({ type: 'BUY', symbol: 'BTC', price: -1 }).error).toBe('price must be a positive number');
+    expect(validateAlertInput({ type: 'BUY', symbol: 'BTC', price: 100, signal: { stopLoss: 120, targets: [110] } }).error)
+      .toMatch(/stopLoss must be below/);
+  });
+});
+
+describe('alert service', () => {
+  it('starts tracking signals when they are published', async () => {
+    const alert = await publish({ signal });
+
+    expect(alert).toMatchObject({ userId: author.id, outcome: { status: 'pending', targetsHit: 0 } });
+    expect(events.at(-1)).toEqual({ name: 'created', payload: alert });
+  });
+
+  it('records each edit as a numbered revision of the changed fields', async () => {
+    const alert = await publish({ message: 'First take' });
+
+    const first = await service.edit(alert, { message: 'Second take', price: 100 }, author);
+    const second = await service.edit(first.alert, { price: 101 }, editor);
+
+    expect(first.revision).toMatchObject({ revision: 1, editorId: author.id, changes: { message: { from: 'First take', to: 'Second take' } } });
+    expect(second.alert).toMatchObject({ revision: 2, price: 101, message: 'Second take' });
+    expect((await alertRevisionRepository.findByAlert(alert.id)).map(revision => revision.changes)).toEqual([
+      { message: { from: 'First take', to: 'Second take' } },
+      { price: { from: 100, to: 101 } }
+    ]);
+    expect(events.at(-1)).toMatchObject({ name: 'edited', payload: { previous: first.alert, revision: second.revision } });
+  });
+
+  it('does not record an edit that changes nothing', async () => {
+    const alert = await publish();
+
+    expect(await service.edit(alert, { price: 100 }, author)).toEqual({ alert, revision: null });
+    expect(await alertRevisionRepository.findByAlert(alert.id)).toEqual([]);
+  });
+
+  it('refuses an edit based on a stale copy', async () => {
+    const alert = await publish();
+    await service.edit(alert, { price: 102 }, author);
+
+    expect(await service.edit(alert, { price: 103 }, editor)).toEqual({ conflict: true });
+    expect((await alertRepository.findById(alert.id)).price).toBe(102);
+  });
+
+  it('refuses to move signal levels if the signal was entered since it was read', async () => {
+    const alert = await publish({ signal });
+    // The tracker enters the signal while the edit is in flight
+    await alertRepository.updateOutcome(alert, { ...alert.outcome, status: 'open', updatedAt: new Date().toISOString() });
+
+    expect(await service.edit(alert, { price: 101 }, author)).toEqual({ conflict: true });
+    expect((await service.edit(alert, { message: 'Still valid' }, author)).revision).toMatchObject({ revision: 1 });
+  });
+
+  it('deletes the revision history with the alert', async () => {
+    const alert = await publish();
+    await service.edit(alert, { price: 105 }, author);
+
+    expect(await service.remove(alert.id)).toMatchObject({ id: alert.id });
+    expect(await alertRevisionRepository.findByAlert(alert.id)).toEqual([]);
+    expect(await service.remove(alert.id)).toBeNull();
+    expect(events.at(-1)).toMatchObject({ name: 'deleted', payload: { id: alert.id } });
+  });
+});
@@ -0,0 +1,75 @@
+// tests/services/auth.test.js - Refresh-token rotation and session revocation
+import { afterEach, beforeAll, describe, expect, it, jest } from '@jest/globals';
+import { collection, initStore } from '../../models/store.js';
+import { sessionRepository } from '../../models/sessionRepository.js';
+import { userRepository } from '../../models/userRepository.js';
+import { refreshSession, revokeByRefreshToken, verifyAccessToken } from '../../services/auth.js';
+import { createUserWithSession } from '../helpers/users.js';
+
+beforeAll(() => initStore({ driver: 'memory' }));
+
+afterEach(() => jest.restoreAllMocks());
+
+const sessionIdOf = (refreshToken) => refreshToken.split('.')[0];
+
+describe('refreshSession', () => {
+  it('rotates the refresh token and keeps the session', async () => {
+    const { user, refreshToken } = await createUserWithSession();
+
+    const { tokens, error } = await refreshSession(refreshToken);
+
+    expect(error).toBeUndefined();
+    expect(tokens.refreshToken).not.toBe(refreshToken);
+    expect(sessionIdOf(tokens.refreshToken)).toBe(sessionIdOf(refreshToken));
+    expect((await verifyAccessToken(tokens.token)).id).toBe(user.id);
+    expect((await refreshSession(tokens.refreshToken)).tokens).toBeDefined();
+  });
+
+  it('revokes the session when a superseded token comes back', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const { refreshToken } = await createUserWithSession();
+    const { tokens } = await refreshSession(refreshToken);
+
+    expect(await refreshSession(refreshToken)).toEqual({ error: 'reused' });
+
+    // Both the thief's and the owner's copies stop working
+    expect(await refreshSession(tokens.refreshToken)).toEqual({ error: 'revoked' });
+    expect(await verifyAccessToken(tokens.token)).toBeNull();
+    expect((await sessionRepository.findById(sessionIdOf(refreshToken))).revokedReason).toBe('refresh-token-reuse');
+  });
+
+  it('lets only one of two concurrent refreshes with the same token win', async () => {
+    const { refreshToken } = await createUserWithSession();
+
+    const results = await Promise.all([refreshSession(refreshToken), refreshSession(refreshToken)]);
+
+    expect(results.filter(result => result.tokens)).toHaveLength(1);
+    expect(results.filter(result => result.error === 'reused')).toHaveLength(1);
+  });
+
+  it('refuses expired sessions and inactive users', async () => {
+    const expired = await createUserWithSession();
+    await collection('sessions').update(sessionIdOf(expired.refreshToken), { expiresAt: new Date(Date.now() - 1000).toISOString() });
+    const inactive = await createUserWithSession();
+    await userRepository.update(inactive.user.id, { isActive: false });
+
+    expect(await refreshSession(expired.refreshToken)).toEqual({ error: 'expired' });
+    expect(await refreshSession(inactive.refreshToken)).toEqual({ error: 'revoked' });
+  });
+
+  it('rejects malformed and unknown tokens', async () => {
+    expect(await refreshSession('not-a-token')).toEqual({ error: 'invalid' });
+    expect(await refreshSession('missing-session.secret')).toEqual({ error: 'invalid' });
+  });
+});
+
+describe('revokeByRefreshToken', () => {
+  it('logs out with the current refresh token only', async () => {
+    const { refreshToken } = await createUserWithSession();
+    const { tokens } = await refreshSession(refreshToken);
+
+    expect(await revokeByRefreshToken(refreshToken)).toBeNull();
+    expect(await revokeByRefreshToken(tokens.refreshToken)).toMatchObject({ revokedReason: 'logout' });
+    expect(await verifyAccessToken(tokens.token)).toBeNull();
+  });
+});
@@ -0,0 +1,121 @@
+// tests/services/avatars.test.js - Sniffing, re-encoding and storing profile pictures
+//
+// sharp needs its native libvips build; where that did not install the suite
+// is skipped with a warning.
+import { afterAll, describe, expect, it, jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLocalStorage } from '../../services/storage/localStorage.js';
+
+const sharp = await import('sharp').then(module => module.default).catch((error) => {
+  console.warn(`Skipping avatar tests, sharp is not available: ${error.message.trim().split('\n')[0]}`);
+  return null;
+});
+const { AVATAR_SIZES, createAvatarService, detectImageType } = sharp ? await import('../../services/avatars.js') : {};
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'avatars-'));
+
+afterAll(() => fs.rmSync(root, { recursive: true, force: true }));
+
+const RED = { r: 255, g: 0, b: 0 };
+const BLUE = { r: 0, g: 0, b: 255 };
+
+// A 40x20 JPEG, red on the left and blue on the right, with EXIF
+const sideBySide = async (exif = {}) => {
+  const blue = await sharp({ create: { width: 20, height: 20, channels: 3, background: BLUE } }).png().toBuffer();
+  return sharp({ create: { width: 40, height: 20, channels: 3, background: RED } })
+    .composite([{ input: blue, left: 20, top: 0 }])
+    .jpeg()
+    .withMetadata(exif)
+    .toBuffer();
+};
+
+// `{ r, g, b }` at x, y of an encoded image
+const pixel = async (body, x, y) => {
+  const { data, info } = await sharp(body).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+  const offset = (y * info.width + x) * info.channels;
+  return { r: data[offset], g: data[offset + 1], b: data[offset + 2] };
+};
+
+const isColor = (actual, expected) => ['r', 'g', 'b'].every(channel => Math.abs(actual[channel] - expected[channel]) < 40);
+
+const readStored = (storage, url) => fs.readFileSync(path.join(root, storage.keyForUrl(url)));
+
+(sharp ? describe : describe.skip)('avatars', () => {
+  const storage = createLocalStorage({ root, secret: 'test-secret' });
+  const avatars = sharp && createAvatarService({ storage });
+
+  describe('detectImageType', () => {
+    it('goes by magic bytes, not by what the client claims', async () => {
+      expect(detectImageType(await sideBySide())).toBe('jpeg');
+      expect(detectImageType(await sharp(await sideBySide()).png().toBuffer())).toBe('png');
+      expect(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBeNull();
+      expect(detectImageType(Buffer.from('GIF89a'))).toBeNull();
+    });
+  });
+
+  describe('process', () => {
+    it('stores a square WebP per size and points profilePicture at the largest', async () => {
+      const { value } = await avatars.process('user-1', await sideBySide());
+
+      expect(Object.keys(value.avatar.sizes).map(Number)).toEqual(AVATAR_SIZES);
+      expect(value.profilePicture).toBe(value.avatar.sizes[Math.max(...AVATAR_SIZES)]);
+      expect(value.avatar.sourceType).toBe('jpeg');
+      for (const size of AVATAR_SIZES) {
+        const metadata = await sharp(readStored(storage, value.avatar.sizes[size])).metadata();
+        expect(metadata).toMatchObject({ format: 'webp', width: size, height: size });
+        expect(value.avatar.keys[size]).toBe(storage.keyForUrl(value.avatar.sizes[size]));
+      }
+    });
+
+    it('applies the EXIF orientation and drops all metadata', async () => {
+      // Orientation 6: shown rotated a quarter turn clockwise, so red ends up on top
+      const { value } = await avatars.process('user-2', await sideBySide({ orientation: 6 }));
+      const body = readStored(storage, value.avatar.sizes[64]);
+
+      expect(isColor(await pixel(body, 32, 4), RED)).toBe(true);
+      expect(isColor(await pixel(body, 32, 59), BLUE)).toBe(true);
+      const metadata = await sharp(body).metadata();
+      expect(metadata.exif).toBeUndefined();
+      expect(metadata.icc).toBeUndefined();
+      expect(metadata.orientation).toBeUndefined();
+    });
+
+    it('refuses files that only look like images', async () => {
+      const fakePng = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(64)]);
+
+      expect(await avatars.process('user-3', Buffer.from('not an image at all'))).toEqual({
+        error: 'Unsupported file; upload a JPEG, PNG, GIF or WebP image'
+      });
+      expect(await avatars.process('user-3', fakePng)).toEqual({ error: 'File is not a valid PNG image' });
+    });
+
+    it('removes the variants already stored when a later one fails', async () => {
+      const removed = [];
+      const put = jest.fn()
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new Error('bucket unavailable'));
+      const failing = createAvatarService({
+        storage: { ...storage, put, remove: async (key) => removed.push(key) }
+      });
+
+      await expect(failing.process('user-4', await sideBySide())).rejects.toThrow('bucket unavailable');
+
+      expect(removed).toEqual([put.mock.calls[0][0]]);
+    });
+  });
+
+  describe('removeFiles', () => {
+    it('deletes every variant and a pre-pipeline picture', async () => {
+      const { value } = await avatars.process('user-5', await sideBySide());
+      await storage.put('avatars/legacy.png', Buffer.from('old'));
+
+      await avatars.removeFiles({ profilePicture: storage.publicUrl('avatars/legacy.png'), avatar: value.avatar });
+
+      for (const key of ['avatars/legacy.png', ...Object.values(value.avatar.keys)]) {
+        expect(await storage.exists(key)).toBe(false);
+      }
+    });
+  });
+});
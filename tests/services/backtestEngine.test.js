@@ -0,0 +1,162 @@
+// tests/services/backtestEngine.test.js - Replaying rules and signals over candles, and the P&L they book
+import { describe, expect, it } from '@jest/globals';
+import { runBacktest, validateBacktestInput } from '../../services/backtestEngine.js';
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hourly candles from `[open, high, low, close]` rows
+const candles = (rows) => rows.map(([open, high, low, close], i) => ({
+  time: new Date(START + i * HOUR_MS).toISOString(),
+  open,
+  high,
+  low,
+  close,
+  volume: 1
+}));
+
+const backtest = (input, rows) => {
+  const { value, error } = validateBacktestInput({
+    symbol: 'BTC',
+    from: '2026-01-01T00:00:00Z',
+    to: '2026-01-02T00:00:00Z',
+    ...input
+  });
+  if (error) throw new Error(error);
+  return runBacktest(candles(rows), value);
+};
+
+describe('validateBacktestInput', () => {
+  const base = { symbol: 'btc', from: '2026-01-01', to: '2026-02-01' };
+
+  it('wants exactly one of rule or signal', () => {
+    expect(validateBacktestInput(base).error).toBe('Send exactly one of rule or signal');
+    expect(validateBacktestInput({
+      ...base,
+      rule: { condition: 'above', threshold: 1 },
+      signal: { direction: 'long', entry: 1, targets: [2], stopLoss: 0.5 }
+    }).error).toBe('Send exactly one of rule or signal');
+  });
+
+  it('checks the exit of a rule strategy', () => {
+    const rule = { condition: 'above', threshold: 1 };
+
+    expect(validateBacktestInput({ ...base, rule }).error).toMatch(/^exit must be an object/);
+    expect(validateBacktestInput({ ...base, rule, exit: { targets: [10, 5], stopLoss: 5 } }).error).toMatch(/ascending/);
+    expect(validateBacktestInput({ ...base, rule, exit: { targets: [10], stopLoss: 100 } }).error).toMatch(/stopLoss/);
+    expect(validateBacktestInput({ ...base, rule, exit: { targets: [10], stopLoss: 5 } }).value)
+      .toMatchObject({ symbol: 'BTC', direction: 'long', exit: { targets: [10], stopLoss: 5, maxBars: null } });
+  });
+
+  it('refuses a range that ends before it starts', () => {
+    expect(validateBacktestInput({ ...base, from: base.to, to: base.from }).error).toBe('from must be before to');
+  });
+});
+
+describe('runBacktest', () => {
+  it('books a target and a stop on the whole account, re-entering after the cooldown', async () => {
+    const { summary, trades, equityCurve } = await backtest({
+      initialCapital: 10000,
+      rule: { condition: 'above', threshold: 99, rearm: true, cooldownMinutes: 60 },
+      exit: { targets: [10], stopLoss: 5 }
+    }, [
+      [98, 99, 97, 98],
+      [98, 100, 98, 100], // fires, long at 100
+      [100, 111, 99, 108], // target 110: +1000
+      [108, 108, 100, 100], // fires again, long at 100
+      [100, 102, 94, 96], // stop 95: 110 units * -5
+      [96, 97, 90, 90]
+    ]);
+
+    expect(trades).toEqual([
+      expect.objectContaining({ entryPrice: 100, exitPrice: expect.closeTo(110), result: 'target', pnl: 1000, returnPercent: 10, bars: 1 }),
+      expect.objectContaining({ entryPrice: 100, exitPrice: 95, result: 'stopped', pnl: -550, returnPercent: -5, bars: 1 })
+    ]);
+    expect(summary).toMatchObject({
+      candles: 6,
+      initialCapital: 10000,
+      finalEquity: 10450,
+      totalReturnPercent: 4.5,
+      trades: 2,
+      wins: 1,
+      losses: 1,
+      winRate: 0.5,
+      maxDrawdownPercent: 5
+    });
+    expect(equityCurve.map(point => point.equity)).toEqual([10000, 10000, 11000, 11000, 10450, 10450]);
+  });
+
+  it('counts a candle that touches both the stop and a target as stopped', async () => {
+    const { trades, summary } = await backtest({
+      initialCapital: 10000,
+      rule: { condition: 'below', threshold: 101 },
+      direction: 'short',
+      exit: { targets: [10], stopLoss: 5 }
+    }, [
+      [102, 103, 101, 102],
+      [102, 102, 100, 100], // short at 100: target 90, stop 105
+      [100, 106, 89, 95]
+    ]);
+
+    expect(trades).toEqual([expect.objectContaining({ direction: 'short', exitPrice: 105, result: 'stopped', pnl: -500 })]);
+    expect(summary.finalEquity).toBe(9500);
+  });
+
+  it('books a trade that came back to the stop after a target at that target', async () => {
+    const { trades } = await backtest({
+      initialCapital: 10000,
+      rule: { condition: 'above', threshold: 99 },
+      exit: { targets: [5, 10], stopLoss: 5 }
+    }, [
+      [98, 100, 98, 100], // long at 100
+      [100, 106, 99, 104], // first target, 105
+      [104, 104, 94, 95] // back to the stop
+    ]);
+
+    expect(trades).toEqual([expect.objectContaining({ result: 'target', targetsHit: 1, exitPrice: 105, pnl: 500 })]);
+  });
+
+  it('trades only the first fire without rearm, and closes at the close after maxBars', async () => {
+    const { trades, summary } = await backtest({
+      initialCapital: 10000,
+      rule: { condition: 'above', threshold: 99 },
+      exit: { targets: [10], stopLoss: 5, maxBars: 2 }
+    }, [
+      [98, 100, 98, 100], // long at 100
+      [100, 103, 99, 102],
+      [102, 104, 101, 103], // two bars in: out at 103
+      [103, 106, 103, 105] // above the threshold again, but spent
+    ]);
+
+    expect(trades).toEqual([expect.objectContaining({ result: 'expired', exitPrice: 103, pnl: 300, bars: 2 })]);
+    expect(summary.finalEquity).toBe(10300);
+  });
+
+  it('enters a signal at the first price the candle reaches in the entry zone', async () => {
+    const { trades, summary } = await backtest({
+      initialCapital: 10000,
+      signal: { direction: 'long', entry: { low: 98, high: 100 }, targets: [110], stopLoss: 95 }
+    }, [
+      [105, 106, 102, 103], // above the zone, still pending
+      [103, 104, 99, 101], // falls into the zone from above: in at 100
+      [101, 111, 100, 109] // target
+    ]);
+
+    expect(trades).toEqual([expect.objectContaining({ entryPrice: 100, exitPrice: 110, pnl: 1000, bars: 1 })]);
+    expect(summary.finalEquity).toBe(11000);
+  });
+
+  it('marks a position still open at the end to the last close', async () => {
+    const { trades, summary } = await backtest({
+      initialCapital: 10000,
+      rule: { condition: 'above', threshold: 99 },
+      exit: { targets: [10], stopLoss: 5 }
+    }, [
+      [98, 100, 98, 100],
+      [100, 103, 97, 98]
+    ]);
+
+    expect(trades).toEqual([expect.objectContaining({ result: 'expired', exitPrice: 98, pnl: -200 })]);
+    expect(summary).toMatchObject({ finalEquity: 9800, wins: 0, losses: 1 });
+  });
+});
@@ -0,0 +1,224 @@
+// tests/services/channels.test.js - Notification channels against a local SMTP server and HTTP receiver
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from '@jest/globals';
+import http from 'http';
+import { SMTPServer } from 'smtp-server';
+
+// The fakes listen on localhost, which the HTTP channels refuse by default
+process.env.OUTBOUND_ALLOW_PRIVATE_NETWORKS = 'true';
+process.env.DISCORD_WEBHOOK_HOSTS = '^127\\.0\\.0\\.1:\\d+$';
+
+const { createMailer } = await import('../../services/mailer.js');
+const { createEmailChannel } = await import('../../services/channels/emailChannel.js');
+const { createWebhookChannel } = await import('../../services/channels/webhookChannel.js');
+const { createDiscordChannel } = await import('../../services/channels/discordChannel.js');
+const { createTelegramChannel } = await import('../../services/channels/telegramChannel.js');
+
+const message = {
+  event: 'alert.created',
+  subject: 'New alert: BUY BTC @ 100',
+  text: 'Breakout above range',
+  alert: { id: 'a1', symbol: 'BTC' }
+};
+
+// Resolves to the port; SMTPServer keeps its net.Server on `.server`
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+  resolve((server.server || server).address().port);
+}));
+
+describe('email channel over SMTP', () => {
+  const received = [];
+  let smtp;
+  let mailer;
+  let channel;
+
+  beforeAll(async () => {
+    smtp = new SMTPServer({
+      authOptional: true,
+      disabledCommands: ['STARTTLS'],
+      logger: false,
+      onRcptTo(address, _session, callback) {
+        if (address.address.startsWith('gone@')) {
+          const error = new Error('Mailbox unavailable');
+          error.responseCode = 550;
+          return callback(error);
+        }
+        if (address.address.startsWith('busy@')) {
+          const error = new Error('Try again later');
+          error.responseCode = 450;
+          return callback(error);
+        }
+        callback();
+      },
+      onData(stream, session, callback) {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          received.push({ to: session.envelope.rcptTo.map(rcpt => rcpt.address), data: Buffer.concat(chunks).toString() });
+          callback();
+        });
+      }
+    });
+    const port = await listen(smtp);
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(port);
+    mailer = createMailer({ name: 'smtp', from: 'alerts@example.com' });
+    channel = createEmailChannel({ mailer });
+  });
+
+  afterAll(async () => {
+    mailer.close();
+    await new Promise(resolve => smtp.close(resolve));
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+  });
+
+  it('is only configured with a real transport', () => {
+    expect(channel.configured).toBe(true);
+    expect(createEmailChannel({ mailer: createMailer({ name: 'log' }) }).configured).toBe(false);
+  });
+
+  it('normalizes and checks the address', () => {
+    expect(channel.validateTarget({ address: ' Trader@Example.com ' })).toEqual({ value: { address: 'trader@example.com' } });
+    expect(channel.validateTarget({ address: 'not-an-address' }).error).toMatch(/valid email/);
+  });
+
+  it('delivers the subject and text to the address', async () => {
+    await channel.send({ address: 'trader@example.com' }, message);
+
+    expect(received).toHaveLength(1);
+    expect(received[0].to).toEqual(['trader@example.com']);
+    expect(received[0].data).toContain(`Subject: ${message.subject}`);
+    expect(received[0].data).toContain(message.text);
+  });
+
+  it('marks 5xx rejections as permanent', async () => {
+    await expect(channel.send({ address: 'gone@example.com' }, message)).rejects.toMatchObject({ permanent: true });
+    expect(received).toHaveLength(0);
+  });
+
+  it('leaves 4xx rejections retryable', async () => {
+    await expect(channel.send({ address: 'busy@example.com' }, message)).rejects.toMatchObject({ permanent: false });
+  });
+});
+
+describe('HTTP channels', () => {
+  const requests = [];
+  let respond;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+        const { status = 200, headers = {}, json = { ok: true } } = respond;
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(json));
+      });
+    });
+    baseUrl = `http://127.0.0.1:${await listen(server)}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests.length = 0;
+    respond = {};
+  });
+
+  describe('webhook', () => {
+    const channel = createWebhookChannel();
+
+    it('posts the message as JSON', async () => {
+      const { value } = await channel.validateTarget({ url: `${baseUrl}/hooks/alerts` });
+
+      const result = await channel.send(value, message);
+
+      expect(result.status).toBe(200);
+      expect(requests).toHaveLength(1);
+      expect(requests[0]).toMatchObject({ method: 'POST', url: '/hooks/alerts', body: message });
+      expect(requests[0].headers['content-type']).toMatch(/application\/json/);
+    });
+
+    it('rejects URLs that are not http(s)', async () => {
+      expect((await channel.validateTarget({ url: 'ftp://example.com/hook' })).error).toMatch(/must use/);
+      expect((await channel.validateTarget({ url: 'nope' })).error).toMatch(/valid URL/);
+    });
+
+    it('treats client errors as permanent and server errors as retryable', async () => {
+      respond = { status: 404 };
+      await expect(channel.send({ url: baseUrl }, message)).rejects.toMatchObject({ status: 404, permanent: true });
+
+      respond = { status: 503 };
+      await expect(channel.send({ url: baseUrl }, message)).rejects.toMatchObject({ status: 503, permanent: false });
+    });
+
+    it('honours Retry-After on rate limits', async () => {
+      respond = { status: 429, headers: { 'Retry-After': '30' } };
+
+      await expect(channel.send({ url: baseUrl }, message)).rejects.toMatchObject({
+        status: 429,
+        permanent: false,
+        retryAfterMs: 30000
+      });
+    });
+
+    it('does not follow redirects', async () => {
+      respond = { status: 302, headers: { Location: 'http://169.254.169.254/latest/meta-data' } };
+
+      await expect(channel.send({ url: baseUrl }, message)).rejects.toMatchObject({ status: 302 });
+      expect(requests).toHaveLength(1);
+    });
+  });
+
+  describe('discord', () => {
+    const channel = createDiscordChannel();
+
+    it('only accepts webhook URLs on the allowed hosts', async () => {
+      expect((await channel.validateTarget({ webhookUrl: 'https://example.com/api/webhooks/1/x' })).error)
+        .toMatch(/not a valid webhook URL/);
+      expect((await channel.validateTarget({ webhookUrl: `${baseUrl}/api/webhooks/1/x` })).value)
+        .toEqual({ webhookUrl: `${baseUrl}/api/webhooks/1/x` });
+    });
+
+    it('posts the message as content without pinging anyone', async () => {
+      await channel.send({ webhookUrl: `${baseUrl}/api/webhooks/1/x` }, { ...message, text: 'x'.repeat(3000) });
+
+      const { body } = requests[0];
+      expect(body.content.startsWith(`**${message.subject}**\n`)).toBe(true);
+      expect(body.content).toHaveLength(2000);
+      expect(body.allowed_mentions).toEqual({ parse: [] });
+    });
+  });
+
+  describe('telegram', () => {
+    it('is configured only with a bot token', () => {
+      expect(createTelegramChannel({ botToken: '' }).configured).toBe(false);
+    });
+
+    it('accepts numeric chat ids and @channels', () => {
+      const channel = createTelegramChannel({ botToken: 'token', apiUrl: baseUrl });
+
+      expect(channel.validateTarget({ chatId: -1001234 })).toEqual({ value: { chatId: '-1001234' } });
+      expect(channel.validateTarget({ chatId: '@trading_alerts' })).toEqual({ value: { chatId: '@trading_alerts' } });
+      expect(channel.validateTarget({ chatId: 'drop table' }).error).toMatch(/chatId/);
+    });
+
+    it('calls sendMessage on the Bot API', async () => {
+      const channel = createTelegramChannel({ botToken: '123:abc', apiUrl: baseUrl });
+
+      await channel.send({ chatId: '42' }, message);
+
+      expect(requests[0].url).toBe('/bot123:abc/sendMessage');
+      expect(requests[0].body).toEqual({
+        chat_id: '42',
+        text: `${message.subject}\n\n${message.text}`,
+        disable_web_page_preview: true
+      });
+    });
+  });
+});
@@ -0,0 +1,57 @@
+// tests/services/eventLog.test.js - Sequencing, eviction and replay of real-time events
+import { afterEach, describe, expect, it, jest } from '@jest/globals';
+import { createEventLog } from '../../services/eventLog.js';
+
+afterEach(() => jest.useRealTimers());
+
+describe('event log', () => {
+  it('numbers events and stamps the payload with seq and epoch', () => {
+    const log = createEventLog();
+    const appended = [];
+    log.on('append', entry => appended.push(entry.seq));
+
+    const first = log.append('alert-update', ['symbol-BTC'], { type: 'new-alert' });
+    log.append('alert-update', null, { type: 'alert-edited' });
+
+    expect(first).toMatchObject({ seq: 1, rooms: ['symbol-BTC'], audience: null });
+    expect(first.payload).toEqual({ type: 'new-alert', seq: 1, epoch: log.epoch });
+    expect(appended).toEqual([1, 2]);
+    expect(log.latestSeq()).toBe(2);
+  });
+
+  it('replays everything after the last seen sequence', () => {
+    const log = createEventLog();
+    ['a', 'b', 'c'].forEach(type => log.append('alert-update', null, { type }));
+
+    expect(log.since(1, log.epoch).map(entry => entry.payload.type)).toEqual(['b', 'c']);
+    expect(log.since(3, log.epoch)).toEqual([]);
+    expect(log.since(0, log.epoch)).toHaveLength(3);
+  });
+
+  it('asks for a resync across restarts and for sequences from the future', () => {
+    const log = createEventLog();
+    log.append('alert-update', null, {});
+
+    expect(log.since(0, createEventLog().epoch)).toBeNull();
+    expect(log.since(2, log.epoch)).toBeNull();
+  });
+
+  it('asks for a resync once the gap has been evicted by size', () => {
+    const log = createEventLog({ size: 2 });
+    [1, 2, 3].forEach(() => log.append('alert-update', null, {}));
+
+    expect(log.since(0, log.epoch)).toBeNull();
+    expect(log.since(1, log.epoch).map(entry => entry.seq)).toEqual([2, 3]);
+  });
+
+  it('evicts entries older than the maximum age', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const log = createEventLog({ maxAgeMs: 60 * 1000 });
+    log.append('alert-update', null, {});
+    jest.advanceTimersByTime(61 * 1000);
+    log.append('alert-update', null, {});
+
+    expect(log.since(0, log.epoch)).toBeNull();
+    expect(log.since(1, log.epoch).map(entry => entry.seq)).toEqual([2]);
+  });
+});
@@ -0,0 +1,61 @@
+// tests/services/http.test.js - Outbound requests refuse private and internal addresses
+import { afterAll, beforeAll, describe, expect, it } from '@jest/globals';
+import http from 'http';
+import { checkPublicUrl, isPublicAddress, postJson } from '../../services/channels/http.js';
+
+describe('isPublicAddress', () => {
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1'
+  ])('refuses %s', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  it.each(['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111'])('allows %s', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+
+  it('refuses things that are not IP addresses', () => {
+    expect(isPublicAddress('example.com')).toBe(false);
+  });
+});
+
+describe('checkPublicUrl', () => {
+  it('refuses literal private addresses and hosts that resolve to them', async () => {
+    expect((await checkPublicUrl('http://127.0.0.1:8080/hook')).error).toMatch(/public internet address/);
+    expect((await checkPublicUrl('http://[::1]/hook', { field: 'webhook.url' })).error)
+      .toBe('webhook.url must point to a public internet address');
+    expect((await checkPublicUrl('http://localhost/hook')).error).toMatch(/public internet address/);
+  });
+
+  it('still applies the URL checks', async () => {
+    expect((await checkPublicUrl('file:///etc/passwd')).error).toMatch(/must use/);
+  });
+});
+
+describe('postJson', () => {
+  let server;
+  let port;
+  let hits = 0;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      hits += 1;
+      res.end('{}');
+    });
+    port = await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  it('refuses to connect to private addresses, for good', async () => {
+    await expect(postJson(`http://127.0.0.1:${port}/`, {})).rejects.toMatchObject({ permanent: true });
+    await expect(postJson(`http://localhost:${port}/`, {})).rejects.toMatchObject({ permanent: true });
+    expect(hits).toBe(0);
+  });
+
+  it('connects when the URL comes from server configuration', async () => {
+    await expect(postJson(`http://127.0.0.1:${port}/`, {}, { publicOnly: false })).resolves.toMatchObject({ status: 200 });
+    expect(hits).toBe(1);
+  });
+});
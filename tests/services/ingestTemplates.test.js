@@ -0,0 +1,83 @@
+// tests/services/ingestTemplates.test.js - Screening and applying inbound webhook templates
+import { describe, expect, it } from '@jest/globals';
+import { DEFAULT_TEMPLATE, applyTemplate, validateTemplate } from '../../services/ingestTemplates.js';
+
+const TEXT_TEMPLATE = {
+  fields: { type: '{{action}}', symbol: '{{ticker}}', price: '{{close}}', message: '{{text}}' },
+  textPattern: '(?<action>BUY|SELL) (?<ticker>\\S+) @ (?<close>[\\d.]+)'
+};
+
+describe('validateTemplate', () => {
+  it('fills missing parts from the default template', () => {
+    expect(validateTemplate(undefined).value).toEqual(DEFAULT_TEMPLATE);
+    expect(validateTemplate({ fields: { symbol: '{{ticker}}' } }).value).toEqual({
+      fields: { ...DEFAULT_TEMPLATE.fields, symbol: '{{ticker}}' },
+      textPattern: null,
+      dedupeKey: null
+    });
+  });
+
+  it('rejects fields outside the alert shape and oversized templates', () => {
+    expect(validateTemplate({ fields: { recipientId: '{{user}}' } }).error).toMatch(/may only map/);
+    expect(validateTemplate({ fields: { message: 'x'.repeat(501) } }).error).toMatch(/at most 500/);
+    expect(validateTemplate({ dedupeKey: 42 }).error).toMatch(/dedupeKey/);
+    expect(validateTemplate(['fields']).error).toBe('template must be an object');
+  });
+
+  it('rejects invalid regular expressions', () => {
+    expect(validateTemplate({ textPattern: '(?<open' }).error).toMatch(/not a valid regular expression/);
+  });
+
+  it.each(['(a+)+$', '(\\w*)*x', '(.*a){12}'])('rejects the backtracking pattern %s', (textPattern) => {
+    expect(validateTemplate({ textPattern }).error).toMatch(/backtrack catastrophically/);
+  });
+
+  it('accepts a linear pattern', () => {
+    expect(validateTemplate(TEXT_TEMPLATE).value.textPattern).toBe(TEXT_TEMPLATE.textPattern);
+  });
+});
+
+describe('applyTemplate', () => {
+  it('maps JSON bodies by dot path, keeping the type of single placeholders', () => {
+    const { value: template } = validateTemplate({
+      fields: { type: '{{strategy.action}}', symbol: '{{ticker}}', price: '{{close}}', message: '{{ticker}} at {{close}}' },
+      dedupeKey: '{{time}}'
+    });
+
+    const { value } = applyTemplate(template, { strategy: { action: ' buy ' }, ticker: 'BTC', close: 101.5, time: 1700000000 });
+
+    expect(value).toEqual({
+      fields: { type: 'BUY', symbol: 'BTC', price: 101.5, message: 'BTC at 101.5' },
+      dedupeKey: '1700000000'
+    });
+  });
+
+  it('parses string bodies that hold JSON', () => {
+    const { value } = applyTemplate(DEFAULT_TEMPLATE, '{"type":"SELL","symbol":"ETH","price":3000}');
+
+    expect(value.fields).toEqual({ type: 'SELL', symbol: 'ETH', price: 3000 });
+  });
+
+  it('maps text bodies through the named groups of the pattern', () => {
+    const { value } = applyTemplate(validateTemplate(TEXT_TEMPLATE).value, 'SELL ETH @ 2999.5');
+
+    expect(value.fields).toEqual({ type: 'SELL', symbol: 'ETH', price: '2999.5', message: 'SELL ETH @ 2999.5' });
+  });
+
+  it('refuses empty and non-matching text bodies', () => {
+    const template = validateTemplate(TEXT_TEMPLATE).value;
+
+    expect(applyTemplate(template, '   ').error).toBe('Empty payload');
+    expect(applyTemplate(template, 'HOLD ETH').error).toMatch(/did not match/);
+  });
+
+  it('gives up on a slow pattern that got past the screen', () => {
+    const template = { ...DEFAULT_TEMPLATE, textPattern: '(a+)+$' };
+    const started = Date.now();
+
+    const result = applyTemplate(template, `${'a'.repeat(40)}!`);
+
+    expect(result.error).toMatch(/took too long/);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
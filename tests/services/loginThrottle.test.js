@@ -0,0 +1,128 @@
+// tests/services/loginThrottle.test.js - Per-account waits and lockout, and the per-IP limit
+import { afterEach, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { createMemoryCounterStore } from '../../services/counters/memoryCounterStore.js';
+import { accountKey, createLoginThrottle, sendThrottled } from '../../services/loginThrottle.js';
+
+// Defaults: 3 free failures, lockout at 10, 15 minute window and lockout
+const MINUTE = 60 * 1000;
+const account = 'user:trader';
+
+let store;
+let throttle;
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  store = createMemoryCounterStore();
+  throttle = createLoginThrottle({ store });
+});
+
+afterEach(async () => {
+  await store.close();
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const fail = async (times) => {
+  let result;
+  for (let i = 0; i < times; i += 1) result = await throttle.recordFailure(account);
+  return result;
+};
+
+describe('account throttle', () => {
+  it('lets the first failures through, then makes each attempt wait twice as long', async () => {
+    await fail(3);
+    expect(await throttle.check(account)).toBeNull();
+
+    await fail(1);
+    expect(await throttle.check(account)).toEqual({ reason: 'throttled', retryAfter: 1 });
+    jest.advanceTimersByTime(1000);
+    expect(await throttle.check(account)).toBeNull();
+
+    await fail(1);
+    expect(await throttle.check(account)).toEqual({ reason: 'throttled', retryAfter: 2 });
+  });
+
+  it('locks the account after the lockout threshold until the lockout ends', async () => {
+    expect(await fail(10)).toEqual({ failures: 10, lockedOut: true });
+    expect(await throttle.check(account)).toEqual({ reason: 'locked', retryAfter: 15 * 60 });
+    expect(await throttle.status(account)).toMatchObject({ locked: true, lockedUntil: '2026-01-01T00:15:00.000Z' });
+
+    jest.advanceTimersByTime(15 * MINUTE);
+
+    expect(await throttle.check(account)).toBeNull();
+    expect(await throttle.status(account)).toEqual({ locked: false, lockedUntil: null, recentFailures: 0 });
+    expect(await fail(1)).toEqual({ failures: 1, lockedOut: false });
+  });
+
+  it('forgets failures once the window has passed', async () => {
+    await fail(9);
+    jest.advanceTimersByTime(15 * MINUTE);
+
+    expect(await fail(1)).toEqual({ failures: 1, lockedOut: false });
+    expect(await throttle.check(account)).toBeNull();
+  });
+
+  it('clears failures on a successful login but not a lock', async () => {
+    await fail(5);
+    await throttle.reset(account);
+    expect(await throttle.check(account)).toBeNull();
+    expect((await throttle.status(account)).recentFailures).toBe(0);
+
+    await fail(10);
+    await throttle.reset(account);
+    expect((await throttle.check(account)).reason).toBe('locked');
+  });
+
+  it('lets an admin lift a lock', async () => {
+    await fail(10);
+
+    expect(await throttle.unlock(account)).toBe(true);
+    expect(await throttle.check(account)).toBeNull();
+    expect(await throttle.unlock(account)).toBe(false);
+  });
+
+  it('keys unknown login names like accounts', () => {
+    expect(accountKey({ id: 'u1' }, 'trader')).toBe('user:u1');
+    expect(accountKey(null, ' Trader ')).toBe('login:trader');
+  });
+});
+
+describe('sendThrottled', () => {
+  it('answers 429 with Retry-After', async () => {
+    const app = express();
+    app.get('/', (_req, res) => sendThrottled(res, { reason: 'locked', retryAfter: 90 }));
+
+    const response = await request(app).get('/');
+
+    expect(response.status).toBe(429);
+    expect(response.headers['retry-after']).toBe('90');
+    expect(response.body).toMatchObject({ code: 'ACCOUNT_LOCKED', retryAfter: 90 });
+  });
+});
+
+describe('IP limit', () => {
+  beforeEach(() => jest.useRealTimers());
+
+  it('counts failed requests only and blocks every request once the limit is reached', async () => {
+    const limited = [];
+    const ipThrottle = createLoginThrottle({ store, onIpLimited: req => limited.push(req.ip) });
+    const app = express();
+    app.post('/login/:outcome', ipThrottle.ipLimiter, (req, res) => (
+      res.status(req.params.outcome === 'ok' ? 200 : 401).end()
+    ));
+
+    for (let i = 0; i < 29; i += 1) {
+      expect((await request(app).post('/login/fail')).status).toBe(401);
+      expect((await request(app).post('/login/ok')).status).toBe(200);
+    }
+    expect((await request(app).post('/login/fail')).status).toBe(401);
+    const blocked = await request(app).post('/login/ok');
+
+    expect(blocked.status).toBe(429);
+    expect(blocked.body.error).toMatch(/Too many login attempts/);
+    expect(limited).toHaveLength(1);
+  });
+});
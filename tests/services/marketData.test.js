@@ -0,0 +1,117 @@
+// tests/services/marketData.test.js - Tick normalization and OHLCV candle bucketing
+import { describe, expect, it } from '@jest/globals';
+import { createMarketDataService, normalizeTick } from '../../services/marketData.js';
+
+// A fixed hour in the past, so ticks never count as from the future
+const HOUR = Date.parse('2026-01-01T10:00:00Z');
+const at = (minutes, seconds = 0) => new Date(HOUR + minutes * 60 * 1000 + seconds * 1000).toISOString();
+
+describe('normalizeTick', () => {
+  it('uppercases the symbol and accepts `close` for the price', () => {
+    expect(normalizeTick({ symbol: ' btc ', close: '100.5', timestamp: at(0) }))
+      .toEqual({ symbol: 'BTC', price: 100.5, volume: 0, timestamp: at(0) });
+  });
+
+  it.each([
+    ['a missing symbol', { price: 1 }],
+    ['a zero price', { symbol: 'BTC', price: 0 }],
+    ['a negative volume', { symbol: 'BTC', price: 1, volume: -1 }],
+    ['a bad timestamp', { symbol: 'BTC', price: 1, timestamp: 'soon' }],
+    ['a timestamp from the future', { symbol: 'BTC', price: 1, timestamp: new Date(Date.now() + 60 * 1000).toISOString() }]
+  ])('rejects %s', (_case, raw) => {
+    expect(normalizeTick(raw)).toBeNull();
+  });
+});
+
+describe('candles', () => {
+  it('buckets ticks into OHLCV candles per interval', () => {
+    const market = createMarketDataService();
+    market.ingest({ symbol: 'BTC', price: 100, volume: 1, timestamp: at(0, 5) });
+    market.ingest({ symbol: 'BTC', price: 104, volume: 2, timestamp: at(0, 20) });
+    market.ingest({ symbol: 'BTC', price: 98, volume: 1, timestamp: at(0, 40) });
+    market.ingest({ symbol: 'BTC', price: 101, volume: 1, timestamp: at(1, 0) });
+
+    expect(market.candles('btc', '1m')).toEqual([
+      {
+        symbol: 'BTC',
+        interval: '1m',
+        openTime: at(0),
+        closeTime: new Date(Date.parse(at(1)) - 1).toISOString(),
+        open: 100,
+        high: 104,
+        low: 98,
+        close: 98,
+        volume: 4,
+        trades: 3
+      },
+      expect.objectContaining({ openTime: at(1), open: 101, close: 101, trades: 1 })
+    ]);
+    expect(market.candles('BTC', '5m')).toEqual([
+      expect.objectContaining({ openTime: at(0), open: 100, high: 104, low: 98, close: 101, volume: 5, trades: 4 })
+    ]);
+  });
+
+  it('emits a candle when the next bucket opens', () => {
+    const market = createMarketDataService();
+    const closed = [];
+    market.on('candle', candle => closed.push(`${candle.interval} ${candle.openTime}`));
+
+    market.ingest({ symbol: 'BTC', price: 100, timestamp: at(0) });
+    market.ingest({ symbol: 'BTC', price: 101, timestamp: at(0, 30) });
+    market.ingest({ symbol: 'BTC', price: 102, timestamp: at(1) });
+
+    expect(closed).toEqual([`1m ${at(0)}`]);
+  });
+
+  it('folds late ticks into their own bucket without moving the close back', () => {
+    const market = createMarketDataService();
+    market.ingest({ symbol: 'BTC', price: 100, timestamp: at(0, 30) });
+    market.ingest({ symbol: 'BTC', price: 102, timestamp: at(1, 10) });
+    market.ingest({ symbol: 'BTC', price: 90, timestamp: at(0, 10) });
+    market.ingest({ symbol: 'BTC', price: 101, timestamp: at(1, 5) });
+
+    const [first, second] = market.candles('BTC', '1m');
+    expect(first).toMatchObject({ open: 100, low: 90, close: 100, trades: 2 });
+    expect(second).toMatchObject({ low: 101, close: 102, trades: 2 });
+    expect(market.latest('BTC').price).toBe(102);
+  });
+
+  it('keeps at most maxCandles per interval and filters by time', () => {
+    const market = createMarketDataService({ maxCandles: 3 });
+    for (let minute = 0; minute < 5; minute += 1) {
+      market.ingest({ symbol: 'BTC', price: 100 + minute, timestamp: at(minute) });
+    }
+
+    expect(market.candles('BTC', '1m').map(candle => candle.open)).toEqual([102, 103, 104]);
+    expect(market.candles('BTC', '1m', { from: at(3), limit: 1 }).map(candle => candle.open)).toEqual([104]);
+    expect(() => market.candles('BTC', '2m')).toThrow('Unknown interval: 2m');
+  });
+
+  it('reports the price at a past time from the retained minute candles', () => {
+    const market = createMarketDataService();
+    market.ingest({ symbol: 'BTC', price: 100, timestamp: at(0) });
+    market.ingest({ symbol: 'BTC', price: 110, timestamp: at(2) });
+
+    expect(market.priceAt('BTC', Date.parse(at(0, 30)))).toBe(100);
+    expect(market.priceAt('BTC', Date.parse(at(1, 30)))).toBe(110);
+    expect(market.priceAt('BTC', HOUR - 1)).toBeNull();
+    expect(market.priceAt('BTC', Date.parse(at(5)))).toBeNull();
+  });
+});
+
+describe('ticks', () => {
+  it('passes the previous price on to listeners', () => {
+    const market = createMarketDataService();
+    const ticks = [];
+    market.on('tick', tick => ticks.push(tick));
+
+    market.ingest({ symbol: 'ETH', price: 10, timestamp: at(0) }, 'replay');
+    market.ingest({ symbol: 'ETH', price: 11, timestamp: at(1) });
+
+    expect(ticks.map(({ price, previousPrice, source }) => ({ price, previousPrice, source }))).toEqual([
+      { price: 10, previousPrice: null, source: 'replay' },
+      { price: 11, previousPrice: 10, source: 'api' }
+    ]);
+    expect(market.ingest({ symbol: 'ETH' })).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+// tests/services/notificationDispatcher.test.js - Queueing alerts per channel, plan delay, quiet hours and retries
+import { afterEach, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { alertRepository } from '../../models/alertRepository.js';
+import { notificationPreferenceRepository } from '../../models/notificationPreferenceRepository.js';
+import { notificationRepository } from '../../models/notificationRepository.js';
+import { initStore } from '../../models/store.js';
+import { createNotificationDispatcher } from '../../services/notificationDispatcher.js';
+import { defaultPreferences, quietHoursEnd, validatePreferences } from '../../services/notificationPreferences.js';
+import { createUserWithSession } from '../helpers/users.js';
+
+const FREE_DELAY_MS = 15 * 60 * 1000;
+
+// A channel that records what it was asked to send
+const fakeChannel = (name, { configured = true } = {}) => ({
+  name,
+  configured,
+  validateTarget: async (target) => (target.url || target.address ? { value: target } : { error: `${name} needs a target` }),
+  send: jest.fn(async () => {})
+});
+
+let channels;
+let dispatcher;
+
+beforeAll(() => initStore({ driver: 'memory' }));
+
+beforeEach(() => {
+  channels = { email: fakeChannel('email'), webhook: fakeChannel('webhook'), telegram: fakeChannel('telegram', { configured: false }) };
+  dispatcher = createNotificationDispatcher({ channels: Object.values(channels), maxAttempts: 2 });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+let symbolCount = 0;
+
+// A user subscribed to a symbol of their own, so other tests' alerts stay out of their queue
+const subscriber = async (userFields = {}, preferences = {}) => {
+  symbolCount += 1;
+  const symbol = `NTF${symbolCount}`;
+  const { user } = await createUserWithSession({ plan: 'PRO', ...userFields });
+  await notificationPreferenceRepository.save(user.id, {
+    ...defaultPreferences(),
+    channels: { webhook: { enabled: true, url: 'https://hooks.example.com/alerts' } },
+    symbols: [symbol],
+    ...preferences
+  });
+  return { user, symbol };
+};
+
+const publish = (symbol, fields = {}) => alertRepository.create({
+  userId: 'analyst-1', recipientId: null, type: 'BUY', symbol, price: 100, message: `${symbol} breakout`, ...fields
+});
+
+const queued = async (userId) => notificationRepository.findByUser(userId);
+
+describe('dispatch', () => {
+  it('queues one delivery per enabled, configured channel and sends it', async () => {
+    const { user, symbol } = await subscriber({}, {
+      channels: {
+        email: { enabled: true },
+        webhook: { enabled: true, url: 'https://hooks.example.com/alerts' },
+        telegram: { enabled: true, chatId: '42' }
+      }
+    });
+    const alert = await publish(symbol);
+
+    expect(await dispatcher.dispatch(alert)).toBe(2);
+    await dispatcher.processDue();
+
+    expect(channels.email.send).toHaveBeenCalledWith({ address: user.email }, expect.objectContaining({ subject: `New alert: BUY ${symbol} @ 100` }));
+    expect(channels.webhook.send).toHaveBeenCalledWith({ url: 'https://hooks.example.com/alerts' }, expect.anything());
+    expect((await queued(user.id)).map(job => job.status)).toEqual(['sent', 'sent']);
+  });
+
+  it('skips email for unverified addresses and alerts outside the filters', async () => {
+    const { user, symbol } = await subscriber({ emailVerifiedAt: null }, {
+      channels: { email: { enabled: true } },
+      types: ['SELL']
+    });
+
+    expect(await dispatcher.dispatch(await publish(symbol, { type: 'SELL' }))).toBe(0);
+    expect(await dispatcher.dispatch(await publish(symbol, { type: 'BUY' }))).toBe(0);
+    expect(await queued(user.id)).toEqual([]);
+  });
+
+  it('holds public alerts back for the plan delay, but not private ones', async () => {
+    const { user, symbol } = await subscriber({ plan: 'FREE' });
+    const alert = await publish(symbol);
+
+    await dispatcher.dispatch(alert);
+    await dispatcher.dispatch(await publish(symbol, { recipientId: user.id }));
+    await dispatcher.processDue();
+
+    const jobs = await queued(user.id);
+    expect(jobs.map(job => job.status).sort()).toEqual(['pending', 'sent']);
+    const held = jobs.find(job => job.status === 'pending');
+    expect(Date.parse(held.nextAttemptAt)).toBe(Date.parse(alert.createdAt) + FREE_DELAY_MS);
+  });
+
+  it('pushes delivery to the end of quiet hours', async () => {
+    const now = new Date();
+    const hour = (offset) => `${String((now.getUTCHours() + offset + 24) % 24).padStart(2, '0')}:00`;
+    const { user, symbol } = await subscriber({}, { quietHours: { start: hour(-1), end: hour(2), timeZone: 'UTC' } });
+
+    await dispatcher.dispatch(await publish(symbol));
+
+    const [job] = await queued(user.id);
+    expect(job.status).toBe('pending');
+    expect(new Date(job.nextAttemptAt).getUTCHours()).toBe((now.getUTCHours() + 2) % 24);
+  });
+});
+
+describe('processDue', () => {
+  it('retries a failed send with backoff, then gives up', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    channels.webhook.send.mockRejectedValue(new Error('503 from hook'));
+    const { user, symbol } = await subscriber();
+
+    await dispatcher.dispatch(await publish(symbol));
+    await dispatcher.processDue();
+    const [retrying] = await queued(user.id);
+
+    expect(retrying).toMatchObject({ status: 'pending', attempts: 1, lastError: '503 from hook' });
+    expect(Date.parse(retrying.nextAttemptAt) - Date.now()).toBeGreaterThan(25 * 1000);
+
+    await notificationRepository.update(retrying.id, { status: 'pending', nextAttemptAt: new Date().toISOString() });
+    await dispatcher.processDue();
+
+    expect((await queued(user.id))[0]).toMatchObject({ status: 'failed', attempts: 2 });
+  });
+
+  it('fails permanent errors straight away', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    channels.webhook.send.mockRejectedValue(Object.assign(new Error('404 from hook'), { permanent: true }));
+    const { user, symbol } = await subscriber();
+
+    await dispatcher.dispatch(await publish(symbol));
+    await dispatcher.processDue();
+
+    expect((await queued(user.id))[0]).toMatchObject({ status: 'failed', attempts: 1 });
+  });
+
+  it('cancels queued deliveries once the channel is switched off', async () => {
+    const { user, symbol } = await subscriber({ plan: 'FREE' });
+    await dispatcher.dispatch(await publish(symbol));
+    const [job] = await queued(user.id);
+
+    await notificationPreferenceRepository.save(user.id, { channels: { webhook: { enabled: false, url: 'https://hooks.example.com/alerts' } } });
+    await notificationRepository.update(job.id, { status: 'pending', nextAttemptAt: new Date().toISOString() });
+    await dispatcher.processDue();
+
+    expect((await queued(user.id))[0]).toMatchObject({ status: 'cancelled', lastError: 'Channel disabled' });
+    expect(channels.webhook.send).not.toHaveBeenCalled();
+  });
+});
+
+describe('validatePreferences', () => {
+  const options = (fields = {}) => ({ channels, accountEmail: 'trader@example.com', accountEmailVerified: true, ...fields });
+
+  it('enables email only on the verified account address', async () => {
+    expect((await validatePreferences({ channels: { email: { enabled: true } } }, defaultPreferences(), options())).value.channels)
+      .toEqual({ email: { enabled: true, address: 'trader@example.com' } });
+    expect((await validatePreferences({ channels: { email: { enabled: true } } }, defaultPreferences(), options({ accountEmailVerified: false }))).error)
+      .toMatch(/Verify your email/);
+    expect((await validatePreferences({ channels: { email: { enabled: true, address: 'other@example.com' } } }, defaultPreferences(), options())).error)
+      .toMatch(/account email/);
+  });
+
+  it('refuses unknown, unavailable and target-less channels', async () => {
+    expect((await validatePreferences({ channels: { sms: { enabled: true } } }, defaultPreferences(), options())).error).toBe('Unknown channel: sms');
+    expect((await validatePreferences({ channels: { telegram: { enabled: true } } }, defaultPreferences(), options())).error).toMatch(/not available/);
+    expect((await validatePreferences({ channels: { webhook: { enabled: true } } }, defaultPreferences(), options())).error).toBe('webhook needs a target');
+  });
+
+  it('normalizes filters and checks quiet hours', async () => {
+    const { value } = await validatePreferences({ symbols: [' btc', 'BTC', 'eth'], types: null }, defaultPreferences(), options());
+
+    expect(value).toMatchObject({ symbols: ['BTC', 'ETH'], types: null });
+    expect((await validatePreferences({ quietHours: { start: '22:00', end: '22:00' } }, defaultPreferences(), options())).error).toMatch(/different/);
+    expect((await validatePreferences({ quietHours: { start: '22:00', end: '07:00', timeZone: 'Mars/Olympus' } }, defaultPreferences(), options())).error)
+      .toMatch(/IANA/);
+  });
+});
+
+describe('quietHoursEnd', () => {
+  const overnight = { start: '22:00', end: '07:00', timeZone: 'UTC' };
+
+  it('returns when overnight quiet hours end, or null outside them', () => {
+    expect(quietHoursEnd(overnight, new Date('2026-03-01T23:30:15Z')).toISOString()).toBe('2026-03-02T07:00:00.000Z');
+    expect(quietHoursEnd(overnight, new Date('2026-03-02T06:59:00Z')).toISOString()).toBe('2026-03-02T07:00:00.000Z');
+    expect(quietHoursEnd(overnight, new Date('2026-03-02T07:00:00Z'))).toBeNull();
+    expect(quietHoursEnd(null)).toBeNull();
+  });
+
+  it('reads the hours in the user\'s time zone', () => {
+    const newYork = { start: '22:00', end: '07:00', timeZone: 'America/New_York' };
+
+    // 23:30 UTC is 18:30 in New York in March (UTC-5 before the switch)
+    expect(quietHoursEnd(newYork, new Date('2026-03-01T23:30:00Z'))).toBeNull();
+    expect(quietHoursEnd(newYork, new Date('2026-03-02T04:00:00Z')).toISOString()).toBe('2026-03-02T12:00:00.000Z');
+  });
+});
@@ -0,0 +1,111 @@
+// tests/services/paperTrading.test.js - Paper order fills, the account version check and ledger math
+import { afterEach, beforeAll, describe, expect, it, jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { paperAccountRepository } from '../../models/paperAccountRepository.js';
+import { paperOrderRepository } from '../../models/paperOrderRepository.js';
+import { paperTradeRepository } from '../../models/paperTradeRepository.js';
+import { initStore } from '../../models/store.js';
+import { createMarketDataService } from '../../services/marketData.js';
+import { applyFill, newAccountState } from '../../services/paperLedger.js';
+import { createPaperTradingService } from '../../services/paperTrading.js';
+
+let marketData;
+let paper;
+let userCount = 0;
+
+beforeAll(async () => {
+  await initStore({ driver: 'memory' });
+  marketData = createMarketDataService();
+  paper = createPaperTradingService({ marketData, alertService: new EventEmitter() });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const newUserId = () => {
+  userCount += 1;
+  return `user-${userCount}`;
+};
+
+const price = (symbol, value) => marketData.ingest({ symbol, price: value });
+
+// Make the next order close bump the account version, as a concurrent fill would
+const changeAccountDuringNextFill = (userId) => {
+  const close = paperOrderRepository.close;
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(paperOrderRepository, 'close').mockImplementationOnce(async (id, patch) => {
+    const account = await paperAccountRepository.findByUser(userId);
+    await paperAccountRepository.applyUpdate(account, {});
+    return close(id, patch);
+  });
+};
+
+describe('applyFill', () => {
+  it('reduces an opposite position before opening a new one', () => {
+    const long = applyFill(newAccountState(1000), { symbol: 'BTC', side: 'buy', quantity: 2, price: 100 }).value;
+    const flipped = applyFill({ ...long }, { symbol: 'BTC', side: 'sell', quantity: 3, price: 110 });
+
+    expect(flipped.realizedPnl).toBe(20);
+    expect(flipped.value.positions.BTC).toMatchObject({ quantity: -1, averagePrice: 110 });
+    expect(flipped.value.cash).toBe(1000 + 20 - 110);
+  });
+
+  it('refuses a fill the cash does not cover', () => {
+    expect(applyFill(newAccountState(100), { symbol: 'BTC', side: 'buy', quantity: 2, price: 100 }).error)
+      .toMatch(/Insufficient cash/);
+  });
+});
+
+describe('paper trading service', () => {
+  it('fills a market order at the latest price and records the trade', async () => {
+    const userId = newUserId();
+    price('PAPA', 50);
+
+    const { order } = await paper.placeOrder(userId, { symbol: 'PAPA', side: 'buy', type: 'market', notional: 500 });
+
+    expect(order).toMatchObject({ status: 'filled', filledPrice: 50, quantity: 10 });
+    expect((await paper.summary(userId)).cash).toBe(100000 - 500);
+    expect(await paperTradeRepository.findByUser(userId)).toEqual([
+      expect.objectContaining({ orderId: order.id, quantity: 10, price: 50 })
+    ]);
+  });
+
+  it('rejects a market order whose account changed during the fill, leaving no trade', async () => {
+    const userId = newUserId();
+    price('PAPB', 50);
+    await paper.summary(userId);
+    changeAccountDuringNextFill(userId);
+
+    const { order } = await paper.placeOrder(userId, { symbol: 'PAPB', side: 'buy', type: 'market', quantity: 1 });
+
+    expect(order).toMatchObject({ status: 'rejected', filledPrice: null, filledAt: null, realizedPnl: null });
+    expect(order.reason).toMatch(/Account changed/);
+    expect((await paper.summary(userId)).positions).toEqual([]);
+    expect(await paperTradeRepository.findByUser(userId)).toEqual([]);
+  });
+
+  it('reopens a limit order whose account changed during the fill, for the next tick to fill', async () => {
+    const userId = newUserId();
+    price('PAPC', 120);
+    const { order } = await paper.placeOrder(userId, { symbol: 'PAPC', side: 'buy', type: 'limit', limitPrice: 100, quantity: 1 });
+    expect(order.status).toBe('open');
+
+    changeAccountDuringNextFill(userId);
+    await paper.handleTick({ symbol: 'PAPC', price: 99 });
+    expect(await paperOrderRepository.findById(order.id)).toMatchObject({ status: 'open', filledPrice: null });
+
+    await paper.handleTick({ symbol: 'PAPC', price: 98 });
+    expect(await paperOrderRepository.findById(order.id)).toMatchObject({ status: 'filled', filledPrice: 98 });
+    expect(await paperTradeRepository.findByUser(userId)).toHaveLength(1);
+  });
+
+  it('fills a limit order once when ticks race', async () => {
+    const userId = newUserId();
+    const { order } = await paper.placeOrder(userId, { symbol: 'PAPD', side: 'sell', type: 'limit', limitPrice: 10, quantity: 1 });
+
+    await Promise.all([paper.handleTick({ symbol: 'PAPD', price: 11 }), paper.handleTick({ symbol: 'PAPD', price: 12 })]);
+
+    expect((await paperOrderRepository.findById(order.id)).status).toBe('filled');
+    expect(await paperTradeRepository.findByUser(userId)).toHaveLength(1);
+    expect((await paper.summary(userId)).positions).toEqual([expect.objectContaining({ symbol: 'PAPD', quantity: -1 })]);
+  });
+});
@@ -0,0 +1,175 @@
+// tests/services/realtime.test.js - Symbol rooms and the plan feed delay on Socket.io
+import { afterAll, beforeAll, describe, expect, it } from '@jest/globals';
+import { initStore } from '../../models/store.js';
+import { collect, request, startRealtime, wait } from '../helpers/sockets.js';
+import { createUserWithSession } from '../helpers/users.js';
+
+const FREE_DELAY_MS = 15 * 60 * 1000;
+
+let realtime;
+let connect;
+let close;
+let free;
+let pro;
+let analyst;
+
+beforeAll(async () => {
+  await initStore({ driver: 'memory' });
+  ({ realtime, connect, close } = await startRealtime());
+  free = await createUserWithSession({ plan: 'FREE' });
+  pro = await createUserWithSession({ plan: 'PRO' });
+  analyst = await createUserWithSession({ role: 'analyst', plan: 'FREE' });
+});
+
+afterAll(() => close());
+
+let alertCount = 0;
+const alertUpdate = (type, fields = {}) => {
+  alertCount += 1;
+  return {
+    type,
+    alert: { id: `alert-${alertCount}`, symbol: 'BTC', type: 'BUY', price: 100, createdAt: new Date().toISOString(), ...fields }
+  };
+};
+
+describe('symbol rooms', () => {
+  it('narrows the stream to subscribed symbols', async () => {
+    const client = await connect({ token: pro.token });
+    const reply = await request(client, 'subscribe', ['eth']);
+    const received = collect(client, 'alert-update');
+
+    realtime.toSymbol('BTC', 'alert-update', alertUpdate('new-alert'));
+    realtime.toSymbol('ETH', 'alert-update', alertUpdate('new-alert', { symbol: 'ETH' }));
+    await wait(100);
+
+    expect(reply).toMatchObject({ ok: true, symbols: ['ETH'], allSymbols: false });
+    expect(received.map(update => update.alert.symbol)).toEqual(['ETH']);
+  });
+
+  it('sends price ticks unsequenced', async () => {
+    const client = await connect({ token: pro.token });
+    const prices = collect(client, 'price-change');
+    const seq = realtime.eventLog.latestSeq();
+
+    realtime.toSymbolLive('BTC', 'price-change', { symbol: 'BTC', price: 101 });
+    await wait(100);
+
+    expect(prices).toEqual([{ symbol: 'BTC', price: 101 }]);
+    expect(realtime.eventLog.latestSeq()).toBe(seq);
+  });
+});
+
+describe('resume', () => {
+  it('replays missed events from the rooms the socket is in, flagged as replayed', async () => {
+    const client = await connect({ token: pro.token });
+    await request(client, 'subscribe', ['ETH']);
+    const { epoch } = realtime.eventLog;
+    const seq = realtime.eventLog.latestSeq();
+
+    realtime.toSymbol('BTC', 'alert-update', alertUpdate('new-alert'));
+    realtime.toSymbol('ETH', 'alert-update', alertUpdate('new-alert', { symbol: 'ETH' }));
+    realtime.toUser(free.user.id, 'alert-update', alertUpdate('new-alert', { recipientId: free.user.id }));
+    await wait(50);
+    const replayed = collect(client, 'alert-update');
+
+    const reply = await request(client, 'resume', { seq, epoch });
+    await wait(50);
+
+    expect(reply).toMatchObject({ ok: true, replayed: 1, epoch, latestSeq: seq + 3 });
+    expect(replayed).toEqual([expect.objectContaining({ replayed: true, seq: seq + 2, alert: expect.objectContaining({ symbol: 'ETH' }) })]);
+  });
+
+  it('asks for a resync after a server restart', async () => {
+    const client = await connect({ token: pro.token });
+    const resync = collect(client, 'resync-required');
+
+    const reply = await request(client, 'resume', { seq: 1, epoch: 'an-earlier-epoch' });
+    await wait(50);
+
+    expect(reply).toMatchObject({ ok: false, resyncRequired: true, epoch: realtime.eventLog.epoch });
+    expect(resync).toHaveLength(1);
+  });
+
+  it('refuses a malformed resume request', async () => {
+    const client = await connect({ token: pro.token });
+
+    expect((await request(client, 'resume', { seq: 'latest' })).error).toBeDefined();
+  });
+});
+
+describe('plan feed delay', () => {
+  it('holds fresh public alerts back from FREE sockets only', async () => {
+    const [freeClient, proClient, analystClient] = await Promise.all([
+      connect({ token: free.token }),
+      connect({ token: pro.token }),
+      connect({ token: analyst.token })
+    ]);
+    const received = [freeClient, proClient, analystClient].map(client => collect(client, 'alert-update'));
+
+    realtime.toSymbol('BTC', 'alert-update', alertUpdate('new-alert'));
+    await wait(150);
+
+    expect(received.map(events => events.length)).toEqual([0, 1, 1]);
+  });
+
+  it('delivers to FREE sockets once the delay has passed, as a later log entry', async () => {
+    const freeClient = await connect({ token: free.token });
+    const proClient = await connect({ token: pro.token });
+    const freeEvents = collect(freeClient, 'alert-update');
+    const proEvents = collect(proClient, 'alert-update');
+
+    const update = alertUpdate('new-alert', { createdAt: new Date(Date.now() - FREE_DELAY_MS + 200).toISOString() });
+    realtime.toSymbol('BTC', 'alert-update', update);
+    await wait(50);
+    expect(freeEvents).toHaveLength(0);
+
+    await wait(300);
+    expect(freeEvents).toHaveLength(1);
+    expect(freeEvents[0].alert.id).toBe(update.alert.id);
+    expect(freeEvents[0].seq).toBeGreaterThan(proEvents[0].seq);
+  });
+
+  it('sends events about old alerts to everyone straight away', async () => {
+    const freeClient = await connect({ token: free.token });
+    const received = collect(freeClient, 'alert-update');
+
+    realtime.toSymbol('BTC', 'alert-update', alertUpdate('alert-edited', {
+      createdAt: new Date(Date.now() - 2 * FREE_DELAY_MS).toISOString()
+    }));
+    await wait(100);
+
+    expect(received).toHaveLength(1);
+  });
+
+  it('applies the delay to replayed events too', async () => {
+    const freeClient = await connect({ token: free.token });
+    const { epoch } = realtime.eventLog;
+    const seq = realtime.eventLog.latestSeq();
+
+    const held = alertUpdate('new-alert');
+    realtime.toSymbol('BTC', 'alert-update', held);
+    realtime.toSymbol('BTC', 'alert-update', {
+      type: 'alert-deleted',
+      alertId: 'gone',
+      alert: { id: 'gone', symbol: 'BTC', createdAt: new Date(Date.now() - 2 * FREE_DELAY_MS).toISOString() }
+    });
+    await wait(50);
+    const replayed = collect(freeClient, 'alert-update');
+
+    const reply = await request(freeClient, 'resume', { seq, epoch });
+    await wait(50);
+
+    expect(reply).toMatchObject({ ok: true, replayed: 1 });
+    expect(replayed.map(update => update.alertId || update.alert.id)).toEqual(['gone']);
+  });
+
+  it('never delays private alerts sent to their recipient', async () => {
+    const freeClient = await connect({ token: free.token });
+    const received = collect(freeClient, 'alert-update');
+
+    realtime.toUser(free.user.id, 'alert-update', alertUpdate('new-alert', { recipientId: free.user.id }));
+    await wait(100);
+
+    expect(received).toHaveLength(1);
+  });
+});
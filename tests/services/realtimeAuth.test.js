@@ -0,0 +1,83 @@
+// tests/services/realtimeAuth.test.js - Socket.io handshake authentication and event checks
+import { afterAll, beforeAll, describe, expect, it } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import { initStore } from '../../models/store.js';
+import { JWT_SECRET, revokeSession, signAccessToken } from '../../services/auth.js';
+import { collect, request, startRealtime, wait } from '../helpers/sockets.js';
+import { createUserWithSession } from '../helpers/users.js';
+
+let connect;
+let close;
+let member;
+let analyst;
+
+beforeAll(async () => {
+  await initStore({ driver: 'memory' });
+  ({ connect, close } = await startRealtime());
+  member = await createUserWithSession();
+  analyst = await createUserWithSession({ role: 'analyst' });
+});
+
+afterAll(() => close());
+
+const sessionIdOf = ({ refreshToken }) => refreshToken.split('.')[0];
+
+describe('handshake', () => {
+  it('accepts the access token as auth, a Bearer header or a query parameter', async () => {
+    await expect(connect({ token: member.token })).resolves.toBeDefined();
+    await expect(connect({}, { extraHeaders: { Authorization: `Bearer ${member.token}` } })).resolves.toBeDefined();
+    await expect(connect({}, { query: { token: member.token } })).resolves.toBeDefined();
+  });
+
+  it('rejects a missing, forged or expired token', async () => {
+    const forged = jwt.sign({ id: member.user.id, sid: sessionIdOf(member) }, 'someone-elses-secret');
+    const expired = jwt.sign({
+      id: member.user.id,
+      sid: sessionIdOf(member),
+      exp: Math.floor(Date.now() / 1000) - 60
+    }, JWT_SECRET);
+
+    for (const auth of [{}, { token: 'not-a-jwt' }, { token: forged }, { token: expired }]) {
+      await expect(connect(auth)).rejects.toThrow('Unauthorized');
+    }
+  });
+
+  it('rejects a token whose session was revoked', async () => {
+    const session = await createUserWithSession();
+    await revokeSession(sessionIdOf(session));
+
+    await expect(connect({ token: session.token })).rejects.toThrow('Unauthorized');
+  });
+});
+
+describe('connected sockets', () => {
+  it('disconnects when the access token expires', async () => {
+    const shortLived = signAccessToken(member.user, sessionIdOf(member), {
+      expiresAt: Math.floor(Date.now() / 1000) + 1
+    });
+    const client = await connect({ token: shortLived });
+    const expired = collect(client, 'session-expired');
+
+    await wait(1200);
+
+    expect(expired).toHaveLength(1);
+    expect(client.connected).toBe(false);
+  });
+
+  it('refuses a token for a different user on authenticate', async () => {
+    const client = await connect({ token: member.token });
+
+    expect(await request(client, 'authenticate', analyst.token)).toEqual({ error: 'Token belongs to a different user' });
+    expect(await request(client, 'authenticate', member.token)).toEqual({ ok: true });
+  });
+
+  it('checks permissions and payloads on client events', async () => {
+    const memberClient = await connect({ token: member.token });
+    const analystClient = await connect({ token: analyst.token });
+
+    expect(await request(memberClient, 'new-alert', { type: 'BUY', symbol: 'BTC', price: 100 })).toEqual({ error: 'Forbidden' });
+    expect((await request(analystClient, 'new-alert', { type: 'BUY', symbol: 'BTC' })).error).toMatch(/Missing required fields/);
+    expect((await request(memberClient, 'user-status', { status: 'sleeping' })).error).toBeDefined();
+    expect(await request(memberClient, 'join-user', analyst.user.id)).toEqual({ error: 'Forbidden' });
+  });
+});
@@ -0,0 +1,131 @@
+// tests/services/signalRules.test.js - Signal validation, outcome transitions and analyst stats
+import { describe, expect, it } from '@jest/globals';
+import {
+  advanceOutcome,
+  expireOutcome,
+  initialOutcome,
+  summarizePerformance,
+  validateSignal
+} from '../../services/signalRules.js';
+
+// Long from 100-102, stop at 95 (1R = 5 from an entry at 100), targets 110 and 120
+const long = validateSignal(
+  { entry: { low: 100, high: 102 }, stopLoss: 95, targets: [110, 120] },
+  { type: 'BUY', price: 101 }
+).value;
+
+const START = '2026-01-01T00:00:00.000Z';
+const time = (minutes) => new Date(Date.parse(START) + minutes * 60 * 1000).toISOString();
+
+// Feeds prices in order; resolves to the final outcome and every event seen
+const walk = (signal, prices) => prices.reduce(({ outcome, events }, price, i) => {
+  const step = advanceOutcome(signal, outcome, { price, time: time(i + 1) });
+  return { outcome: step.outcome, events: [...events, ...step.events.map(({ event }) => event)] };
+}, { outcome: initialOutcome(START), events: [] });
+
+describe('validateSignal', () => {
+  it('infers the direction from the alert type and the entry from its price', () => {
+    expect(validateSignal({ stopLoss: 110, targets: ['90'] }, { type: 'SELL', price: 100 }).value).toEqual({
+      direction: 'short',
+      entry: { low: 100, high: 100 },
+      targets: [90],
+      stopLoss: 110,
+      timeframe: null,
+      expiresAt: null
+    });
+  });
+
+  it.each([
+    ['a stop on the wrong side', { stopLoss: 105, targets: [110] }, /stopLoss must be below/],
+    ['targets out of order', { stopLoss: 95, targets: [120, 110] }, /ascending and above/],
+    ['a target inside the entry zone', { entry: { low: 100, high: 110 }, stopLoss: 95, targets: [105] }, /ascending and above/],
+    ['too many targets', { stopLoss: 95, targets: [110, 120, 130, 140, 150, 160] }, /1-5 prices/],
+    ['an unknown timeframe', { stopLoss: 95, targets: [110], timeframe: '2h' }, /timeframe/]
+  ])('rejects %s', (_case, input, error) => {
+    expect(validateSignal(input, { type: 'BUY', price: 100 }).error).toMatch(error);
+  });
+});
+
+describe('advanceOutcome', () => {
+  it('waits for the entry zone before tracking', () => {
+    const { outcome, events } = walk(long, [104, 96, 101]);
+
+    expect(events).toEqual(['entered']);
+    expect(outcome).toMatchObject({ status: 'open', entryPrice: 101, enteredAt: time(3) });
+  });
+
+  it('hits targets in turn and closes as a win on the last one', () => {
+    const { outcome, events } = walk(long, [100, 111, 125]);
+
+    expect(events).toEqual(['entered', 'target_hit', 'target_hit', 'completed']);
+    expect(outcome).toMatchObject({ status: 'closed', result: 'target', targetsHit: 2, exitPrice: 120, rMultiple: 4 });
+  });
+
+  it('closes at the stop for -1R', () => {
+    const { outcome, events } = walk(long, [100, 95]);
+
+    expect(events).toEqual(['entered', 'stopped']);
+    expect(outcome).toMatchObject({ status: 'closed', result: 'stopped', exitPrice: 95, rMultiple: -1 });
+  });
+
+  it('books a stop after a target at the furthest target reached', () => {
+    const { outcome } = walk(long, [100, 112, 94]);
+
+    expect(outcome).toMatchObject({ status: 'closed', result: 'target', exitPrice: 110, rMultiple: 2 });
+  });
+
+  it('tracks shorts the other way round', () => {
+    const short = validateSignal({ stopLoss: 110, targets: [90] }, { type: 'SELL', price: 100 }).value;
+
+    expect(walk(short, [100, 89]).outcome).toMatchObject({ result: 'target', rMultiple: 1 });
+    expect(walk(short, [100, 111]).outcome).toMatchObject({ result: 'stopped', rMultiple: -1 });
+  });
+
+  it('ignores prices once closed', () => {
+    const { outcome } = walk(long, [100, 95]);
+
+    expect(advanceOutcome(long, outcome, { price: 130, time: time(9) })).toEqual({ outcome, events: [] });
+  });
+});
+
+describe('expireOutcome', () => {
+  it('marks open signals to the last price and leaves pending ones without R', () => {
+    const open = walk(long, [100]).outcome;
+
+    expect(expireOutcome(long, open, { price: 105, time: time(9) })).toMatchObject({ result: 'expired', exitPrice: 105, rMultiple: 1 });
+    expect(expireOutcome(long, initialOutcome(START), { price: 105, time: time(9) }))
+      .toMatchObject({ status: 'closed', result: 'expired', exitPrice: null, rMultiple: null });
+  });
+
+  it('keeps a reached target as the result', () => {
+    const pastTarget = walk(long, [100, 111]).outcome;
+
+    expect(expireOutcome(long, pastTarget, { price: 101, time: time(9) })).toMatchObject({ result: 'target', exitPrice: 110 });
+  });
+});
+
+describe('summarizePerformance', () => {
+  it('counts only entered signals towards win rate and R', () => {
+    const outcomes = [
+      walk(long, [100, 111, 125]).outcome,
+      walk(long, [100, 95]).outcome,
+      walk(long, [100, 95]).outcome,
+      expireOutcome(long, initialOutcome(START), { price: 101, time: time(9) }),
+      walk(long, [100]).outcome,
+      initialOutcome(START)
+    ];
+
+    expect(summarizePerformance(outcomes.map(outcome => ({ outcome })))).toEqual({
+      signals: 6,
+      pending: 1,
+      open: 1,
+      closed: 4,
+      wins: 1,
+      losses: 2,
+      expired: 1,
+      winRate: 0.3333,
+      averageR: 0.67,
+      totalR: 2
+    });
+  });
+});
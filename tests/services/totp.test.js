@@ -0,0 +1,60 @@
+// tests/services/totp.test.js - RFC 6238 codes, the drift window and provisioning URIs
+import { describe, expect, it } from '@jest/globals';
+import { generateCode, generateSecret, otpauthUri, timeStep, verifyCode } from '../../services/totp.js';
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('generateCode', () => {
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('matches the RFC 6238 SHA-1 vector at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, timeStep(seconds * 1000))).toBe(code);
+  });
+
+  it('reads secrets with any case, spaces or padding', () => {
+    expect(generateCode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq==', 1)).toBe(generateCode(RFC_SECRET, 1));
+  });
+
+  it('makes 160-bit base32 secrets', () => {
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+});
+
+describe('verifyCode', () => {
+  const now = 1234567890 * 1000;
+  const step = timeStep(now);
+
+  it('accepts the steps either side of now and resolves to the matching one', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step), { now })).toBe(step);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { now })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { now })).toBe(step + 1);
+  });
+
+  it('refuses codes outside the window', () => {
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { now, window: 2 })).toBe(step - 2);
+  });
+
+  it('ignores spaces and refuses anything but six digits', () => {
+    const code = generateCode(RFC_SECRET, step);
+
+    expect(verifyCode(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { now })).toBe(step);
+    expect(verifyCode(RFC_SECRET, code.slice(1), { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, Number(code), { now })).toBeNull();
+    expect(verifyCode(RFC_SECRET, `${code}0`, { now })).toBeNull();
+  });
+});
+
+describe('otpauthUri', () => {
+  it('labels the account with the issuer and encodes spaces as %20', () => {
+    expect(otpauthUri({ secret: RFC_SECRET, account: 'trader@example.com', issuer: 'RTi Cashflowops' })).toBe(
+      `otpauth://totp/RTi%20Cashflowops%3Atrader%40example.com?secret=${RFC_SECRET}`
+      + '&issuer=RTi%20Cashflowops&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
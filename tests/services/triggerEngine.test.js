@@ -0,0 +1,86 @@
+// tests/services/triggerEngine.test.js - Firing armed triggers on market data ticks
+import { beforeAll, describe, expect, it } from '@jest/globals';
+import { initStore } from '../../models/store.js';
+import { triggerRepository } from '../../models/triggerRepository.js';
+import { createMarketDataService } from '../../services/marketData.js';
+import { createTriggerEngine } from '../../services/triggerEngine.js';
+
+let engine;
+let userCount = 0;
+
+beforeAll(async () => {
+  await initStore({ driver: 'memory' });
+  engine = createTriggerEngine({ marketData: createMarketDataService() });
+});
+
+const createTrigger = (fields = {}) => {
+  userCount += 1;
+  return triggerRepository.create({
+    userId: `user-${userCount}`,
+    symbol: 'BTC',
+    condition: 'above',
+    threshold: 100,
+    expiresAt: null,
+    rearm: false,
+    cooldownMinutes: 60,
+    ...fields
+  });
+};
+
+const tick = (price, timestamp = new Date().toISOString()) => ({ symbol: 'BTC', price, previousPrice: 99, timestamp });
+
+describe('trigger engine', () => {
+  it('fires a one-shot trigger once, even for a repeated tick', async () => {
+    const trigger = await createTrigger();
+    const sameTick = tick(101);
+
+    const [first, second] = await Promise.all([engine.evaluate(sameTick), engine.evaluate(sameTick)]);
+    const fired = [...first, ...second].filter(result => result.trigger.id === trigger.id);
+
+    expect(fired).toHaveLength(1);
+    expect(fired[0].alert).toMatchObject({ symbol: 'BTC', price: 101, recipientId: trigger.userId, triggerId: trigger.id });
+    expect(await triggerRepository.findById(trigger.id)).toMatchObject({ status: 'fired', fireCount: 1 });
+  });
+
+  it('loses the race when another evaluation fired the trigger first', async () => {
+    const trigger = await createTrigger({ rearm: true, cooldownMinutes: 5 });
+    const stale = { ...trigger };
+
+    expect(await triggerRepository.markFired(trigger, { price: 101, firedAt: new Date().toISOString(), rearm: true, cooldownMinutes: 5 }))
+      .not.toBeNull();
+    expect(await triggerRepository.markFired(stale, { price: 101, firedAt: new Date().toISOString(), rearm: true, cooldownMinutes: 5 }))
+      .toBeNull();
+  });
+
+  it('keeps a re-arming trigger quiet for its cooldown', async () => {
+    const trigger = await createTrigger({ rearm: true, cooldownMinutes: 5 });
+    const start = Date.now();
+    const at = (minutes) => new Date(start + minutes * 60 * 1000).toISOString();
+
+    const firedAt = async (minutes) => (await engine.evaluate(tick(101, at(minutes))))
+      .filter(result => result.trigger.id === trigger.id).length;
+
+    expect(await firedAt(0)).toBe(1);
+    expect(await firedAt(1)).toBe(0);
+    expect(await firedAt(5)).toBe(1);
+    expect((await triggerRepository.findById(trigger.id)).fireCount).toBe(2);
+  });
+
+  it('applies the minimum cooldown to re-arming triggers saved without one', async () => {
+    const trigger = await createTrigger({ rearm: true, cooldownMinutes: 0 });
+    const timestamp = new Date().toISOString();
+
+    await engine.evaluate(tick(101, timestamp));
+
+    expect(Date.parse((await triggerRepository.findById(trigger.id)).rearmAt)).toBe(Date.parse(timestamp) + 60 * 1000);
+  });
+
+  it('expires triggers instead of firing them', async () => {
+    const trigger = await createTrigger({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    const fired = await engine.evaluate(tick(101));
+
+    expect(fired.some(result => result.trigger.id === trigger.id)).toBe(false);
+    expect((await triggerRepository.findById(trigger.id)).status).toBe('expired');
+  });
+});
@@ -0,0 +1,57 @@
+// tests/services/triggerRules.test.js - Trigger validation and evaluation
+import { describe, expect, it } from '@jest/globals';
+import { evaluateRule, validateTriggerRule } from '../../services/triggerRules.js';
+
+const rule = (fields = {}) => ({ symbol: 'btc', condition: 'above', threshold: 100, ...fields });
+
+describe('validateTriggerRule', () => {
+  it('normalizes a rule and fills in the defaults', () => {
+    expect(validateTriggerRule(rule({ threshold: '100' })).value).toEqual({
+      symbol: 'BTC',
+      condition: 'above',
+      threshold: 100,
+      expiresAt: null,
+      rearm: false,
+      cooldownMinutes: 60
+    });
+  });
+
+  it('refuses to re-arm without a cooldown', () => {
+    expect(validateTriggerRule(rule({ rearm: true, cooldownMinutes: 0 })).error)
+      .toBe('cooldownMinutes must be at least 1 when rearm is set');
+    expect(validateTriggerRule(rule({ rearm: true, cooldownMinutes: 0.5 })).error).toBeDefined();
+    expect(validateTriggerRule(rule({ rearm: true, cooldownMinutes: 1 })).value.cooldownMinutes).toBe(1);
+  });
+
+  it('allows a zero cooldown on one-shot rules', () => {
+    expect(validateTriggerRule(rule({ cooldownMinutes: 0 })).value.cooldownMinutes).toBe(0);
+  });
+
+  it('checks the percent move window and direction', () => {
+    expect(validateTriggerRule(rule({ condition: 'percent_move', windowMinutes: 0 })).error).toMatch(/windowMinutes/);
+    expect(validateTriggerRule(rule({ condition: 'percent_move', direction: 'sideways' })).error).toMatch(/direction/);
+    expect(validateTriggerRule(rule({ condition: 'percent_move', threshold: 5 })).value)
+      .toMatchObject({ windowMinutes: 60, direction: 'any' });
+  });
+
+  it('refuses an expiry in the past', () => {
+    expect(validateTriggerRule(rule({ expiresAt: '2000-01-01T00:00:00Z' })).error).toBe('expiresAt must be in the future');
+  });
+});
+
+describe('evaluateRule', () => {
+  it('fires crosses only on the tick that crosses', () => {
+    const crossing = { condition: 'crosses_above', threshold: 100 };
+    expect(evaluateRule(crossing, { price: 101, previousPrice: 99 })).toBe(true);
+    expect(evaluateRule(crossing, { price: 102, previousPrice: 101 })).toBe(false);
+    expect(evaluateRule(crossing, { price: 101 })).toBe(false);
+  });
+
+  it('measures percent moves from the reference price in the given direction', () => {
+    const move = { condition: 'percent_move', threshold: 5, direction: 'down' };
+    expect(evaluateRule(move, { price: 94, referencePrice: 100 })).toBe(true);
+    expect(evaluateRule(move, { price: 106, referencePrice: 100 })).toBe(false);
+    expect(evaluateRule({ ...move, direction: 'any' }, { price: 106, referencePrice: 100 })).toBe(true);
+    expect(evaluateRule(move, { price: 94 })).toBe(false);
+  });
+});
@@ -0,0 +1,138 @@
+// tests/services/twoFactor.test.js - Enrolling in TOTP, spending codes once and login challenges
+import { afterEach, beforeAll, beforeEach, describe, expect, it, jest } from '@jest/globals';
+import { initStore } from '../../models/store.js';
+import { twoFactorRepository } from '../../models/twoFactorRepository.js';
+import { userRepository } from '../../models/userRepository.js';
+import {
+  completeLoginChallenge,
+  confirmEnrollment,
+  createLoginChallenge,
+  findLoginChallenge,
+  getTwoFactorStatus,
+  startEnrollment,
+  verifySecondFactor
+} from '../../services/twoFactor.js';
+import { generateCode, timeStep } from '../../services/totp.js';
+import { createUserWithSession } from '../helpers/users.js';
+
+beforeAll(() => initStore({ driver: 'memory' }));
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+// A user with 2FA on, enrolled with the previous step's code so the current
+// and next steps are still unspent. Resolves to `{ user, secret, recoveryCodes }`
+const enrolledUser = async () => {
+  const { user } = await createUserWithSession();
+  const { value: { secret } } = await startEnrollment(user);
+  const { value: { recoveryCodes } } = await confirmEnrollment(user, generateCode(secret, timeStep() - 1));
+  return { user, secret, recoveryCodes };
+};
+
+describe('enrollment', () => {
+  it('stays off until a code from the new secret is confirmed', async () => {
+    const { user } = await createUserWithSession();
+    const { value } = await startEnrollment(user);
+
+    expect(value.otpauthUri).toContain(`secret=${value.secret}`);
+    expect(await getTwoFactorStatus(user.id)).toMatchObject({ enabled: false, pendingEnrollment: true });
+    expect((await confirmEnrollment(user, '000000')).status).toBe(400);
+
+    const confirmed = await confirmEnrollment(user, generateCode(value.secret));
+
+    expect(confirmed.value.recoveryCodes).toHaveLength(10);
+    expect(await getTwoFactorStatus(user.id)).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+    expect((await userRepository.findById(user.id)).twoFactorEnabledAt).toEqual(expect.any(String));
+    expect((await startEnrollment(user)).status).toBe(409);
+  });
+
+  it('keeps the secret and recovery codes encrypted or hashed at rest', async () => {
+    const { user, secret, recoveryCodes } = await enrolledUser();
+
+    const stored = JSON.stringify(await twoFactorRepository.findByUserId(user.id));
+
+    expect(stored).not.toContain(secret);
+    recoveryCodes.forEach(recoveryCode => expect(stored).not.toContain(recoveryCode));
+  });
+});
+
+describe('verifySecondFactor', () => {
+  it('accepts each time step once, and nothing before the last one used', async () => {
+    const { user, secret } = await enrolledUser();
+    const current = generateCode(secret);
+
+    expect((await verifySecondFactor(user.id, { code: current })).value).toMatchObject({ method: 'totp' });
+    expect(await verifySecondFactor(user.id, { code: current })).toMatchObject({ status: 401 });
+    expect(await verifySecondFactor(user.id, { code: generateCode(secret, timeStep() - 1) })).toMatchObject({ status: 401 });
+    expect((await verifySecondFactor(user.id, { code: generateCode(secret, timeStep() + 1) })).value).toBeDefined();
+  });
+
+  it('spends a code once when two logins race with it', async () => {
+    const { user, secret } = await enrolledUser();
+    const code = generateCode(secret);
+
+    const results = await Promise.all([verifySecondFactor(user.id, { code }), verifySecondFactor(user.id, { code })]);
+
+    expect(results.filter(result => result.value)).toHaveLength(1);
+  });
+
+  it('takes each recovery code once, however it is typed', async () => {
+    const { user, recoveryCodes } = await enrolledUser();
+    const typed = ` ${recoveryCodes[0].replace('-', '').toUpperCase()} `;
+
+    expect((await verifySecondFactor(user.id, { recoveryCode: typed })).value)
+      .toEqual({ method: 'recovery-code', recoveryCodesRemaining: 9 });
+    expect(await verifySecondFactor(user.id, { recoveryCode: recoveryCodes[0] })).toMatchObject({ status: 401 });
+  });
+
+  it('needs a factor and an enabled account', async () => {
+    const { user } = await createUserWithSession();
+
+    expect(await verifySecondFactor(user.id, {})).toMatchObject({ status: 400 });
+    expect(await verifySecondFactor(user.id, { code: '123456' })).toMatchObject({ status: 400 });
+  });
+});
+
+describe('login challenges', () => {
+  it('completes a login once', async () => {
+    const { user, secret } = await enrolledUser();
+    const { challengeToken } = await createLoginChallenge(user);
+    const challenge = await findLoginChallenge(challengeToken);
+
+    const completed = await completeLoginChallenge(challenge, { code: generateCode(secret) });
+
+    expect(completed.value).toMatchObject({ user: expect.objectContaining({ id: user.id }), method: 'totp' });
+    expect(await findLoginChallenge(challengeToken)).toBeNull();
+  });
+
+  it('dies after five wrong codes', async () => {
+    const { user, recoveryCodes } = await enrolledUser();
+    const { challengeToken } = await createLoginChallenge(user);
+
+    for (let attempt = 1; attempt <= 4; attempt += 1) {
+      const result = await completeLoginChallenge(await findLoginChallenge(challengeToken), { recoveryCode: 'wrong' });
+      expect(result.error).toBe('Invalid authentication code');
+    }
+    const last = await completeLoginChallenge(await findLoginChallenge(challengeToken), { recoveryCode: 'wrong' });
+
+    expect(last).toEqual({ error: 'Too many invalid codes; log in again', status: 401 });
+    expect(await findLoginChallenge(challengeToken)).toBeNull();
+    expect((await verifySecondFactor(user.id, { recoveryCode: recoveryCodes[0] })).value).toBeDefined();
+  });
+
+  it('expires after five minutes', async () => {
+    const { user } = await enrolledUser();
+    const { challengeToken, expiresIn } = await createLoginChallenge(user);
+
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.setSystemTime(Date.now() + expiresIn * 1000 + 1000);
+    const challenge = await findLoginChallenge(challengeToken);
+    jest.useRealTimers();
+
+    expect(expiresIn).toBe(300);
+    expect(challenge).toBeNull();
+  });
+});
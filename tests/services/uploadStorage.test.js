@@ -0,0 +1,116 @@
+// tests/services/uploadStorage.test.js - The contract both upload storage drivers meet
+import { afterAll, beforeAll, describe, expect, it } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLocalStorage } from '../../services/storage/localStorage.js';
+import { createS3Storage } from '../../services/storage/s3Storage.js';
+import { startS3 } from '../helpers/s3.js';
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+const s3 = await startS3();
+
+afterAll(async () => {
+  await s3.stop();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString();
+};
+
+// Fetches a URL the driver handed out; local URLs are paths under /uploads
+const fetchSigned = async (storage, url) => {
+  if (storage.name === 's3') {
+    const response = await fetch(url);
+    return response.ok ? response.text() : null;
+  }
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+  const key = pathname.slice('/uploads/'.length);
+  if (!storage.verifySignature(key, searchParams.get('expires'), searchParams.get('signature'))) return null;
+  return readAll(await storage.get(key));
+};
+
+describe.each([
+  ['local', () => createLocalStorage({ root, secret: 'test-secret' })],
+  ['s3', () => createS3Storage(s3.options)]
+])('%s storage', (_name, create) => {
+  let storage;
+  // A fresh prefix per run, so runs against a shared bucket don't collide
+  const prefix = `test-${Date.now()}`;
+  const key = (name) => `${prefix}/${name}`;
+
+  beforeAll(() => {
+    storage = create();
+  });
+
+  it('stores, reads and removes files', async () => {
+    await storage.put(key('a.txt'), Buffer.from('hello'), { contentType: 'text/plain' });
+
+    expect(await storage.exists(key('a.txt'))).toBe(true);
+    expect(await readAll(await storage.get(key('a.txt')))).toBe('hello');
+
+    await storage.remove(key('a.txt'));
+    expect(await storage.exists(key('a.txt'))).toBe(false);
+  });
+
+  it('reports missing files as null or false', async () => {
+    expect(await storage.get(key('missing.txt'))).toBeNull();
+    expect(await storage.exists(key('missing.txt'))).toBe(false);
+  });
+
+  it('maps public URLs back to their keys', () => {
+    const url = storage.publicUrl(key('avatar.webp'));
+
+    expect(storage.keyForUrl(url)).toBe(key('avatar.webp'));
+    expect(storage.keyForUrl('https://elsewhere.example.com/avatar.webp')).toBeNull();
+    expect(storage.keyForUrl(null)).toBeNull();
+  });
+
+  it('hands out signed URLs that read private files', async () => {
+    const privateKey = `private/${key('report.csv')}`;
+    await storage.put(privateKey, Buffer.from('symbol,price\nBTC,100\n'), { contentType: 'text/csv' });
+
+    const url = await storage.signedUrl(privateKey, { expiresIn: 60 });
+
+    expect(await fetchSigned(storage, url)).toBe('symbol,price\nBTC,100\n');
+  });
+});
+
+describe('local signatures', () => {
+  const storage = createLocalStorage({ root, secret: 'test-secret' });
+
+  const parts = async (key, expiresIn = 60) => {
+    const { searchParams } = new URL(await storage.signedUrl(key, { expiresIn }), 'http://localhost');
+    return { expires: searchParams.get('expires'), signature: searchParams.get('signature') };
+  };
+
+  it('are bound to the key', async () => {
+    const { expires, signature } = await parts('private/a.csv');
+
+    expect(storage.verifySignature('private/a.csv', expires, signature)).toBe(true);
+    expect(storage.verifySignature('private/b.csv', expires, signature)).toBe(false);
+  });
+
+  it('cannot be extended or forged', async () => {
+    const { expires, signature } = await parts('private/a.csv');
+
+    expect(storage.verifySignature('private/a.csv', String(Number(expires) + 3600), signature)).toBe(false);
+    expect(storage.verifySignature('private/a.csv', expires, 'ab'.repeat(32))).toBe(false);
+    expect(storage.verifySignature('private/a.csv', expires, undefined)).toBe(false);
+    expect(storage.verifySignature('private/a.csv', 'soon', signature)).toBe(false);
+  });
+
+  it('expire', async () => {
+    const { expires, signature } = await parts('private/a.csv', -1);
+
+    expect(storage.verifySignature('private/a.csv', expires, signature)).toBe(false);
+  });
+
+  it('refuses keys that escape the upload directory', async () => {
+    await expect(storage.put('../outside.txt', Buffer.from('x'))).rejects.toThrow(/Invalid storage key/);
+    expect(await storage.get('../../etc/passwd')).toBeNull();
+  });
+});
@@ -0,0 +1,105 @@
+// tests/services/webhookDispatcher.test.js - Signed deliveries to partner webhooks
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from '@jest/globals';
+import http from 'http';
+
+// The receiver listens on localhost, which outbound requests refuse by default
+process.env.OUTBOUND_ALLOW_PRIVATE_NETWORKS = 'true';
+
+const { initStore } = await import('../../models/store.js');
+const { userRepository } = await import('../../models/userRepository.js');
+const { webhookRepository } = await import('../../models/webhookRepository.js');
+const { webhookDeliveryRepository } = await import('../../models/webhookDeliveryRepository.js');
+const { createWebhookDispatcher, generateWebhookSecret, verifySignature } = await import('../../services/webhookDispatcher.js');
+const { createUserWithSession } = await import('../helpers/users.js');
+
+let server;
+let url;
+let received;
+let dispatcher;
+
+beforeAll(async () => {
+  await initStore({ driver: 'memory' });
+  server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: Buffer.concat(chunks).toString() });
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  received = [];
+  dispatcher = createWebhookDispatcher();
+});
+
+// An old public alert, so no plan delay holds the delivery back
+const alert = () => ({ id: 'alert-1', symbol: 'BTC', createdAt: new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+
+const subscribe = async () => {
+  const { user } = await createUserWithSession({ plan: 'PRO' });
+  const secret = generateWebhookSecret();
+  const webhook = await webhookRepository.create({ userId: user.id, url, secret, events: ['alert.created'], active: true });
+  return { user, webhook, secret };
+};
+
+// Queued directly rather than through publish(), which starts sending at once
+const queue = (webhook) => webhookDeliveryRepository.create({
+  webhookId: webhook.id,
+  userId: webhook.userId,
+  event: 'alert.created',
+  payload: { id: 'evt_test', event: 'alert.created', data: {} },
+  redeliveryOf: null,
+  nextAttemptAt: new Date().toISOString()
+});
+
+const deliveriesFor = (webhook) => webhookDeliveryRepository.findByWebhook(webhook.id);
+
+describe('webhook dispatcher', () => {
+  it('sends a signed delivery', async () => {
+    const { webhook, secret } = await subscribe();
+
+    await dispatcher.publish('alert.created', alert(), { alert: alert() });
+    await dispatcher.processDue();
+
+    const [delivery] = await deliveriesFor(webhook);
+    const request = received.find(({ headers }) => headers['x-rti-delivery'] === delivery.id);
+    expect(delivery).toMatchObject({ status: 'sent', attempts: 1, responseStatus: 200 });
+    expect(request.headers['x-rti-event']).toBe('alert.created');
+    expect(verifySignature(secret, request.headers['x-rti-signature'], request.body)).toBe(true);
+  });
+
+  it('cancels queued deliveries once the webhook is paused', async () => {
+    const { webhook } = await subscribe();
+    await queue(webhook);
+    await webhookRepository.update(webhook.id, { active: false });
+
+    await dispatcher.processDue();
+
+    const [delivery] = await deliveriesFor(webhook);
+    expect(delivery).toMatchObject({ status: 'cancelled', attempts: 0, lastError: 'Webhook is paused' });
+    expect(received.some(request => request.headers['x-rti-delivery'] === delivery.id)).toBe(false);
+  });
+
+  it('cancels queued deliveries once the owner is deactivated', async () => {
+    const { user, webhook } = await subscribe();
+    await queue(webhook);
+    await userRepository.update(user.id, { isActive: false });
+
+    await dispatcher.processDue();
+
+    expect((await deliveriesFor(webhook))[0]).toMatchObject({ status: 'cancelled', lastError: 'Account is inactive' });
+  });
+
+  it('does not queue private alerts', async () => {
+    const { webhook } = await subscribe();
+
+    expect(await dispatcher.publish('alert.created', { ...alert(), recipientId: 'someone' }, {})).toBe(0);
+    expect(await deliveriesFor(webhook)).toEqual([]);
+  });
+});